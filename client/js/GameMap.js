@@ -1,4 +1,4 @@
-import { Container, Sprite, Assets, Text, TextStyle } from 'https://unpkg.com/pixi.js@8.13.0/dist/pixi.min.mjs';
+import { Container, Sprite, Graphics, Assets, Text, TextStyle } from 'https://unpkg.com/pixi.js@8.13.0/dist/pixi.min.mjs';
 import { ClientConfig } from './config/clientConfig.js';
 
 /**
@@ -10,10 +10,12 @@ export class GameMap {
         this.app = app;
         this.container = new Container();
         this.tileContainer = new Container();
+        this.terrainContainer = new Container(); // Water, rock, swamp, shrine and crater overlays
         this.scoreContainer = new Container();
         this.axisContainer = new Container();
         this.tileMap = null;
         this.tileTextures = new Map(); // Store all tile textures
+        this.craterTexture = null;
         this.borderScores = null;
         this.showScores = true; // Debug mode toggle
         this.showAxis = true; // Coordinate axis toggle
@@ -22,6 +24,7 @@ export class GameMap {
     async createMap() {
         await this.loadTileTextures();
         this.container.addChild(this.tileContainer);
+        this.container.addChild(this.terrainContainer);
         this.container.addChild(this.scoreContainer);
         this.container.addChild(this.axisContainer);
         
@@ -63,6 +66,11 @@ export class GameMap {
             }
         }
         
+        try {
+            this.craterTexture = await Assets.load('./resources/crater.png');
+        } catch (error) {
+            console.error('Failed to load texture: crater', error);
+        }
     }
     
     // Helper function to get random tile texture for a team
@@ -86,13 +94,21 @@ export class GameMap {
      * @returns {Texture} The appropriate tile texture
      */
     getEdgeAwareTileTexture(x, y, tileType, tileMapData) {
+        const fixedTexture = this.getFixedVariantTexture(tileMapData.tiles[y][x]);
+        
         // ONLY apply edge tiles for GREEN territories (conquered tiles)
         if (tileType !== 'green') {
-            return this.getRandomTileTexture(tileType);
+            return fixedTexture || this.getRandomTileTexture(tileType);
         }
         
         // For green tiles, determine the appropriate tile based on corner logic
         const edgeTileName = this.determineGreenTileType(x, y, tileMapData);
+        
+        // Map files may pick the variant of plain (non-edge) tiles
+        if (fixedTexture && /^green-tile-0\d$/.test(edgeTileName)) {
+            return fixedTexture;
+        }
+        
         const texture = this.tileTextures.get(edgeTileName);
         
         if (texture) {
@@ -103,6 +119,16 @@ export class GameMap {
         }
     }
 
+    /**
+     * Texture of a variant chosen by a map file, if the tile has one
+     * @param {Object} tileData - Tile from the server tile map
+     * @returns {Texture|null}
+     */
+    getFixedVariantTexture(tileData) {
+        if (!tileData || !tileData.fixedVariant) return null;
+        return this.tileTextures.get(tileData.variant) || null;
+    }
+
     /**
      * Get the types of neighboring tiles (4-directional)
      * @param {number} x - Tile X coordinate
@@ -293,15 +319,112 @@ export class GameMap {
             }
         }
         
+        this.updateTerrainDisplay();
+        
         // Update score display
         this.updateScoreDisplay();
     }
 
+    /**
+     * Change a tile's terrain (e.g. a meteorite crater) and redraw the overlays
+     */
+    updateTerrain(tileX, tileY, terrain) {
+        if (!this.tileMap) return;
+        
+        this.tileMap.tiles[tileY][tileX].terrain = terrain;
+        this.updateTerrainDisplay();
+    }
+
+    updateTerrainDisplay() {
+        this.terrainContainer.removeChildren();
+        if (!this.tileMap) return;
+        
+        for (let y = 0; y < this.tileMap.height; y++) {
+            for (let x = 0; x < this.tileMap.width; x++) {
+                const overlay = this.createTerrainOverlay(this.tileMap.tiles[y][x]);
+                if (overlay) {
+                    this.terrainContainer.addChild(overlay);
+                }
+            }
+        }
+    }
+
+    /**
+     * Overlay drawn on top of a tile's texture for its terrain
+     * @param {Object} tileData - Tile from the server tile map
+     * @returns {Graphics|Sprite|null}
+     */
+    createTerrainOverlay(tileData) {
+        const config = ClientConfig.MAP.TERRAIN;
+        const width = ClientConfig.MAP.TILE_DISPLAY_WIDTH;
+        const height = ClientConfig.MAP.TILE_DISPLAY_HEIGHT;
+        
+        if (tileData.terrain === 'crater' && this.craterTexture) {
+            const crater = new Sprite(this.craterTexture);
+            crater.anchor.set(0.5);
+            crater.width = width * config.CRATER_SIZE;
+            crater.height = height * config.CRATER_SIZE;
+            crater.x = tileData.worldX + width / 2;
+            crater.y = tileData.worldY + height / 2;
+            return crater;
+        }
+        
+        const overlay = new Graphics();
+        
+        switch (tileData.terrain) {
+            case 'water':
+                overlay.rect(0, 0, width, height);
+                overlay.fill({ color: config.WATER_COLOR, alpha: config.WATER_ALPHA });
+                // Two ripples
+                for (const rippleY of [height * 0.35, height * 0.65]) {
+                    overlay.moveTo(width * 0.2, rippleY);
+                    overlay.quadraticCurveTo(width * 0.35, rippleY - 6, width * 0.5, rippleY);
+                    overlay.quadraticCurveTo(width * 0.65, rippleY + 6, width * 0.8, rippleY);
+                }
+                overlay.stroke({ width: 2, color: config.WATER_RIPPLE_COLOR, alpha: 0.8 });
+                break;
+            case 'rock':
+                overlay.poly([
+                    width * 0.15, height * 0.8, width * 0.25, height * 0.35, width * 0.5, height * 0.15,
+                    width * 0.8, height * 0.3, width * 0.88, height * 0.75, width * 0.6, height * 0.9
+                ]);
+                overlay.fill(config.ROCK_COLOR);
+                overlay.stroke({ width: 2, color: config.ROCK_OUTLINE_COLOR });
+                break;
+            case 'swamp':
+                overlay.rect(0, 0, width, height);
+                overlay.fill({ color: config.SWAMP_COLOR, alpha: config.SWAMP_ALPHA });
+                overlay.circle(width * 0.3, height * 0.4, 4);
+                overlay.circle(width * 0.65, height * 0.3, 3);
+                overlay.circle(width * 0.55, height * 0.7, 5);
+                overlay.fill({ color: config.SWAMP_BUBBLE_COLOR, alpha: 0.7 });
+                break;
+            case 'shrine':
+                overlay.poly([width / 2, height * 0.15, width * 0.8, height / 2, width / 2, height * 0.85, width * 0.2, height / 2]);
+                overlay.fill({ color: config.SHRINE_COLOR, alpha: 0.85 });
+                overlay.stroke({ width: 2, color: config.SHRINE_OUTLINE_COLOR });
+                break;
+            case 'crater':
+                // Texture still loading or missing
+                overlay.ellipse(width / 2, height / 2, width * 0.35, height * 0.3);
+                overlay.fill({ color: config.CRATER_COLOR, alpha: 0.8 });
+                overlay.stroke({ width: 3, color: config.CRATER_RIM_COLOR });
+                break;
+            default:
+                return null;
+        }
+        
+        overlay.x = tileData.worldX;
+        overlay.y = tileData.worldY;
+        return overlay;
+    }
+
     updateSingleTile(tileX, tileY, newType) {
         if (!this.tileMap || this.tileTextures.size === 0) return;
         
-        // Update tile data first
+        // Update tile data first; a map file's variant belonged to the previous owner
         this.tileMap.tiles[tileY][tileX].type = newType;
+        delete this.tileMap.tiles[tileY][tileX].fixedVariant;
         
         // Get edge-aware texture for the conquered tile
         const texture = this.getEdgeAwareTileTexture(tileX, tileY, newType, this.tileMap);
@@ -1,5 +1,7 @@
 import { Assets, Sprite, Graphics, Container } from 'https://unpkg.com/pixi.js@8.13.0/dist/pixi.min.mjs';
 import { ClientConfig } from './config/clientConfig.js';
+import { SnapshotBuffer } from './network/SnapshotBuffer.js';
+import { animationClock } from './systems/AnimationClock.js';
 
 export class Character {
     constructor(app, characterData, dayNightManager = null, disasterEffectsManager = null) {
@@ -15,6 +17,15 @@ export class Character {
         this.maxEnergy = characterData.maxEnergy;
         this.isCasting = characterData.isCasting || false;
         
+        // Identity and heritable traits - fixed at birth
+        this.lineName = characterData.lineName || null;
+        this.generation = characterData.generation || 1;
+        this.genome = characterData.genome || null;
+        
+        // Veteran rank, earned over the soul's life
+        this.rank = characterData.rank || 0;
+        this.xp = characterData.xp || 0;
+        
         // Current position - all from server
         this.x = characterData.x;
         this.y = characterData.y;
@@ -23,6 +34,9 @@ export class Character {
         this.targetX = this.x;
         this.targetY = this.y;
         
+        // Timestamped server positions for snapshot interpolation
+        this.snapshots = new SnapshotBuffer();
+        
         // Spell preparation state
         this.isPreparing = characterData.isPreparing || false;
         
@@ -63,6 +77,9 @@ export class Character {
         this.castingBorder = null;
         this.isCastingProgress = false;
         this.castingProgress = 0;
+        
+        // Rank chevrons, drawn beside the character
+        this.rankBadge = null;
     }
 
     async init() {
@@ -96,6 +113,27 @@ export class Character {
         
         // Initialize casting progress bar
         this.initializeCastingProgressBar();
+        
+        this.rankBadge = new Graphics();
+        this.rankBadge.zIndex = 15; // Render above character
+        this.updateRankBadge();
+    }
+
+    updateRankBadge() {
+        if (!this.rankBadge) return;
+        
+        this.rankBadge.clear();
+        if (this.rank <= 0) return; // Novices have no badge
+        
+        const config = ClientConfig.VETERANS;
+        const color = config.BADGE_COLORS[Math.min(this.rank, config.BADGE_COLORS.length - 1)];
+        for (let i = 0; i < this.rank; i++) {
+            const y = -i * config.CHEVRON_SPACING;
+            this.rankBadge.moveTo(-config.CHEVRON_WIDTH / 2, y);
+            this.rankBadge.lineTo(0, y - config.CHEVRON_HEIGHT);
+            this.rankBadge.lineTo(config.CHEVRON_WIDTH / 2, y);
+        }
+        this.rankBadge.stroke({ width: 2, color: color });
     }
 
     updateFromServer(characterData) {
@@ -122,6 +160,22 @@ export class Character {
         if (characterData.name !== undefined) {
             this.name = characterData.name;
         }
+        if (characterData.lineName !== undefined) {
+            this.lineName = characterData.lineName;
+        }
+        if (characterData.generation !== undefined) {
+            this.generation = characterData.generation;
+        }
+        if (characterData.genome !== undefined) {
+            this.genome = characterData.genome;
+        }
+        if (characterData.xp !== undefined) {
+            this.xp = characterData.xp;
+        }
+        if (characterData.rank !== undefined && characterData.rank !== this.rank) {
+            this.rank = characterData.rank;
+            this.updateRankBadge();
+        }
         if (characterData.isCasting !== undefined) {
             this.isCasting = characterData.isCasting;
         }
@@ -346,31 +400,49 @@ export class Character {
         }
     }
 
-    update(time) {
+    /**
+     * Store the current server position as a snapshot at the given server time
+     */
+    recordSnapshot(serverTime) {
+        this.snapshots.push(serverTime, this.targetX, this.targetY);
+    }
+
+    /**
+     * @param {Object} time - Pixi ticker
+     * @param {number|null} renderTime - Server time to sample snapshots at, null to chase the latest target
+     */
+    update(time, renderTime = null) {
         if (!this.sprite) return;
 
         // Check if happy state has expired
-        if (this.happyStateEndTime > 0 && Date.now() > this.happyStateEndTime) {
+        if (this.happyStateEndTime > 0 && animationClock.now() > this.happyStateEndTime) {
             this.happyStateEndTime = 0;
             this.updateKryonImage(); // Update image when happy state ends
         }
         
         // Check if combat cooldown has expired
-        if (this.combatCooldownEndTime > 0 && Date.now() > this.combatCooldownEndTime) {
+        if (this.combatCooldownEndTime > 0 && animationClock.now() > this.combatCooldownEndTime) {
             this.combatCooldownEndTime = 0;
             this.updateKryonImage(); // Update image when combat cooldown ends
         }
 
         // Don't move if dying or sleeping
         if (!this.isDying && !this.isSleeping) {
-            // Movement interpolation
-            this.x += (this.targetX - this.x) * this.interpolationSpeed;
-            this.y += (this.targetY - this.y) * this.interpolationSpeed;
+            const sampled = renderTime !== null ? this.snapshots.sample(renderTime) : null;
+            if (sampled) {
+                // Snapshot interpolation
+                this.x = sampled.x;
+                this.y = sampled.y;
+            } else {
+                // Movement interpolation
+                this.x += (this.targetX - this.x) * this.interpolationSpeed;
+                this.y += (this.targetY - this.y) * this.interpolationSpeed;
+            }
         }
         
         // Apply floating animation (but not when dying or sleeping)
         if (!this.isDying) {
-            this.floatOffset += this.floatSpeed * time.deltaTime;
+            this.floatOffset += this.floatSpeed * time.deltaTime * animationClock.getScale();
         }
         const floatY = this.isDying ? 0 : Math.sin(this.floatOffset) * this.floatAmplitude;
         
@@ -383,6 +455,12 @@ export class Character {
         this.sprite.x = this.x;
         this.sprite.y = this.y + floatY;
         
+        if (this.rankBadge) {
+            this.rankBadge.x = this.sprite.x + ClientConfig.VETERANS.BADGE_OFFSET_X;
+            this.rankBadge.y = this.sprite.y + ClientConfig.VETERANS.BADGE_OFFSET_Y;
+            this.rankBadge.visible = !this.isDying;
+        }
+        
         // Update shadow position (shadows follow the floating and rotation animation)
         this.updateShadowPosition(floatY, rotationOffset);
         
@@ -443,7 +521,7 @@ export class Character {
             return `./resources/kryons/frozen_white_kryon.png`;
         }
         // Check for happy state (after eating/mating)
-        else if (this.happyStateEndTime > 0 && Date.now() < this.happyStateEndTime) {
+        else if (this.happyStateEndTime > 0 && animationClock.now() < this.happyStateEndTime) {
             return `./resources/kryons/happy_${teamColor}_kryon.png`;
         }
         // Check for mating state
@@ -469,7 +547,7 @@ export class Character {
 
     triggerHappyState() {
         // Set happy state for 5 seconds
-        this.happyStateEndTime = Date.now() + 5000;
+        this.happyStateEndTime = animationClock.now() + 5000;
         this.updateKryonImage();
     }
 
@@ -485,12 +563,12 @@ export class Character {
 
     startCombatCooldown() {
         // Set combat cooldown for 5 seconds
-        this.combatCooldownEndTime = Date.now() + 5000;
+        this.combatCooldownEndTime = animationClock.now() + 5000;
         this.updateKryonImage();
     }
 
     isInCombatCooldown() {
-        return this.combatCooldownEndTime > 0 && Date.now() < this.combatCooldownEndTime;
+        return this.combatCooldownEndTime > 0 && animationClock.now() < this.combatCooldownEndTime;
     }
 
     async updateKryonImage() {
@@ -530,6 +608,10 @@ export class Character {
             this.shadowSprite.destroy();
             this.shadowSprite = null;
         }
+        if (this.rankBadge) {
+            this.rankBadge.destroy();
+            this.rankBadge = null;
+        }
         if (this.castingContainer) {
             this.castingContainer.destroy();
             this.castingContainer = null;
@@ -11,6 +11,8 @@ export class CharacterCard {
         this.energyBar = null;
         this.teamBorder = null;
         this.headerText = null;
+        this.familyTreeButton = null;
+        this.onShowFamilyTree = null;
         this.createCard();
     }
 
@@ -68,6 +70,16 @@ export class CharacterCard {
         this.stateText.position.set(ClientConfig.UI.CARD_PADDING, 69);
         this.infoCard.addChild(this.stateText);
 
+        // Family line and generation
+        this.lineageText = new Text('', textStyle);
+        this.lineageText.position.set(ClientConfig.UI.CARD_PADDING, 86);
+        this.infoCard.addChild(this.lineageText);
+
+        // Veteran rank and experience
+        this.rankText = new Text('', textStyle);
+        this.rankText.position.set(ClientConfig.UI.CARD_PADDING, 103);
+        this.infoCard.addChild(this.rankText);
+
         // Energy bar background (larger)
         const energyBarBg = new Graphics();
         energyBarBg.beginFill(ClientConfig.COLORS.ENERGY_BACKGROUND);
@@ -79,6 +91,36 @@ export class CharacterCard {
         this.energyBar = new Graphics();
         this.infoCard.addChild(this.energyBar);
 
+        // Heritable traits below the energy bar
+        this.traitsText = new Text('', textStyle);
+        this.traitsText.position.set(ClientConfig.UI.CARD_PADDING, ClientConfig.UI.TRAITS_TEXT_Y);
+        this.infoCard.addChild(this.traitsText);
+
+        // Family tree button, hidden until a handler is set (there is none in replay mode)
+        this.familyTreeButton = new Graphics();
+        this.familyTreeButton.beginFill(0x2c3e50);
+        this.familyTreeButton.lineStyle(2, 0x333333);
+        this.familyTreeButton.drawRect(ClientConfig.UI.CARD_PADDING, ClientConfig.UI.FAMILY_TREE_BUTTON_Y, ClientConfig.UI.ENERGY_BAR_WIDTH, ClientConfig.UI.FAMILY_TREE_BUTTON_HEIGHT);
+        this.familyTreeButton.endFill();
+
+        const familyTreeText = new Text('Family Tree', textStyle);
+        familyTreeText.anchor.set(0.5);
+        familyTreeText.position.set(
+            ClientConfig.UI.CARD_PADDING + ClientConfig.UI.ENERGY_BAR_WIDTH / 2,
+            ClientConfig.UI.FAMILY_TREE_BUTTON_Y + ClientConfig.UI.FAMILY_TREE_BUTTON_HEIGHT / 2
+        );
+        this.familyTreeButton.addChild(familyTreeText);
+
+        this.familyTreeButton.interactive = true;
+        this.familyTreeButton.buttonMode = true;
+        this.familyTreeButton.visible = false;
+        this.familyTreeButton.on('pointerdown', () => {
+            if (this.selectedCharacter && this.onShowFamilyTree) {
+                this.onShowFamilyTree(this.selectedCharacter);
+            }
+        });
+        this.infoCard.addChild(this.familyTreeButton);
+
 
         // Close button with stats panel style
         const closeButton = new Graphics();
@@ -108,11 +150,22 @@ export class CharacterCard {
         this.infoCard.zIndex = 10000;
     }
 
+    /**
+     * @param {Function} handler - Called with the selected character when Family Tree is clicked
+     */
+    setFamilyTreeHandler(handler) {
+        this.onShowFamilyTree = handler;
+        this.familyTreeButton.visible = true;
+    }
+
     show(character) {
         this.selectedCharacter = character;
         this.nameText.text = `Name: ${character.name}`;
         this.energyText.text = `Energy: ${Math.floor(character.getEnergy())}/${Math.floor(character.maxEnergy)}`;
         this.stateText.text = `Status: ${this.formatState(character.currentState || 'unknown', character)}`;
+        this.lineageText.text = character.lineName ? `Family: ${character.lineName} line, generation ${character.generation}` : '';
+        this.rankText.text = this.formatRank(character);
+        this.traitsText.text = this.formatTraits(character.genome);
         
         // Add team-specific border styling like stats panel
         this.updateTeamStyling(character);
@@ -142,6 +195,7 @@ export class CharacterCard {
         
         // Update state with user-friendly formatting
         this.stateText.text = `Status: ${this.formatState(this.selectedCharacter.currentState || 'unknown', this.selectedCharacter)}`;
+        this.rankText.text = this.formatRank(this.selectedCharacter);
         this.updateEnergyBar();
     }
 
@@ -180,6 +234,20 @@ export class CharacterCard {
         this.infoCard.addChild(this.teamBorder);
     }
 
+    formatRank(character) {
+        const rankName = ClientConfig.VETERANS.RANK_NAMES[character.rank] || `Rank ${character.rank}`;
+        return `Rank: ${rankName} (${character.xp} XP)`;
+    }
+
+    formatTraits(genome) {
+        if (!genome) return '';
+
+        // Multipliers read as percentages of an average soul
+        const percent = value => `${Math.round(value * 100)}%`;
+        return `Speed ${percent(genome.speed)} · Energy ${percent(genome.maxEnergy)} · Attack ${percent(genome.attackDamage)}\n` +
+            `Cast Speed ${percent(genome.castSpeed)} · Boldness ${percent(genome.boldness)}`;
+    }
+
     formatState(state, character) {
         // Create user-friendly state names with icons
         const stateMap = {
@@ -15,7 +15,18 @@ export const ClientConfig = {
   // Network configuration
   NETWORK: {
     SERVER_URL: 'ws://localhost:3000',
-    RECONNECT_DELAY: 3000
+    RECONNECT_DELAY: 3000,
+    BINARY_PROTOCOL: true         // Ask the server for binary frames for high-volume messages
+  },
+
+  // Snapshot interpolation of character movement (toggle at runtime with the I key)
+  INTERPOLATION: {
+    ENABLED: true,
+    DELAY: 100,                   // Render this many ms behind the estimated server time
+    MAX_EXTRAPOLATION: 150,       // Keep moving this long past the newest snapshot when messages are late
+    BUFFER_SIZE: 30,              // Snapshots kept per character (~1s at 30 ticks per second)
+    CLOCK_SMOOTHING: 0.05,        // How fast the server clock estimate drifts back after a late message
+    CLOCK_RESYNC_THRESHOLD: 1000  // Reset the estimate when a message is this far off (reconnect, replay seek)
   },
 
   // Character configuration
@@ -43,20 +54,34 @@ export const ClientConfig = {
     CASTING_BAR_BORDER_WIDTH: 1            // Border thickness
   },
 
+  // Veteran ranks - names mirror VETERANS.RANKS in the server config
+  VETERANS: {
+    RANK_NAMES: ['Novice', 'Seasoned', 'Veteran', 'Elite', 'Legend'],
+    BADGE_COLORS: [0xFFFFFF, 0xCD7F32, 0xC0C0C0, 0xFFD700, 0xFF4500], // By rank; novices get no badge
+    BADGE_OFFSET_X: 18,         // Badge position relative to the character
+    BADGE_OFFSET_Y: -22,
+    CHEVRON_WIDTH: 10,          // One chevron per rank, stacked upwards
+    CHEVRON_HEIGHT: 4,
+    CHEVRON_SPACING: 4
+  },
+
   // UI configuration
   UI: {
     CHARACTER_CARD_WIDTH: 260,
-    CHARACTER_CARD_HEIGHT: 180,
+    CHARACTER_CARD_HEIGHT: 245,
     CHARACTER_CARD_OFFSET_X: 280,
     CHARACTER_CARD_OFFSET_Y: 20,
     CARD_BORDER_WIDTH: 3,
     CARD_PADDING: 15,
     TEXT_LINE_HEIGHT: 25,
-    ENERGY_BAR_Y: 115,
+    ENERGY_BAR_Y: 125,
     ENERGY_BAR_WIDTH: 230,
     ENERGY_BAR_HEIGHT: 25,
-    ENERGY_PERCENT_Y: 127,
+    ENERGY_PERCENT_Y: 137,
     ENERGY_PERCENT_X: 130,
+    TRAITS_TEXT_Y: 160,
+    FAMILY_TREE_BUTTON_Y: 206,
+    FAMILY_TREE_BUTTON_HEIGHT: 26,
     CLOSE_BUTTON_SIZE: 30,
     CLOSE_BUTTON_X: 220,
     CLOSE_BUTTON_Y: 10,
@@ -190,7 +215,24 @@ export const ClientConfig = {
     
     // Calculated tile counts for 1500x900 resolution
     TILES_WIDTH: 23,            // 1500 / 64 = 23.4 -> 23 tiles wide
-    TILES_HEIGHT: 14            // 900 / 64 = 14.06 -> 14 tiles high
+    TILES_HEIGHT: 14,           // 900 / 64 = 14.06 -> 14 tiles high
+    
+    // Terrain overlays (tile.terrain)
+    TERRAIN: {
+      WATER_COLOR: 0x2A6FB5,
+      WATER_ALPHA: 0.85,
+      WATER_RIPPLE_COLOR: 0xA8D8FF,
+      ROCK_COLOR: 0x6B6660,
+      ROCK_OUTLINE_COLOR: 0x3A3632,
+      SWAMP_COLOR: 0x4B5A2A,
+      SWAMP_ALPHA: 0.55,
+      SWAMP_BUBBLE_COLOR: 0x8FA35A,
+      SHRINE_COLOR: 0xF2D16B,
+      SHRINE_OUTLINE_COLOR: 0xFFFFFF,
+      CRATER_SIZE: 0.9, // Crater sprite size relative to the tile
+      CRATER_COLOR: 0x3B2F26,
+      CRATER_RIM_COLOR: 0x6E5B4A
+    }
   },
 
   // Day/Night cycle configuration
@@ -215,6 +257,43 @@ export const ClientConfig = {
     TRANSITION_SPEED: 0.1,     // How fast visual transitions occur
   },
 
+  // Match overlay configuration
+  MATCH: {
+    OVERLAY_ALPHA: 0.6,
+    TITLE_FONT_SIZE: 64,
+    SUBTITLE_FONT_SIZE: 22,
+    LIGHT_VICTORY_COLOR: 0xFFD700,
+    DARK_VICTORY_COLOR: 0xB855D6
+  },
+
+  // Replay viewer configuration (open index.html?replay or ?replay=<url>)
+  REPLAY: {
+    FORMAT_VERSION: 1,
+    MIN_SPEED: 0.5,
+    MAX_SPEED: 8,
+    SPEEDS: [0.5, 1, 2, 4, 8],
+    MARKER_BUCKETS: 400,          // Markers of one kind closer than 1/400 of the timeline are merged
+    MARKER_COLORS: {
+      spell: '#4FC3F7',
+      death: '#E74C3C',
+      disaster: '#FF9800',
+      nexus: '#B855D6'
+    }
+  },
+
+  // Spectator powers panel (favor and costs come from the server's favor_update)
+  SPECTATOR: {
+    NOTICE_DURATION: 4000,        // How long "X was used" / rejection notices stay visible (ms)
+    POWERS: [
+      { label: 'Orb Light', power: 'drop_orb', team: 'light' },
+      { label: 'Orb Dark', power: 'drop_orb', team: 'dark' },
+      { label: 'Bless Light', power: 'bless_team', team: 'light' },
+      { label: 'Bless Dark', power: 'bless_team', team: 'dark' },
+      { label: 'Snow', power: 'trigger_disaster', disasterType: 'freezing_snow' },
+      { label: 'Meteors', power: 'trigger_disaster', disasterType: 'meteorite_storm' }
+    ]
+  },
+
   // Disaster Events configuration
   DISASTER_EFFECTS: {
     // Freezing Snow Effect
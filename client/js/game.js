@@ -13,6 +13,11 @@ import { NetworkHandler } from './handlers/NetworkHandler.js';
 import StatisticsDisplay from './managers/StatisticsDisplay.js';
 import { BuffDisplay } from './managers/BuffDisplay.js';
 import { DisasterEffectsManager } from './managers/DisasterEffectsManager.js';
+import { MatchDisplay } from './managers/MatchDisplay.js';
+import { ReplayManager } from './managers/ReplayManager.js';
+import { SpectatorPanel } from './managers/SpectatorPanel.js';
+import { FamilyTreePanel } from './managers/FamilyTreePanel.js';
+import { HallOfFamePanel } from './managers/HallOfFamePanel.js';
 
 /**
  * Game - Main orchestrator class following Single Responsibility Principle
@@ -43,8 +48,13 @@ export class Game {
         this.nexusManager = null;
         this.networkHandler = null;
         this.statisticsDisplay = null;
+        this.hallOfFamePanel = null;
         this.buffDisplay = null;
         this.disasterEffectsManager = null;
+        this.matchDisplay = null;
+        this.replayManager = null; // Only set in replay mode
+        this.spectatorPanel = null; // Only set when connected to a server
+        this.familyTreePanel = null; // Only set when connected to a server
         
         this.init();
     }
@@ -54,7 +64,14 @@ export class Game {
         await this.setupComponents();
         this.setupManagers();
         this.setupSystems();
-        this.connectToServer();
+        
+        // ?replay opens the replay viewer instead of connecting; ?replay=<url> also loads that file
+        const replayParam = new URLSearchParams(window.location.search).get('replay');
+        if (replayParam !== null) {
+            this.startReplayMode(replayParam);
+        } else {
+            this.connectToServer();
+        }
         this.startGameLoop();
     }
 
@@ -110,9 +127,15 @@ export class Game {
         this.nexusManager = new NexusManager(this.app);
         this.app.stage.addChild(this.nexusManager.container);
         
+        // Initialize match overlay (countdown and victory screen)
+        this.matchDisplay = new MatchDisplay(this.app);
+        
         // Initialize statistics display
         this.statisticsDisplay = new StatisticsDisplay();
         
+        // Initialize veterans leaderboard
+        this.hallOfFamePanel = new HallOfFamePanel();
+        
         // Make statisticsDisplay available globally for HTML button
         window.statsDisplay = this.statisticsDisplay;
         
@@ -135,8 +158,10 @@ export class Game {
             this.nexusManager,
             this.statisticsDisplay,
             this.buffDisplay,
-            this.disasterEffectsManager
+            this.disasterEffectsManager,
+            this.matchDisplay
         );
+        this.networkHandler.setHallOfFamePanel(this.hallOfFamePanel);
     }
 
     connectToServer() {
@@ -144,9 +169,30 @@ export class Game {
         this.networkManager = new NetworkManager((data) => {
             this.networkHandler.handleServerMessage(data);
         });
+        this.networkHandler.setMessageSender((message) => this.networkManager.send(message));
+        
+        // Spectator powers need a server to send commands to, so no panel in replay mode
+        this.spectatorPanel = new SpectatorPanel((message) => this.networkManager.send(message));
+        this.networkHandler.setSpectatorPanel(this.spectatorPanel);
+        
+        // Lineage is looked up on the server, so family trees are also live-only
+        this.familyTreePanel = new FamilyTreePanel((message) => this.networkManager.send(message));
+        this.networkHandler.setFamilyTreePanel(this.familyTreePanel);
+        this.characterCard.setFamilyTreeHandler((character) => this.familyTreePanel.open(character.id));
         this.networkManager.connect();
     }
     
+    startReplayMode(replayUrl) {
+        // Recorded messages go through the same handler as live ones
+        this.replayManager = new ReplayManager((data) => {
+            this.networkHandler.handleServerMessage(data);
+        });
+        
+        if (replayUrl) {
+            this.replayManager.loadFromUrl(replayUrl);
+        }
+    }
+    
     startGameLoop() {
         // Clean, focused game loop
         this.app.ticker.add((time) => this.gameLoop(time));
@@ -160,6 +206,15 @@ export class Game {
         this.dayNightManager.update(time);
         this.nexusManager.update(time);
         this.disasterEffectsManager.update(time);
+        this.matchDisplay.update(time);
+        
+        if (this.replayManager) {
+            this.replayManager.update(time);
+        }
+        
+        if (this.spectatorPanel) {
+            this.spectatorPanel.update();
+        }
         
         // Update UI components
         if (this.characterCard) {
@@ -177,5 +232,10 @@ window.addEventListener('load', async () => {
         if (event.key.toLowerCase() === 's' && game.gameMap) {
             game.gameMap.toggleScoreDisplay();
         }
+        
+        // I key compares snapshot interpolation with plain target chasing
+        if (event.key.toLowerCase() === 'i' && game.characterManager) {
+            game.characterManager.toggleInterpolation();
+        }
     });
 });
@@ -1,11 +1,12 @@
 import { ClientConfig } from '../config/clientConfig.js';
+import { animationClock } from '../systems/AnimationClock.js';
 
 /**
  * NetworkHandler - Single Responsibility: Network message handling
  * Handles all server message processing and delegation
  */
 export class NetworkHandler {
-    constructor(characterManager, energyOrbManager, spellManager, gameMap, effectsSystem, dayNightManager, nexusManager, statisticsDisplay, buffDisplay, disasterEffectsManager) {
+    constructor(characterManager, energyOrbManager, spellManager, gameMap, effectsSystem, dayNightManager, nexusManager, statisticsDisplay, buffDisplay, disasterEffectsManager, matchDisplay) {
         this.characterManager = characterManager;
         this.energyOrbManager = energyOrbManager;
         this.spellManager = spellManager;
@@ -16,16 +17,58 @@ export class NetworkHandler {
         this.statisticsDisplay = statisticsDisplay;
         this.buffDisplay = buffDisplay;
         this.disasterEffectsManager = disasterEffectsManager;
+        this.matchDisplay = matchDisplay;
+        
+        // state_delta sequence tracking - a gap means a lost message and triggers a resync
+        this.lastDeltaSeq = null;
+        this.resyncRequested = false;
+        this.sendMessage = null;
+        this.spectatorPanel = null;
+        this.familyTreePanel = null;
+        this.hallOfFamePanel = null;
+    }
+
+    /**
+     * Set the function used to send messages back to the server (absent in replay mode)
+     */
+    setMessageSender(sendMessage) {
+        this.sendMessage = sendMessage;
+    }
+
+    /**
+     * Set the spectator powers panel (absent in replay mode)
+     */
+    setSpectatorPanel(spectatorPanel) {
+        this.spectatorPanel = spectatorPanel;
+    }
+
+    /**
+     * Set the hall of fame leaderboard
+     */
+    setHallOfFamePanel(hallOfFamePanel) {
+        this.hallOfFamePanel = hallOfFamePanel;
+    }
+
+    /**
+     * Set the family tree panel (absent in replay mode)
+     */
+    setFamilyTreePanel(familyTreePanel) {
+        this.familyTreePanel = familyTreePanel;
     }
 
     handleServerMessage(data) {
         switch(data.type) {
             case 'disconnected':
                 this.clearAllGameData();
+                this.lastDeltaSeq = null;
+                animationClock.reset();
                 break;
             case 'character_update':
                 this.characterManager.updateCharacter(data.character);
                 break;
+            case 'state_delta':
+                this.handleStateDelta(data);
+                break;
             case 'character_spawn':
                 this.characterManager.spawnCharacter(data.character);
                 break;
@@ -35,8 +78,84 @@ export class NetworkHandler {
                     this.characterManager.removeCharacter(data.characterId);
                 }, ClientConfig.ANIMATION.CHARACTER_REMOVE_DELAY);
                 break;
+            case 'room_joined':
+                // A different world from here on - drop everything from the previous room
+                this.clearAllGameData();
+                this.lastDeltaSeq = null;
+                console.log(`[Network] Joined room ${data.roomId} (${data.preset})`);
+                break;
+            case 'room_error':
+                console.warn(`[Network] Could not join room ${data.roomId}: ${data.message}`);
+                break;
+            case 'favor_update':
+                if (this.spectatorPanel) {
+                    this.spectatorPanel.setStatus(data);
+                }
+                break;
+            case 'spectator_power_used':
+                if (this.spectatorPanel) {
+                    this.spectatorPanel.handlePowerUsed(data);
+                }
+                console.log(`[Spectators] ${data.power} used (${data.team || data.disasterType})`);
+                break;
+            case 'spectator_power_rejected':
+                if (this.spectatorPanel) {
+                    this.spectatorPanel.handlePowerRejected(data);
+                }
+                break;
+            case 'hall_of_fame':
+                if (this.hallOfFamePanel) {
+                    this.hallOfFamePanel.setVeterans(data.veterans);
+                }
+                break;
+            case 'lineage_response':
+                if (this.familyTreePanel) {
+                    this.familyTreePanel.showLineage(data);
+                }
+                break;
+            case 'admin_auth_result':
+                console.log(data.success ? '[Admin] Authenticated' : `[Admin] Authentication failed: ${data.message}`);
+                break;
+            case 'admin_result':
+            case 'config_updated':
+                console.log(`[Admin] ${data.command || 'config_update'}: ${data.message || data.changed.join(', ')}`);
+                break;
+            case 'admin_error':
+            case 'config_error':
+                console.warn(`[Admin] ${data.command || 'config_update'} failed: ${data.message}`);
+                break;
+            case 'time_scale':
+                // The simulation was paused, resumed or sped up - animations follow it
+                animationClock.setTimeScale(data.speed, data.paused);
+                console.log(`[Simulation] ${data.paused ? 'Paused' : `Running at ${data.speed}x`}`);
+                break;
+            case 'time_step':
+                // Single-stepped while paused; sent before the stepped ticks' messages
+                animationClock.advance(data.elapsed);
+                break;
             case 'world_state':
-                this.updateWorldState(data.characters, data.energyOrbs, data.nexuses, data.tileMap, data.activeSpells, data.dayNightState, data.statistics, data.borderScores, data.buffs, data.activeDisaster, data.permanentCraters, data.config);
+                // The world state includes every delta up to its sequence number
+                this.lastDeltaSeq = data.seq !== undefined ? data.seq : null;
+                this.resyncRequested = false;
+                if (data.timeScale) {
+                    animationClock.setTimeScale(data.timeScale.speed, data.timeScale.paused);
+                }
+                this.updateWorldState(data.characters, data.energyOrbs, data.nexuses, data.tileMap, data.activeSpells, data.dayNightState, data.statistics, data.borderScores, data.buffs, data.activeDisaster, data.config, data.matchState, data.teamStrategies, data.serverTime);
+                this.characterManager.recordServerTime(data.serverTime);
+                break;
+            case 'match_state':
+                if (this.matchDisplay) {
+                    this.matchDisplay.updateState(data.matchState);
+                }
+                break;
+            case 'match_reset':
+                // The server rebuilt the world - drop everything, a fresh world_state follows
+                this.clearAllGameData();
+                console.log(`[Match] Starting match ${data.matchNumber}`);
+                break;
+            case 'replay_seek':
+                // Replay jumped to another point - a keyframe world_state follows
+                this.clearAllGameData();
                 break;
             case 'buff_applied':
                 if (this.buffDisplay) {
@@ -75,6 +194,11 @@ export class NetworkHandler {
             case 'tile_updated':
                 this.handleTileUpdated(data);
                 break;
+            case 'terrain_changed':
+                if (this.gameMap) {
+                    this.gameMap.updateTerrain(data.tileX, data.tileY, data.terrain);
+                }
+                break;
             case 'spell_interrupted':
                 this.spellManager.handleSpellInterrupted(data);
                 this.handleSpellEnded(data.casterId);
@@ -107,6 +231,10 @@ export class NetworkHandler {
             case 'statistics_response':
                 this.statisticsDisplay.updateStatistics(data.statistics);
                 break;
+            case 'team_strategy':
+                // An admin switched a team's AI profile
+                this.statisticsDisplay.updateTeamStrategies({ [data.team]: data.strategy });
+                break;
             case 'nexus_attack':
                 // Handle visual effects for nexus attacks
                 this.effectsSystem.createAttackEffect(data.attackerPos, data.nexusPos);
@@ -134,22 +262,47 @@ export class NetworkHandler {
                 console.log(`[Disaster] ${data.disasterType} ended!`);
                 break;
             case 'meteorite_impact':
-                // Create crater when server says impact happened
+                // The crater follows as terrain_changed
                 if (this.disasterEffectsManager) {
-                    this.disasterEffectsManager.handleMeteoriteImpact(data.crater);
+                    this.disasterEffectsManager.handleMeteoriteImpact();
                 }
-                console.log(`[Disaster] Server crater created at (${Math.round(data.crater.x)}, ${Math.round(data.crater.y)})`);
+                console.log(`[Disaster] Meteorite impact at (${Math.round(data.crater.x)}, ${Math.round(data.crater.y)})`);
                 break;
         }
     }
 
+    handleStateDelta(data) {
+        if (this.lastDeltaSeq !== null && data.seq !== this.lastDeltaSeq + 1) {
+            this.requestResync();
+        }
+        this.lastDeltaSeq = data.seq;
+        
+        // Deltas only carry changed fields; updateFromServer ignores missing ones
+        data.souls.forEach(soulChange => {
+            this.characterManager.updateCharacter(soulChange);
+        });
+        this.characterManager.recordServerTime(data.serverTime);
+    }
+
+    requestResync() {
+        if (this.resyncRequested || !this.sendMessage) return;
+        
+        if (this.sendMessage({ type: 'request_resync', lastSeq: this.lastDeltaSeq })) {
+            this.resyncRequested = true;
+            console.log(`[Network] Missed state delta after seq ${this.lastDeltaSeq}, requesting resync`);
+        }
+    }
+
     clearAllGameData() {
         this.characterManager.clearAllCharacters();
         this.energyOrbManager.clearAllOrbs();
         this.spellManager.clearAllSpells();
+        if (this.hallOfFamePanel) {
+            this.hallOfFamePanel.clear();
+        }
     }
 
-    updateWorldState(charactersData, energyOrbsData, nexusesData, tileMapData, activeSpellsData, dayNightState, statistics, borderScores, buffs, activeDisaster, permanentCraters, config) {
+    updateWorldState(charactersData, energyOrbsData, nexusesData, tileMapData, activeSpellsData, dayNightState, statistics, borderScores, buffs, activeDisaster, config, matchState, teamStrategies, serverTime) {
         // Smart update - only change what's different to prevent visual glitches
         this.updateCharactersSmartly(charactersData);
         this.updateEnergyOrbsSmartly(energyOrbsData);
@@ -184,9 +337,9 @@ export class NetworkHandler {
         // Update active disaster state
         if (this.disasterEffectsManager) {
             if (activeDisaster && (activeDisaster.type === 'freezing_snow' || activeDisaster.type === 'meteorite_storm')) {
-                // Restore disaster effect if disaster is active
-                if (!this.disasterEffectsManager.isDisasterActive()) {
-                    const remainingDuration = activeDisaster.duration - (Date.now() - activeDisaster.startTime);
+                // Restore disaster effect if disaster is active; startTime is on the room's game clock
+                if (!this.disasterEffectsManager.isDisasterActive() && serverTime !== undefined) {
+                    const remainingDuration = activeDisaster.duration - (serverTime - activeDisaster.startTime);
                     if (remainingDuration > 0) {
                         this.disasterEffectsManager.startDisaster(activeDisaster.type, remainingDuration);
                     }
@@ -197,16 +350,20 @@ export class NetworkHandler {
             }
         }
         
-        // Update permanent craters
-        if (permanentCraters && this.disasterEffectsManager) {
-            console.log(`[DEBUG] Received ${permanentCraters.length} permanent craters from server:`, permanentCraters);
-            this.disasterEffectsManager.updatePermanentCraters(permanentCraters);
-        }
-        
         // Update statistics
         if (statistics && this.statisticsDisplay) {
             this.statisticsDisplay.updateStatistics(statistics);
         }
+        
+        // Update team strategy profiles
+        if (teamStrategies && this.statisticsDisplay) {
+            this.statisticsDisplay.updateTeamStrategies(teamStrategies);
+        }
+        
+        // Update match overlay
+        if (matchState && this.matchDisplay) {
+            this.matchDisplay.updateState(matchState);
+        }
     }
 
     updateCharactersSmartly(charactersData) {
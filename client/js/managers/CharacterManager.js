@@ -1,5 +1,6 @@
 import { Character } from '../character.js';
 import { ClientConfig } from '../config/clientConfig.js';
+import { ServerClock } from '../network/ServerClock.js';
 
 /**
  * CharacterManager - Single Responsibility: Character lifecycle management
@@ -12,12 +13,34 @@ export class CharacterManager {
         this.dayNightManager = dayNightManager;
         this.disasterEffectsManager = disasterEffectsManager;
         this.characters = new Map();
+        this.spawning = new Map(); // id -> updates that arrived while the character's texture loads
+        
+        // Snapshot interpolation against the estimated server clock
+        this.serverClock = new ServerClock();
+        this.interpolationEnabled = ClientConfig.INTERPOLATION.ENABLED;
     }
 
     async spawnCharacter(characterData) {
+        if (this.characters.has(characterData.id) || this.spawning.has(characterData.id)) {
+            this.updateCharacter(characterData);
+            return;
+        }
+        
+        // The first state_delta for a newborn soul usually arrives before init() resolves
+        const pendingUpdates = [];
+        this.spawning.set(characterData.id, pendingUpdates);
+        
         const character = new Character(this.app, characterData, this.dayNightManager, this.disasterEffectsManager);
         await character.init();
         
+        // Removed (or all characters cleared) while loading
+        if (this.spawning.get(characterData.id) !== pendingUpdates) {
+            character.destroy();
+            return;
+        }
+        this.spawning.delete(characterData.id);
+        pendingUpdates.forEach(update => character.updateFromServer(update));
+        
         // Add shadow sprite to stage first (behind character)
         if (character.shadowSprite) {
             this.app.stage.addChild(character.shadowSprite);
@@ -33,20 +56,27 @@ export class CharacterManager {
         this.characters.set(characterData.id, character);
         this.app.stage.addChild(character.sprite);
         
-        // Add casting progress bar to stage
+        // Add casting progress bar and rank badge to stage
         if (character.castingContainer) {
             this.app.stage.addChild(character.castingContainer);
         }
+        if (character.rankBadge) {
+            this.app.stage.addChild(character.rankBadge);
+        }
     }
 
     updateCharacter(characterData) {
         const character = this.characters.get(characterData.id);
         if (character) {
             character.updateFromServer(characterData);
+        } else if (this.spawning.has(characterData.id)) {
+            this.spawning.get(characterData.id).push(characterData);
         }
     }
 
     removeCharacter(characterId) {
+        if (this.spawning.delete(characterId)) return;
+        
         const character = this.characters.get(characterId);
         if (character && !character.isBeingRemoved) {
             character.isBeingRemoved = true; // Prevent double removal
@@ -67,10 +97,13 @@ export class CharacterManager {
                 this.app.stage.removeChild(character.shadowSprite);
             }
             
-            // Remove casting progress bar
+            // Remove casting progress bar and rank badge
             if (character.castingContainer) {
                 this.app.stage.removeChild(character.castingContainer);
             }
+            if (character.rankBadge) {
+                this.app.stage.removeChild(character.rankBadge);
+            }
             
             // Clean up character resources
             character.destroy();
@@ -78,6 +111,25 @@ export class CharacterManager {
         }
     }
 
+    /**
+     * Snapshot every character's server position at the time of the message just applied
+     * Characters missing from a state_delta didn't move, so they get a snapshot too
+     */
+    recordServerTime(serverTime) {
+        if (serverTime === undefined) return;
+        
+        this.serverClock.observe(serverTime);
+        this.characters.forEach(character => {
+            character.recordSnapshot(serverTime);
+        });
+    }
+
+    toggleInterpolation() {
+        this.interpolationEnabled = !this.interpolationEnabled;
+        console.log(`[Characters] Snapshot interpolation ${this.interpolationEnabled ? 'enabled' : 'disabled'}`);
+        return this.interpolationEnabled;
+    }
+
     clearAllCharacters() {
         this.characters.forEach((character, id) => {
             if (character.sprite) {
@@ -89,14 +141,20 @@ export class CharacterManager {
             if (character.castingContainer) {
                 this.app.stage.removeChild(character.castingContainer);
             }
+            if (character.rankBadge) {
+                this.app.stage.removeChild(character.rankBadge);
+            }
             character.destroy();
         });
         this.characters.clear();
+        this.spawning.clear();
+        this.serverClock.reset();
     }
 
     updateCharacters(time) {
+        const renderTime = this.interpolationEnabled ? this.serverClock.getRenderTime() : null;
         this.characters.forEach(character => {
-            character.update(time);
+            character.update(time, renderTime);
         });
     }
 
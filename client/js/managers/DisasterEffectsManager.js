@@ -1,5 +1,6 @@
 import { Graphics, Container, Sprite, Assets } from 'https://unpkg.com/pixi.js@8.13.0/dist/pixi.min.mjs';
 import { ClientConfig } from '../config/clientConfig.js';
+import { animationClock } from '../systems/AnimationClock.js';
 
 /**
  * Disaster Effects Manager
@@ -90,7 +91,7 @@ export class DisasterEffectsManager {
 
     this.activeDisaster = {
       type: disasterType,
-      startTime: Date.now(),
+      startTime: animationClock.now(),
       duration: duration
     };
 
@@ -194,7 +195,7 @@ export class DisasterEffectsManager {
     snowflake.amplitude = 0.5 + Math.random() * 1.0; // Sway amplitude
     snowflake.frequency = 0.001 + Math.random() * 0.002; // Sway frequency
     snowflake.phase = Math.random() * Math.PI * 2; // Phase offset
-    snowflake.startTime = Date.now(); // Track when this snowflake was created
+    snowflake.startTime = animationClock.now(); // Track when this snowflake was created
 
     // Add rotation for sprites
     if (this.snowflakeTexture) {
@@ -348,7 +349,7 @@ export class DisasterEffectsManager {
    */
   startScreenShake(intensity, duration) {
     this.isShaking = true;
-    this.shakeStartTime = Date.now();
+    this.shakeStartTime = animationClock.now();
     this.shakeDuration = duration;
     this.shakeIntensity = intensity;
   }
@@ -423,7 +424,7 @@ export class DisasterEffectsManager {
    */
   startTransition(targetAlpha, duration) {
     this.isTransitioning = true;
-    this.transitionStartTime = Date.now();
+    this.transitionStartTime = animationClock.now();
     this.transitionDuration = duration;
     this.targetAlpha = targetAlpha;
     this.currentAlpha = this.disasterContainer ? this.disasterContainer.alpha : 0;
@@ -435,7 +436,7 @@ export class DisasterEffectsManager {
   updateTransition() {
     if (!this.isTransitioning || !this.disasterContainer) return;
 
-    const elapsed = Date.now() - this.transitionStartTime;
+    const elapsed = animationClock.now() - this.transitionStartTime;
     const progress = Math.min(elapsed / this.transitionDuration, 1.0);
     
     // Smooth easing function (ease-in-out)
@@ -492,15 +493,18 @@ export class DisasterEffectsManager {
   updateSnowflakes(time) {
     const config = ClientConfig.DISASTER_EFFECTS.FREEZING_SNOW;
 
+    // Per-frame motion follows the simulation speed
+    const scale = animationClock.getScale();
+
     this.snowParticles.forEach(snowflake => {
       // Move snowflake down
-      snowflake.y += snowflake.fallSpeed;
+      snowflake.y += snowflake.fallSpeed * scale;
 
       // Apply wind formula: x = x + wind * t + amp * Math.sin(freq * t + phase)
-      const t = (Date.now() - snowflake.startTime) * 0.001; // Time in seconds since creation
+      const t = (animationClock.now() - snowflake.startTime) * 0.001; // Time in seconds since creation
       const windDrift = snowflake.wind * t;
-      const sway = snowflake.amplitude * Math.sin(snowflake.frequency * Date.now() + snowflake.phase);
-      snowflake.x += windDrift + sway;
+      const sway = snowflake.amplitude * Math.sin(snowflake.frequency * animationClock.now() + snowflake.phase);
+      snowflake.x += (windDrift + sway) * scale;
 
       // Reset to top if it goes off screen
       if (snowflake.y > ClientConfig.CANVAS.HEIGHT) {
@@ -523,13 +527,14 @@ export class DisasterEffectsManager {
    */
   updateMeteorites(time) {
     const config = ClientConfig.DISASTER_EFFECTS.METEORITE_STORM;
+    const scale = animationClock.getScale();
     
     for (let i = this.meteoriteParticles.length - 1; i >= 0; i--) {
       const meteorite = this.meteoriteParticles[i];
       
       // Move meteorite along calculated trajectory
-      meteorite.x += meteorite.velocityX;
-      meteorite.y += meteorite.velocityY;
+      meteorite.x += meteorite.velocityX * scale;
+      meteorite.y += meteorite.velocityY * scale;
 
       // Remove meteorites when they reach target or go off screen
       if (meteorite.willHitMap) {
@@ -584,7 +589,7 @@ export class DisasterEffectsManager {
   updateScreenShake() {
     if (!this.isShaking) return;
 
-    const elapsed = Date.now() - this.shakeStartTime;
+    const elapsed = animationClock.now() - this.shakeStartTime;
     
     if (elapsed >= this.shakeDuration) {
       // End shake
@@ -617,74 +622,11 @@ export class DisasterEffectsManager {
     return this.activeDisaster ? this.activeDisaster.type : null;
   }
 
-  /**
-   * Update permanent craters from server
-   * @param {Array} serverCraters - Array of crater data from server
-   */
-  updatePermanentCraters(serverCraters) {
-    // Remove existing permanent craters that are no longer on server
-    const existingCraters = this.app.stage.children.filter(child => child.isPermanentCrater);
-    existingCraters.forEach(crater => {
-      const stillExists = serverCraters.some(serverCrater => 
-        crater.serverId === serverCrater.timestamp
-      );
-      if (!stillExists) {
-        this.app.stage.removeChild(crater);
-        console.log(`[Crater] Removed crater with ID ${crater.serverId}`);
-      }
-    });
-
-    // Add new craters from server
-    serverCraters.forEach(serverCrater => {
-      const alreadyExists = this.app.stage.children.some(child => 
-        child.isPermanentCrater && child.serverId === serverCrater.timestamp
-      );
-
-      if (!alreadyExists) {
-        this.createPermanentCraterFromServer(serverCrater);
-        console.log(`[Crater] Added new crater with ID ${serverCrater.timestamp} at (${serverCrater.x}, ${serverCrater.y})`);
-      }
-    });
-  }
-
-  /**
-   * Create a permanent crater from server data
-   * @param {Object} craterData - Crater data from server
-   */
-  createPermanentCraterFromServer(craterData) {
-    const config = ClientConfig.DISASTER_EFFECTS.METEORITE_STORM;
-    
-    // Only create if we have the crater texture loaded
-    if (!this.craterTexture) {
-      console.warn('[Crater] Crater texture not loaded, skipping crater creation');
-      return;
-    }
-
-    const crater = new Sprite(this.craterTexture);
-    crater.anchor.set(0.5);
-    crater.scale.set(config.CRATER_SCALE);
-    crater.alpha = config.CRATER_ALPHA;
-    
-    crater.x = craterData.x;
-    crater.y = craterData.y;
-    crater.isPermanentCrater = true;
-    crater.serverId = craterData.timestamp; // Use timestamp as unique ID
-    crater.zIndex = config.CRATER_Z_INDEX;
-
-    this.app.stage.addChild(crater);
-    this.app.stage.sortChildren(); // Force z-index sorting
-    
-    console.log(`[Crater] Server crater created at (${Math.round(craterData.x)}, ${Math.round(craterData.y)})`);
-  }
-
   /**
    * Handle meteorite impact from server
-   * @param {Object} craterData - Crater data from server impact
+   * The crater itself arrives as a terrain_changed event and is drawn by GameMap
    */
-  handleMeteoriteImpact(craterData) {
-    // Create the crater immediately when server says impact happened
-    this.createPermanentCraterFromServer(craterData);
-    
+  handleMeteoriteImpact() {
     // Trigger screen shake
     const config = ClientConfig.DISASTER_EFFECTS.METEORITE_STORM;
     this.startScreenShake(config.SCREEN_SHAKE_INTENSITY, config.SCREEN_SHAKE_DURATION);
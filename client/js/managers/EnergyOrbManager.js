@@ -1,5 +1,6 @@
 import { Graphics } from 'https://unpkg.com/pixi.js@8.13.0/dist/pixi.min.mjs';
 import { ClientConfig } from '../config/clientConfig.js';
+import { animationClock } from '../systems/AnimationClock.js';
 
 /**
  * EnergyOrbManager - Single Responsibility: Energy orb lifecycle management
@@ -86,7 +87,7 @@ export class EnergyOrbManager {
     updateOrbs(time) {
         this.energyOrbs.forEach(orb => {
             if (orb && orb.pulseOffset !== undefined) {
-                orb.pulseOffset += orb.pulseSpeed * time.deltaTime;
+                orb.pulseOffset += orb.pulseSpeed * time.deltaTime * animationClock.getScale();
                 const pulseScale = orb.originalScale + Math.sin(orb.pulseOffset) * ClientConfig.EFFECTS.ORB_PULSE_SCALE;
                 orb.scale.set(pulseScale);
             }
@@ -0,0 +1,158 @@
+const CAUSES_OF_DEATH = {
+  starvation: 'starved',
+  exhaustion: 'spent its last energy on a spell',
+  combat: 'fell in combat',
+  sacrifice: 'gave its life to a spell',
+  freezing_snow: 'froze in the snow',
+  meteorite_storm: 'was struck by a meteorite',
+  admin: 'was struck down by an admin'
+};
+
+const ANCESTOR_LABELS = ['Parents', 'Grandparents', 'Great-grandparents'];
+
+/**
+ * Family Tree Panel
+ * DOM panel showing a soul's ancestors and descendants, opened from the character card
+ * The server keeps the lineage; every open (or click on a relative) asks for it again
+ */
+export class FamilyTreePanel {
+  /**
+   * @param {Function} sendMessage - Sends a message to the server
+   */
+  constructor(sendMessage) {
+    this.sendMessage = sendMessage;
+    this.soulId = null;
+
+    this.createElements();
+  }
+
+  createElements() {
+    this.element = document.createElement('div');
+    this.element.id = 'family-tree-panel';
+    this.element.style.display = 'none';
+
+    const header = document.createElement('div');
+    header.className = 'family-tree-header';
+    header.textContent = 'FAMILY TREE';
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'replay-button family-tree-close';
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => this.hide());
+    header.appendChild(closeButton);
+
+    this.body = document.createElement('div');
+    this.body.className = 'family-tree-body';
+
+    this.element.append(header, this.body);
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Show a soul's family (requested from the server)
+   */
+  open(soulId) {
+    this.soulId = soulId;
+    this.body.textContent = 'Loading...';
+    this.element.style.display = 'block';
+    this.sendMessage({ type: 'request_lineage', soulId: soulId });
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+    this.soulId = null;
+  }
+
+  /**
+   * Apply a lineage_response from the server
+   */
+  showLineage(data) {
+    // Ignore answers for a soul the viewer has since moved away from
+    if (data.soulId !== this.soulId) return;
+
+    if (!data.lineage) {
+      this.body.textContent = 'No record of this soul.';
+      return;
+    }
+    this.render(data.lineage);
+  }
+
+  render(lineage) {
+    const records = new Map(lineage.souls.map(record => [record.id, record]));
+    const soul = records.get(lineage.soulId);
+    this.body.replaceChildren();
+
+    const title = document.createElement('div');
+    title.className = 'family-tree-title';
+    title.textContent = `${soul.name}, generation ${soul.generation} of the ${soul.line} line`;
+    this.body.appendChild(title);
+    this.body.appendChild(this.createEntry(soul, true));
+
+    // Ancestors, nearest generation first
+    let ancestorIds = soul.parentIds.filter(id => records.has(id));
+    for (let depth = 0; ancestorIds.length > 0; depth++) {
+      const row = document.createElement('div');
+      row.className = 'family-tree-row';
+      const label = document.createElement('span');
+      label.className = 'family-tree-label';
+      label.textContent = ANCESTOR_LABELS[depth] || `Ancestors (${depth + 1} generations up)`;
+      row.appendChild(label);
+      ancestorIds.forEach(id => row.appendChild(this.createEntry(records.get(id))));
+      this.body.appendChild(row);
+
+      ancestorIds = [...new Set(ancestorIds.flatMap(id => records.get(id).parentIds))].filter(id => records.has(id));
+    }
+
+    const descendantsLabel = document.createElement('div');
+    descendantsLabel.className = 'family-tree-label';
+    descendantsLabel.textContent = soul.childIds.length > 0 ? 'Descendants' : 'No descendants yet';
+    this.body.appendChild(descendantsLabel);
+    if (soul.childIds.length > 0) {
+      this.body.appendChild(this.createDescendantList(soul, records));
+    }
+  }
+
+  /**
+   * Nested list of a soul's children and their children, as far as the lineage reaches
+   */
+  createDescendantList(record, records) {
+    const list = document.createElement('ul');
+    list.className = 'family-tree-descendants';
+    record.childIds.filter(id => records.has(id)).forEach(id => {
+      const child = records.get(id);
+      const item = document.createElement('li');
+      item.appendChild(this.createEntry(child));
+      if (child.childIds.some(childId => records.has(childId))) {
+        item.appendChild(this.createDescendantList(child, records));
+      }
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  /**
+   * One soul in the tree; clicking a relative re-centres the tree on them
+   */
+  createEntry(record, isSelected = false) {
+    const entry = document.createElement('button');
+    entry.className = 'family-tree-entry';
+    entry.classList.add(record.team);
+    entry.classList.toggle('dead', record.deathTime !== null);
+    entry.classList.toggle('selected', isSelected);
+    entry.textContent = `${record.name} (gen ${record.generation})`;
+    entry.title = this.describe(record);
+    if (!isSelected) {
+      entry.addEventListener('click', () => this.open(record.id));
+    }
+    return entry;
+  }
+
+  describe(record) {
+    if (record.deathTime === null) {
+      return 'Alive';
+    }
+    const lifetime = Math.round((record.deathTime - record.birthTime) / 1000);
+    const cause = CAUSES_OF_DEATH[record.causeOfDeath] || 'died';
+    return `${cause[0].toUpperCase()}${cause.slice(1)} after ${lifetime}s`;
+  }
+}
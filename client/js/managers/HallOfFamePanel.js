@@ -0,0 +1,98 @@
+const STAT_LABELS = {
+  damageDealt: 'damage dealt',
+  damageTaken: 'damage taken',
+  kills: 'kills',
+  spellsCast: 'spells cast',
+  spellsInterrupted: 'spells interrupted',
+  tilesCaptured: 'tiles captured',
+  orbsEaten: 'orbs eaten',
+  children: 'children'
+};
+
+// Counters shown in the list; the rest are in the entry's tooltip
+const SUMMARY_STATS = ['kills', 'spellsCast', 'spellsInterrupted', 'tilesCaptured', 'children'];
+
+/**
+ * Hall of Fame Panel
+ * DOM leaderboard of the match's highest-ranked souls, living and fallen, from the
+ * server's periodic hall_of_fame message. Clicking the header collapses it.
+ */
+export class HallOfFamePanel {
+  constructor() {
+    this.veterans = [];
+    this.collapsed = false;
+
+    this.createElements();
+  }
+
+  createElements() {
+    this.element = document.createElement('div');
+    this.element.id = 'hall-of-fame-panel';
+
+    this.header = document.createElement('div');
+    this.header.className = 'hall-of-fame-header';
+    this.header.addEventListener('click', () => this.toggle());
+
+    this.list = document.createElement('ol');
+    this.list.className = 'hall-of-fame-list';
+
+    this.element.append(this.header, this.list);
+    document.body.appendChild(this.element);
+
+    this.render();
+  }
+
+  toggle() {
+    this.collapsed = !this.collapsed;
+    this.render();
+  }
+
+  /**
+   * Apply a hall_of_fame message from the server
+   */
+  setVeterans(veterans) {
+    this.veterans = veterans;
+    this.render();
+  }
+
+  clear() {
+    this.setVeterans([]);
+  }
+
+  render() {
+    this.header.textContent = `HALL OF FAME ${this.collapsed ? '+' : '−'}`;
+    this.list.style.display = this.collapsed ? 'none' : 'block';
+    this.list.replaceChildren();
+
+    if (this.veterans.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'hall-of-fame-empty';
+      empty.textContent = 'No veterans yet';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    this.veterans.forEach(veteran => {
+      const item = document.createElement('li');
+      item.className = `hall-of-fame-entry ${veteran.team}`;
+      item.classList.toggle('fallen', !veteran.alive);
+
+      item.title = Object.keys(STAT_LABELS)
+        .map(stat => `${STAT_LABELS[stat]}: ${veteran.stats[stat]}`)
+        .join('\n');
+
+      const title = document.createElement('div');
+      title.textContent = `${veteran.name}${veteran.alive ? '' : ' †'} - ${veteran.rankName}, ${veteran.xp} XP`;
+
+      const details = document.createElement('div');
+      details.className = 'hall-of-fame-details';
+      details.textContent = SUMMARY_STATS
+        .filter(stat => veteran.stats[stat] > 0)
+        .map(stat => `${veteran.stats[stat]} ${STAT_LABELS[stat]}`)
+        .join(' · ') || `${veteran.stats.damageDealt} ${STAT_LABELS.damageDealt}`;
+
+      item.append(title, details);
+      this.list.appendChild(item);
+    });
+  }
+}
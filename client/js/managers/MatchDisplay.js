@@ -0,0 +1,126 @@
+import { Container, Text, Graphics } from 'https://unpkg.com/pixi.js@8.13.0/dist/pixi.min.mjs';
+import { ClientConfig } from '../config/clientConfig.js';
+import { animationClock } from '../systems/AnimationClock.js';
+
+/**
+ * Match Display Manager
+ * Shows the pre-match countdown, the victory screen and the intermission timer
+ */
+export class MatchDisplay {
+  constructor(app) {
+    this.app = app;
+    this.container = new Container();
+    this.container.zIndex = 2000; // Above every other UI layer
+    this.container.visible = false;
+
+    this.matchState = null;
+    this.phaseEndsAt = null; // Local timestamp when the current phase ends
+
+    this.setupOverlay();
+    this.app.stage.addChild(this.container);
+  }
+
+  setupOverlay() {
+    this.background = new Graphics();
+    this.background.rect(0, 0, ClientConfig.CANVAS.WIDTH, ClientConfig.CANVAS.HEIGHT);
+    this.background.fill({ color: 0x000000, alpha: ClientConfig.MATCH.OVERLAY_ALPHA });
+    this.container.addChild(this.background);
+
+    this.titleText = new Text({
+      text: '',
+      style: {
+        fontSize: ClientConfig.MATCH.TITLE_FONT_SIZE,
+        fill: 0xFFFFFF,
+        fontFamily: 'monospace',
+        fontWeight: 'bold',
+        stroke: { color: 0x000000, width: 4 }
+      }
+    });
+    this.titleText.anchor.set(0.5);
+    this.titleText.x = ClientConfig.CANVAS.WIDTH / 2;
+    this.titleText.y = ClientConfig.CANVAS.HEIGHT / 2 - 40;
+    this.container.addChild(this.titleText);
+
+    this.subtitleText = new Text({
+      text: '',
+      style: {
+        fontSize: ClientConfig.MATCH.SUBTITLE_FONT_SIZE,
+        fill: 0xCCCCCC,
+        fontFamily: 'monospace',
+        stroke: { color: 0x000000, width: 2 }
+      }
+    });
+    this.subtitleText.anchor.set(0.5);
+    this.subtitleText.x = ClientConfig.CANVAS.WIDTH / 2;
+    this.subtitleText.y = ClientConfig.CANVAS.HEIGHT / 2 + 30;
+    this.container.addChild(this.subtitleText);
+  }
+
+  /**
+   * Update match state from server
+   * @param {Object} matchState - Match state data from server
+   */
+  updateState(matchState) {
+    if (!matchState) return;
+
+    this.matchState = matchState;
+    this.phaseEndsAt = matchState.timeRemaining === null ? null : animationClock.now() + matchState.timeRemaining;
+
+    if (matchState.phase === 'victory') {
+      console.log(`[Match] ${matchState.winner} team wins match ${matchState.matchNumber}`);
+    }
+
+    this.render();
+  }
+
+  getSecondsRemaining() {
+    if (this.phaseEndsAt === null) return 0;
+    return Math.max(0, Math.ceil((this.phaseEndsAt - animationClock.now()) / 1000));
+  }
+
+  render() {
+    const state = this.matchState;
+    if (!state || state.phase === 'playing') {
+      this.container.visible = false;
+      return;
+    }
+
+    this.container.visible = true;
+    const seconds = this.getSecondsRemaining();
+
+    switch (state.phase) {
+      case 'countdown':
+        this.titleText.text = seconds > 0 ? `${seconds}` : 'Fight!';
+        this.titleText.style.fill = 0xFFFFFF;
+        this.subtitleText.text = `Match ${state.matchNumber} is about to begin`;
+        break;
+      case 'victory':
+      case 'intermission': {
+        const winnerName = state.winner === 'light' ? 'Light' : 'Dark';
+        this.titleText.text = `${winnerName} team wins!`;
+        this.titleText.style.fill = state.winner === 'light'
+          ? ClientConfig.MATCH.LIGHT_VICTORY_COLOR
+          : ClientConfig.MATCH.DARK_VICTORY_COLOR;
+        this.subtitleText.text = state.phase === 'victory'
+          ? this.getVictorySummary(state)
+          : `Next match in ${seconds}s`;
+        break;
+      }
+    }
+  }
+
+  getVictorySummary(state) {
+    if (!state.victoryDetails) return `Match ${state.matchNumber} is over`;
+
+    const totalSeconds = Math.round(state.victoryDetails.matchDuration / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `Nexus destroyed after ${minutes}m ${seconds.toString().padStart(2, '0')}s`;
+  }
+
+  update(time) {
+    if (this.container.visible) {
+      this.render();
+    }
+  }
+}
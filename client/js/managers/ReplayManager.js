@@ -0,0 +1,95 @@
+import { ReplayPlayer } from '../network/ReplayPlayer.js';
+import { ReplayTimeline } from './ReplayTimeline.js';
+import { animationClock } from '../systems/AnimationClock.js';
+
+/**
+ * Replay Manager
+ * Replaces the server connection in replay mode: loads a recorded match and feeds it
+ * through the same message handler the live connection uses
+ */
+export class ReplayManager {
+  /**
+   * @param {Function} messageHandler - Called with each server message, like NetworkManager's
+   */
+  constructor(messageHandler) {
+    this.messageHandler = messageHandler;
+    this.player = null;
+
+    this.timeline = new ReplayTimeline({
+      onOpenFile: (file) => this.loadFromFile(file),
+      onTogglePlay: () => this.togglePlay(),
+      onSpeedChange: (speed) => this.player && this.player.setSpeed(speed),
+      onSeek: (tick) => this.seek(tick)
+    });
+  }
+
+  async loadFromUrl(url) {
+    this.timeline.setStatus(`Loading ${url}...`);
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.load(await response.text(), url);
+    } catch (error) {
+      this.showLoadError(url, error);
+    }
+  }
+
+  async loadFromFile(file) {
+    this.timeline.setStatus(`Loading ${file.name}...`);
+    try {
+      this.load(await file.text(), file.name);
+    } catch (error) {
+      this.showLoadError(file.name, error);
+    }
+  }
+
+  load(text, name) {
+    this.player = new ReplayPlayer(text);
+    this.dispatch(this.player.start());
+    this.timeline.setReplay(this.player.markers, this.player.getState());
+
+    console.log(`[Replay] Loaded ${name}: ticks ${this.player.startTick}-${this.player.endTick}, ${this.player.markers.length} markers`);
+  }
+
+  showLoadError(name, error) {
+    console.error(`[Replay] Failed to load ${name}:`, error);
+    this.timeline.setStatus(`Failed to load ${name}: ${error.message}`);
+  }
+
+  togglePlay() {
+    if (!this.player) return;
+
+    // Playing a finished replay starts it over
+    if (this.player.isFinished()) {
+      this.seek(this.player.startTick);
+      this.player.setPaused(false);
+      return;
+    }
+    this.player.setPaused(!this.player.paused);
+  }
+
+  seek(tick) {
+    if (!this.player) return;
+    this.dispatch(this.player.seek(tick));
+  }
+
+  dispatch(messages) {
+    messages.forEach(message => this.messageHandler(message));
+  }
+
+  /**
+   * Advance playback by the frame's elapsed time (called from the game loop)
+   */
+  update(time) {
+    if (!this.player) return;
+
+    this.dispatch(this.player.advance(time.deltaMS));
+    const state = this.player.getState();
+    this.timeline.update(state);
+
+    // Effects and interpolation run at playback speed
+    animationClock.setTimeScale(state.speed, state.paused || this.player.isFinished());
+  }
+}
@@ -0,0 +1,188 @@
+import { ClientConfig } from '../config/clientConfig.js';
+
+const MARKER_LABELS = {
+  spell: 'Spells',
+  death: 'Deaths',
+  disaster: 'Disasters',
+  nexus: 'Nexus attacks'
+};
+
+/**
+ * Replay Timeline
+ * DOM bar with open, play/pause, speed and a scrubbable track with event markers
+ * Emits user intent through callbacks; ReplayManager owns the actual playback
+ */
+export class ReplayTimeline {
+  /**
+   * @param {Object} callbacks - { onOpenFile(file), onTogglePlay(), onSpeedChange(speed), onSeek(tick) }
+   */
+  constructor(callbacks) {
+    this.callbacks = callbacks;
+    this.state = null;
+    this.isDragging = false;
+
+    this.createElements();
+  }
+
+  createElements() {
+    this.element = document.createElement('div');
+    this.element.id = 'replay-timeline';
+
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.accept = '.ndjson,.jsonl,.json,.log';
+    this.fileInput.style.display = 'none';
+    this.fileInput.addEventListener('change', () => {
+      if (this.fileInput.files.length > 0) {
+        this.callbacks.onOpenFile(this.fileInput.files[0]);
+        this.fileInput.value = '';
+      }
+    });
+
+    const openButton = this.createButton('Open', () => this.fileInput.click());
+
+    this.playButton = this.createButton('Play', () => this.callbacks.onTogglePlay());
+    this.playButton.disabled = true;
+
+    this.speedSelect = document.createElement('select');
+    this.speedSelect.className = 'replay-button';
+    ClientConfig.REPLAY.SPEEDS.forEach(speed => {
+      const option = document.createElement('option');
+      option.value = speed;
+      option.textContent = `${speed}x`;
+      option.selected = speed === 1;
+      this.speedSelect.appendChild(option);
+    });
+    this.speedSelect.addEventListener('change', () => {
+      this.callbacks.onSpeedChange(Number(this.speedSelect.value));
+    });
+
+    this.track = document.createElement('div');
+    this.track.className = 'replay-track';
+    this.markerLayer = document.createElement('div');
+    this.markerLayer.className = 'replay-markers';
+    this.playhead = document.createElement('div');
+    this.playhead.className = 'replay-playhead';
+    this.track.appendChild(this.markerLayer);
+    this.track.appendChild(this.playhead);
+    this.setupScrubbing();
+
+    this.timeLabel = document.createElement('span');
+    this.timeLabel.className = 'replay-time';
+    this.timeLabel.textContent = 'No replay loaded';
+
+    const legend = document.createElement('div');
+    legend.className = 'replay-legend';
+    Object.keys(MARKER_LABELS).forEach(kind => {
+      const item = document.createElement('span');
+      item.textContent = MARKER_LABELS[kind];
+      item.style.color = ClientConfig.REPLAY.MARKER_COLORS[kind];
+      legend.appendChild(item);
+    });
+
+    this.element.append(this.fileInput, openButton, this.playButton, this.speedSelect, this.track, this.timeLabel, legend);
+    document.body.appendChild(this.element);
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'replay-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Click or drag on the track; the seek happens on release since it rebuilds the world
+   */
+  setupScrubbing() {
+    const tickAt = (event) => {
+      const rect = this.track.getBoundingClientRect();
+      const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+      return Math.round(this.state.startTick + ratio * (this.state.endTick - this.state.startTick));
+    };
+
+    this.track.addEventListener('pointerdown', (event) => {
+      if (!this.state) return;
+      this.isDragging = true;
+      this.track.setPointerCapture(event.pointerId);
+      this.setPlayheadTick(tickAt(event));
+    });
+
+    this.track.addEventListener('pointermove', (event) => {
+      if (this.isDragging) {
+        this.setPlayheadTick(tickAt(event));
+      }
+    });
+
+    this.track.addEventListener('pointerup', (event) => {
+      if (!this.isDragging) return;
+      this.isDragging = false;
+      this.callbacks.onSeek(tickAt(event));
+    });
+  }
+
+  /**
+   * Draw markers for a freshly loaded replay
+   * @param {Array} markers - [{tick, kind}]
+   * @param {Object} state - Player state from ReplayPlayer.getState()
+   */
+  setReplay(markers, state) {
+    this.update(state);
+    this.markerLayer.innerHTML = '';
+    const startTick = state.startTick;
+    const span = Math.max(1, state.endTick - startTick);
+    const buckets = ClientConfig.REPLAY.MARKER_BUCKETS;
+    const kinds = Object.keys(MARKER_LABELS);
+    const drawn = new Set();
+
+    markers.forEach(marker => {
+      const bucket = Math.floor(((marker.tick - startTick) / span) * buckets);
+      const key = `${marker.kind}:${bucket}`;
+      if (drawn.has(key)) return;
+      drawn.add(key);
+
+      // One row per marker kind so overlapping events stay visible
+      const element = document.createElement('div');
+      element.className = 'replay-marker';
+      element.style.left = `${((marker.tick - startTick) / span) * 100}%`;
+      element.style.top = `${(kinds.indexOf(marker.kind) / kinds.length) * 100}%`;
+      element.style.height = `${100 / kinds.length}%`;
+      element.style.backgroundColor = ClientConfig.REPLAY.MARKER_COLORS[marker.kind];
+      element.title = `${MARKER_LABELS[marker.kind]} @ ${this.formatTime(marker.tick - startTick)}`;
+      this.markerLayer.appendChild(element);
+    });
+  }
+
+  /**
+   * Reflect the player state (called every frame)
+   */
+  update(state) {
+    this.state = state;
+    this.playButton.disabled = false;
+    this.playButton.textContent = state.paused || state.tick >= state.endTick ? 'Play' : 'Pause';
+    this.speedSelect.value = state.speed;
+
+    if (!this.isDragging) {
+      this.setPlayheadTick(state.tick);
+    }
+  }
+
+  setPlayheadTick(tick) {
+    const span = Math.max(1, this.state.endTick - this.state.startTick);
+    const ratio = (tick - this.state.startTick) / span;
+    this.playhead.style.left = `${ratio * 100}%`;
+    this.timeLabel.textContent = `${this.formatTime(tick - this.state.startTick)} / ${this.formatTime(span)}`;
+  }
+
+  setStatus(text) {
+    this.timeLabel.textContent = text;
+  }
+
+  formatTime(ticks) {
+    const totalSeconds = Math.floor((ticks * this.state.frameTime) / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  }
+}
@@ -0,0 +1,142 @@
+import { ClientConfig } from '../config/clientConfig.js';
+import { animationClock } from '../systems/AnimationClock.js';
+
+const POWER_NAMES = {
+  drop_orb: 'Energy orb',
+  bless_team: 'Blessing',
+  trigger_disaster: 'Disaster'
+};
+
+/**
+ * Spectator Panel
+ * DOM bar with the viewer's favor and one button per spectator power
+ * The server owns favor and cooldowns; between favor_update messages the panel
+ * only extrapolates regeneration and counts cooldowns down for display, in game time
+ */
+export class SpectatorPanel {
+  /**
+   * @param {Function} sendMessage - Sends a message to the server
+   */
+  constructor(sendMessage) {
+    this.sendMessage = sendMessage;
+    this.status = null;
+    this.statusReceivedAt = 0;
+    this.noticeTimer = null;
+
+    this.createElements();
+  }
+
+  createElements() {
+    this.element = document.createElement('div');
+    this.element.id = 'spectator-panel';
+
+    const header = document.createElement('div');
+    header.className = 'spectator-header';
+    header.textContent = 'SPECTATOR POWERS';
+
+    const favorTrack = document.createElement('div');
+    favorTrack.className = 'spectator-favor-track';
+    this.favorFill = document.createElement('div');
+    this.favorFill.className = 'spectator-favor-fill';
+    this.favorLabel = document.createElement('span');
+    this.favorLabel.className = 'spectator-favor-label';
+    favorTrack.append(this.favorFill, this.favorLabel);
+
+    const buttonRow = document.createElement('div');
+    buttonRow.className = 'spectator-buttons';
+    this.buttons = ClientConfig.SPECTATOR.POWERS.map(definition => {
+      const button = document.createElement('button');
+      button.className = 'replay-button spectator-button';
+      button.addEventListener('click', () => this.usePower(definition));
+      buttonRow.appendChild(button);
+      return { button, definition };
+    });
+
+    this.notice = document.createElement('div');
+    this.notice.className = 'spectator-notice';
+
+    this.element.append(header, favorTrack, buttonRow, this.notice);
+    document.body.appendChild(this.element);
+
+    this.render();
+  }
+
+  usePower(definition) {
+    const message = { type: 'spectator_power', power: definition.power };
+    if (definition.team) message.team = definition.team;
+    if (definition.disasterType) message.disasterType = definition.disasterType;
+    this.sendMessage(message);
+  }
+
+  /**
+   * Apply a favor_update from the server
+   */
+  setStatus(status) {
+    this.status = status;
+    this.statusReceivedAt = animationClock.now();
+    this.render();
+  }
+
+  /**
+   * Someone in the room used a power
+   */
+  handlePowerUsed(data) {
+    const target = data.team || (data.disasterType || '').replace('_', ' ');
+    this.showNotice(`${POWER_NAMES[data.power] || data.power}: ${target}`, false);
+  }
+
+  handlePowerRejected(data) {
+    this.showNotice(data.reason, true);
+  }
+
+  showNotice(text, isError) {
+    this.notice.textContent = text;
+    this.notice.classList.toggle('error', isError);
+
+    clearTimeout(this.noticeTimer);
+    this.noticeTimer = setTimeout(() => {
+      this.notice.textContent = '';
+    }, ClientConfig.SPECTATOR.NOTICE_DURATION);
+  }
+
+  /**
+   * Called every frame
+   */
+  update() {
+    if (this.status) {
+      this.render();
+    }
+  }
+
+  render() {
+    if (!this.status) {
+      this.favorFill.style.width = '0%';
+      this.favorLabel.textContent = 'Waiting for server';
+      this.buttons.forEach(({ button, definition }) => {
+        button.textContent = definition.label;
+        button.disabled = true;
+      });
+      return;
+    }
+
+    const elapsed = animationClock.now() - this.statusReceivedAt;
+    const favor = Math.min(this.status.maxFavor, this.status.favor + (elapsed / 1000) * this.status.favorPerSecond);
+    this.favorFill.style.width = `${(favor / this.status.maxFavor) * 100}%`;
+    this.favorLabel.textContent = `Favor ${Math.floor(favor)} / ${this.status.maxFavor}`;
+
+    this.buttons.forEach(({ button, definition }) => {
+      const power = this.status.powers[definition.power];
+      if (!power) {
+        button.textContent = definition.label;
+        button.disabled = true;
+        return;
+      }
+
+      const cooldown = power.cooldownRemaining - elapsed;
+      button.textContent = cooldown > 0 ?
+        `${definition.label} (${Math.ceil(cooldown / 1000)}s)` :
+        `${definition.label} (${power.cost})`;
+      button.disabled = cooldown > 0 || favor < power.cost;
+    });
+  }
+}
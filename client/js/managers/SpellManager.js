@@ -1,4 +1,5 @@
 import { Graphics } from 'https://unpkg.com/pixi.js@8.13.0/dist/pixi.min.mjs';
+import { animationClock } from '../systems/AnimationClock.js';
 
 /**
  * SpellManager - Single Responsibility: Spell effect management
@@ -27,7 +28,7 @@ export class SpellManager {
         const transformEffect = new Graphics();
         transformEffect.spellId = spellData.spellId;
         transformEffect.casterId = spellData.casterId; // Add missing casterId property
-        transformEffect.startTime = Date.now();
+        transformEffect.startTime = animationClock.now();
         transformEffect.duration = spellData.duration;
         transformEffect.casterType = spellData.casterType;
         transformEffect.tileX = tileWorldX;
@@ -56,7 +57,7 @@ export class SpellManager {
         
         // Store spell data for updates
         tether.spellData = spellData;
-        tether.startTime = Date.now();
+        tether.startTime = animationClock.now();
         
         this.activeSpells.set(spellData.spellId, tether);
         this.app.stage.addChild(tether);
@@ -56,6 +56,20 @@ class StatisticsDisplay {
     document.getElementById('dark-aggression').textContent = dark.aggressionIndex || 50;
   }
 
+  /**
+   * Show each team's AI strategy profile
+   * @param {Object} strategies - team -> { id, name }; teams left out keep their current profile
+   */
+  updateTeamStrategies(strategies) {
+    Object.entries(strategies).forEach(([team, strategy]) => {
+      const element = document.getElementById(`${team}-strategy`);
+      if (element) {
+        element.textContent = strategy.name;
+        element.title = strategy.id;
+      }
+    });
+  }
+
   /**
    * Update percentage bars and percentage text (based on territory control)
    */
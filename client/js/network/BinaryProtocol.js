@@ -0,0 +1,176 @@
+/**
+ * Binary Protocol
+ * Decodes the binary frames the server sends after a successful hello/welcome handshake
+ * Mirrors server/network/BinaryProtocol.js - see there for the frame layout
+ * server/test/binaryProtocol.test.js checks the tables below against the server's
+ */
+
+export const PROTOCOL_VERSION = 5;
+
+export const MESSAGE_TYPES = {
+  1: 'state_delta',
+  2: 'attack',
+  3: 'spell_progress',
+  4: 'tile_updated'
+};
+
+// Soul fields a state_delta entry may carry, in presence-mask bit order
+export const SOUL_FIELDS = [
+  ['name', 'string'],
+  ['type', 'string'],
+  ['x', 'float'],
+  ['y', 'float'],
+  ['energy', 'float'],
+  ['maxEnergy', 'float'],
+  ['isCasting', 'bool'],
+  ['isPreparing', 'bool'],
+  ['isRetreating', 'bool'],
+  ['isDefending', 'bool'],
+  ['currentState', 'string'],
+  ['isChild', 'bool'],
+  ['isMating', 'bool'],
+  ['maturityPercentage', 'float'],
+  ['isSleeping', 'bool'],
+  ['sleepProgress', 'float'],
+  ['genome', 'genome'],
+  ['lineName', 'string'],
+  ['generation', 'short'],
+  ['rank', 'short'],
+  ['xp', 'float']
+];
+
+// Gene order of a genome field (server/entities/Genome.js GENES)
+export const GENES = ['speed', 'maxEnergy', 'attackDamage', 'castSpeed', 'boldness'];
+
+const textDecoder = new TextDecoder();
+
+class BinaryReader {
+  constructor(buffer) {
+    this.view = new DataView(buffer);
+    this.bytes = new Uint8Array(buffer);
+    this.offset = 0;
+  }
+
+  uint8() {
+    return this.view.getUint8(this.offset++);
+  }
+
+  uint16() {
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  uint32() {
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  float32() {
+    const value = this.view.getFloat32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  float64() {
+    const value = this.view.getFloat64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  // Float32 can't hold the server's quantised decimals exactly, so round back to them
+  float32Rounded() {
+    return Math.round(this.float32() * 100) / 100;
+  }
+
+  string() {
+    const length = this.uint8();
+    const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+
+  bool() {
+    return this.uint8() === 1;
+  }
+
+  value(kind) {
+    switch (kind) {
+      case 'string': return this.string();
+      case 'float': return this.float32Rounded();
+      case 'short': return this.uint16();
+      case 'bool': return this.bool();
+      case 'genome': {
+        const genome = {};
+        GENES.forEach(gene => {
+          genome[gene] = Math.round(this.float32() * 1000) / 1000;
+        });
+        return genome;
+      }
+    }
+  }
+}
+
+function readStateDelta(reader, message) {
+  message.seq = reader.uint32();
+  message.tick = reader.uint32();
+  message.serverTime = reader.float64();
+  const count = reader.uint16();
+  message.souls = [];
+
+  for (let i = 0; i < count; i++) {
+    const soul = { id: reader.string() };
+    const mask = reader.uint32();
+    SOUL_FIELDS.forEach(([name, kind], bit) => {
+      if (mask & (1 << bit)) {
+        soul[name] = reader.value(kind);
+      }
+    });
+    message.souls.push(soul);
+  }
+}
+
+function readAttack(reader, message) {
+  message.attackerId = reader.string();
+  message.targetId = reader.string();
+  message.damage = reader.float32Rounded();
+  message.attackerPos = { x: reader.float32(), y: reader.float32() };
+  message.targetPos = { x: reader.float32(), y: reader.float32() };
+  message.isDefensiveAttack = reader.bool();
+}
+
+function readSpellProgress(reader, message) {
+  message.spellId = reader.string();
+  message.casterId = reader.string();
+  message.progress = reader.float32();
+  message.timeRemaining = reader.float32();
+}
+
+function readTileUpdated(reader, message) {
+  message.tileX = reader.uint16();
+  message.tileY = reader.uint16();
+  message.newType = reader.string();
+}
+
+/**
+ * Decode a binary frame into the same message object the JSON channel would deliver
+ * @param {ArrayBuffer} buffer - Binary WebSocket frame
+ * @returns {Object} Decoded message
+ */
+export function decodeMessage(buffer) {
+  const reader = new BinaryReader(buffer);
+  const code = reader.uint8();
+  const message = { type: MESSAGE_TYPES[code] };
+
+  switch (message.type) {
+    case 'state_delta': readStateDelta(reader, message); break;
+    case 'attack': readAttack(reader, message); break;
+    case 'spell_progress': readSpellProgress(reader, message); break;
+    case 'tile_updated': readTileUpdated(reader, message); break;
+    default:
+      throw new Error(`Unknown binary message code: ${code}`);
+  }
+
+  return message;
+}
@@ -1,4 +1,5 @@
 import { ClientConfig } from '../config/clientConfig.js';
+import { PROTOCOL_VERSION, decodeMessage } from './BinaryProtocol.js';
 
 /**
  * Network Manager
@@ -10,11 +11,13 @@ export class NetworkManager {
     this.messageHandler = messageHandler;
     this.isConnected = false;
     this.reconnectTimer = null;
+    this.protocol = 'json'; // Confirmed by the server's welcome message
   }
 
   connect() {
     try {
-      this.socket = new WebSocket(ClientConfig.NETWORK.SERVER_URL);
+      this.socket = new WebSocket(this.getServerUrl());
+      this.socket.binaryType = 'arraybuffer';
       this.setupEventHandlers();
     } catch (error) {
       this.scheduleReconnect();
@@ -28,11 +31,16 @@ export class NetworkManager {
         clearTimeout(this.reconnectTimer);
         this.reconnectTimer = null;
       }
+      this.sendHello();
     };
 
     this.socket.onmessage = (event) => {
       try {
-        const data = JSON.parse(event.data);
+        const data = event.data instanceof ArrayBuffer ? decodeMessage(event.data) : JSON.parse(event.data);
+        if (data.type === 'welcome') {
+          this.protocol = data.protocol;
+          console.log(`[Network] Using ${this.protocol} protocol`);
+        }
         this.messageHandler(data);
       } catch (error) {
       }
@@ -40,6 +48,7 @@ export class NetworkManager {
 
     this.socket.onclose = () => {
       this.isConnected = false;
+      this.protocol = 'json';
       
       // Notify handler of disconnection
       this.messageHandler({ type: 'disconnected' });
@@ -52,6 +61,27 @@ export class NetworkManager {
     };
   }
 
+  /**
+   * Server URL for the room in the page URL (?room=<id>&preset=<name>), or the default room
+   */
+  getServerUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const room = params.get('room');
+    if (!room) return ClientConfig.NETWORK.SERVER_URL;
+
+    const preset = params.get('preset');
+    return `${ClientConfig.NETWORK.SERVER_URL}/room/${encodeURIComponent(room)}` +
+      (preset ? `?preset=${encodeURIComponent(preset)}` : '');
+  }
+
+  /**
+   * Offer the binary protocol; servers that don't know hello just keep sending JSON
+   */
+  sendHello() {
+    const protocols = ClientConfig.NETWORK.BINARY_PROTOCOL ? ['binary', 'json'] : ['json'];
+    this.send({ type: 'hello', protocols: protocols, binaryVersion: PROTOCOL_VERSION });
+  }
+
   scheduleReconnect() {
     if (!this.reconnectTimer) {
       this.reconnectTimer = setTimeout(() => {
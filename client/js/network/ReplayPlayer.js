@@ -0,0 +1,210 @@
+import { ClientConfig } from '../config/clientConfig.js';
+
+// Visual-only events that are dropped when fast-forwarding to a seek target
+// Same list as server/replay/ReplayPlayer.js; server/test/replayPlayer.test.js compares the two players
+export const TRANSIENT_EVENT_TYPES = new Set([
+  'attack',
+  'nexus_attack',
+  'spell_progress',
+  'character_death',
+  'statistics_update',
+  'hall_of_fame'
+]);
+
+// Event types shown as markers on the timeline
+const MARKER_KINDS = {
+  spell_started: 'spell',
+  character_death: 'death',
+  disaster_start: 'disaster',
+  nexus_attack: 'nexus',
+  nexus_destroyed: 'nexus'
+};
+
+/**
+ * Replay Player
+ * Parses a replay file recorded by the server (REPLAY_RECORD) and turns it back into
+ * the message stream a live client would have received
+ * Mirrors server/replay/ReplayPlayer.js, but advances by elapsed milliseconds
+ */
+export class ReplayPlayer {
+  constructor(text) {
+    this.header = null;
+    this.frames = []; // [{tick, time, events}] in tick order
+    this.keyframes = []; // [{tick, time, state}] in tick order
+    this.markers = []; // [{tick, kind}] for the timeline
+
+    this.parse(text);
+
+    this.frameTime = this.header.frameTime || 33;
+    this.startTick = this.keyframes[0].tick;
+    this.endTick = Math.max(
+      this.startTick,
+      this.frames.length > 0 ? this.frames[this.frames.length - 1].tick : 0,
+      this.keyframes[this.keyframes.length - 1].tick
+    );
+
+    this.speed = 1;
+    this.paused = false;
+    this.position = this.startTick; // Fractional tick so speeds below 1x work
+    this.nextFrameIndex = 0;
+    this.nextKeyframeIndex = 0;
+  }
+
+  parse(text) {
+    text.split('\n').forEach((line, index) => {
+      if (line.trim() === '') return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid replay line ${index + 1}: ${error.message}`);
+      }
+
+      switch (entry.type) {
+        case 'replay_header':
+          if (entry.version !== ClientConfig.REPLAY.FORMAT_VERSION) {
+            throw new Error(`Unsupported replay version: ${entry.version}`);
+          }
+          this.header = entry;
+          break;
+        case 'tick':
+          this.frames.push(entry);
+          entry.events.forEach(event => {
+            if (MARKER_KINDS[event.type]) {
+              this.markers.push({ tick: entry.tick, kind: MARKER_KINDS[event.type] });
+            }
+          });
+          break;
+        case 'keyframe':
+          this.keyframes.push(entry);
+          break;
+      }
+    });
+
+    if (!this.header) {
+      throw new Error('Replay file has no header');
+    }
+    if (this.keyframes.length === 0) {
+      throw new Error('Replay file has no keyframes');
+    }
+  }
+
+  setSpeed(speed) {
+    const value = Number(speed);
+    if (!Number.isFinite(value)) return;
+    this.speed = Math.min(ClientConfig.REPLAY.MAX_SPEED, Math.max(ClientConfig.REPLAY.MIN_SPEED, value));
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+  }
+
+  isFinished() {
+    return this.position >= this.endTick;
+  }
+
+  /**
+   * Start playback from the first keyframe
+   * @returns {Array} Messages that set up the opening view
+   */
+  start() {
+    return this.seek(this.startTick);
+  }
+
+  /**
+   * Advance playback by real elapsed time at the current speed
+   * @param {number} deltaMS - Milliseconds since the last call
+   * @returns {Array} Messages to handle, in recorded order
+   */
+  advance(deltaMS) {
+    if (this.paused || this.isFinished()) return [];
+
+    this.position = Math.min(this.endTick, this.position + (deltaMS / this.frameTime) * this.speed);
+    const targetTick = Math.floor(this.position);
+    const messages = [];
+
+    // Events of a tick come before the keyframes taken at its end
+    while (this.nextFrameIndex < this.frames.length && this.frames[this.nextFrameIndex].tick <= targetTick) {
+      const frame = this.frames[this.nextFrameIndex++];
+      this.emitKeyframesUpTo(frame.tick - 1, messages);
+      messages.push(...frame.events);
+      this.emitKeyframesUpTo(frame.tick, messages);
+    }
+    this.emitKeyframesUpTo(targetTick, messages);
+
+    return messages;
+  }
+
+  emitKeyframesUpTo(tick, messages) {
+    while (this.nextKeyframeIndex < this.keyframes.length && this.keyframes[this.nextKeyframeIndex].tick <= tick) {
+      messages.push(this.keyframes[this.nextKeyframeIndex++].state);
+    }
+  }
+
+  /**
+   * Jump to a tick
+   * @returns {Array} Messages that bring the view from any state to the target tick
+   */
+  seek(tick) {
+    const targetTick = Math.min(this.endTick, Math.max(this.startTick, Math.floor(Number(tick) || 0)));
+    this.position = targetTick;
+    this.nextFrameIndex = this.findFirstIndexAfter(this.frames, targetTick);
+    this.nextKeyframeIndex = this.findFirstIndexAfter(this.keyframes, targetTick);
+
+    return this.buildCatchUp(targetTick);
+  }
+
+  /**
+   * Rebuild the view at a tick: the nearest keyframe before it, then the
+   * stateful events and state deltas up to it with transient effects dropped
+   * @param {number} tick - Target tick
+   * @returns {Array} Messages to handle
+   */
+  buildCatchUp(tick) {
+    const keyframeIndex = this.findFirstIndexAfter(this.keyframes, tick) - 1;
+    const keyframe = this.keyframes[Math.max(0, keyframeIndex)];
+    const messages = [
+      { type: 'replay_seek', tick: tick },
+      keyframe.state
+    ];
+
+    for (let i = this.findFirstIndexAfter(this.frames, keyframe.tick); i < this.frames.length && this.frames[i].tick <= tick; i++) {
+      this.frames[i].events.forEach(event => {
+        if (!TRANSIENT_EVENT_TYPES.has(event.type)) {
+          messages.push(event);
+        }
+      });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Index of the first entry with a tick greater than the given tick (binary search)
+   */
+  findFirstIndexAfter(entries, tick) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (entries[middle].tick <= tick) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  getState() {
+    return {
+      tick: Math.floor(this.position),
+      startTick: this.startTick,
+      endTick: this.endTick,
+      speed: this.speed,
+      paused: this.paused,
+      frameTime: this.frameTime
+    };
+  }
+}
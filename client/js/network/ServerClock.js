@@ -0,0 +1,50 @@
+import { ClientConfig } from '../config/clientConfig.js';
+import { animationClock } from '../systems/AnimationClock.js';
+
+/**
+ * Server Clock
+ * Estimates the server's simulation time from the serverTime stamped on state messages,
+ * so rendering can run a fixed delay behind it
+ * Measured against the animation clock, so the estimate holds when the simulation is sped up or paused
+ */
+export class ServerClock {
+  constructor() {
+    this.offset = null; // Estimated serverTime - animationClock.now()
+    this.latestServerTime = null;
+  }
+
+  /**
+   * Fold in the serverTime of a message that just arrived
+   */
+  observe(serverTime) {
+    if (serverTime === undefined) return;
+
+    this.latestServerTime = Math.max(this.latestServerTime || 0, serverTime);
+    const sample = serverTime - animationClock.now();
+    const config = ClientConfig.INTERPOLATION;
+
+    // The least-delayed message gives the best estimate, so jump forward at once and only
+    // drift back slowly; a large jump (reconnect, replay seek) resets the estimate
+    if (this.offset === null || sample > this.offset || Math.abs(sample - this.offset) > config.CLOCK_RESYNC_THRESHOLD) {
+      this.offset = sample;
+    } else {
+      this.offset += (sample - this.offset) * config.CLOCK_SMOOTHING;
+    }
+  }
+
+  /**
+   * Server time to render at, or null before the first timestamped message
+   */
+  getRenderTime() {
+    if (this.offset === null) return null;
+
+    // Nothing new arrives while paused, so show the latest state instead of one DELAY old
+    if (animationClock.isPaused()) return this.latestServerTime;
+    return animationClock.now() + this.offset - ClientConfig.INTERPOLATION.DELAY;
+  }
+
+  reset() {
+    this.offset = null;
+    this.latestServerTime = null;
+  }
+}
@@ -0,0 +1,71 @@
+import { ClientConfig } from '../config/clientConfig.js';
+
+/**
+ * Snapshot Buffer
+ * Timestamped server positions of one character, sampled at render time:
+ * interpolates between the two snapshots around it, extrapolates briefly past the
+ * newest one when messages are late, then holds
+ */
+export class SnapshotBuffer {
+  constructor() {
+    this.snapshots = []; // [{time, x, y}] in time order
+  }
+
+  push(time, x, y) {
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (last && time <= last.time) {
+      // Same or older tick (e.g. a world_state after its deltas) - newest data wins
+      if (time === last.time) {
+        last.x = x;
+        last.y = y;
+      }
+      return;
+    }
+
+    this.snapshots.push({ time, x, y });
+    if (this.snapshots.length > ClientConfig.INTERPOLATION.BUFFER_SIZE) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Position at a server time, or null when the buffer is empty
+   */
+  sample(renderTime) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    const first = snapshots[0];
+    if (renderTime <= first.time) {
+      return { x: first.x, y: first.y };
+    }
+
+    for (let i = snapshots.length - 1; i > 0; i--) {
+      const from = snapshots[i - 1];
+      const to = snapshots[i];
+      if (renderTime >= from.time && renderTime <= to.time) {
+        return this.lerp(from, to, (renderTime - from.time) / (to.time - from.time));
+      }
+    }
+
+    // Past the newest snapshot: continue along the last segment for a short while
+    const last = snapshots[snapshots.length - 1];
+    if (snapshots.length < 2) {
+      return { x: last.x, y: last.y };
+    }
+    const previous = snapshots[snapshots.length - 2];
+    const extrapolation = Math.min(renderTime - last.time, ClientConfig.INTERPOLATION.MAX_EXTRAPOLATION);
+    return this.lerp(previous, last, 1 + extrapolation / (last.time - previous.time));
+  }
+
+  lerp(from, to, t) {
+    return {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t
+    };
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+}
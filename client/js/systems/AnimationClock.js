@@ -0,0 +1,57 @@
+/**
+ * Animation Clock
+ * Client game time that follows the simulation's time scale. Effects, countdowns and
+ * interpolation read it instead of Date.now(), so they pause and speed up together with
+ * the server (time_scale / time_step messages) or the replay player
+ */
+class AnimationClock {
+  constructor() {
+    this.baseTime = Date.now();
+    this.baseRealTime = this.baseTime;
+    this.speed = 1;
+    this.paused = false;
+  }
+
+  now() {
+    if (this.paused) return this.baseTime;
+    return this.baseTime + (Date.now() - this.baseRealTime) * this.speed;
+  }
+
+  /**
+   * @param {number} speed - Multiple of real time
+   * @param {boolean} paused
+   */
+  setTimeScale(speed, paused) {
+    if (speed === this.speed && paused === this.paused) return;
+
+    this.baseTime = this.now();
+    this.baseRealTime = Date.now();
+    this.speed = speed;
+    this.paused = paused;
+  }
+
+  /**
+   * Move time forward while paused (single-stepping the simulation)
+   */
+  advance(milliseconds) {
+    this.baseTime += milliseconds;
+  }
+
+  /**
+   * Factor for per-frame motion: 0 while paused
+   */
+  getScale() {
+    return this.paused ? 0 : this.speed;
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  reset() {
+    this.setTimeScale(1, false);
+  }
+}
+
+// One clock shared by every manager
+export const animationClock = new AnimationClock();
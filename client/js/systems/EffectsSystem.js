@@ -1,6 +1,7 @@
 import { Graphics, Container } from 'https://unpkg.com/pixi.js@8.13.0/dist/pixi.min.mjs';
 import * as PIXI from 'https://unpkg.com/pixi.js@8.13.0/dist/pixi.min.mjs';
 import { ClientConfig } from '../config/clientConfig.js';
+import { animationClock } from './AnimationClock.js';
 
 /**
  * Effects System
@@ -44,10 +45,10 @@ export class EffectsSystem {
     
     // Animate projectile to target
     const duration = ClientConfig.ANIMATION.ATTACK_DURATION;
-    const startTime = Date.now();
+    const startTime = animationClock.now();
     
     const animate = () => {
-      const elapsed = Date.now() - startTime;
+      const elapsed = animationClock.now() - startTime;
       const progress = elapsed / duration;
       
       if (progress < 1) {
@@ -100,9 +101,9 @@ export class EffectsSystem {
     this.app.stage.addChild(glow);
     
     // Animate the glow effect
-    const startTime = Date.now();
+    const startTime = animationClock.now();
     const animate = () => {
-      const elapsed = Date.now() - startTime;
+      const elapsed = animationClock.now() - startTime;
       const progress = elapsed / ClientConfig.ANIMATION.ENERGIZER_DURATION;
       
       if (progress < 1) {
@@ -159,9 +160,9 @@ export class EffectsSystem {
     this.app.stage.addChild(effect);
     
     // Animate the effect
-    const startTime = Date.now();
+    const startTime = animationClock.now();
     const animate = () => {
-      const elapsed = Date.now() - startTime;
+      const elapsed = animationClock.now() - startTime;
       const progress = elapsed / ClientConfig.ANIMATION.ABSORPTION_DURATION;
       
       if (progress < 1) {
@@ -192,9 +193,9 @@ export class EffectsSystem {
     character.targetY = character.y;
     
     // Animate the death effect - just fade out, don't change tint
-    const startTime = Date.now();
+    const startTime = animationClock.now();
     const animate = () => {
-      const elapsed = Date.now() - startTime;
+      const elapsed = animationClock.now() - startTime;
       const progress = elapsed / ClientConfig.ANIMATION.DEATH_DURATION;
       
       if (progress < 1 && character.sprite) {
@@ -245,9 +246,9 @@ export class EffectsSystem {
       heartContainer.addChild(heart);
       
       // Animate hearts floating upward
-      const startTime = Date.now();
+      const startTime = animationClock.now();
       const animateHeart = () => {
-        const elapsed = Date.now() - startTime;
+        const elapsed = animationClock.now() - startTime;
         const progress = elapsed / 3000; // 3 second animation
         
         if (progress < 1) {
@@ -307,9 +308,9 @@ export class EffectsSystem {
       sparkleContainer.addChild(sparkle);
       
       // Animate sparkles expanding outward
-      const startTime = Date.now();
+      const startTime = animationClock.now();
       const animateSparkle = () => {
-        const elapsed = Date.now() - startTime;
+        const elapsed = animationClock.now() - startTime;
         const progress = elapsed / 1500; // 1.5 second animation
         
         if (progress < 1) {
@@ -337,7 +338,7 @@ export class EffectsSystem {
 
   updateSpellTether(tether, time) {
     const spellData = tether.spellData;
-    const elapsed = Date.now() - tether.startTime;
+    const elapsed = animationClock.now() - tether.startTime;
     const progress = elapsed / spellData.duration;
     
     // Clear and redraw tether
@@ -379,7 +380,7 @@ export class EffectsSystem {
   }
 
   updateTileTransformEffect(effect, time) {
-    const elapsed = Date.now() - effect.startTime;
+    const elapsed = animationClock.now() - effect.startTime;
     const progress = elapsed / effect.duration;
     
     // Clear and redraw transformation effect
@@ -1,4 +1,3 @@
-const GameConfig = require('./config/gameConfig');
 const Soul = require('./entities/Soul');
 const Nexus = require('./entities/Nexus');
 const ScoringSystem = require('./systems/ScoringSystem');
@@ -10,17 +9,51 @@ const DayNightSystem = require('./systems/DayNightSystem');
 const StatisticsManager = require('./systems/StatisticsManager');
 const BuffManager = require('./systems/BuffManager');
 const DisasterEventSystem = require('./systems/DisasterEventSystem');
+const SpectatorPowerSystem = require('./systems/SpectatorPowerSystem');
+const MatchSystem = require('./systems/MatchSystem');
+const MapGenerator = require('./systems/MapGenerator');
+const { MapLoader, readMapFile } = require('./systems/MapLoader');
+const { TerrainSystem } = require('./systems/TerrainSystem');
+const LineageRegistry = require('./systems/LineageRegistry');
+const { getStrategyProfile, validateStrategies, describeStrategy } = require('./entities/Strategy');
+const { loadBehaviour } = require('./entities/Behaviour');
+const { createSimulationContext } = require('./utils/SimulationContext');
+const { cloneState, shiftTime } = require('./utils/stateSerialization');
+
+// Bump when the snapshot layout changes so stale files are rejected instead of half-loaded
+const SNAPSHOT_VERSION = 4;
 
 /**
  * Main Game Manager
  * Orchestrates all game systems and maintains game state
  */
 class GameManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - RNG seed; the same seed and tick count reproduce the same world
+   * @param {Object} [options.clock] - Clock exposing now(), defaults to wall time
+   * @param {Object} [options.config] - Per-world config (see config/configOverrides.js), defaults to GameConfig
+   */
+  constructor(options = {}) {
+    // Shared config, clock and RNG - systems must never read the global GameConfig, Date.now() or Math.random() directly
+    this.context = createSimulationContext(options);
+    this.config = this.context.config;
+    this.clock = this.context.clock;
+    this.random = this.context.random;
+    
     this.souls = new Map();
     this.energyOrbs = new Map();
     this.nexuses = new Map(); // Store nexus entities
     this.tileMap = null;
+    this.customMap = null; // Map definition loaded by an admin, replaces MAP.FILE and the generator
+    // Throws on a broken definition before any soul needs it
+    const behaviour = loadBehaviour(this.config.BEHAVIOUR.FILE, this.config);
+    // Team -> strategy profile (entities/Strategy.js); like the custom map, kept across matches
+    validateStrategies(this.config, behaviour.steps);
+    this.teamStrategies = {
+      light: this.config.STRATEGIES.TEAMS.LIGHT.toLowerCase(),
+      dark: this.config.STRATEGIES.TEAMS.DARK.toLowerCase()
+    };
     // Initialize systems
     this.movementSystem = null; // Will be initialized after tileMap
     this.combatSystem = null; // Will be initialized after spellSystem
@@ -30,10 +63,20 @@ class GameManager {
     this.statisticsManager = null; // Statistics tracking system
     this.buffManager = null; // Centralized buff management system
     this.disasterEventSystem = null; // Disaster event system
+    this.terrainSystem = null; // Craters and shrine buffs
+    this.lineageRegistry = null; // Soul names and family records
+    
+    // Match lifecycle persists across world resets
+    this.matchSystem = new MatchSystem(this.context);
     
     // Game state
     this.gameEvents = [];
+    this.adminSpawnCounter = 0;
     
+    this.initializeWorld();
+  }
+
+  initializeWorld() {
     this.initializeTileMap();
     this.initializeNexuses();
     this.initializeSystems();
@@ -41,94 +84,201 @@ class GameManager {
     this.spawnInitialOrbs();
   }
 
-  initializeTileMap() {
-    const tilesWidth = GameConfig.TILEMAP.WIDTH;
-    const tilesHeight = GameConfig.TILEMAP.HEIGHT;
-    const tileWidth = GameConfig.TILEMAP.TILE_WIDTH;
-    const tileHeight = GameConfig.TILEMAP.TILE_HEIGHT;
+  /**
+   * Reinitialise tile map, nexuses, systems, souls and orbs for a new match
+   */
+  resetWorld() {
+    console.log(`[Match] Resetting world after match ${this.matchSystem.matchNumber}`);
     
-    const tiles = [];
+    this.souls.clear();
+    this.energyOrbs.clear();
+    this.nexuses.clear();
     
-    for (let y = 0; y < tilesHeight; y++) {
-      const row = [];
-      for (let x = 0; x < tilesWidth; x++) {
-        // Vertical split: left half green, right half gray
-        const tileType = x < tilesWidth / 2 ? 'green' : 'gray';
-        
-        // Assign specific tile variant (consistent for all clients)
-        const seed = x * 1000 + y; // Use position as seed for deterministic randomness
-        const variants = tileType === 'gray' ? 
-          GameConfig.TILE_COLLECTIONS.GRAY_TILES : 
-          GameConfig.TILE_COLLECTIONS.GREEN_TILES;
-        const variantIndex = seed % variants.length;
-        const specificVariant = variants[variantIndex];
-        
-        row.push({
-          x: x,
-          y: y,
-          type: tileType,
-          variant: specificVariant,
-          worldX: x * tileWidth,
-          worldY: y * tileHeight
-        });
-      }
-      tiles.push(row);
-    }
+    // Fresh systems also means fresh statistics, buffs, spells and craters
+    this.initializeWorld();
     
-    this.tileMap = {
-      width: tilesWidth,
-      height: tilesHeight,
-      tileWidth: tileWidth,
-      tileHeight: tileHeight,
-      tiles: tiles
+    this.gameEvents.push(...this.matchSystem.startNextMatch());
+  }
+
+  /**
+   * Capture the complete simulation state as plain JSON-safe data
+   * Restoring it with loadState() and running the same number of ticks reproduces the same world
+   * @returns {Object} Snapshot
+   */
+  serializeState() {
+    const systems = {
+      buffs: this.buffManager.serializeState(),
+      dayNight: this.dayNightSystem.serializeState(),
+      movement: this.movementSystem.serializeState(),
+      spells: this.spellSystem.serializeState(),
+      mating: this.matingSystem.serializeState(),
+      disasters: this.disasterEventSystem.serializeState(),
+      statistics: this.statisticsManager.serializeState(),
+      lineage: this.lineageRegistry.serializeState()
     };
+
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: this.clock.now(),
+      random: this.random.getState(),
+      match: this.matchSystem.serializeState(),
+      tileMap: cloneState(this.tileMap),
+      customMap: cloneState(this.customMap),
+      teamStrategies: cloneState(this.teamStrategies),
+      nexuses: Array.from(this.nexuses.values()).map(nexus => nexus.serializeState()),
+      souls: Array.from(this.souls.values()).map(soul => soul.serializeState()),
+      orbs: cloneState(Array.from(this.energyOrbs.values())),
+      systems: systems
+    };
+  }
+
+  /**
+   * Replace the current world with a snapshot from serializeState()
+   * Timestamps are rebased onto this manager's clock, so timers resume where they were
+   * @param {Object} snapshot - Snapshot object
+   */
+  loadState(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot ? snapshot.version : 'none'}`);
+    }
+
+    const timeOffset = this.clock.now() - snapshot.savedAt;
+
+    this.souls.clear();
+    this.energyOrbs.clear();
+    this.nexuses.clear();
+    this.gameEvents = [];
+
+    // Rebuild the systems around the saved tiles, then overwrite their state
+    this.tileMap = cloneState(snapshot.tileMap);
+    this.customMap = cloneState(snapshot.customMap || null);
+    this.teamStrategies = cloneState(snapshot.teamStrategies);
+    this.initializeNexuses();
+    this.initializeSystems();
+
+    snapshot.nexuses.forEach(nexusState => {
+      this.nexuses.get(nexusState.type).loadState(nexusState, timeOffset);
+    });
+
+    // Day/night first - its constructor applied fresh buffs that the saved buffs replace
+    const systems = snapshot.systems;
+    this.dayNightSystem.loadState(systems.dayNight, timeOffset);
+    this.buffManager.loadState(systems.buffs, timeOffset);
+    this.movementSystem.loadState(systems.movement, timeOffset);
+    this.spellSystem.loadState(systems.spells, timeOffset);
+    this.matingSystem.loadState(systems.mating, timeOffset);
+    this.disasterEventSystem.loadState(systems.disasters, timeOffset);
+    this.statisticsManager.loadState(systems.statistics, timeOffset);
+    this.scoringSystem.updateScores();
+
+    snapshot.souls.forEach(soulState => {
+      const soul = this.createSoul(soulState.id, soulState.type, soulState.x, soulState.y, soulState.isChild);
+      soul.loadState(soulState, timeOffset);
+      this.souls.set(soul.id, soul);
+    });
+    // After the souls, since creating them registered fresh records
+    this.lineageRegistry.loadState(systems.lineage, timeOffset);
+    snapshot.souls.forEach(soulState => {
+      if (soulState.matingPartnerId) {
+        this.souls.get(soulState.id).matingPartner = this.souls.get(soulState.matingPartnerId) || null;
+      }
+    });
+
+    cloneState(snapshot.orbs).forEach(orb => {
+      orb.respawnTime = shiftTime(orb.respawnTime, timeOffset);
+      this.energyOrbs.set(orb.id, orb);
+    });
+
+    this.matchSystem.loadState(snapshot.match, timeOffset);
+
+    // Last, because creating souls above consumed random numbers
+    this.random.setState(snapshot.random);
+
+    console.log(`[GameManager] Loaded snapshot: ${this.souls.size} souls, match ${this.matchSystem.matchNumber} (${this.matchSystem.phase})`);
+  }
+
+  initializeTileMap() {
+    if (this.customMap) {
+      this.tileMap = new MapLoader(this.context).load(this.customMap);
+      console.log(`[Map] Loaded map ${this.tileMap.layout.name || '(unnamed)'}`);
+      return;
+    }
+
+    if (this.config.MAP.FILE !== '') {
+      try {
+        this.tileMap = new MapLoader(this.context).load(readMapFile(this.config.MAP.FILE));
+        console.log(`[Map] Loaded map file ${this.config.MAP.FILE}`);
+        return;
+      } catch (error) {
+        console.error(`[Map] ${error.message}, generating a map instead`);
+      }
+    }
+
+    // A fixed MAP.SEED repeats the same map every match; otherwise each match gets a new one
+    const seed = this.config.MAP.SEED !== '' ? this.config.MAP.SEED : Math.floor(this.random.next() * 0x100000000);
+    this.tileMap = new MapGenerator(this.context).generate(this.config.MAP.LAYOUT, seed);
+    console.log(`[Map] Generated ${this.tileMap.layout.type} layout (seed ${this.tileMap.layout.seed})`);
   }
 
   initializeNexuses() {
-    // Create light nexus (bottom left)
-    const lightNexus = new Nexus('light', this.tileMap);
+    // Positions come from the tile map's layout
+    const lightNexus = new Nexus('light', this.tileMap, this.context);
     this.nexuses.set('light', lightNexus);
     
-    // Create dark nexus (top right)
-    const darkNexus = new Nexus('dark', this.tileMap);
+    const darkNexus = new Nexus('dark', this.tileMap, this.context);
     this.nexuses.set('dark', darkNexus);
   }
 
   initializeSystems() {
-    this.buffManager = new BuffManager();
-    this.dayNightSystem = new DayNightSystem(this.buffManager);
-    this.scoringSystem = new ScoringSystem(this.tileMap);
-    this.movementSystem = new MovementSystem(this.tileMap, this.scoringSystem);
-    this.spellSystem = new SpellSystem(this.tileMap, this.buffManager, this.movementSystem, this.scoringSystem);
-    this.combatSystem = new CombatSystem(this.spellSystem, this);
-    this.matingSystem = new MatingSystem(this);
-    this.statisticsManager = new StatisticsManager();
+    this.buffManager = new BuffManager(this.context);
+    this.dayNightSystem = new DayNightSystem(this.buffManager, this.context);
+    this.scoringSystem = new ScoringSystem(this.tileMap, this.context);
+    this.movementSystem = new MovementSystem(this.tileMap, this.scoringSystem, this.context);
+    this.spellSystem = new SpellSystem(this.tileMap, this.buffManager, this.movementSystem, this.scoringSystem, this.context);
+    this.combatSystem = new CombatSystem(this.spellSystem, this, this.context);
+    this.matingSystem = new MatingSystem(this, this.context);
+    this.statisticsManager = new StatisticsManager(this.context);
     this.statisticsManager.initialize(this);
-    this.disasterEventSystem = new DisasterEventSystem();
+    this.lineageRegistry = new LineageRegistry(this.context);
+    this.disasterEventSystem = new DisasterEventSystem(this.context);
+    this.terrainSystem = new TerrainSystem(this.tileMap, this.buffManager, this.movementSystem, this.context);
+    this.spectatorPowerSystem = new SpectatorPowerSystem(this, this.context);
   }
 
   spawnInitialSouls() {
     // Spawn souls for each team at their respective nexuses
-    for (let i = 0; i < GameConfig.SPAWN.SOULS_PER_TEAM; i++) {
+    for (let i = 0; i < this.config.SPAWN.SOULS_PER_TEAM; i++) {
       // Dark souls spawn at dark nexus
       const darkNexus = this.nexuses.get('dark');
       const darkPos = darkNexus.getSpawnPosition();
       const darkSoulId = `dark-soul${i + 1}`;
-        const darkSoul = new Soul(darkSoulId, 'dark-soul', darkPos.x, darkPos.y, this.tileMap, false, this.movementSystem, this.spellSystem, this.dayNightSystem);
+      const darkSoul = this.createSoul(darkSoulId, 'dark-soul', darkPos.x, darkPos.y);
       this.souls.set(darkSoulId, darkSoul);
 
       // Light souls spawn at light nexus
       const lightNexus = this.nexuses.get('light');
       const lightPos = lightNexus.getSpawnPosition();
       const lightSoulId = `light-soul${i + 1}`;
-        const lightSoul = new Soul(lightSoulId, 'light-soul', lightPos.x, lightPos.y, this.tileMap, false, this.movementSystem, this.spellSystem, this.dayNightSystem);
+      const lightSoul = this.createSoul(lightSoulId, 'light-soul', lightPos.x, lightPos.y);
       this.souls.set(lightSoulId, lightSoul);
     }
   }
 
+  /**
+   * Create a soul wired to this game's systems and simulation context, named by the lineage registry
+   * and following its team's strategy
+   * @param {Array<Soul>} [parents] - Parents of a child born from mating; founding souls have none
+   */
+  createSoul(id, type, x, y, isChild = false, parents = []) {
+    const soul = new Soul(id, type, x, y, this.tileMap, isChild, this.movementSystem, this.spellSystem, this.dayNightSystem, this.context);
+    soul.strategy = this.teamStrategies[type === 'dark-soul' ? 'dark' : 'light'];
+    this.lineageRegistry.register(soul, parents);
+    return soul;
+  }
+
   spawnInitialOrbs() {
     // Spawn energy orbs for each team
-    for (let i = 0; i < GameConfig.ORB.ORBS_PER_TEAM; i++) {
+    for (let i = 0; i < this.config.ORB.ORBS_PER_TEAM; i++) {
       // Light soul orbs (green territory)
       const lightOrbId = `light-orb-${i}`;
       this.energyOrbs.set(lightOrbId, this.createEnergyOrb(lightOrbId, 'green'));
@@ -146,117 +296,75 @@ class GameManager {
       id: id,
       x: position.x,
       y: position.y,
-      energy: GameConfig.ORB.ENERGY_VALUE,
+      energy: this.config.ORB.ENERGY_VALUE,
       respawnTime: 0, // 0 = available
       teamType: teamType,
       color: teamType === 'green' ? 'yellow' : 'red'
     };
   }
 
-  findSpawnPosition(teamType) {
-    if (!this.tileMap) return { x: GameConfig.WORLD.WIDTH / 2, y: GameConfig.WORLD.HEIGHT / 2 };
-    
-    const validTiles = [];
-    const bufferZone = GameConfig.SPAWN.SAFE_DISTANCE_FROM_BORDER;
-    
-    // Find all tiles belonging to the team that are away from borders
-    for (let y = 0; y < this.tileMap.height; y++) {
-      for (let x = 0; x < this.tileMap.width; x++) {
-        const tile = this.tileMap.tiles[y][x];
-        if (tile.type === teamType) {
-          // Check if this tile is far enough from enemy territory
-          let farFromBorder = true;
-          
-          if (teamType === 'green') {
-            // Green tiles: stay away from right side
-            if (x >= (this.tileMap.width / 2) - bufferZone) {
-              farFromBorder = false;
-            }
-          } else { // gray tiles
-            // Gray tiles: stay away from left side
-            if (x <= (this.tileMap.width / 2) + bufferZone) {
-              farFromBorder = false;
-            }
-          }
-          
-          if (farFromBorder) {
-            validTiles.push(tile);
-          }
-        }
-      }
-    }
-    
-    if (validTiles.length === 0) {
-      return { x: GameConfig.WORLD.WIDTH / 2, y: GameConfig.WORLD.HEIGHT / 2 };
-    }
-    
-    // Pick a random tile from valid safe tiles
-    const randomTile = validTiles[Math.floor(Math.random() * validTiles.length)];
-    
-    // Return center of the tile
-    return {
-      x: randomTile.worldX + this.tileMap.tileWidth / 2,
-      y: randomTile.worldY + this.tileMap.tileHeight / 2
-    };
-  }
-
   findOrbSpawnPosition(teamType) {
-    if (!this.tileMap) return { x: GameConfig.WORLD.WIDTH / 2, y: GameConfig.WORLD.HEIGHT / 2 };
+    if (!this.tileMap) return { x: this.config.WORLD.WIDTH / 2, y: this.config.WORLD.HEIGHT / 2 };
     
-    const validTiles = [];
-    const buffer = GameConfig.SPAWN.SAFE_DISTANCE_FROM_BORDER;
+    const buffer = this.config.SPAWN.SAFE_DISTANCE_FROM_BORDER;
     const opponentType = teamType === 'green' ? 'gray' : 'green';
     
-    // Get all team tiles, then filter out unsafe ones
-    for (let y = 0; y < this.tileMap.height; y++) {
-      for (let x = 0; x < this.tileMap.width; x++) {
-        const tile = this.tileMap.tiles[y][x];
-        
-        if (tile.type === teamType) {
-          let isSafe = true;
-          
-          // Check if tile is far enough from map edges
-          if (x < buffer || x >= this.tileMap.width - buffer || 
-              y < buffer || y >= this.tileMap.height - buffer) {
-            isSafe = false;
-          }
-          
-          // Check if tile is far enough from any enemy tile
-          if (isSafe) {
-            for (let checkY = Math.max(0, y - buffer); checkY <= Math.min(this.tileMap.height - 1, y + buffer) && isSafe; checkY++) {
-              for (let checkX = Math.max(0, x - buffer); checkX <= Math.min(this.tileMap.width - 1, x + buffer) && isSafe; checkX++) {
-                const checkTile = this.tileMap.tiles[checkY][checkX];
-                if (checkTile.type === opponentType) {
-                  isSafe = false;
-                }
-              }
-            }
-          }
-          
-          if (isSafe) {
-            validTiles.push(tile);
+    // Orbs spawn in the layout's zone for the team, on tiles the team still owns
+    const zoneTiles = this.tileMap.layout.orbZones[teamType]
+      .map(({ x, y }) => this.tileMap.tiles[y][x])
+      .filter(tile => tile.type === teamType);
+    
+    // Avoid tiles near enemy territory unless the whole zone is
+    const safeTiles = zoneTiles.filter(tile => {
+      for (let checkY = Math.max(0, tile.y - buffer); checkY <= Math.min(this.tileMap.height - 1, tile.y + buffer); checkY++) {
+        for (let checkX = Math.max(0, tile.x - buffer); checkX <= Math.min(this.tileMap.width - 1, tile.x + buffer); checkX++) {
+          if (this.tileMap.tiles[checkY][checkX].type === opponentType) {
+            return false;
           }
         }
       }
-    }
+      return true;
+    });
+    const validTiles = safeTiles.length > 0 ? safeTiles : zoneTiles;
     
     if (validTiles.length === 0) {
-      return { x: GameConfig.WORLD.WIDTH / 2, y: GameConfig.WORLD.HEIGHT / 2 };
+      return { x: this.config.WORLD.WIDTH / 2, y: this.config.WORLD.HEIGHT / 2 };
     }
     
     // Pick a random tile from valid safe tiles
-    const randomTile = validTiles[Math.floor(Math.random() * validTiles.length)];
+    const randomTile = validTiles[Math.floor(this.random.next() * validTiles.length)];
     
     // Return center of the tile with minimal random offset
     return {
-      x: randomTile.worldX + this.tileMap.tileWidth / 2 + (Math.random() - 0.5) * GameConfig.ORB.SPAWN_OFFSET_X,
-      y: randomTile.worldY + this.tileMap.tileHeight / 2 + (Math.random() - 0.5) * GameConfig.ORB.SPAWN_OFFSET_Y
+      x: randomTile.worldX + this.tileMap.tileWidth / 2 + (this.random.next() - 0.5) * this.config.ORB.SPAWN_OFFSET_X,
+      y: randomTile.worldY + this.tileMap.tileHeight / 2 + (this.random.next() - 0.5) * this.config.ORB.SPAWN_OFFSET_Y
     };
   }
 
-  update() {
+  /**
+   * Advance the simulation by one fixed step
+   * @param {number} [deltaTime] - Simulated ms the step covers; the clock must already be advanced by it
+   */
+  update(deltaTime = this.config.GAME_LOOP.FRAME_TIME) {
     this.gameEvents = [];
 
+    // Advance the match lifecycle - the world is only simulated while playing
+    const matchEvents = this.matchSystem.update();
+    this.gameEvents.push(...matchEvents);
+
+    if (this.matchSystem.isResetDue()) {
+      this.resetWorld();
+    }
+
+    if (!this.matchSystem.isPlaying()) {
+      const eventsToReturn = [...this.gameEvents];
+      this.gameEvents = [];
+      return eventsToReturn;
+    }
+
+    // Orbs only move or disappear at the end of a tick and between ticks
+    this.context.spatialIndex.orbs.rebuild(this.energyOrbs.values());
+
     // Update buff manager FIRST (manages all buff state)
     const buffEvents = this.buffManager.update();
     this.gameEvents.push(...buffEvents);
@@ -269,11 +377,22 @@ class GameManager {
     const disasterEvents = this.disasterEventSystem.update();
     this.gameEvents.push(...disasterEvents);
 
+    // Meteorite impacts leave craters; shrines buff whoever holds them
+    const terrainEvents = this.terrainSystem.update(disasterEvents);
+    this.gameEvents.push(...terrainEvents);
+
     // Update nexuses (health regeneration, etc.)
     this.nexuses.forEach(nexus => {
       nexus.update();
     });
 
+    // Souls read each other through the index while deciding and moving, newborns and the dead included
+    this.context.spatialIndex.souls.rebuild(this.souls.values());
+    // Removed souls leave their defence behind
+    this.context.engagedSouls.forEach(soul => {
+      if (this.souls.get(soul.id) !== soul) this.context.engagedSouls.delete(soul);
+    });
+
     // Update all souls (pass disaster info)
     const activeDisaster = this.disasterEventSystem.getActiveDisaster();
     this.souls.forEach(soul => {
@@ -295,7 +414,7 @@ class GameManager {
     // Update movement system (with team-specific buff modifiers)
     this.souls.forEach(soul => {
       const movementMultiplier = this.buffManager.getMovementMultiplier(soul.type);
-      this.movementSystem.updateSoul(soul, this.souls, this.energyOrbs, movementMultiplier);
+      this.movementSystem.updateSoul(soul, this.souls, this.energyOrbs, movementMultiplier, deltaTime);
     });
 
     // Update spell system FIRST (but don't complete spells yet)
@@ -306,6 +425,16 @@ class GameManager {
     const attackEvents = this.combatSystem.update(this.souls);
     this.gameEvents.push(...attackEvents);
 
+    // A destroyed nexus ends the match
+    attackEvents
+      .filter(event => event.type === 'nexus_destroyed')
+      .forEach(event => {
+        this.gameEvents.push(...this.matchSystem.handleNexusDestroyed(event));
+      });
+
+    // Re-index souls at their moved positions; collisions keep it current for mating and orb pickup
+    this.context.spatialIndex.souls.rebuild(this.souls.values());
+
     // Handle collision detection
     this.movementSystem.handleCollisions(this.souls);
 
@@ -337,22 +466,33 @@ class GameManager {
   }
 
   processOrbCollection() {
+    const orbIndex = this.context.spatialIndex.orbs;
+
     this.souls.forEach(soul => {
       if (!soul.shouldSeekEnergy()) return;
 
-      this.energyOrbs.forEach(orb => {
-        if (orb.respawnTime <= Date.now()) {
+      orbIndex.queryRadius(soul.x, soul.y, this.config.ORB.COLLECTION_RADIUS).forEach(orb => {
+        // A favor orb collected earlier this tick is gone from the map but still indexed
+        if (!this.energyOrbs.has(orb.id)) return;
+
+        if (orb.respawnTime <= this.clock.now()) {
           const distance = soul.getDistanceTo(orb);
           
-          if (distance < GameConfig.ORB.COLLECTION_RADIUS && orb.teamType === soul.getTeamType()) {
+          if (distance < this.config.ORB.COLLECTION_RADIUS && orb.teamType === soul.getTeamType()) {
             // Soul collects energy (with day/night multiplier)
             const energyValue = orb.energy * this.dayNightSystem.getEnergyMultiplier();
             soul.addEnergy(energyValue);
+            soul.recordStat('orbsEaten');
             
-            // Set orb to respawn
-            orb.respawnTime = Date.now() + 
-              GameConfig.ORB.RESPAWN_TIME_MIN + 
-              Math.random() * (GameConfig.ORB.RESPAWN_TIME_MAX - GameConfig.ORB.RESPAWN_TIME_MIN);
+            if (orb.isFavorOrb) {
+              // Spectator orbs are one-off and never respawn
+              this.energyOrbs.delete(orb.id);
+            } else {
+              // Set orb to respawn
+              orb.respawnTime = this.clock.now() + 
+                this.config.ORB.RESPAWN_TIME_MIN + 
+                this.random.next() * (this.config.ORB.RESPAWN_TIME_MAX - this.config.ORB.RESPAWN_TIME_MIN);
+            }
             
             // Broadcast orb collection
             this.gameEvents.push({
@@ -371,7 +511,7 @@ class GameManager {
 
   processOrbRespawning() {
     this.energyOrbs.forEach(orb => {
-      if (orb.respawnTime > 0 && orb.respawnTime <= Date.now()) {
+      if (orb.respawnTime > 0 && orb.respawnTime <= this.clock.now()) {
         // Respawn orb at new location in same team territory
         const newPosition = this.findOrbSpawnPosition(orb.teamType);
         orb.x = newPosition.x;
@@ -427,7 +567,7 @@ class GameManager {
       }
       
       // Also check nearby tiles for enemy presence (buffer zone)
-      const buffer = GameConfig.SPAWN.SAFE_DISTANCE_FROM_BORDER;
+      const buffer = this.config.SPAWN.SAFE_DISTANCE_FROM_BORDER;
       let isInDangerZone = false;
       
       for (let checkY = Math.max(0, orbTileY - buffer); checkY <= Math.min(this.tileMap.height - 1, orbTileY + buffer) && !isInDangerZone; checkY++) {
@@ -460,24 +600,35 @@ class GameManager {
       if (soul.isDead && !soul.deathStarted) {
         // Mark death as started to prevent multiple death events
         soul.deathStarted = true;
-        soul.deathStartTime = Date.now();
+        soul.deathStartTime = this.clock.now();
         
         // Remove any active spells by this soul
         if (this.spellSystem) {
           this.spellSystem.handleSoulDeath(soul, this.souls);
         }
         
+        this.lineageRegistry.recordDeath(soul);
+        
+        // The soul that landed the fatal hit gets the kill
+        const killer = soul.causeOfDeath === 'combat' ? this.souls.get(soul.lastAttackerId) : null;
+        if (killer) {
+          killer.recordStat('kills');
+        }
+        this.statisticsManager.recordFallenSoul(soul);
+        
         // Broadcast death animation start event (only if not already sent by SpellSystem)
         this.gameEvents.push({
           type: 'character_death',
           characterId: soulId,
+          cause: soul.causeOfDeath,
+          killerId: killer ? killer.id : null,
           characterData: soul.toClientData()
         });
       }
       
       // Remove soul after death animation completes (2 seconds)
       if (soul.isDead && soul.deathStarted && 
-          Date.now() - soul.deathStartTime > 2000) {
+          this.clock.now() - soul.deathStartTime > 2000) {
         
         // Remove the soul
         this.souls.delete(soulId);
@@ -500,11 +651,11 @@ class GameManager {
     const currentLightSouls = Array.from(this.souls.values()).filter(s => s.type === 'light-soul' && s.isAdult()).length;
     
     // Emergency respawn if a team is extinct (no adult souls)
-    if (currentDarkSouls < GameConfig.SPAWN.MIN_SOULS_PER_TEAM && this.souls.size > 0) {
-      const id = `dark-soul-emergency-${Date.now()}`;
+    if (currentDarkSouls < this.config.SPAWN.MIN_SOULS_PER_TEAM && this.souls.size > 0) {
+      const id = `dark-soul-emergency-${this.clock.now()}`;
       const darkNexus = this.nexuses.get('dark');
       const spawnPos = darkNexus.getSpawnPosition();
-        const newSoul = new Soul(id, 'dark-soul', spawnPos.x, spawnPos.y, this.tileMap, false, this.movementSystem, this.spellSystem);
+      const newSoul = this.createSoul(id, 'dark-soul', spawnPos.x, spawnPos.y);
       this.souls.set(id, newSoul);
       
       this.gameEvents.push({
@@ -519,11 +670,11 @@ class GameManager {
       });
     }
     
-    if (currentLightSouls < GameConfig.SPAWN.MIN_SOULS_PER_TEAM && this.souls.size > 0) {
-      const id = `light-soul-emergency-${Date.now()}`;
+    if (currentLightSouls < this.config.SPAWN.MIN_SOULS_PER_TEAM && this.souls.size > 0) {
+      const id = `light-soul-emergency-${this.clock.now()}`;
       const lightNexus = this.nexuses.get('light');
       const spawnPos = lightNexus.getSpawnPosition();
-        const newSoul = new Soul(id, 'light-soul', spawnPos.x, spawnPos.y, this.tileMap, false, this.movementSystem, this.spellSystem);
+      const newSoul = this.createSoul(id, 'light-soul', spawnPos.x, spawnPos.y);
       this.souls.set(id, newSoul);
       
       this.gameEvents.push({
@@ -568,13 +719,169 @@ class GameManager {
   }
 
   // Public methods for server
+  /**
+   * Apply a spectator power (favor and rate limits are checked by the room)
+   * @returns {{events: Array}|{error: string}}
+   */
+  useSpectatorPower(power, options = {}) {
+    return this.spectatorPowerSystem.usePower(power, options);
+  }
+
+  // Admin tools (see admin/AdminConsole.js) - each returns the events to broadcast and throws on bad input
+
+  /**
+   * Spawn an adult soul at a position, or at its team's nexus
+   * @param {string} team - 'light' or 'dark'
+   */
+  spawnSoul(team, x, y) {
+    const nexus = this.nexuses.get(team);
+    if (!nexus) throw new Error(`Unknown team: ${team}`);
+
+    let position;
+    if (x === undefined && y === undefined) {
+      position = nexus.getSpawnPosition();
+    } else {
+      if (!Number.isFinite(x) || !Number.isFinite(y) ||
+          x < 0 || y < 0 || x > this.config.WORLD.WIDTH || y > this.config.WORLD.HEIGHT) {
+        throw new Error(`Position must be inside the ${this.config.WORLD.WIDTH}x${this.config.WORLD.HEIGHT} world`);
+      }
+      position = { x, y };
+    }
+
+    const id = `${team}-soul-admin-${this.clock.now()}-${this.adminSpawnCounter++}`;
+    const soul = this.createSoul(id, `${team}-soul`, position.x, position.y);
+    this.souls.set(id, soul);
+
+    return [{ type: 'character_spawn', character: soul.toClientData() }];
+  }
+
+  /**
+   * Kill a soul; the usual death animation and removal happen on the next match tick
+   */
+  killSoul(soulId) {
+    const soul = this.souls.get(soulId);
+    if (!soul) throw new Error(`Unknown soul: ${soulId}`);
+    if (soul.isDead) throw new Error(`Soul ${soulId} is already dead`);
+
+    soul.die('admin');
+    return [];
+  }
+
+  /**
+   * Set a nexus' health; 0 destroys it and ends the match like a final attack would
+   * @param {string} team - 'light' or 'dark'
+   */
+  setNexusHealth(team, health) {
+    const nexus = this.nexuses.get(team);
+    if (!nexus) throw new Error(`Unknown team: ${team}`);
+    if (nexus.isDestroyed) throw new Error(`The ${team} nexus is already destroyed`);
+    if (!Number.isFinite(health) || health < 0 || health > nexus.maxHealth) {
+      throw new Error(`Health must be between 0 and ${nexus.maxHealth}`);
+    }
+    if (health === 0 && !this.matchSystem.isPlaying()) {
+      throw new Error('A nexus can only be destroyed while the match is playing');
+    }
+
+    nexus.currentHealth = health;
+    const events = [];
+    if (health === 0) {
+      nexus.destroy();
+      const destroyedEvent = {
+        type: 'nexus_destroyed',
+        nexusId: nexus.id,
+        nexusType: team,
+        destroyedBy: 'admin',
+        destroyedByTeam: null
+      };
+      events.push({ type: 'nexus_update', nexus: nexus.serialize() }, destroyedEvent);
+      events.push(...this.matchSystem.handleNexusDestroyed(destroyedEvent));
+    } else {
+      events.push({ type: 'nexus_update', nexus: nexus.serialize() });
+    }
+    return events;
+  }
+
+  /**
+   * Switch a team to another strategy profile; its living souls change behaviour from the next tick
+   * @param {string} team - 'light' or 'dark'
+   * @param {string} strategy - Profile name, e.g. 'aggressive'
+   */
+  setTeamStrategy(team, strategy) {
+    if (!this.nexuses.has(team)) throw new Error(`Unknown team: ${team}`);
+    getStrategyProfile(this.config, strategy);
+
+    const name = strategy.toLowerCase();
+    this.teamStrategies[team] = name;
+    const soulType = `${team}-soul`;
+    this.souls.forEach(soul => {
+      if (soul.type === soulType) {
+        soul.strategy = name;
+      }
+    });
+
+    return [{ type: 'team_strategy', team: team, strategy: describeStrategy(this.config, name) }];
+  }
+
+  /**
+   * Start a disaster now, ignoring its trigger chance and cooldown
+   */
+  forceDisaster(disasterType) {
+    if (this.disasterEventSystem.isDisasterActive()) {
+      throw new Error('A disaster is already in progress');
+    }
+    const events = this.disasterEventSystem.triggerDisaster(disasterType);
+    if (!events) throw new Error(`Unknown or disabled disaster: ${disasterType}`);
+    return [...events];
+  }
+
+  /**
+   * Jump the day/night cycle to the start of a phase
+   */
+  setDayNightPhase(phase) {
+    this.buffManager.clearEvents();
+    const events = this.dayNightSystem.setPhase(phase);
+    return [...events, ...this.buffManager.getBuffEvents()];
+  }
+
+  /**
+   * Throw away the current match and start the countdown of a fresh one
+   */
+  resetMatch() {
+    this.gameEvents = [];
+    this.resetWorld();
+    const events = [...this.gameEvents];
+    this.gameEvents = [];
+    return events;
+  }
+
+  /**
+   * Replace the map with a hand-authored one and restart the match on it
+   * The map stays in use for later matches until clearMap()
+   * @param {Object} definition - Map definition (see systems/MapLoader.js)
+   */
+  loadMap(definition) {
+    // Validate before touching the running match
+    new MapLoader(this.context).load(definition);
+    this.customMap = cloneState(definition);
+    return this.resetMatch();
+  }
+
+  /**
+   * Go back to MAP.FILE or generated maps and restart the match
+   */
+  clearMap() {
+    if (!this.customMap) throw new Error('No map is loaded');
+    this.customMap = null;
+    return this.resetMatch();
+  }
+
   getSouls() {
     return Array.from(this.souls.values()).map(soul => soul.toClientData());
   }
 
   getEnergyOrbs() {
     return Array.from(this.energyOrbs.values())
-      .filter(orb => orb.respawnTime <= Date.now())
+      .filter(orb => orb.respawnTime <= this.clock.now())
       .map(orb => ({
         id: orb.id,
         x: orb.x,
@@ -619,6 +926,30 @@ class GameManager {
     return this.statisticsManager.getClientStats();
   }
 
+  /**
+   * @returns {{light: {id: string, name: string}, dark: {id: string, name: string}}} Each team's strategy profile
+   */
+  getTeamStrategies() {
+    return {
+      light: describeStrategy(this.config, this.teamStrategies.light),
+      dark: describeStrategy(this.config, this.teamStrategies.dark)
+    };
+  }
+
+  /**
+   * @returns {Array<Object>} Highest-ranked souls of the match, living and fallen
+   */
+  getHallOfFame() {
+    return this.statisticsManager.getHallOfFame(this.souls.values());
+  }
+
+  /**
+   * @returns {Object|null} The soul's family (see LineageRegistry.getLineage), null for an unknown soul
+   */
+  getLineage(soulId) {
+    return this.lineageRegistry.getLineage(soulId);
+  }
+
   getBuffs() {
     return this.buffManager.getAllBuffs();
   }
@@ -627,8 +958,8 @@ class GameManager {
     return this.disasterEventSystem.getActiveDisaster();
   }
 
-  getPermanentCraters() {
-    return this.disasterEventSystem.getPermanentCraters();
+  getMatchState() {
+    return this.matchSystem.getState();
   }
 }
 
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const GameConfig = require('../config/gameConfig');
+const { applyConfigOverrides } = require('../config/configOverrides');
+const { getLiveChanges, listKeyPaths } = require('../config/ConfigLoader');
+const { readMapFile } = require('../systems/MapLoader');
+
+/**
+ * Admin Console
+ * Authenticated admin role on the WebSocket: a client sends admin_auth with the token
+ * (ADMIN_TOKEN or ADMIN.TOKEN in the config file) and may then run admin commands
+ * against its own room, or the room named in the command's roomId
+ */
+class AdminConsole {
+  /**
+   * @param {RoomManager} roomManager
+   */
+  constructor(roomManager) {
+    this.roomManager = roomManager;
+
+    // command -> handler(room, message) returning a result message; handlers throw on bad input
+    this.commands = {
+      pause: (room) => {
+        room.pause();
+        return 'Simulation paused';
+      },
+      resume: (room) => {
+        room.resume();
+        return 'Simulation resumed';
+      },
+      step: (room, message) => {
+        const ticks = message.ticks === undefined ? 1 : message.ticks;
+        if (!Number.isInteger(ticks) || ticks < 1 || ticks > GameConfig.ADMIN.MAX_STEP_TICKS) {
+          throw new Error(`Ticks must be a whole number from 1 to ${GameConfig.ADMIN.MAX_STEP_TICKS}`);
+        }
+        room.step(ticks);
+        return `Stepped ${ticks} tick${ticks === 1 ? '' : 's'} (now at tick ${room.tick})`;
+      },
+      set_speed: (room, message) => {
+        const { MIN_SPEED, MAX_SPEED } = GameConfig.ADMIN;
+        if (!Number.isFinite(message.speed) || message.speed < MIN_SPEED || message.speed > MAX_SPEED) {
+          throw new Error(`Speed must be between ${MIN_SPEED} and ${MAX_SPEED}`);
+        }
+        room.setSpeed(message.speed);
+        return `Simulation speed set to ${message.speed}x`;
+      },
+      spawn_soul: (room, message) => {
+        const events = room.gameManager.spawnSoul(message.team, message.x, message.y);
+        room.broadcastEvents(events);
+        return `Spawned ${events[0].character.id}`;
+      },
+      kill_soul: (room, message) => {
+        room.broadcastEvents(room.gameManager.killSoul(message.soulId));
+        return `Killed ${message.soulId}`;
+      },
+      set_nexus_health: (room, message) => {
+        room.broadcastEvents(room.gameManager.setNexusHealth(message.team, message.health));
+        return `Set ${message.team} nexus health to ${message.health}`;
+      },
+      trigger_disaster: (room, message) => {
+        room.broadcastEvents(room.gameManager.forceDisaster(message.disasterType));
+        return `Triggered ${message.disasterType}`;
+      },
+      set_day_night_phase: (room, message) => {
+        room.broadcastEvents(room.gameManager.setDayNightPhase(message.phase));
+        return `Day/night cycle moved to ${message.phase}`;
+      },
+      // { team, strategy } - a profile name from STRATEGIES.PROFILES, e.g. 'turtle'
+      set_team_strategy: (room, message) => {
+        const events = room.gameManager.setTeamStrategy(message.team, message.strategy);
+        room.broadcastEvents(events);
+        return `The ${message.team} team now plays ${events[0].strategy.name}`;
+      },
+      reset_match: (room) => {
+        room.broadcastEvents(room.gameManager.resetMatch());
+        return 'Match reset';
+      },
+      // { name } of a file in maps/, or { map } with the definition inline
+      load_map: (room, message) => {
+        const definition = message.map !== undefined ? message.map : readMapFile(message.name);
+        room.broadcastEvents(room.gameManager.loadMap(definition));
+        return `Loaded map ${definition.name || message.name || '(unnamed)'}, match reset`;
+      },
+      clear_map: (room) => {
+        room.broadcastEvents(room.gameManager.clearMap());
+        return 'Map cleared, match reset';
+      }
+    };
+  }
+
+  /**
+   * Token from the environment, falling back to the config file
+   */
+  getToken() {
+    return process.env.ADMIN_TOKEN || GameConfig.ADMIN.TOKEN || null;
+  }
+
+  isValidToken(token) {
+    const adminToken = this.getToken();
+    if (!adminToken || typeof token !== 'string') return false;
+
+    const expected = Buffer.from(adminToken);
+    const actual = Buffer.from(token);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Handle an admin message
+   * @returns {boolean} Whether the message was an admin message
+   */
+  handleMessage(ws, message) {
+    switch (message.type) {
+      case 'admin_auth':
+        this.authenticate(ws, message.token);
+        return true;
+      case 'admin_command':
+        this.handleCommand(ws, message);
+        return true;
+      case 'config_update':
+        this.handleConfigUpdate(ws, message);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  authenticate(ws, token) {
+    if (!this.getToken()) {
+      ws.send(JSON.stringify({ type: 'admin_auth_result', success: false, message: 'Admin access is disabled (no admin token configured)' }));
+      return;
+    }
+
+    if (this.isValidToken(token)) {
+      ws.isAdmin = true;
+      ws.send(JSON.stringify({ type: 'admin_auth_result', success: true, commands: Object.keys(this.commands) }));
+      console.log('[Admin] Client authenticated');
+      return;
+    }
+
+    ws.send(JSON.stringify({ type: 'admin_auth_result', success: false, message: 'Invalid admin token' }));
+    this.recordAuthFailure(ws);
+  }
+
+  /**
+   * Wrong tokens are limited per connection so they can't be guessed
+   */
+  recordAuthFailure(ws) {
+    ws.adminAuthFailures = (ws.adminAuthFailures || 0) + 1;
+    console.warn(`[Admin] Failed authentication attempt (${ws.adminAuthFailures})`);
+
+    if (ws.adminAuthFailures >= GameConfig.ADMIN.MAX_AUTH_FAILURES) {
+      ws.close(1008, 'Too many failed admin authentication attempts');
+    }
+  }
+
+  /**
+   * Room a command applies to: message.roomId, or the sender's room
+   */
+  resolveRoom(ws, message) {
+    if (message.roomId === undefined) {
+      if (!ws.room) throw new Error('Not in a room');
+      return ws.room;
+    }
+
+    const room = this.roomManager.getRoom(String(message.roomId));
+    if (!room) throw new Error(`Unknown room: ${message.roomId}`);
+    return room;
+  }
+
+  /**
+   * { command, roomId?, ...arguments } -> admin_result or admin_error
+   */
+  handleCommand(ws, message) {
+    try {
+      if (!ws.isAdmin) throw new Error('Not authenticated as admin');
+      if (!Object.prototype.hasOwnProperty.call(this.commands, message.command)) {
+        throw new Error(`Unknown admin command: ${message.command}`);
+      }
+
+      const room = this.resolveRoom(ws, message);
+      const result = this.commands[message.command](room, message);
+
+      ws.send(JSON.stringify({ type: 'admin_result', command: message.command, roomId: room.id, message: result }));
+      console.log(`[Admin] ${message.command} in room ${room.id}: ${result}`);
+    } catch (error) {
+      ws.send(JSON.stringify({ type: 'admin_error', command: message.command, message: error.message }));
+    }
+  }
+
+  /**
+   * Live config change: { changes, roomId? } from an admin, or with the token inline
+   * Without roomId the changes apply to every room, like an edit of the config file
+   */
+  handleConfigUpdate(ws, message) {
+    try {
+      if (!this.getToken()) {
+        throw new Error('Live config updates are disabled (no admin token configured)');
+      }
+      if (!ws.isAdmin && !this.isValidToken(message.token)) {
+        this.recordAuthFailure(ws);
+        throw new Error('Invalid admin token');
+      }
+
+      const room = message.roomId !== undefined ? this.resolveRoom(ws, message) : null;
+      const changes = getLiveChanges(room ? room.config : GameConfig, message.changes);
+      if (room) {
+        applyConfigOverrides(room.config, changes);
+      } else {
+        this.roomManager.applyConfigChanges(changes);
+      }
+
+      const changed = listKeyPaths(changes);
+      ws.send(JSON.stringify({ type: 'config_updated', roomId: room ? room.id : null, changed: changed }));
+      console.log(`[Config] Admin update${room ? ` for room ${room.id}` : ''}: ${changed.join(', ') || 'no changes'}`);
+    } catch (error) {
+      ws.send(JSON.stringify({ type: 'config_error', message: error.message }));
+    }
+  }
+}
+
+module.exports = AdminConsole;
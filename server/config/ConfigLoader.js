@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { applyConfigOverrides, createConfig } = require('./configOverrides');
+const { loadBehaviour } = require('../entities/Behaviour');
+const { validateStrategies } = require('../entities/Strategy');
+
+// Key paths (and everything below them) that are only read when a room, its world or a timer
+// is created. They can be set in the config file at startup but not changed while running.
+const RESTART_REQUIRED_KEYS = [
+  'SOUL_TYPES',                 // Identifiers shared with the client
+  'TILE_TYPES',
+  'TILE_COLLECTIONS',
+  'TEAM_TYPES',
+  'WORLD',                      // World and tile map size
+  'TILEMAP',
+  'GAME_LOOP.FPS',              // Tick interval of running rooms
+  'GAME_LOOP.FRAME_TIME',
+  'ROOMS.DEFAULT_ROOM',
+  'ROOMS.GC_INTERVAL',
+  'PERSISTENCE.AUTOSAVE_INTERVAL',
+  'BEHAVIOUR',                  // Living souls keep the definition they were created with
+  'STRATEGIES.TEAMS',           // Teams are assigned their profile when the world is created
+  'SPATIAL_HASH.CELL_SIZE',     // Proximity indexes are built with it
+  'NEXUS.SIZE_TILES',           // Nexus layout and scoring borders are fixed per world
+  'NEXUS.BORDER_WIDTH_TILES'
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read a partial config from a .json, .yaml or .yml file
+ * @param {string} filePath
+ * @returns {Object} Overrides with the shape of GameConfig (empty for an empty file)
+ */
+function parseConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  let overrides;
+  if (extension === '.json') {
+    overrides = text.trim() ? JSON.parse(text) : {};
+  } else if (extension === '.yaml' || extension === '.yml') {
+    overrides = YAML.parse(text) || {};
+  } else {
+    throw new Error(`Unsupported config file type: ${extension || filePath} (use .json, .yaml or .yml)`);
+  }
+
+  if (!isPlainObject(overrides)) {
+    throw new Error(`Config file ${filePath} must contain an object`);
+  }
+  return overrides;
+}
+
+/**
+ * Leaf values that differ between two configs of the same shape, as a nested overrides object
+ * (arrays are compared as a whole)
+ */
+function diffConfig(before, after) {
+  const changes = {};
+  Object.keys(after).forEach(key => {
+    if (isPlainObject(after[key]) && isPlainObject(before[key])) {
+      const nested = diffConfig(before[key], after[key]);
+      if (Object.keys(nested).length > 0) {
+        changes[key] = nested;
+      }
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = after[key];
+    }
+  });
+  return changes;
+}
+
+/**
+ * Dotted paths of every leaf in an overrides object
+ */
+function listKeyPaths(overrides, prefix = '') {
+  return Object.keys(overrides).flatMap(key => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    return isPlainObject(overrides[key]) ? listKeyPaths(overrides[key], keyPath) : [keyPath];
+  });
+}
+
+function requiresRestart(keyPath) {
+  return RESTART_REQUIRED_KEYS.some(key => keyPath === key || keyPath.startsWith(`${key}.`));
+}
+
+function assertLiveChangeable(changes) {
+  const restartKeys = listKeyPaths(changes).filter(requiresRestart);
+  if (restartKeys.length > 0) {
+    throw new Error(`Cannot change ${restartKeys.join(', ')} while the server is running (restart required)`);
+  }
+}
+
+/**
+ * Throw for strategy profiles a room couldn't be created with: unknown priorities or team profiles
+ */
+function assertValidStrategies(config) {
+  validateStrategies(config, loadBehaviour(config.BEHAVIOUR.FILE, config).steps);
+}
+
+/**
+ * Validate overrides against a running config and keep only the values that actually change
+ * Throws for unknown keys, wrong types, misshapen arrays, invalid strategies and changes that
+ * need a restart; nothing is applied
+ * @param {Object} config - Config currently in use
+ * @param {Object} overrides - Requested values
+ * @returns {Object} Changed values only (empty if nothing changes)
+ */
+function getLiveChanges(config, overrides) {
+  const updated = createConfig(config, overrides);
+  const changes = diffConfig(config, updated);
+  assertLiveChangeable(changes);
+  assertValidStrategies(updated);
+  return changes;
+}
+
+/**
+ * Config Loader
+ * Loads GameConfig overrides from a JSON or YAML file at startup and watches it for edits
+ * Defaults come from the GameConfig object itself; the file only lists what it changes
+ */
+class ConfigLoader {
+  /**
+   * @param {string} filePath - .json, .yaml or .yml file
+   * @param {Object} config - Config to load into (the global GameConfig)
+   */
+  constructor(filePath, config) {
+    this.filePath = filePath;
+    this.config = config;
+    this.defaults = createConfig(config);
+    this.fileConfig = null; // Defaults plus the last file contents that were applied
+    this.watching = false;
+  }
+
+  /**
+   * Apply the file at startup - every key may be set here, including restart-only ones
+   */
+  load() {
+    this.fileConfig = createConfig(this.defaults, parseConfigFile(this.filePath));
+    assertValidStrategies(this.fileConfig);
+    applyConfigOverrides(this.config, diffConfig(this.config, this.fileConfig));
+  }
+
+  /**
+   * Re-read the file and work out what changed since the last successful load
+   * A key removed from the file goes back to its default
+   * @returns {Object} Changed values (empty if nothing changes)
+   */
+  reload() {
+    const fileConfig = createConfig(this.defaults, parseConfigFile(this.filePath));
+    const changes = diffConfig(this.fileConfig, fileConfig);
+    assertLiveChangeable(changes);
+    assertValidStrategies(fileConfig);
+
+    this.fileConfig = fileConfig;
+    return changes;
+  }
+
+  /**
+   * Reload whenever the file is saved; rejected edits are logged and leave the config untouched
+   * @param {Function} onChange - Called with the changed values after each accepted edit
+   * @param {number} [interval] - Poll interval in ms (polling survives editors that replace the file)
+   */
+  watch(onChange, interval = 1000) {
+    if (this.watching) return;
+    this.watching = true;
+
+    fs.watchFile(this.filePath, { interval }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+
+      try {
+        const changes = this.reload();
+        if (Object.keys(changes).length === 0) return;
+
+        onChange(changes);
+        console.log(`[Config] Reloaded ${this.filePath}: ${listKeyPaths(changes).join(', ')}`);
+      } catch (error) {
+        console.error(`[Config] Ignored edit to ${this.filePath}: ${error.message}`);
+      }
+    });
+  }
+
+  stop() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
+  }
+}
+
+module.exports = { ConfigLoader, parseConfigFile, getLiveChanges, diffConfig, listKeyPaths };
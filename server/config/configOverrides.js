@@ -0,0 +1,97 @@
+/**
+ * Config override helpers
+ * Deep-merge partial config objects (e.g. loaded from JSON) into a GameConfig-shaped object
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Check a new array against the current one, since code indexes into arrays such as VETERANS.RANKS
+ * A non-empty array stays non-empty and each element needs the type (and, for objects, the keys)
+ * of the current first element
+ */
+function assertArrayShape(current, value, path) {
+  if (current.length === 0) return;
+  if (value.length === 0) {
+    throw new Error(`Config key ${path} must not be empty`);
+  }
+
+  const example = current[0];
+  value.forEach((element, index) => {
+    const elementPath = `${path}[${index}]`;
+    if (describeType(element) !== describeType(example)) {
+      throw new Error(`Config key ${elementPath} expects ${describeType(example)}, got ${describeType(element)}`);
+    }
+    if (typeof element === 'number' && !Number.isFinite(element)) {
+      throw new Error(`Config key ${elementPath} must be a finite number`);
+    }
+    if (isPlainObject(element)) {
+      const missing = Object.keys(example).filter(key => !(key in element));
+      if (missing.length > 0) {
+        throw new Error(`Config key ${elementPath} is missing ${missing.join(', ')}`);
+      }
+      applyConfigOverrides(JSON.parse(JSON.stringify(example)), element, elementPath);
+    }
+  });
+}
+
+/**
+ * Apply overrides onto a config object in place
+ * Unknown keys, type mismatches and misshapen arrays throw so typos in override files don't silently do nothing
+ * @param {Object} target - Config object to modify (e.g. GameConfig)
+ * @param {Object} overrides - Partial config with the same shape
+ * @param {string} [path] - Key path used in error messages
+ * @returns {Object} The modified target
+ */
+function applyConfigOverrides(target, overrides, path = '') {
+  if (!isPlainObject(overrides)) {
+    throw new Error(`Config overrides${path ? ` for ${path}` : ''} must be an object`);
+  }
+
+  Object.keys(overrides).forEach(key => {
+    const keyPath = path ? `${path}.${key}` : key;
+    const value = overrides[key];
+
+    if (!(key in target)) {
+      throw new Error(`Unknown config key: ${keyPath}`);
+    }
+
+    if (isPlainObject(target[key])) {
+      applyConfigOverrides(target[key], value, keyPath);
+      return;
+    }
+
+    if (typeof target[key] !== typeof value || Array.isArray(target[key]) !== Array.isArray(value) || value === null) {
+      throw new Error(`Config key ${keyPath} expects ${describeType(target[key])}, got ${describeType(value)}`);
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Config key ${keyPath} must be a finite number`);
+    }
+    if (Array.isArray(value)) {
+      assertArrayShape(target[key], value, keyPath);
+    }
+
+    target[key] = value;
+  });
+
+  return target;
+}
+
+/**
+ * Build an independent config: a deep copy of the base with overrides applied
+ * @param {Object} base - Config to copy (e.g. GameConfig)
+ * @param {Object} [overrides] - Partial config with the same shape
+ * @returns {Object} New config object
+ */
+function createConfig(base, overrides = {}) {
+  return applyConfigOverrides(JSON.parse(JSON.stringify(base)), overrides);
+}
+
+module.exports = { applyConfigOverrides, createConfig };
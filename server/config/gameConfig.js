@@ -58,6 +58,37 @@ const GameConfig = {
     TILE_HEIGHT: 64 // Square tiles: 64x64 pixels
   },
 
+  // Procedural map (systems/MapGenerator.js), generated for every match
+  MAP: {
+    FILE: '',                   // Name of a hand-authored map in maps/ (without .json); replaces the generator
+    LAYOUT: 'diagonal',         // diagonal, vertical, islands, spiral or mirrored
+    SEED: '',                   // Empty: a new map each match; any other value repeats the same map
+    NEXUS_EDGE_MARGIN: 3,       // Nexus tiles at least this far from the map edge
+    NEXUS_MIN_DEPTH: 3,         // Tiles between a nexus and enemy territory, where the layout has room
+    ISLANDS_PER_TEAM: 4,        // Voronoi sites per team for the islands layout
+    SPIRAL_TURNS: 1,            // Arm turns from the centre to the corners for the spiral layout
+    NOISE_SCALE: 4,             // Tiles per noise cell for the mirrored layout's border
+    NOISE_STRENGTH: 0.6         // How far the mirrored layout's border strays from the centre line
+  },
+
+  // Neutral terrain on top of tile ownership (tile.terrain, systems/TerrainSystem.js)
+  // Tiles without terrain follow PLAIN. Speed multipliers below 1 also make A* route around the tile.
+  TERRAIN: {
+    PLAIN:  { PASSABLE: true,  CAPTURABLE: true,  SPEED_MULTIPLIER: 1 },
+    WATER:  { PASSABLE: false, CAPTURABLE: false, SPEED_MULTIPLIER: 1 },
+    ROCK:   { PASSABLE: false, CAPTURABLE: false, SPEED_MULTIPLIER: 1 },
+    SWAMP:  { PASSABLE: true,  CAPTURABLE: true,  SPEED_MULTIPLIER: 0.5 },
+    CRATER: { PASSABLE: true,  CAPTURABLE: true,  SPEED_MULTIPLIER: 0.7 },
+    SHRINE: {
+      PASSABLE: true,
+      CAPTURABLE: true,
+      SPEED_MULTIPLIER: 1,
+      BUFF_SPEED_MULTIPLIER: 1.1,      // Owning team's speed, compounded per shrine held
+      BUFF_CAST_TIME_MULTIPLIER: 0.9   // Owning team's cast time, compounded per shrine held
+    },
+    METEORITE_CRATERS: true     // Meteorite impacts turn plain tiles into craters
+  },
+
   // Soul configuration
   SOUL: {
     STARTING_ENERGY_MIN: 80,
@@ -108,6 +139,111 @@ const GameConfig = {
     ENERGY_DRAIN_AMOUNT: 1
   },
 
+  // Heritable soul traits (entities/Genome.js). speed, maxEnergy, attackDamage and castSpeed
+  // multiply the SOUL stats; boldness runs from 0 (cautious) to 1 (reckless)
+  GENETICS: {
+    FOUNDER_VARIATION: 0.1,         // Founding souls' genes are drawn from 1 ± this (boldness 0.5 ± this)
+    MUTATION_CHANCE: 0.25,          // Chance per gene that a child's gene mutates
+    MUTATION_STRENGTH: 0.1,         // Largest change a mutation makes
+    GENE_MIN: 0.5,                  // Bounds of the multiplier genes
+    GENE_MAX: 1.5,
+    BOLDNESS_HUNGER_SHIFT: 0.2,     // Boldness 1 lowers SOUL.HUNGRY_THRESHOLD by this, boldness 0 raises it
+    BOLDNESS_CAST_ENERGY_SHIFT: 20  // Boldness 1 lowers SOUL.MIN_ENERGY_TO_CAST by this, boldness 0 raises it
+  },
+
+  // Per-soul lifetime counters and the veteran ranks they earn (entities/Veterancy.js)
+  VETERANS: {
+    XP: {                           // Experience per unit of each lifetime counter
+      DAMAGE_DEALT: 0.5,            // Per point of damage to souls and nexuses
+      DAMAGE_TAKEN: 0.2,
+      KILLS: 30,
+      SPELLS_CAST: 40,
+      SPELLS_INTERRUPTED: 25,
+      TILES_CAPTURED: 5,
+      ORBS_EATEN: 2,
+      CHILDREN: 20
+    },
+    // In order; a soul holds the last rank whose XP it has reached. Bonuses are fractions (0.05 = +5%)
+    RANKS: [
+      { NAME: 'Novice', XP: 0, SPEED_BONUS: 0, DAMAGE_BONUS: 0, MAX_ENERGY_BONUS: 0 },
+      { NAME: 'Seasoned', XP: 50, SPEED_BONUS: 0.02, DAMAGE_BONUS: 0.05, MAX_ENERGY_BONUS: 0.05 },
+      { NAME: 'Veteran', XP: 150, SPEED_BONUS: 0.04, DAMAGE_BONUS: 0.1, MAX_ENERGY_BONUS: 0.1 },
+      { NAME: 'Elite', XP: 350, SPEED_BONUS: 0.06, DAMAGE_BONUS: 0.15, MAX_ENERGY_BONUS: 0.15 },
+      { NAME: 'Legend', XP: 700, SPEED_BONUS: 0.08, DAMAGE_BONUS: 0.2, MAX_ENERGY_BONUS: 0.2 }
+    ],
+    HALL_OF_FAME_SIZE: 10           // Souls in the hall_of_fame leaderboard
+  },
+
+  // Soul AI: states, transitions, guards and timeouts (entities/Behaviour.js)
+  BEHAVIOUR: {
+    FILE: 'default'                 // Name of a definition in behaviours/ (without .json)
+  },
+
+  // Team AI strategy profiles (entities/Strategy.js), keyed by the profile's name in
+  // UPPER_SNAKE_CASE. Admins can switch a team's profile mid-match with set_team_strategy
+  STRATEGIES: {
+    TEAMS: {                        // Profile each team starts with
+      LIGHT: 'balanced',
+      DARK: 'balanced'
+    },
+    PROFILES: {
+      // PRIORITIES - the order of the behaviour's steps, i.e. what a roaming soul checks first: sleep,
+      //   hunger (go eat), defend (intercept an enemy caster), nexus (march on the enemy nexus),
+      //   expand (seek enemy tiles to cast on); steps left out are never taken
+      // HUNGER_SHIFT / CAST_ENERGY_SHIFT - added to the soul's hunger threshold and energy needed to cast
+      // SPELL_COOLDOWN_MULTIPLIER - multiplies SOUL.SPELL_COOLDOWN
+      // RESERVE_SOULS - added to MATING.MIN_RESTING_SOULS, the souls that stay home instead of seeking
+      // NEXUS_ASSAULT_ENERGY - energy fraction from which souls march on the nexus even while there
+      //   are tiles to take, and keep marching until hungry; 0 only sends them once no tiles are left
+      // DEFEND_WHILE_PREPARING - abandon a spell still being prepared to intercept an enemy caster
+      BALANCED: {
+        NAME: 'Balanced',
+        PRIORITIES: ['sleep', 'hunger', 'defend', 'nexus', 'expand'],
+        HUNGER_SHIFT: 0,
+        CAST_ENERGY_SHIFT: 0,
+        SPELL_COOLDOWN_MULTIPLIER: 1,
+        RESERVE_SOULS: 0,
+        NEXUS_ASSAULT_ENERGY: 0,
+        DEFEND_WHILE_PREPARING: false
+      },
+      AGGRESSIVE: {
+        NAME: 'Aggressive Rusher',
+        PRIORITIES: ['hunger', 'defend', 'expand', 'nexus', 'sleep'],
+        HUNGER_SHIFT: -0.15,
+        CAST_ENERGY_SHIFT: 0,
+        SPELL_COOLDOWN_MULTIPLIER: 0.8,
+        RESERVE_SOULS: -2,
+        NEXUS_ASSAULT_ENERGY: 0.6,
+        DEFEND_WHILE_PREPARING: false
+      },
+      TURTLE: {
+        NAME: 'Turtle Defender',
+        PRIORITIES: ['defend', 'sleep', 'hunger', 'expand', 'nexus'],
+        HUNGER_SHIFT: 0.15,
+        CAST_ENERGY_SHIFT: 10,
+        SPELL_COOLDOWN_MULTIPLIER: 1.5,
+        RESERVE_SOULS: 2,
+        NEXUS_ASSAULT_ENERGY: 0,
+        DEFEND_WHILE_PREPARING: true
+      },
+      EXPANSIONIST: {
+        NAME: 'Expansionist Caster',
+        PRIORITIES: ['sleep', 'hunger', 'expand', 'defend', 'nexus'],
+        HUNGER_SHIFT: 0,
+        CAST_ENERGY_SHIFT: -15,
+        SPELL_COOLDOWN_MULTIPLIER: 0.6,
+        RESERVE_SOULS: -1,
+        NEXUS_ASSAULT_ENERGY: 0,
+        DEFEND_WHILE_PREPARING: false
+      }
+    }
+  },
+
+  // Soul names and family records (systems/LineageRegistry.js)
+  LINEAGE: {
+    TREE_DEPTH: 3                   // Generations of ancestors and descendants sent in a lineage_response
+  },
+
   // Energy orb configuration
   ORB: {
     ENERGY_VALUE: 25,
@@ -130,10 +266,83 @@ const GameConfig = {
   // Game loop
   GAME_LOOP: {
     FPS: 30,
-    FRAME_TIME: 33,             // 1000/30
+    FRAME_TIME: 33,             // 1000/30 - fixed simulation step
+    SPEED_REFERENCE_FRAME_TIME: 33, // Movement speeds are in pixels per this many ms
+    MAX_CATCH_UP_TICKS: 10,     // Ticks run at most per loop after a stall, times the room's speed; older backlog is dropped
+    BROADCAST_RATE: 30,         // Event and state_delta flushes per second, independent of FPS
     WORLD_STATE_SYNC_INTERVAL: 10000  // 10 seconds
   },
 
+  // Network encoding for state_delta messages
+  NETWORK: {
+    POSITION_DECIMALS: 1,         // Positions sent to 0.1 px
+    ENERGY_DECIMALS: 0,
+    PROGRESS_DECIMALS: 2          // Maturity and sleep progress
+  },
+
+  // Game rooms (one GameManager and tick loop per room)
+  ROOMS: {
+    DEFAULT_ROOM: 'main',         // Room for clients that don't ask for one; never garbage-collected
+    MAX_ROOMS: 8,
+    EMPTY_ROOM_TIMEOUT: 60000,    // Stop and remove a room after it has been empty this long
+    GC_INTERVAL: 10000            // How often to look for empty rooms
+  },
+
+  // Spectator "god powers" paid for with regenerating favor (per connected client)
+  SPECTATORS: {
+    MAX_FAVOR: 100,
+    STARTING_FAVOR: 0,            // Rejoining doesn't refill favor
+    FAVOR_PER_SECOND: 1,
+    MAX_COMMANDS_PER_WINDOW: 5,   // Rate limit on power requests, accepted or not
+    RATE_LIMIT_WINDOW: 10000,
+    POWERS: {
+      drop_orb: {
+        COST: 10,
+        COOLDOWN: 5000
+      },
+      bless_team: {
+        COST: 40,
+        COOLDOWN: 60000,
+        DURATION: 20000,
+        SPEED_MULTIPLIER: 1.25,
+        CAST_TIME_MULTIPLIER: 0.8
+      },
+      trigger_disaster: {
+        COST: 80,
+        COOLDOWN: 120000,
+        ROOM_COOLDOWN: 60000      // Shared by everyone in the room
+      }
+    }
+  },
+
+  // Admin console (admin/AdminConsole.js); the ADMIN_TOKEN environment variable takes precedence over TOKEN
+  ADMIN: {
+    TOKEN: '',                    // Empty disables admin access unless ADMIN_TOKEN is set
+    MAX_AUTH_FAILURES: 3,         // Wrong tokens before the connection is closed
+    MIN_SPEED: 0.25,              // Simulation speed range for set_speed
+    MAX_SPEED: 10,
+    MAX_STEP_TICKS: 300           // Most ticks a single step command may run
+  },
+
+  // Match lifecycle configuration
+  MATCH: {
+    COUNTDOWN_DURATION: 5000,     // 5 seconds countdown before a round starts
+    VICTORY_DURATION: 8000,       // 8 seconds of victory screen after a nexus falls
+    INTERMISSION_DURATION: 5000   // 5 seconds pause before the world is reset
+  },
+
+  // World snapshots (enabled by starting the server with SNAPSHOT_PATH=<file>)
+  PERSISTENCE: {
+    AUTOSAVE_INTERVAL: 30000      // Save the world every 30 seconds
+  },
+
+  // Match recording (REPLAY_RECORD=<file>) and playback (replay.js)
+  REPLAY: {
+    MIN_SPEED: 0.5,
+    MAX_SPEED: 8,
+    STATE_BROADCAST_INTERVAL: 1000  // Playhead updates sent to clients every second
+  },
+
   // UI configuration
   UI: {
     SHOW_SCORING: false          // Enable/disable scoring display in UI
@@ -145,6 +354,18 @@ const GameConfig = {
     CHECK_RADIUS: 3             // tiles to check around position
   },
 
+  // Shared soul and orb index for proximity queries (collisions, mating, orbs)
+  SPATIAL_HASH: {
+    CELL_SIZE: 128              // px, about the largest common query radius
+  },
+
+  // A* over the tile grid for souls whose straight line to a target is blocked
+  PATHFINDING: {
+    CACHE_SIZE: 1000,           // Cached paths per team; all are dropped when a tile changes owner or terrain
+    LOOKAHEAD_WAYPOINTS: 4,     // Steer at the furthest of the next N waypoints with a clear line
+    LINE_CHECK_STEP: 8          // px between samples when checking a straight line for barriers
+  },
+
   // Mating and reproduction configuration
   MATING: {
     MIN_RESTING_SOULS: 5,       // Minimum souls per team to avoid extinction
@@ -198,16 +419,7 @@ const GameConfig = {
     SPAWN_OFFSET_RANGE: 25,     // Random offset range for spawning around nexus
     SIZE_TILES: 2,              // Nexus size in tiles (2x2)
     VISUAL_MULTIPLIER: 2,     // Visual size multiplier for client rendering
-    
-    // Positions (in tile coordinates) - Updated for 23x14 grid
-    LIGHT_NEXUS: {
-      TILE_X: 3,                // Left side, more centered
-      TILE_Y: 11                 // Bottom area, within border bounds
-    },
-    DARK_NEXUS: {
-      TILE_X: 20,               // Right side, more centered  
-      TILE_Y: 3                 // Top area, within border bounds
-    },
+    // Positions are chosen by the map generator (MAP)
 
     // Combat and pathfinding
     TUNNEL_WIDTH: 2,           // 10 tiles wide as requested (soul height limit)
@@ -0,0 +1,43 @@
+/**
+ * Room presets
+ * Named config overrides applied on top of GameConfig when a room is created,
+ * e.g. ws://host:3000/room/arena?preset=no-disasters
+ */
+const ROOM_PRESETS = {
+  default: {},
+
+  'no-disasters': {
+    DISASTER_EVENTS: {
+      FREEZING_SNOW: { ENABLED: false },
+      METEORITE_STORM: { ENABLED: false }
+    }
+  },
+
+  crowded: {
+    SPAWN: { SOULS_PER_TEAM: 15 },
+    MATING: { MAX_SOULS_PER_TEAM: 15 }
+  },
+
+  'fast-cycle': {
+    DAY_NIGHT: { CYCLE_DURATION: 40000 }
+  },
+
+  'massive-battle': {
+    SPAWN: { SOULS_PER_TEAM: 200 },
+    MATING: { MAX_SOULS_PER_TEAM: 300 }
+  },
+
+  islands: {
+    MAP: { LAYOUT: 'islands' }
+  },
+
+  spiral: {
+    MAP: { LAYOUT: 'spiral' }
+  },
+
+  'rush-vs-turtle': {
+    STRATEGIES: { TEAMS: { LIGHT: 'aggressive', DARK: 'turtle' } }
+  }
+};
+
+module.exports = ROOM_PRESETS;
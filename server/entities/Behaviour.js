@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { SoulStates } = require('./SoulStates');
+const { GUARDS, ACTIONS, DURATIONS } = require('./BehaviourLibrary');
+
+const BEHAVIOURS_DIRECTORY = path.join(__dirname, '..', 'behaviours');
+
+// Compiled definitions by file name; BEHAVIOUR.FILE only changes on a restart
+const loadedBehaviours = new Map();
+
+/**
+ * Behaviour
+ * How souls move between states, declared in behaviours/<name>.json and run by SoulStateMachine:
+ *
+ *   {
+ *     "name": "Default",
+ *     "initial": "roaming",
+ *     "global": [{ "to": "roaming", "when": "disasterActive" }],   checked first in every state
+ *     "onTransition": [{ "do": "forgetDefendingTarget", "unlessTo": ["defending"] }],
+ *     "states": {
+ *       "seeking": {
+ *         "onEnter": ["clearActivityFlags"],   also "onExit" and "update" (every tick, before transitions)
+ *         "timeout": { "after": "SOUL.STATE_TIMEOUT", "to": "roaming" },   optional
+ *         "transitions": [
+ *           { "to": "hungry", "when": "isHungry" },
+ *           { "to": "defending", "when": ["!isChild", "shouldBeDefender"], "do": ["clearSleepTarget"] },
+ *           { "to": "roaming", "after": "SOUL.SEEKING_TIMEOUT" },
+ *           { "hold": true, "when": "isChild" }
+ *         ]
+ *       }
+ *     }
+ *   }
+ *
+ * Each tick the first transition whose guards all hold (a leading ! negates one) and whose `after`
+ * has passed is taken: its `do` actions run, then the soul moves `to` a state or, for `hold`, stays.
+ * `after` is a number of ms, a config path or a name in DURATIONS. A timeout moves the soul on before
+ * the transitions, which then run for the new state in the same tick. Transitions with a `step` form
+ * one block, ordered by the team strategy's PRIORITIES; steps a strategy doesn't list are skipped.
+ * Guards, actions and durations are the named functions in entities/BehaviourLibrary.js; guards
+ * must not change anything, so their order within a `when` is free.
+ *
+ * Every problem with the definition is reported at once in a single Error
+ */
+
+/**
+ * Read a behaviour definition from behaviours/<name>.json
+ * @param {string} name - File name without extension (letters, digits, - and _)
+ * @returns {Object} Parsed definition, not yet validated
+ */
+function readBehaviourFile(name) {
+  if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid behaviour name: ${name}`);
+  }
+
+  const filePath = path.join(BEHAVIOURS_DIRECTORY, `${name}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Unknown behaviour: ${name}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function toList(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Value at a dotted config path such as 'SOUL.SEEKING_TIMEOUT', undefined if there is none
+ */
+function getConfigValue(config, keyPath) {
+  return keyPath.split('.').reduce((value, key) =>
+    (value !== null && typeof value === 'object' ? value[key] : undefined), config);
+}
+
+/**
+ * @returns {Array<string>} Problems with the definition (empty if it can be loaded)
+ */
+function validateBehaviour(definition, config) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['behaviour must be an object'];
+  }
+  const states = definition.states;
+  if (!states || typeof states !== 'object' || Array.isArray(states)) {
+    return ['states must be an object'];
+  }
+
+  const errors = [];
+  const stateNames = Object.keys(states);
+  const isState = name => stateNames.includes(name);
+
+  // The game systems move souls into these directly
+  Object.values(SoulStates).forEach(state => {
+    if (!isState(state)) errors.push(`states.${state} is missing`);
+  });
+  if (!isState(definition.initial)) {
+    errors.push('initial must be one of the states');
+  }
+
+  const validateActions = (list, where) => {
+    if (list !== undefined && !Array.isArray(list)) {
+      errors.push(`${where} must be an array`);
+      return;
+    }
+    toList(list).forEach(entry => {
+      const hook = typeof entry === 'string' ? { do: entry } : entry;
+      if (!hook || !Object.prototype.hasOwnProperty.call(ACTIONS, hook.do)) {
+        errors.push(`${where} has an unknown action ${JSON.stringify(entry)}`);
+      } else if (hook.unlessTo !== undefined &&
+                 (!Array.isArray(hook.unlessTo) || !hook.unlessTo.every(isState))) {
+        errors.push(`${where} action ${hook.do} must have unlessTo as a list of states`);
+      }
+    });
+  };
+
+  const validateAfter = (after, where) => {
+    const isDuration = typeof after === 'number' ? Number.isFinite(after) && after >= 0 :
+      typeof after === 'string' &&
+      (Object.prototype.hasOwnProperty.call(DURATIONS, after) || typeof getConfigValue(config, after) === 'number');
+    if (!isDuration) {
+      errors.push(`${where} after must be a number of ms, a numeric config path or one of ${Object.keys(DURATIONS).join(', ')}`);
+    }
+  };
+
+  const validateTransitions = (list, where) => {
+    if (list !== undefined && !Array.isArray(list)) {
+      errors.push(`${where} must be an array`);
+      return;
+    }
+    toList(list).forEach((transition, index) => {
+      const at = `${where}[${index}]`;
+      if (!transition || typeof transition !== 'object') {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if ((transition.to !== undefined) === (transition.hold === true)) {
+        errors.push(`${at} must have either to or hold`);
+      } else if (transition.to !== undefined && !isState(transition.to)) {
+        errors.push(`${at} goes to unknown state ${transition.to}`);
+      }
+      toList(transition.when).forEach(guard => {
+        if (typeof guard !== 'string' || !Object.prototype.hasOwnProperty.call(GUARDS, guard.replace(/^!/, ''))) {
+          errors.push(`${at} has an unknown guard ${JSON.stringify(guard)}`);
+        }
+      });
+      if (transition.after !== undefined) validateAfter(transition.after, at);
+      if (transition.step !== undefined && (typeof transition.step !== 'string' || transition.step === '')) {
+        errors.push(`${at} step must be a name`);
+      }
+      validateActions(transition.do, `${at}.do`);
+    });
+  };
+
+  validateTransitions(definition.global, 'global');
+  validateActions(definition.onTransition, 'onTransition');
+  stateNames.forEach(name => {
+    const state = states[name];
+    const where = `states.${name}`;
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    validateTransitions(state.transitions, `${where}.transitions`);
+    ['update', 'onEnter', 'onExit'].forEach(hook => validateActions(state[hook], `${where}.${hook}`));
+    if (state.timeout !== undefined) {
+      if (!state.timeout || !isState(state.timeout.to)) {
+        errors.push(`${where}.timeout must go to one of the states`);
+      } else {
+        validateAfter(state.timeout.after, `${where}.timeout`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+function compileActions(list) {
+  return toList(list).map(entry => {
+    const hook = typeof entry === 'string' ? { do: entry } : entry;
+    return { action: ACTIONS[hook.do], unlessTo: hook.unlessTo || null };
+  });
+}
+
+function compileTransitions(list) {
+  return toList(list).map(transition => ({
+    to: transition.to || null,
+    when: toList(transition.when).map(guard => ({
+      guard: GUARDS[guard.replace(/^!/, '')],
+      negate: guard.startsWith('!')
+    })),
+    after: transition.after !== undefined ? transition.after : null,
+    actions: compileActions(transition.do),
+    step: transition.step || null
+  }));
+}
+
+/**
+ * Validate a definition and resolve its guard and action names
+ * @returns {Object} Behaviour for SoulStateMachine
+ */
+function compileBehaviour(definition, config) {
+  const errors = validateBehaviour(definition, config);
+  if (errors.length > 0) {
+    const name = definition && typeof definition.name === 'string' ? ` "${definition.name}"` : '';
+    throw new Error(`Invalid behaviour${name}: ${errors.join('; ')}`);
+  }
+
+  const states = {};
+  const steps = new Set();
+  Object.entries(definition.states).forEach(([name, state]) => {
+    const transitions = compileTransitions(state.transitions);
+    transitions.forEach(transition => {
+      if (transition.step) steps.add(transition.step);
+    });
+    states[name] = {
+      transitions: transitions,
+      // Where the block of step transitions goes among the others
+      stepSlot: transitions.some(transition => transition.step) ?
+        transitions.findIndex(transition => transition.step) : -1,
+      orderedTransitions: new Map(),
+      timeout: state.timeout || null,
+      update: compileActions(state.update),
+      onEnter: compileActions(state.onEnter),
+      onExit: compileActions(state.onExit)
+    };
+  });
+
+  return {
+    name: definition.name || null,
+    initial: definition.initial,
+    global: compileTransitions(definition.global),
+    onTransition: compileActions(definition.onTransition),
+    states: states,
+    steps: Array.from(steps)
+  };
+}
+
+/**
+ * Compiled behaviour from behaviours/<name>.json, read once per process
+ */
+function loadBehaviour(name, config) {
+  if (!loadedBehaviours.has(name)) {
+    loadedBehaviours.set(name, compileBehaviour(readBehaviourFile(name), config));
+  }
+  return loadedBehaviours.get(name);
+}
+
+/**
+ * A state's transitions with its step block in the order of a strategy's priorities
+ * @param {Object} state - Compiled state
+ * @param {Array<string>} priorities - Step names, e.g. a strategy profile's PRIORITIES
+ */
+function getOrderedTransitions(state, priorities) {
+  if (state.stepSlot === -1) return state.transitions;
+
+  const key = priorities.join(',');
+  if (!state.orderedTransitions.has(key)) {
+    const ordered = state.transitions.filter(transition => !transition.step);
+    const block = priorities.flatMap(step => state.transitions.filter(transition => transition.step === step));
+    ordered.splice(state.stepSlot, 0, ...block);
+    state.orderedTransitions.set(key, ordered);
+  }
+  return state.orderedTransitions.get(key);
+}
+
+module.exports = { readBehaviourFile, validateBehaviour, compileBehaviour, loadBehaviour, getOrderedTransitions, getConfigValue };
@@ -0,0 +1,129 @@
+/**
+ * Behaviour Library
+ * The named guards, actions and durations a behaviour definition (behaviours/*.json) can use
+ * Each is called with the soul's state machine and the tick ({ allSouls, activeDisaster }), except
+ * onEnter, onExit and onTransition actions, which get no tick since systems change states too.
+ * Anything that needs more than a few lines lives on SoulStateMachine
+ */
+
+function getEnergyPercentage(machine) {
+  return machine.soul.energy / machine.soul.maxEnergy;
+}
+
+// Conditions in a transition's `when`. Guards must be pure: a guard is often evaluated without its
+// transition being taken, so anything it changed would be left behind. Side effects go in ACTIONS
+const GUARDS = {
+  disasterActive: (machine, tick) => Boolean(tick.activeDisaster),
+  isChild: machine => machine.soul.isChild,
+  isHungry: machine => getEnergyPercentage(machine) < machine.soul.getHungryThreshold(),
+  canSleep: machine => machine.soul.canSleep(machine.dayNightSystem),
+  isOppositeCycle: machine => machine.soul.isOppositeCycle(machine.dayNightSystem),
+  isSleepComplete: machine => machine.soul.isSleepComplete(),
+  reachedSleepTarget: machine => Boolean(machine.sleepTarget) &&
+    machine.soul.getDistanceTo(machine.sleepTarget) <= machine.config.SLEEP.TARGET_DISTANCE_THRESHOLD,
+  // No other soul is defending against the enemy caster, so only one soul goes for each
+  shouldBeDefender: (machine, tick) => machine.shouldBeDefender(tick.allSouls),
+  hasEnemyCasting: machine => machine.hasEnemyCasting(),
+  closeEnoughToAttack: machine => machine.isCloseEnoughToAttackEnemy(),
+  canSeekToCast: (machine, tick) => machine.canSeekToCast(getEnergyPercentage(machine), tick.allSouls),
+  hasValidCastingTargets: machine => machine.hasValidCastingTargets(),
+  inSpellRange: machine => machine.isInSpellRange(),
+  teamAtReserve: (machine, tick) => machine.isTeamAtReserve(tick.allSouls),
+  shouldSeekNexus: (machine, tick) => machine.shouldSeekNexus(getEnergyPercentage(machine), tick.allSouls),
+  strategyAssaultsNexus: machine => machine.soul.getStrategyProfile().NEXUS_ASSAULT_ENERGY !== 0,
+  nearEnemyNexus: machine => machine.isNearEnemyNexus(),
+  hasMatingPartner: machine => Boolean(machine.soul.matingPartner),
+  matingComplete: machine => Boolean(machine.soul.matingStartTime) &&
+    machine.clock.now() - machine.soul.matingStartTime >= machine.config.MATING.MATING_TIME,
+  matingPartnerOutOfRange: machine => {
+    const partner = machine.soul.matingPartner;
+    return Boolean(partner && partner.isMating) &&
+      machine.soul.getDistanceTo(partner) > machine.config.MATING.MATING_RANGE;
+  }
+};
+
+// Side effects in `do`, `update`, `onEnter`, `onExit` and `onTransition`
+const ACTIONS = {
+  forgetDefendingTarget: machine => {
+    machine.defendingTarget = null;
+  },
+  clearPrepareTarget: machine => {
+    machine.soul.prepareTarget = null;
+  },
+  recordCastTime: machine => {
+    machine.lastCastTime = machine.clock.now();
+  },
+  startDefending: machine => {
+    // Defend the detected casting enemy
+    if (machine.soul.castingEnemyId) {
+      machine.defendingTarget = machine.soul.castingEnemyId;
+      machine.soul.isDefending = true;
+      machine.soul.defendingTarget = machine.soul.castingEnemyId;
+    }
+  },
+  clearDefendingAndResting: machine => {
+    machine.soul.isDefending = false;
+    machine.soul.isResting = false;
+  },
+  clearActivityFlags: machine => {
+    machine.soul.isDefending = false;
+    machine.soul.isResting = false;
+    machine.soul.isMating = false;
+  },
+  startResting: machine => {
+    machine.soul.isResting = true;
+    machine.soul.isMating = false;
+  },
+  startMating: machine => {
+    machine.soul.isMating = true;
+    machine.soul.isResting = false;
+  },
+  keepMating: machine => {
+    machine.soul.isMating = true;
+  },
+  // Pair up with the closest soul in range if the MatingSystem hasn't given this one a partner
+  findMatingPartner: (machine, tick) => {
+    if (machine.soul.matingPartner) return;
+    const potentialMate = machine.findPotentialMate(tick.allSouls);
+    if (potentialMate) {
+      machine.soul.startMating(potentialMate);
+      potentialMate.startMating(machine.soul);
+    }
+  },
+  // The MatingSystem completes the mating; the soul stays in its state until then
+  markMatingReady: machine => {
+    machine.soul.readyToCompleteMating = true;
+  },
+  cancelMating: machine => {
+    const partner = machine.soul.matingPartner;
+    machine.soul.cancelMating();
+    partner.cancelMating();
+  },
+  pickSleepTarget: machine => {
+    machine.sleepTarget = machine.getRandomSleepPosition();
+  },
+  clearSleepTarget: machine => {
+    machine.sleepTarget = null;
+  },
+  fallAsleep: machine => {
+    machine.soul.startSleep();
+    machine.soul.isResting = true;
+    machine.soul.isMating = false;
+    machine.soul.isDefending = false;
+    machine.sleepTarget = null;
+  },
+  // Wake without the energy of a full sleep
+  wakeUp: machine => {
+    machine.soul.wakeUp();
+  },
+  completeSleep: machine => {
+    machine.soul.completeSleep();
+  }
+};
+
+// Durations an `after` can name instead of a number or a config path, in ms
+const DURATIONS = {
+  castTime: machine => machine.config.SOUL.SPELL_CAST_TIME / machine.soul.genome.castSpeed
+};
+
+module.exports = { GUARDS, ACTIONS, DURATIONS };
@@ -0,0 +1,82 @@
+/**
+ * Genome
+ * Heritable soul traits, kept as a plain object so they serialize with the soul:
+ *   speed, maxEnergy, attackDamage, castSpeed - multipliers of the matching SOUL stats
+ *   boldness - 0 (cautious) to 1 (reckless), shifts the state machine's energy thresholds
+ * Founding souls draw their genes around the average; children blend their parents' genes
+ * and may mutate (GENETICS in the config)
+ */
+
+const MULTIPLIER_GENES = ['speed', 'maxEnergy', 'attackDamage', 'castSpeed'];
+const GENES = [...MULTIPLIER_GENES, 'boldness'];
+
+function getGeneBounds(config, gene) {
+  return gene === 'boldness' ? { min: 0, max: 1 } : { min: config.GENETICS.GENE_MIN, max: config.GENETICS.GENE_MAX };
+}
+
+// Three decimals are plenty, and clients can round the binary protocol's float32 back to them
+function clampGene(config, gene, value) {
+  const { min, max } = getGeneBounds(config, gene);
+  return Math.round(Math.min(max, Math.max(min, value)) * 1000) / 1000;
+}
+
+/**
+ * Genome of a soul without parents
+ * @param {Object} config
+ * @param {SeededRandom} random
+ */
+function createGenome(config, random) {
+  const variation = config.GENETICS.FOUNDER_VARIATION;
+  const genome = {};
+  GENES.forEach(gene => {
+    const average = gene === 'boldness' ? 0.5 : 1;
+    genome[gene] = clampGene(config, gene, average + (random.next() * 2 - 1) * variation);
+  });
+  return genome;
+}
+
+/**
+ * Each gene lands somewhere between the parents' values, then may mutate
+ * @param {Object} config
+ * @param {SeededRandom} random
+ * @param {Object} parent1 - Genome
+ * @param {Object} parent2 - Genome
+ */
+function inheritGenome(config, random, parent1, parent2) {
+  const { MUTATION_CHANCE, MUTATION_STRENGTH } = config.GENETICS;
+  const genome = {};
+  GENES.forEach(gene => {
+    const blend = random.next();
+    let value = parent1[gene] * blend + parent2[gene] * (1 - blend);
+    if (random.next() < MUTATION_CHANCE) {
+      value += (random.next() * 2 - 1) * MUTATION_STRENGTH;
+    }
+    genome[gene] = clampGene(config, gene, value);
+  });
+  return genome;
+}
+
+/**
+ * Mean of every gene over a group of souls, to follow how a team evolves
+ * @param {Iterable<Soul>} souls
+ * @returns {Object|null} Null for an empty group
+ */
+function averageGenome(souls) {
+  const totals = {};
+  let count = 0;
+  for (const soul of souls) {
+    GENES.forEach(gene => {
+      totals[gene] = (totals[gene] || 0) + soul.genome[gene];
+    });
+    count++;
+  }
+  if (count === 0) return null;
+
+  const average = {};
+  GENES.forEach(gene => {
+    average[gene] = Math.round((totals[gene] / count) * 1000) / 1000;
+  });
+  return average;
+}
+
+module.exports = { GENES, createGenome, inheritGenome, averageGenome };
@@ -1,24 +1,28 @@
-const GameConfig = require('../config/gameConfig');
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { shiftTime } = require('../utils/stateSerialization');
 
 /**
  * Nexus entity class
  * Represents the team spawn points and victory objectives
  */
 class Nexus {
-  constructor(type, tileMap) {
+  constructor(type, tileMap, context = createSimulationContext()) {
+    this.config = context.config;
+    this.clock = context.clock;
+    this.random = context.random;
     this.type = type; // 'light' or 'dark'
     this.teamType = type === 'light' ? 'green' : 'gray';
     this.id = `nexus-${type}`;
     
     // Health system
-    this.maxHealth = GameConfig.NEXUS.MAX_HEALTH;
+    this.maxHealth = this.config.NEXUS.MAX_HEALTH;
     this.currentHealth = this.maxHealth;
-    this.lastRegenTime = Date.now();
+    this.lastRegenTime = this.clock.now();
     
-    // Position (in tile coordinates)
-    const nexusConfig = type === 'light' ? GameConfig.NEXUS.LIGHT_NEXUS : GameConfig.NEXUS.DARK_NEXUS;
-    this.tileX = nexusConfig.TILE_X;
-    this.tileY = nexusConfig.TILE_Y;
+    // Position (in tile coordinates) chosen by the map generator
+    const placement = tileMap.layout.nexuses[type];
+    this.tileX = placement.tileX;
+    this.tileY = placement.tileY;
     
     // Calculate world position from tile coordinates
     this.x = this.tileX * tileMap.tileWidth + (tileMap.tileWidth / 2);
@@ -29,7 +33,7 @@ class Nexus {
     this.isActive = true;
     
     // Creation time
-    this.createdAt = Date.now();
+    this.createdAt = this.clock.now();
   }
 
   /**
@@ -39,8 +43,8 @@ class Nexus {
     if (this.isDestroyed || !this.isActive) return;
 
     // Regenerate health
-    const now = Date.now();
-    if (now - this.lastRegenTime >= GameConfig.NEXUS.REGENERATION_INTERVAL) {
+    const now = this.clock.now();
+    if (now - this.lastRegenTime >= this.config.NEXUS.REGENERATION_INTERVAL) {
       this.regenerateHealth();
       this.lastRegenTime = now;
     }
@@ -53,7 +57,7 @@ class Nexus {
     if (this.currentHealth < this.maxHealth) {
       this.currentHealth = Math.min(
         this.maxHealth, 
-        this.currentHealth + GameConfig.NEXUS.HEALTH_REGENERATION
+        this.currentHealth + this.config.NEXUS.HEALTH_REGENERATION
       );
     }
   }
@@ -88,10 +92,10 @@ class Nexus {
    */
   getSpawnPosition() {
     // Add slight randomization around the nexus position
-    const offsetRange = GameConfig.NEXUS.SPAWN_OFFSET_RANGE;
+    const offsetRange = this.config.NEXUS.SPAWN_OFFSET_RANGE;
     return {
-      x: this.x + (Math.random() - 0.5) * offsetRange,
-      y: this.y + (Math.random() - 0.5) * offsetRange
+      x: this.x + (this.random.next() - 0.5) * offsetRange,
+      y: this.y + (this.random.next() - 0.5) * offsetRange
     };
   }
 
@@ -128,10 +132,34 @@ class Nexus {
       healthPercentage: this.getHealthPercentage(),
       isDestroyed: this.isDestroyed,
       isActive: this.isActive,
-      size: GameConfig.NEXUS.SIZE_TILES,
-      visualMultiplier: GameConfig.NEXUS.VISUAL_MULTIPLIER
+      size: this.config.NEXUS.SIZE_TILES,
+      visualMultiplier: this.config.NEXUS.VISUAL_MULTIPLIER
     };
   }
+
+  /**
+   * Serialize simulation state for snapshots (position comes from the tile map)
+   */
+  serializeState() {
+    return {
+      type: this.type,
+      currentHealth: this.currentHealth,
+      maxHealth: this.maxHealth,
+      lastRegenTime: this.lastRegenTime,
+      createdAt: this.createdAt,
+      isDestroyed: this.isDestroyed,
+      isActive: this.isActive
+    };
+  }
+
+  loadState(state, timeOffset = 0) {
+    this.currentHealth = state.currentHealth;
+    this.maxHealth = state.maxHealth;
+    this.lastRegenTime = shiftTime(state.lastRegenTime, timeOffset);
+    this.createdAt = shiftTime(state.createdAt, timeOffset);
+    this.isDestroyed = state.isDestroyed;
+    this.isActive = state.isActive;
+  }
 }
 
 module.exports = Nexus;
@@ -1,31 +1,61 @@
-const GameConfig = require('../config/gameConfig');
+const { createSimulationContext } = require('../utils/SimulationContext');
 const { SoulStateMachine, SoulStates } = require('./SoulStateMachine');
+const { cloneState, shiftTimeFields } = require('../utils/stateSerialization');
+const { createGenome } = require('./Genome');
+const { createLifetimeStats, getStatXp, getRankForXp } = require('./Veterancy');
+const { getStrategyProfile } = require('./Strategy');
+
+// Timestamp fields rebased when a snapshot is loaded
+const TIME_FIELDS = [
+  'seekingStartTime', 'lastAttackTime', 'lastAttackedTime', 'birthTime', 'matingStartTime',
+  'lastMatingTime', 'sleepStartTime', 'lastSleepTime', 'lastSleepResetTime', 'deathStartTime'
+];
 
 /**
  * Soul entity class
  * Encapsulates all soul behavior and properties
  */
 class Soul {
-  constructor(id, type, x, y, tileMap = null, isChild = false, movementSystem = null, spellSystem = null, dayNightSystem = null) {
+  constructor(id, type, x, y, tileMap = null, isChild = false, movementSystem = null, spellSystem = null, dayNightSystem = null, context = createSimulationContext()) {
+    this.config = context.config;
+    this.clock = context.clock;
+    this.random = context.random;
     this.id = id;
+    // Placeholder until LineageRegistry.register() names the soul and places it in a family line
     this.name = `${type === 'dark-soul' ? 'Dark' : 'Light'} Soul`;
+    this.lineName = null;
+    this.generation = 1;
     this.type = type;
     this.teamType = type === 'dark-soul' ? 'gray' : 'green';
+    // Team AI profile (entities/Strategy.js), set by GameManager for the soul's team
+    this.strategy = 'balanced';
     
     // Position and movement
     this.x = x;
     this.y = y;
-    this.vx = (Math.random() - 0.5) * 2;
-    this.vy = (Math.random() - 0.5) * 2;
+    this.vx = (this.random.next() - 0.5) * 2;
+    this.vy = (this.random.next() - 0.5) * 2;
     
     // Fallback casting system for stuck souls
     this.seekingStartTime = null;
     this.shouldUseFallbackCasting = false;
     
     // Energy system
-    this.energy = GameConfig.SOUL.STARTING_ENERGY_MIN + 
-                  Math.floor(Math.random() * (GameConfig.SOUL.STARTING_ENERGY_MAX - GameConfig.SOUL.STARTING_ENERGY_MIN));
-    this.maxEnergy = GameConfig.SOUL.MAX_ENERGY;
+    this.energy = this.config.SOUL.STARTING_ENERGY_MIN + 
+                  Math.floor(this.random.next() * (this.config.SOUL.STARTING_ENERGY_MAX - this.config.SOUL.STARTING_ENERGY_MIN));
+    
+    // What took the soul's energy last decides its cause of death when it runs out
+    this.lastEnergyLoss = 'starvation';
+    this.causeOfDeath = null;
+    
+    // Lifetime counters and the veteran rank they earn (recordStat)
+    this.lifetimeStats = createLifetimeStats();
+    this.xp = 0;
+    this.rank = 0;
+    this.lastAttackerId = null;
+    
+    // Heritable traits; MatingSystem replaces a child's with a mix of its parents' (setGenome)
+    this.setGenome(createGenome(this.config, this.random));
     
     // Combat and interaction
     this.lastAttackTime = 0;
@@ -43,7 +73,7 @@ class Soul {
     
     // Mating and reproduction
     this.isChild = isChild;
-    this.birthTime = isChild ? Date.now() : null;
+    this.birthTime = isChild ? this.clock.now() : null;
     this.matingPartner = null;
     this.matingStartTime = null;
     this.isMating = false;
@@ -55,10 +85,83 @@ class Soul {
     this.sleepStartTime = null;
     this.lastSleepTime = 0;
     this.sleepCyclesUsedToday = 0;
-    this.lastSleepResetTime = Date.now();
+    this.lastSleepResetTime = this.clock.now();
     
     // State machine
-    this.stateMachine = new SoulStateMachine(this, tileMap, movementSystem, spellSystem, dayNightSystem);
+    this.stateMachine = new SoulStateMachine(this, tileMap, movementSystem, spellSystem, dayNightSystem, context);
+  }
+
+  /**
+   * @param {Object} genome - See entities/Genome.js
+   */
+  setGenome(genome) {
+    this.genome = genome;
+    this.updateMaxEnergy();
+  }
+
+  // Both the genome and the rank scale max energy
+  updateMaxEnergy() {
+    this.maxEnergy = this.config.SOUL.MAX_ENERGY * this.genome.maxEnergy * (1 + this.getRankBonuses().MAX_ENERGY_BONUS);
+    this.energy = Math.min(this.energy, this.maxEnergy);
+  }
+
+  /**
+   * @returns {Object} The soul's entry in VETERANS.RANKS
+   */
+  getRankBonuses() {
+    const ranks = this.config.VETERANS.RANKS;
+    // A live config change may have removed the ranks above this one
+    return ranks[Math.min(this.rank, ranks.length - 1)];
+  }
+
+  getSpeedMultiplier() {
+    return this.genome.speed * (1 + this.getRankBonuses().SPEED_BONUS);
+  }
+
+  getAttackDamageMultiplier() {
+    return this.genome.attackDamage * (1 + this.getRankBonuses().DAMAGE_BONUS);
+  }
+
+  /**
+   * Add to a lifetime counter and the experience it is worth, promoting the soul when it reaches a new rank
+   * @param {string} stat - One of SOUL_STATS (entities/Veterancy.js)
+   */
+  recordStat(stat, amount = 1) {
+    this.lifetimeStats[stat] += amount;
+    this.xp += amount * getStatXp(this.config, stat);
+
+    const rank = getRankForXp(this.config, this.xp);
+    if (rank > this.rank) {
+      this.rank = rank;
+      this.updateMaxEnergy();
+    }
+  }
+
+  getStrategyProfile() {
+    return getStrategyProfile(this.config, this.strategy);
+  }
+
+  /**
+   * Energy fraction below which the soul goes looking for orbs; bold souls hold out longer
+   */
+  getHungryThreshold() {
+    const shift = (this.genome.boldness - 0.5) * 2 * this.config.GENETICS.BOLDNESS_HUNGER_SHIFT;
+    return this.config.SOUL.HUNGRY_THRESHOLD - shift + this.getStrategyProfile().HUNGER_SHIFT;
+  }
+
+  /**
+   * Energy needed to start a spell; bold souls cast on less
+   */
+  getMinEnergyToCast() {
+    const shift = (this.genome.boldness - 0.5) * 2 * this.config.GENETICS.BOLDNESS_CAST_ENERGY_SHIFT;
+    return this.config.SOUL.MIN_ENERGY_TO_CAST - shift + this.getStrategyProfile().CAST_ENERGY_SHIFT;
+  }
+
+  /**
+   * Time between the soul's spells under its team's strategy
+   */
+  getSpellCooldown() {
+    return this.config.SOUL.SPELL_COOLDOWN * this.getStrategyProfile().SPELL_COOLDOWN_MULTIPLIER;
   }
 
   update(allSouls, activeDisaster = null) {
@@ -71,21 +174,31 @@ class Soul {
 
   checkDeath() {
     if (this.energy <= 0) {
-      this.isDead = true;
+      this.die(this.lastEnergyLoss);
     }
   }
 
+  /**
+   * Mark the soul dead; GameManager plays the death and removes it
+   * @param {string} cause - Recorded in its lineage, e.g. 'starvation', 'combat', 'freezing_snow'
+   */
+  die(cause) {
+    if (this.isDead) return;
+    this.isDead = true;
+    this.causeOfDeath = cause;
+  }
+
   updateEnergy() {
     // Energy draining - souls slowly lose energy over time (but not while sleeping)
-    if (!this.isSleeping && Math.random() < GameConfig.SOUL.ENERGY_DRAIN_CHANCE) {
-      this.energy = Math.max(0, this.energy - GameConfig.SOUL.ENERGY_DRAIN_AMOUNT);
+    if (!this.isSleeping && this.random.next() < this.config.SOUL.ENERGY_DRAIN_CHANCE) {
+      this.removeEnergy(this.config.SOUL.ENERGY_DRAIN_AMOUNT, 'starvation');
     }
   }
 
   updateRetreat() {
     // Check retreat behavior
     if (this.isRetreating && 
-        Date.now() - this.lastAttackedTime > GameConfig.SOUL.RETREAT_DURATION) {
+        this.clock.now() - this.lastAttackedTime > this.config.SOUL.RETREAT_DURATION) {
       this.isRetreating = false;
     }
   }
@@ -95,8 +208,12 @@ class Soul {
     this.energy = Math.min(this.maxEnergy, this.energy + amount);
   }
 
-  removeEnergy(amount) {
+  /**
+   * @param {string} cause - Cause of death should this drain the last of the energy
+   */
+  removeEnergy(amount, cause) {
     this.energy = Math.max(0, this.energy - amount);
+    this.lastEnergyLoss = cause;
   }
 
   getEnergyPercentage() {
@@ -106,17 +223,18 @@ class Soul {
   // Combat methods
   canAttack() {
     return this.isAdult() &&  // Children cannot attack
-           Date.now() - this.lastAttackTime > GameConfig.SOUL.ATTACK_COOLDOWN;
+           this.clock.now() - this.lastAttackTime > this.config.SOUL.ATTACK_COOLDOWN;
   }
 
   performAttack(target) {
     if (!this.canAttack()) return null;
 
-    const damage = GameConfig.SOUL.ATTACK_DAMAGE_MIN + 
-                   Math.random() * (GameConfig.SOUL.ATTACK_DAMAGE_MAX - GameConfig.SOUL.ATTACK_DAMAGE_MIN);
+    const damage = (this.config.SOUL.ATTACK_DAMAGE_MIN + 
+                   this.random.next() * (this.config.SOUL.ATTACK_DAMAGE_MAX - this.config.SOUL.ATTACK_DAMAGE_MIN)) * this.getAttackDamageMultiplier();
     
-    target.takeDamage(damage);
-    this.lastAttackTime = Date.now();
+    target.takeDamage(damage, this);
+    this.recordStat('damageDealt', damage);
+    this.lastAttackTime = this.clock.now();
     
     return {
       damage: damage,
@@ -125,9 +243,14 @@ class Soul {
     };
   }
 
-  takeDamage(damage) {
-    this.removeEnergy(damage);
-    this.lastAttackedTime = Date.now();
+  /**
+   * @param {Soul} [attacker] - Credited with the kill if this hit proves fatal
+   */
+  takeDamage(damage, attacker = null) {
+    this.removeEnergy(damage, 'combat');
+    this.recordStat('damageTaken', damage);
+    this.lastAttackerId = attacker ? attacker.id : null;
+    this.lastAttackedTime = this.clock.now();
     this.isRetreating = true;
     
     // Spell interruption is handled by CombatSystem calling SpellSystem
@@ -141,8 +264,8 @@ class Soul {
   canCast() {
     return !this.isDead &&     // Dead souls cannot cast spells
            this.isAdult() &&    // Children cannot cast spells
-           this.energy >= GameConfig.SOUL.MIN_ENERGY_TO_CAST &&
-           Date.now() - this.stateMachine.lastCastTime > GameConfig.SOUL.SPELL_COOLDOWN;
+           this.energy >= this.getMinEnergyToCast() &&
+           this.clock.now() - this.stateMachine.lastCastTime > this.getSpellCooldown();
   }
 
   // These methods are no longer needed - state machine handles preparation timing
@@ -156,8 +279,8 @@ class Soul {
 
   startCasting() {
     // Energy cost is handled when starting to cast
-    this.removeEnergy(this.maxEnergy * GameConfig.SOUL.CASTING_ENERGY_COST);
-    this.stateMachine.lastCastTime = Date.now();
+    this.removeEnergy(this.maxEnergy * this.config.SOUL.CASTING_ENERGY_COST, 'exhaustion');
+    this.stateMachine.lastCastTime = this.clock.now();
   }
 
   interruptSpell() {
@@ -187,15 +310,19 @@ class Soul {
     this.vy = vy;
   }
 
-  move(deltaTime = 1) {
+  /**
+   * @param {number} [deltaTime] - Simulated ms to move for; velocities are per reference frame
+   */
+  move(deltaTime = this.config.GAME_LOOP.FRAME_TIME) {
     if (this.isCasting || this.isPreparing) {
       this.vx = 0;
       this.vy = 0;
       return;
     }
 
-    this.x += this.vx * deltaTime;
-    this.y += this.vy * deltaTime;
+    const frameScale = deltaTime / this.config.GAME_LOOP.SPEED_REFERENCE_FRAME_TIME;
+    this.x += this.vx * frameScale;
+    this.y += this.vy * frameScale;
   }
 
   // Utility methods
@@ -243,26 +370,26 @@ class Soul {
   canMate() {
     return this.isAdult() &&  // Must be adult (not child)
            !this.isMating && 
-           this.getEnergyPercentage() >= GameConfig.MATING.MIN_ENERGY_FOR_MATING &&
-           Date.now() - this.lastMatingTime > GameConfig.MATING.MATING_TIME * 3; // 30 second cooldown between matings
+           this.getEnergyPercentage() >= this.config.MATING.MIN_ENERGY_FOR_MATING &&
+           this.clock.now() - this.lastMatingTime > this.config.MATING.MATING_TIME * 3; // 30 second cooldown between matings
   }
 
   isAdult() {
     return !this.isChild || 
-           (this.birthTime && Date.now() - this.birthTime >= GameConfig.MATING.CHILD_MATURITY_TIME);
+           (this.birthTime && this.clock.now() - this.birthTime >= this.config.MATING.CHILD_MATURITY_TIME);
   }
 
   getMaturityPercentage() {
     if (!this.isChild || !this.birthTime) return 1.0; // Adult = 100%
     
-    const age = Date.now() - this.birthTime;
-    const maturityPercentage = Math.min(1.0, age / GameConfig.MATING.CHILD_MATURITY_TIME);
+    const age = this.clock.now() - this.birthTime;
+    const maturityPercentage = Math.min(1.0, age / this.config.MATING.CHILD_MATURITY_TIME);
     return maturityPercentage;
   }
 
   matureChild() {
     if (this.isChild && this.birthTime && 
-        Date.now() - this.birthTime >= GameConfig.MATING.CHILD_MATURITY_TIME) {
+        this.clock.now() - this.birthTime >= this.config.MATING.CHILD_MATURITY_TIME) {
       this.isChild = false;
       this.birthTime = null;
       return true;
@@ -272,12 +399,12 @@ class Soul {
 
   startMating(partner) {
     this.matingPartner = partner;
-    this.matingStartTime = Date.now();
+    this.matingStartTime = this.clock.now();
     this.isMating = true;
   }
 
   completeMating() {
-    this.lastMatingTime = Date.now();
+    this.lastMatingTime = this.clock.now();
     this.matingPartner = null;
     this.matingStartTime = null;
     this.isMating = false;
@@ -300,15 +427,15 @@ class Soul {
     if (!isOppositeCycle) return false;
     
     // Check minimum energy requirement
-    if (this.getEnergyPercentage() < GameConfig.SLEEP.MIN_ENERGY_TO_SLEEP) return false;
-    if (this.getEnergyPercentage() > GameConfig.SLEEP.MAX_ENERGY_TO_SLEEP) return false;
+    if (this.getEnergyPercentage() < this.config.SLEEP.MIN_ENERGY_TO_SLEEP) return false;
+    if (this.getEnergyPercentage() > this.config.SLEEP.MAX_ENERGY_TO_SLEEP) return false;
     
     // Check if already sleeping
     if (this.isSleeping) return false;
     
     // Check if sleep cooldown has passed
-    const timeSinceLastSleep = Date.now() - this.lastSleepTime;
-    if (timeSinceLastSleep < GameConfig.SLEEP.COOLDOWN) return false;
+    const timeSinceLastSleep = this.clock.now() - this.lastSleepTime;
+    if (timeSinceLastSleep < this.config.SLEEP.COOLDOWN) return false;
     
     // Check if already used sleep cycle for this day/night period
     return this.sleepCyclesUsedToday === 0;
@@ -331,7 +458,7 @@ class Soul {
     if (this.isSleeping) return false;
     
     this.isSleeping = true;
-    this.sleepStartTime = Date.now();
+    this.sleepStartTime = this.clock.now();
     this.sleepCyclesUsedToday = 1;
     
     return true;
@@ -341,10 +468,10 @@ class Soul {
     if (!this.isSleeping) return false;
     
     // Recover energy (same as energy orb)
-    this.addEnergy(GameConfig.SLEEP.ENERGY_RECOVERY);
+    this.addEnergy(this.config.SLEEP.ENERGY_RECOVERY);
     
     this.isSleeping = false;
-    this.lastSleepTime = Date.now();
+    this.lastSleepTime = this.clock.now();
     this.sleepStartTime = null;
     
     return true;
@@ -369,12 +496,12 @@ class Soul {
     
     // Reset sleep count when entering beneficial cycle
     if (isBeneficialCycle && this.sleepCyclesUsedToday > 0) {
-      const timeSinceLastReset = Date.now() - this.lastSleepResetTime;
-      const halfCycleDuration = GameConfig.DAY_NIGHT.CYCLE_DURATION * 0.5;
+      const timeSinceLastReset = this.clock.now() - this.lastSleepResetTime;
+      const halfCycleDuration = this.config.DAY_NIGHT.CYCLE_DURATION * 0.5;
       
       if (timeSinceLastReset >= halfCycleDuration) {
         this.sleepCyclesUsedToday = 0;
-        this.lastSleepResetTime = Date.now();
+        this.lastSleepResetTime = this.clock.now();
       }
     }
   }
@@ -395,14 +522,14 @@ class Soul {
   getSleepProgress() {
     if (!this.isSleeping || !this.sleepStartTime) return 0;
     
-    const timeSlept = Date.now() - this.sleepStartTime;
-    return Math.min(1, timeSlept / GameConfig.SLEEP.SLEEP_DURATION);
+    const timeSlept = this.clock.now() - this.sleepStartTime;
+    return Math.min(1, timeSlept / this.config.SLEEP.SLEEP_DURATION);
   }
 
   isSleepComplete() {
     if (!this.isSleeping || !this.sleepStartTime) return false;
     
-    return Date.now() - this.sleepStartTime >= GameConfig.SLEEP.SLEEP_DURATION;
+    return this.clock.now() - this.sleepStartTime >= this.config.SLEEP.SLEEP_DURATION;
   }
 
   /**
@@ -410,7 +537,7 @@ class Soul {
    */
   updateFallbackCasting() {
     const currentState = this.getCurrentState();
-    const now = Date.now();
+    const now = this.clock.now();
     
     if (currentState === SoulStates.SEEKING) {
       // Start tracking seeking time
@@ -421,7 +548,7 @@ class Soul {
       
       // Enable fallback after 70% of seeking timeout
       const seekingDuration = now - this.seekingStartTime;
-      const fallbackThreshold = GameConfig.SOUL.SEEKING_TIMEOUT * 0.5; // 70% of seeking timeout
+      const fallbackThreshold = this.config.SOUL.SEEKING_TIMEOUT * 0.5; // 70% of seeking timeout
       if (seekingDuration > fallbackThreshold && !this.shouldUseFallbackCasting) {
         this.shouldUseFallbackCasting = true;
       }
@@ -437,6 +564,8 @@ class Soul {
     return {
       id: this.id,
       name: this.name,
+      lineName: this.lineName,
+      generation: this.generation,
       type: this.type,
       x: this.x,
       y: this.y,
@@ -451,9 +580,43 @@ class Soul {
       isMating: this.isMating,
       maturityPercentage: this.getMaturityPercentage(),
       isSleeping: this.isSleeping,
-      sleepProgress: this.getSleepProgress()
+      sleepProgress: this.getSleepProgress(),
+      rank: this.rank,
+      xp: Math.floor(this.xp),
+      genome: this.genome
+    };
+  }
+
+  /**
+   * Serialize the full simulation state (see GameManager.serializeState)
+   * References are stored as ids/coordinates and relinked on load
+   */
+  serializeState() {
+    const { config, clock, random, stateMachine, matingPartner, prepareTarget, ...fields } = this;
+    return {
+      ...cloneState(fields),
+      matingPartnerId: matingPartner ? matingPartner.id : null,
+      prepareTarget: prepareTarget ? { x: prepareTarget.x, y: prepareTarget.y } : null,
+      stateMachine: stateMachine.serializeState()
     };
   }
+
+  /**
+   * Restore state produced by serializeState()
+   * The mating partner is relinked by GameManager once every soul exists
+   * @param {Object} state - Serialized soul
+   * @param {number} [timeOffset] - Added to every stored timestamp
+   */
+  loadState(state, timeOffset = 0) {
+    const { matingPartnerId, prepareTarget, stateMachine, ...fields } = state;
+    Object.assign(this, cloneState(fields));
+    shiftTimeFields(this, TIME_FIELDS, timeOffset);
+
+    const tileMap = this.stateMachine.tileMap;
+    this.prepareTarget = prepareTarget && tileMap ? tileMap.tiles[prepareTarget.y][prepareTarget.x] : null;
+    this.matingPartner = null;
+    this.stateMachine.loadState(stateMachine, timeOffset);
+  }
 }
 
 module.exports = Soul;
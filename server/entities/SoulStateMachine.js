@@ -1,44 +1,38 @@
-const GameConfig = require('../config/gameConfig');
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { cloneState, shiftTimeFields } = require('../utils/stateSerialization');
+const { getTerrainRules } = require('../systems/TerrainSystem');
+const { SoulStates } = require('./SoulStates');
+const { loadBehaviour, getOrderedTransitions, getConfigValue } = require('./Behaviour');
+const { DURATIONS } = require('./BehaviourLibrary');
 
 /**
  * Soul State Machine
- * Manages the behavior states for souls
+ * Runs the behaviour definition (BEHAVIOUR.FILE, see entities/Behaviour.js) for one soul
  */
 
-const SoulStates = {
-  ROAMING: 'roaming',
-  HUNGRY: 'hungry', 
-  SEEKING: 'seeking',
-  PREPARING: 'preparing',
-  CASTING: 'casting',
-  DEFENDING: 'defending',  // Moving toward enemy to attack
-  ATTACKING: 'attacking',  // Stopped and attacking
-  SEEKING_NEXUS: 'seeking_nexus', // Moving toward enemy nexus
-  ATTACKING_NEXUS: 'attacking_nexus', // Close to nexus and attacking it
-  SOCIALISING: 'socialising',
-  RESTING: 'resting',
-  MATING: 'mating',
-  SEEKING_SLEEP: 'seeking_sleep', // Moving to friendly nexus before sleeping
-  SLEEPING: 'sleeping'  // Sleeping during opposite cycle for energy recovery
-};
-
 class SoulStateMachine {
-  constructor(soul, tileMap = null, movementSystem = null, spellSystem = null, dayNightSystem = null) {
+  constructor(soul, tileMap = null, movementSystem = null, spellSystem = null, dayNightSystem = null, context = createSimulationContext()) {
     this.soul = soul;
+    this.config = context.config;
+    this.clock = context.clock;
+    this.random = context.random;
     this.tileMap = tileMap;
     this.movementSystem = movementSystem;
     this.spellSystem = spellSystem;
     this.dayNightSystem = dayNightSystem;
-    this.currentState = SoulStates.ROAMING;
-    this.stateStartTime = Date.now();
+    this.engagedSouls = context.engagedSouls;
+    this.behaviour = loadBehaviour(this.config.BEHAVIOUR.FILE, this.config);
+    this.currentState = this.behaviour.initial;
+    this.stateStartTime = this.clock.now();
     // Add variance to initial seeking cooldown to prevent all souls from seeking simultaneously
     // Generate random variance for THIS specific soul
-    const varianceRange = GameConfig.SOUL.SPELL_COOLDOWN * GameConfig.SOUL.SPELL_COOLDOWN_VARIANCE;
-    const seekingVariance = (Math.random() - 0.5) * 2 * varianceRange; // Range: -varianceRange to +varianceRange
-    this.lastCastTime = Date.now() - seekingVariance; // Each soul gets unique variance (subtract so some can cast sooner)
+    const varianceRange = this.config.SOUL.SPELL_COOLDOWN * this.config.SOUL.SPELL_COOLDOWN_VARIANCE;
+    const seekingVariance = (this.random.next() - 0.5) * 2 * varianceRange; // Range: -varianceRange to +varianceRange
+    this.lastCastTime = this.clock.now() - seekingVariance; // Each soul gets unique variance (subtract so some can cast sooner)
     this.defendingTarget = null;
     this.previousState = null;
     this.sleepTarget = null; // Target position for sleeping
+    this.updateEngagement();
   }
 
   getCurrentState() {
@@ -50,7 +44,7 @@ class SoulStateMachine {
   }
 
   getTimeSinceLastCast() {
-    return Date.now() - this.lastCastTime;
+    return this.clock.now() - this.lastCastTime;
   }
 
   setDayNightSystem(dayNightSystem) {
@@ -58,411 +52,110 @@ class SoulStateMachine {
   }
 
   update(allSouls = new Map(), activeDisaster = null) {
-    // During disasters, force souls to only roam (no other actions allowed)
-    if (activeDisaster && this.currentState !== SoulStates.ROAMING) {
-      console.log(`[Soul ${this.soul.id}] Disaster active - forcing to roaming state from ${this.currentState}`);
-      this.transitionTo(SoulStates.ROAMING);
-      return; // Skip normal state processing during disasters
-    }
-    
-    this.checkStateTimeouts();
-    this.processStateTransitions(allSouls, activeDisaster);
-  }
-
-  checkStateTimeouts() {
-    const timeInCurrentState = Date.now() - this.stateStartTime;
-    
-    // Force return to roaming after 20 seconds in casting or defending
-    if ((this.currentState === SoulStates.CASTING || this.currentState === SoulStates.DEFENDING) &&
-        timeInCurrentState > GameConfig.SOUL.STATE_TIMEOUT) {
-      this.transitionTo(SoulStates.ROAMING);
-    }
-  }
-
-  processStateTransitions(allSouls, activeDisaster = null) {
-    const energyPercentage = this.soul.energy / this.soul.maxEnergy;
-    
-    switch (this.currentState) {
-      case SoulStates.ROAMING:
-        this.handleRoamingState(energyPercentage, allSouls, activeDisaster);
-        break;
-        
-      case SoulStates.HUNGRY:
-        this.handleHungryState(energyPercentage, allSouls);
-        break;
-        
-      case SoulStates.SEEKING:
-        this.handleSeekingState(energyPercentage, allSouls);
-        break;
-
-      case SoulStates.SEEKING_NEXUS:
-        this.handleSeekingNexusState(energyPercentage, allSouls);
-        break;
-
-      case SoulStates.ATTACKING_NEXUS:
-        this.handleAttackingNexusState(energyPercentage, allSouls);
-        break;
-        
-      case SoulStates.PREPARING:
-        this.handlePreparingState();
-        break;
-        
-      case SoulStates.CASTING:
-        this.handleCastingState();
-        break;
-        
-      case SoulStates.DEFENDING:
-        this.handleDefendingState();
-        break;
-        
-      case SoulStates.ATTACKING:
-        this.handleAttackingState();
-        break;
-        
-      case SoulStates.SOCIALISING:
-        // For now, return to roaming
-        this.transitionTo(SoulStates.ROAMING);
-        break;
-        
-      case SoulStates.RESTING:
-        // Resting is just roaming without seeking/casting
-        this.transitionTo(SoulStates.ROAMING);
-        break;
-        
-      case SoulStates.MATING:
-        this.handleMatingState(energyPercentage, allSouls);
-        break;
-        
-      case SoulStates.SEEKING_SLEEP:
-        this.handleSeekingSleepState(energyPercentage, allSouls);
-        break;
-        
-      case SoulStates.SLEEPING:
-        this.handleSleepingState(energyPercentage, allSouls);
-        break;
-    }
-  }
-
-  handleRoamingState(energyPercentage, allSouls, activeDisaster = null) {
-    if (this.soul.isChild) {
-        return;
-    }
-
-    // During disasters, souls can only roam - no other actions allowed
-    if (activeDisaster) {
-      return; // Stay in roaming state, no transitions allowed
-    }
-
-    // Check if can sleep during opposite cycle (HIGH priority during opposite cycle)
-    if (this.soul.canSleep(this.dayNightSystem)) {
-      // Always go to seeking sleep to get a proper sleep target
-      this.transitionTo(SoulStates.SEEKING_SLEEP);
-      return;
-    }
-
-    if (energyPercentage < GameConfig.SOUL.HUNGRY_THRESHOLD) {
-      this.transitionTo(SoulStates.HUNGRY);
-      return;
-    }
-
-    // Check team population and decide behavior
-    const teamCounts = this.getTeamCounts(allSouls);
-    const myTeamCount = teamCounts[this.soul.teamType] || 0;
-    const shouldFocusOnMating = myTeamCount <= (GameConfig.MATING.MAX_SOULS_PER_TEAM - GameConfig.MATING.MIN_RESTING_SOULS);
-
-    // If team is at critical level, prioritize mating over combat
-    // But DON'T automatically start mating - let MatingSystem handle partner coordination
-    if (shouldFocusOnMating && this.soul.canMate()) {
-      // Just indicate readiness for mating, but don't auto-transition
-      // The MatingSystem will coordinate and start mating for compatible pairs
-    }
-
-    // Check if should defend (highest priority - overrides all except mating/resting)
-    // Only one soul should defend per casting enemy
-    if (this.shouldBeDefender(allSouls)) {
-      this.transitionTo(SoulStates.DEFENDING);
-      return;
-    }
+    const tick = { allSouls: allSouls, activeDisaster: activeDisaster };
 
-    // Check if should seek enemy nexus (high priority - when no targets available)
-    if (this.shouldSeekNexus(energyPercentage, allSouls)) {
-      this.transitionTo(SoulStates.SEEKING_NEXUS);
-      return;
-    }
+    // Global transitions (e.g. roaming out a disaster) skip the state's own for this tick
+    if (this.runTransitions(this.behaviour.global, tick)) return;
 
-    // Check if should seek enemy tiles for casting (enough energy and haven't cast recently)
-    // Only (current souls count - MIN_RESTING_SOULS) souls can seek, if that number > 0
-    const allowedSeekingSouls = Math.max(0, myTeamCount - GameConfig.MATING.MIN_RESTING_SOULS);
-    const currentlySeekingSouls = Array.from(allSouls.values()).filter(s => 
-      s.teamType === this.soul.teamType && 
-      (s.isInState(SoulStates.SEEKING) || s.isInState(SoulStates.PREPARING) || s.isInState(SoulStates.CASTING))
-    ).length;
-    
-    if (allowedSeekingSouls > 0 && currentlySeekingSouls < allowedSeekingSouls && this.shouldSeekToCast(energyPercentage)) {
-      // Before seeking, check if there are any valid targets at all
-      if (this.hasValidCastingTargets()) {
-        this.transitionTo(SoulStates.SEEKING);
-        return;
-      } else {
-        // No valid casting targets available, seek nexus instead
-        this.transitionTo(SoulStates.SEEKING_NEXUS);
-        return;
-      }
+    // A timed out soul carries on from its new state in the same tick
+    const timeout = this.behaviour.states[this.currentState].timeout;
+    if (timeout && this.clock.now() - this.stateStartTime > this.resolveDuration(timeout.after)) {
+      this.transitionTo(timeout.to);
     }
 
-    // Check if should mate (when not in survival mode)
-    // But DON'T automatically start mating - let MatingSystem handle this
-    if (this.soul.canMate()) {
-      // Just indicate readiness for mating, but don't auto-transition
-      // The MatingSystem will coordinate and start mating for compatible pairs
-    }
+    const state = this.behaviour.states[this.currentState];
+    this.runActions(state.update, tick);
+    this.runTransitions(getOrderedTransitions(state, this.soul.getStrategyProfile().PRIORITIES), tick);
   }
 
-  handleHungryState(energyPercentage, allSouls) {
-    // Check if can sleep during opposite cycle (HIGH priority even when hungry)
-    if (this.soul.canSleep(this.dayNightSystem)) {
-      // Always go to seeking sleep to get a proper sleep target
-      this.transitionTo(SoulStates.SEEKING_SLEEP);
-      return;
-    }
-
-    // Children cannot defend - only eat and roam
-    if (!this.soul.isChild) {
-      // Check if should defend (overrides all) - only for adults
-      if (this.shouldBeDefender(allSouls)) {
-        this.transitionTo(SoulStates.DEFENDING);
-        return;
+  /**
+   * Take the first transition that applies
+   * @returns {boolean} Whether one did (a hold counts)
+   */
+  runTransitions(transitions, tick) {
+    for (const transition of transitions) {
+      if (transition.after !== null &&
+          this.clock.now() - this.stateStartTime < this.resolveDuration(transition.after)) {
+        continue;
       }
-    }
-
-    // Return to roaming when energy is above 50%
-    if (energyPercentage >= GameConfig.SOUL.HUNGRY_THRESHOLD) {
-      this.transitionTo(SoulStates.ROAMING);
-      return;
-    }
-  }
-
-  handleSeekingState(energyPercentage, allSouls) {
-    // Check team population - if too few souls, stop seeking and return to roaming (resting)
-    const teamCounts = this.getTeamCounts(allSouls);
-    const myTeamCount = teamCounts[this.soul.teamType] || 0;
-    if (myTeamCount <= GameConfig.MATING.MIN_RESTING_SOULS) {
-      this.transitionTo(SoulStates.ROAMING);
-      return;
-    }
-
-    // Check if should defend (overrides all)
-    if (this.shouldBeDefender(allSouls)) {
-      this.transitionTo(SoulStates.DEFENDING);
-      return;
-    }
-
-    // Check if should become hungry
-    if (energyPercentage < GameConfig.SOUL.HUNGRY_THRESHOLD) {
-      this.transitionTo(SoulStates.HUNGRY);
-      return;
-    }
-
-    // Check if we're now in range to cast
-    const distanceToEnemyTile = this.findNearestEnemyTileDistance();
-    const isInRange = distanceToEnemyTile <= GameConfig.SOUL.SPELL_RANGE;
-    
-    // Fallback: if soul has been seeking too long, check if ANY valid targets are in range
-    if (!isInRange && this.soul.shouldUseFallbackCasting) {
-      const hasAnyTargetInRange = this.hasAnyValidTargetInRange();
-      if (hasAnyTargetInRange) {
-        this.transitionTo(SoulStates.PREPARING);
-        return;
+      if (!transition.when.every(({ guard, negate }) => Boolean(guard(this, tick)) !== negate)) {
+        continue;
       }
-    }
-    
-    if (isInRange) {
-      this.transitionTo(SoulStates.PREPARING);
-      return;
-    }
 
-    // Check if there are any valid casting targets available immediately
-    if (!this.hasValidCastingTargets()) {
-      // No valid targets available, switch to seeking nexus immediately
-      this.transitionTo(SoulStates.SEEKING_NEXUS);
-      return;
-    }
-    
-    // If seeking for too long, return to roaming (but this shouldn't happen if valid targets exist)
-    const timeInState = Date.now() - this.stateStartTime;
-    if (timeInState > GameConfig.SOUL.SEEKING_TIMEOUT) {
-      // Fallback to roaming if somehow still seeking after timeout
-      this.transitionTo(SoulStates.ROAMING);
-      return;
+      this.runActions(transition.actions, tick);
+      if (transition.to) {
+        this.transitionTo(transition.to);
+      }
+      return true;
     }
+    return false;
   }
 
-  handlePreparingState() {
-    // Check if should defend (overrides preparing)
-    if (this.shouldDefend() && this.hasEnemyCasting()) {
-      this.transitionTo(SoulStates.DEFENDING);
-      return;
-    }
-
-    // Check if preparation time has elapsed
-    const timeInPreparing = Date.now() - this.stateStartTime;
-    if (timeInPreparing >= GameConfig.SOUL.SPELL_PREPARATION_TIME) {
-      this.transitionTo(SoulStates.CASTING);
-      return;
-    }
+  /**
+   * @param {Array} hooks - Compiled actions, skipped when moving to a state in their unlessTo
+   * @param {string} [nextState] - State being entered, for onExit and onTransition
+   */
+  runActions(hooks, tick, nextState = null) {
+    hooks.forEach(hook => {
+      if (!hook.unlessTo || !hook.unlessTo.includes(nextState)) {
+        hook.action(this, tick);
+      }
+    });
   }
 
-  handleCastingState() {
-    // Check if should defend (overrides casting)
-    if (this.shouldDefend() && this.hasEnemyCasting()) {
-      this.transitionTo(SoulStates.DEFENDING);
-      return;
-    }
-
-    // Check if casting time has elapsed
-    const timeInCasting = Date.now() - this.stateStartTime;
-    if (timeInCasting >= GameConfig.SOUL.SPELL_CAST_TIME) {
-      this.transitionTo(SoulStates.ROAMING);
-      return;
-    }
+  /**
+   * An `after` of the behaviour in ms: a number, a name in DURATIONS or a config path
+   */
+  resolveDuration(after) {
+    if (typeof after === 'number') return after;
+    if (Object.prototype.hasOwnProperty.call(DURATIONS, after)) return DURATIONS[after](this);
+    return getConfigValue(this.config, after);
   }
 
-  handleDefendingState() {
-    // Check if we should stop defending
-    if (!this.hasEnemyCasting()) {
-      this.transitionTo(SoulStates.ROAMING);
-      return;
-    }
-
-    // Check if we're close enough to attack the enemy
-    if (this.isCloseEnoughToAttackEnemy()) {
-      this.transitionTo(SoulStates.ATTACKING);
-      return;
-    }
+  /**
+   * Whether this soul may leave to seek enemy tiles: enough energy, off cooldown, and
+   * fewer of its team seeking, preparing or casting than (adult souls - reserved souls)
+   */
+  canSeekToCast(energyPercentage, allSouls) {
+    const teamCounts = this.getTeamCounts(allSouls);
+    const myTeamCount = teamCounts[this.soul.teamType] || 0;
+    const allowedSeekingSouls = Math.max(0, myTeamCount - this.getReservedSouls());
+    const currentlySeekingSouls = Array.from(allSouls.values()).filter(s =>
+      s.teamType === this.soul.teamType &&
+      (s.isInState(SoulStates.SEEKING) || s.isInState(SoulStates.PREPARING) || s.isInState(SoulStates.CASTING))
+    ).length;
 
-    // If defending for too long, give up
-    const timeInDefending = Date.now() - this.stateStartTime;
-    if (timeInDefending > GameConfig.SOUL.STATE_TIMEOUT) {
-      this.transitionTo(SoulStates.ROAMING);
-      return;
-    }
+    return allowedSeekingSouls > 0 && currentlySeekingSouls < allowedSeekingSouls && this.shouldSeekToCast(energyPercentage);
   }
 
-  handleAttackingState() {
-    // Check if we should stop attacking  
-    if (!this.hasEnemyCasting()) {
-      this.transitionTo(SoulStates.ROAMING);
-      return;
-    }
-
-    // Check if we're no longer close enough to attack
-    if (!this.isCloseEnoughToAttackEnemy()) {
-      this.transitionTo(SoulStates.DEFENDING);
-      return;
-    }
-
-    // Continue attacking (CombatSystem handles the actual attacks)
+  /**
+   * Too few souls on the team to spare any for seeking
+   */
+  isTeamAtReserve(allSouls) {
+    const teamCounts = this.getTeamCounts(allSouls);
+    return (teamCounts[this.soul.teamType] || 0) <= this.getReservedSouls();
   }
 
-
-  handleMatingState(energyPercentage, allSouls) {
-    // Check if we have a mating partner
-    if (!this.soul.matingPartner) {
-      // Try to find a partner
-      const potentialMate = this.findPotentialMate(allSouls);
-      if (!potentialMate) {
-        this.transitionTo(SoulStates.ROAMING);
-        return;
-      }
-      
-      // Start mating with the partner
-      this.soul.startMating(potentialMate);
-      potentialMate.startMating(this.soul);
-    }
-
-    // Check if mating is complete
-    if (this.soul.matingStartTime && 
-        Date.now() - this.soul.matingStartTime >= GameConfig.MATING.MATING_TIME) {
-      // Mating completed - DON'T complete here, let MatingSystem handle it
-      // Just mark as ready for completion but stay in mating state until MatingSystem processes it
-      this.soul.readyToCompleteMating = true;
-      return;
-    }
-
-    // Check if partner is still valid and in range
-    const partner = this.soul.matingPartner;
-    if (partner && partner.isMating && 
-        this.soul.getDistanceTo(partner) > GameConfig.MATING.MATING_RANGE) {
-      // Too far apart - cancel mating
-      this.soul.cancelMating();
-      partner.cancelMating();
-      this.transitionTo(SoulStates.ROAMING);
-      return;
-    }
-
-    // Update soul mating flag
-    this.soul.isMating = true;
+  /**
+   * Souls per team that stay home instead of seeking, under the team's strategy
+   */
+  getReservedSouls() {
+    return Math.max(0, this.config.MATING.MIN_RESTING_SOULS + this.soul.getStrategyProfile().RESERVE_SOULS);
   }
 
-  handleSleepingState(energyPercentage, allSouls) {
-    // Check if should wake up to defend (only valid transition from sleeping)
-    if (this.shouldBeDefender(allSouls)) {
-      // Wake up and transition to defending
-      this.soul.wakeUp();
-      this.transitionTo(SoulStates.DEFENDING);
-      return;
-    }
-
-    // Check if sleep is complete
-    if (this.soul.isSleepComplete()) {
-      // Complete sleep with energy recovery
-      this.soul.completeSleep();
-      this.transitionTo(SoulStates.ROAMING);
-      return;
-    }
-
-    // Check if cycle ended (no longer opposite cycle)
-    if (!this.soul.isOppositeCycle(this.dayNightSystem)) {
-      // Wake up without energy recovery (cycle ended)
-      this.soul.wakeUp();
-      this.transitionTo(SoulStates.ROAMING);
-      return;
-    }
-
-    // Continue sleeping (no other transitions allowed)
+  /**
+   * Whether the strategy sends this soul at the enemy nexus even while there are tiles to take
+   */
+  isAssaultingNexus(energyPercentage) {
+    const assaultEnergy = this.soul.getStrategyProfile().NEXUS_ASSAULT_ENERGY;
+    return assaultEnergy > 0 && energyPercentage >= assaultEnergy;
   }
 
-  handleSeekingSleepState(energyPercentage, allSouls) {
-    // Check if should wake up to defend (highest priority)
-    if (this.shouldBeDefender(allSouls)) {
-      this.sleepTarget = null; // Clear sleep target
-      this.transitionTo(SoulStates.DEFENDING);
-      return;
-    }
-
-    // Check if cycle ended (no longer opposite cycle)
-    if (!this.soul.isOppositeCycle(this.dayNightSystem)) {
-      // Cycle ended, go back to roaming
-      this.sleepTarget = null; // Clear sleep target
-      this.transitionTo(SoulStates.ROAMING);
-      return;
-    }
-
-    // Check if we've reached the sleep target area
-    if (this.sleepTarget && this.soul.getDistanceTo(this.sleepTarget) <= GameConfig.SLEEP.TARGET_DISTANCE_THRESHOLD) {
-      // Close enough to sleep target, start sleeping
-      this.transitionTo(SoulStates.SLEEPING);
-      return;
-    }
-
-    // Continue seeking sleep target (MovementSystem will handle movement)
-    // Timeout after reasonable time to prevent getting stuck
-    const timeInState = Date.now() - this.stateStartTime;
-    if (timeInState > GameConfig.SOUL.SEEKING_TIMEOUT) {
-      // Sleep where we are if taking too long to reach target
-      this.transitionTo(SoulStates.SLEEPING);
-      return;
-    }
+  /**
+   * In range to cast on the best enemy tile, or on any tile once seeking has dragged on
+   */
+  isInSpellRange() {
+    return this.isNearEnemyTile() || Boolean(this.soul.shouldUseFallbackCasting) && this.hasAnyValidTargetInRange();
   }
 
   isCloseEnoughToAttackEnemy() {
@@ -470,15 +163,17 @@ class SoulStateMachine {
     
     // This is a simplified check - in practice should find the actual enemy soul
     // For now, assume we're close enough after some time in defending state
-    const timeInDefending = Date.now() - this.stateStartTime;
+    const timeInDefending = this.clock.now() - this.stateStartTime;
     return timeInDefending > 2000; // After 2 seconds of defending, assume close enough
   }
 
   shouldDefend() {
     // Soul can defend if not already defending, attacking, preparing, or casting
+    // Some strategies drop a spell that is still being prepared
+    const canLeavePreparing = this.soul.getStrategyProfile().DEFEND_WHILE_PREPARING;
     return this.currentState !== SoulStates.DEFENDING && 
            this.currentState !== SoulStates.ATTACKING &&
-           this.currentState !== SoulStates.PREPARING &&
+           (this.currentState !== SoulStates.PREPARING || canLeavePreparing) &&
            this.currentState !== SoulStates.CASTING;
   }
 
@@ -491,15 +186,26 @@ class SoulStateMachine {
     const castingEnemyId = this.soul.castingEnemyId;
     if (!castingEnemyId) return false;
 
-    // Check if another soul is already defending this enemy
-    const existingDefender = Array.from(allSouls.values()).find(otherSoul => 
-      otherSoul.id !== this.soul.id &&
-      (otherSoul.getCurrentState() === SoulStates.DEFENDING || 
-       otherSoul.getCurrentState() === SoulStates.ATTACKING) &&
-      otherSoul.castingEnemyId === castingEnemyId
-    );
+    // Only defend if no one else is defending this enemy; only engaged souls can be, so check those
+    for (const otherSoul of this.engagedSouls) {
+      if (otherSoul !== this.soul &&
+          allSouls.get(otherSoul.id) === otherSoul &&
+          otherSoul.castingEnemyId === castingEnemyId) {
+        return false;
+      }
+    }
+    return true;
+  }
 
-    return !existingDefender; // Only defend if no one else is defending this enemy
+  /**
+   * Keep the context's engagedSouls in step with this soul's state
+   */
+  updateEngagement() {
+    if (this.currentState === SoulStates.DEFENDING || this.currentState === SoulStates.ATTACKING) {
+      this.engagedSouls.add(this.soul);
+    } else {
+      this.engagedSouls.delete(this.soul);
+    }
   }
 
   hasEnemyCasting() {
@@ -510,14 +216,14 @@ class SoulStateMachine {
   shouldSeekToCast(energyPercentage) {
     const timeSinceLastCast = this.getTimeSinceLastCast();
     
-    return energyPercentage >= GameConfig.SOUL.HUNGRY_THRESHOLD && 
-           timeSinceLastCast > GameConfig.SOUL.SPELL_COOLDOWN &&
-           this.soul.energy >= GameConfig.SOUL.MIN_ENERGY_TO_CAST;
+    return energyPercentage >= this.soul.getHungryThreshold() && 
+           timeSinceLastCast > this.soul.getSpellCooldown() &&
+           this.soul.energy >= this.soul.getMinEnergyToCast();
   }
 
   isNearEnemyTile() {
     // Check if there are enemy tiles within spell range
-    return this.findNearestEnemyTileDistance() <= GameConfig.SOUL.SPELL_RANGE;
+    return this.findNearestEnemyTileDistance() <= this.config.SOUL.SPELL_RANGE;
   }
 
   findNearestEnemyTileDistance() {
@@ -541,86 +247,16 @@ class SoulStateMachine {
   transitionTo(newState) {
     if (newState === this.currentState) return;
 
-    
+    const states = this.behaviour.states;
+    this.runActions(states[this.currentState].onExit, null, newState);
+
     this.previousState = this.currentState;
     this.currentState = newState;
-    this.stateStartTime = Date.now();
-
-    // Reset state-specific flags
-    if (newState !== SoulStates.DEFENDING) {
-      this.defendingTarget = null;
-    }
-    
-    // Clear prepare target when leaving preparation or casting states
-    if (this.previousState === SoulStates.PREPARING || this.previousState === SoulStates.CASTING) {
-      if (newState !== SoulStates.PREPARING && newState !== SoulStates.CASTING) {
-        this.soul.prepareTarget = null;
-      }
-    }
-
-    // Update soul properties based on new state
-    this.updateSoulProperties();
-  }
-
-  updateSoulProperties() {
-    switch (this.currentState) {
-      case SoulStates.CASTING:
-        this.lastCastTime = Date.now();
-        break;
-        
-      case SoulStates.DEFENDING:
-        // Set defending target based on detected casting enemy
-        if (this.soul.castingEnemyId) {
-          this.defendingTarget = this.soul.castingEnemyId;
-          this.soul.isDefending = true;
-          this.soul.defendingTarget = this.soul.castingEnemyId;
-        }
-        break;
-        
-      case SoulStates.ROAMING:
-      case SoulStates.HUNGRY:
-        // Clear any state-specific properties
-        this.soul.isDefending = false;
-        this.soul.isResting = false;
-        this.defendingTarget = null;
-        break;
-        
-      case SoulStates.RESTING:
-        this.soul.isResting = true;
-        this.soul.isMating = false;
-        break;
-        
-      case SoulStates.MATING:
-        this.soul.isMating = true;
-        this.soul.isResting = false;
-        break;
-        
-      case SoulStates.SEEKING_SLEEP:
-        // Set sleep target when first entering this state
-        if (this.previousState !== SoulStates.SEEKING_SLEEP) {
-          this.sleepTarget = this.getRandomSleepPosition();
-        }
-        break;
+    this.stateStartTime = this.clock.now();
+    this.updateEngagement();
 
-      case SoulStates.SLEEPING:
-        // Start sleeping when transitioning to this state
-        if (this.previousState !== SoulStates.SLEEPING) {
-          this.soul.startSleep();
-        }
-        this.soul.isResting = true;
-        this.soul.isMating = false;
-        this.soul.isDefending = false;
-        this.sleepTarget = null; // Clear sleep target once sleeping
-        break;
-        
-      default:
-        // Clear any state-specific properties
-        this.soul.isDefending = false;
-        this.soul.isResting = false;
-        this.soul.isMating = false;
-        this.defendingTarget = null;
-        break;
-    }
+    this.runActions(this.behaviour.onTransition, null, newState);
+    this.runActions(states[newState].onEnter, null, newState);
   }
 
   // External methods for state management
@@ -680,7 +316,7 @@ class SoulStateMachine {
       soul.canMate() &&
       !soul.isMating &&
       !soul.matingPartner &&
-      this.soul.getDistanceTo(soul) <= GameConfig.MATING.MATING_RANGE
+      this.soul.getDistanceTo(soul) <= this.config.MATING.MATING_RANGE
     );
 
     // Return the closest candidate
@@ -695,66 +331,24 @@ class SoulStateMachine {
 
   /**
    * Check if soul should seek enemy nexus
-   * Triggers when: No valid tiles available for casting
+   * Triggers when: No valid tiles available for casting, or the strategy's nexus assault
    */
   shouldSeekNexus(energyPercentage, allSouls) {
     // Check if there are NO valid tiles available for casting
     const hasValidTilesAvailable = this.hasValidCastingTargets();
-    return !hasValidTilesAvailable;
+    return !hasValidTilesAvailable || this.isAssaultingNexus(energyPercentage);
   }
 
   /**
-   * Handle SEEKING_NEXUS state behavior - move towards enemy nexus
+   * Close enough to the centre of the enemy nexus to attack it
    */
-  handleSeekingNexusState(energyPercentage, allSouls) {
-    // Switch to hungry if energy is too low
-    if (energyPercentage < GameConfig.SOUL.HUNGRY_THRESHOLD) {
-      this.transitionTo(SoulStates.HUNGRY);
-      return;
-    }
-
-    // Check if valid casting targets became available - switch back to seeking
-    if (this.hasValidCastingTargets()) {
-      this.transitionTo(SoulStates.SEEKING);
-      return;
-    }
-
-    // Check if close enough to nexus to start attacking
-    const enemyNexusPos = this.soul.type === GameConfig.SOUL_TYPES.DARK ? 
-      GameConfig.NEXUS.LIGHT_NEXUS : GameConfig.NEXUS.DARK_NEXUS;
-    
-    const nexusWorldX = enemyNexusPos.TILE_X * this.tileMap.tileWidth + (this.tileMap.tileWidth / 2);
-    const nexusWorldY = enemyNexusPos.TILE_Y * this.tileMap.tileHeight + (this.tileMap.tileHeight / 2);
+  isNearEnemyNexus() {
+    const enemyNexusPos = this.tileMap.layout.nexuses[this.soul.type === this.config.SOUL_TYPES.DARK ? 'light' : 'dark'];
     
-    const distanceToNexus = this.soul.getDistanceTo({ x: nexusWorldX, y: nexusWorldY });
+    const nexusWorldX = enemyNexusPos.tileX * this.tileMap.tileWidth + (this.tileMap.tileWidth / 2);
+    const nexusWorldY = enemyNexusPos.tileY * this.tileMap.tileHeight + (this.tileMap.tileHeight / 2);
     
-    // If close enough to attack, switch to attacking nexus
-    if (distanceToNexus <= GameConfig.SOUL.ATTACK_RANGE) {
-      this.transitionTo(SoulStates.ATTACKING_NEXUS);
-      return;
-    }
-
-    // Continue seeking nexus (MovementSystem will handle movement)
-  }
-
-  /**
-   * Handle ATTACKING_NEXUS state behavior
-   */
-  handleAttackingNexusState(energyPercentage, allSouls) {
-    // Switch to hungry if energy is too low
-    if (energyPercentage < GameConfig.SOUL.HUNGRY_THRESHOLD) {
-      this.transitionTo(SoulStates.HUNGRY);
-      return;
-    }
-
-    // Check if should defend (overrides nexus attacking)
-    if (this.shouldBeDefender(allSouls)) {
-      this.transitionTo(SoulStates.DEFENDING);
-      return;
-    }
-
-    // Souls engage in attacking until they die - no retreat once attacking nexus
-    // They will continue attacking or move towards nexus until eliminated
+    return this.soul.getDistanceTo({ x: nexusWorldX, y: nexusWorldY }) <= this.config.SOUL.ATTACK_RANGE;
   }
 
   /**
@@ -774,7 +368,7 @@ class SoulStateMachine {
     
     // TEMPORARILY RELAXED: Just check distance, ignore path requirements
     // This allows souls to attack nexus more easily for testing
-    const maxDistance = GameConfig.SOUL.ATTACK_RANGE; // Use standard attack range
+    const maxDistance = this.config.SOUL.ATTACK_RANGE; // Use standard attack range
     
     // Calculate straight-line distance in PIXELS
     const dx = Math.abs(nexusWorldX - this.soul.x);
@@ -833,16 +427,16 @@ class SoulStateMachine {
     
     const soulX = this.soul.x;
     const soulY = this.soul.y;
-    const maxDistance = GameConfig.SOUL.SPELL_RANGE;
-    const minDistance = GameConfig.SOUL.SPELL_MIN_DISTANCE;
-    const opponentType = this.soul.type === GameConfig.SOUL_TYPES.DARK ? GameConfig.TILE_TYPES.GREEN : GameConfig.TILE_TYPES.GRAY;
+    const maxDistance = this.config.SOUL.SPELL_RANGE;
+    const minDistance = this.config.SOUL.SPELL_MIN_DISTANCE;
+    const opponentType = this.soul.type === this.config.SOUL_TYPES.DARK ? this.config.TILE_TYPES.GREEN : this.config.TILE_TYPES.GRAY;
     
     // Check tiles around soul position
     for (let y = 0; y < this.tileMap.height; y++) {
       for (let x = 0; x < this.tileMap.width; x++) {
         const tile = this.tileMap.tiles[y][x];
         
-        if (tile && tile.type === opponentType) {
+        if (tile && tile.type === opponentType && getTerrainRules(this.config, tile).CAPTURABLE) {
           // Check distance to soul
           const dx = (tile.worldX + this.tileMap.tileWidth / 2) - soulX;
           const dy = (tile.worldY + this.tileMap.tileHeight / 2) - soulY;
@@ -864,12 +458,11 @@ class SoulStateMachine {
   getFriendlyNexusPosition() {
     if (!this.tileMap) return null;
     
-    const friendlyNexusPos = this.soul.type === GameConfig.SOUL_TYPES.DARK ? 
-      GameConfig.NEXUS.DARK_NEXUS : GameConfig.NEXUS.LIGHT_NEXUS;
+    const friendlyNexusPos = this.tileMap.layout.nexuses[this.soul.type === this.config.SOUL_TYPES.DARK ? 'dark' : 'light'];
     
     return {
-      x: friendlyNexusPos.TILE_X * this.tileMap.tileWidth + (this.tileMap.tileWidth / 2),
-      y: friendlyNexusPos.TILE_Y * this.tileMap.tileHeight + (this.tileMap.tileHeight / 2)
+      x: friendlyNexusPos.tileX * this.tileMap.tileWidth + (this.tileMap.tileWidth / 2),
+      y: friendlyNexusPos.tileY * this.tileMap.tileHeight + (this.tileMap.tileHeight / 2)
     };
   }
 
@@ -881,9 +474,9 @@ class SoulStateMachine {
     if (!nexusPos) return null;
     
     // Add randomness around the nexus so souls don't all sleep in the same spot
-    const sleepRadius = GameConfig.NEXUS.SPAWN_OFFSET_RANGE * GameConfig.SLEEP.AREA_RADIUS_MULTIPLIER;
-    const randomX = nexusPos.x + (Math.random() - 0.5) * sleepRadius * 2;
-    const randomY = nexusPos.y + (Math.random() - 0.5) * sleepRadius * 2;
+    const sleepRadius = this.config.NEXUS.SPAWN_OFFSET_RANGE * this.config.SLEEP.AREA_RADIUS_MULTIPLIER;
+    const randomX = nexusPos.x + (this.random.next() - 0.5) * sleepRadius * 2;
+    const randomY = nexusPos.y + (this.random.next() - 0.5) * sleepRadius * 2;
     
     return { x: randomX, y: randomY };
   }
@@ -897,7 +490,7 @@ class SoulStateMachine {
     if (!this.tileMap || !this.movementSystem || !this.movementSystem.scoringSystem) return false;
     
     const teamType = this.soul.teamType;
-    const opponentType = this.soul.type === GameConfig.SOUL_TYPES.DARK ? GameConfig.TILE_TYPES.GREEN : GameConfig.TILE_TYPES.GRAY;
+    const opponentType = this.soul.type === this.config.SOUL_TYPES.DARK ? this.config.TILE_TYPES.GREEN : this.config.TILE_TYPES.GRAY;
     
     // Check ALL tiles on the map for any with score > 0 AND not already targeted
     for (let y = 0; y < this.tileMap.height; y++) {
@@ -926,6 +519,26 @@ class SoulStateMachine {
     
     return false; // No valid casting targets found
   }
+
+  /**
+   * Serialize state machine internals for snapshots
+   */
+  serializeState() {
+    return {
+      currentState: this.currentState,
+      stateStartTime: this.stateStartTime,
+      lastCastTime: this.lastCastTime,
+      defendingTarget: this.defendingTarget,
+      previousState: this.previousState,
+      sleepTarget: cloneState(this.sleepTarget)
+    };
+  }
+
+  loadState(state, timeOffset = 0) {
+    Object.assign(this, cloneState(state));
+    shiftTimeFields(this, ['stateStartTime', 'lastCastTime'], timeOffset);
+    this.updateEngagement();
+  }
 }
 
 module.exports = { SoulStateMachine, SoulStates };
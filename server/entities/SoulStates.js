@@ -0,0 +1,24 @@
+/**
+ * Soul States
+ * Every state a soul can be in. Behaviour definitions (behaviours/*.json) must declare all of them,
+ * since the game systems move souls into several directly.
+ */
+
+const SoulStates = {
+  ROAMING: 'roaming',
+  HUNGRY: 'hungry',
+  SEEKING: 'seeking',
+  PREPARING: 'preparing',
+  CASTING: 'casting',
+  DEFENDING: 'defending',  // Moving toward enemy to attack
+  ATTACKING: 'attacking',  // Stopped and attacking
+  SEEKING_NEXUS: 'seeking_nexus', // Moving toward enemy nexus
+  ATTACKING_NEXUS: 'attacking_nexus', // Close to nexus and attacking it
+  SOCIALISING: 'socialising',
+  RESTING: 'resting',
+  MATING: 'mating',
+  SEEKING_SLEEP: 'seeking_sleep', // Moving to friendly nexus before sleeping
+  SLEEPING: 'sleeping'  // Sleeping during opposite cycle for energy recovery
+};
+
+module.exports = { SoulStates };
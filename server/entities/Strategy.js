@@ -0,0 +1,54 @@
+/**
+ * Strategy
+ * Team AI profiles (STRATEGIES.PROFILES in the config) that every soul of a team follows
+ * A profile is named by its config key in lower case, e.g. 'balanced' for BALANCED
+ * Its PRIORITIES order the steps of the behaviour definition (entities/Behaviour.js)
+ */
+
+function getProfileKey(name) {
+  return typeof name === 'string' ? name.toUpperCase() : '';
+}
+
+function isStrategy(config, name) {
+  return Object.prototype.hasOwnProperty.call(config.STRATEGIES.PROFILES, getProfileKey(name));
+}
+
+/**
+ * @param {string} name - e.g. 'aggressive'
+ * @returns {Object} The profile's config
+ */
+function getStrategyProfile(config, name) {
+  if (!isStrategy(config, name)) {
+    throw new Error(`Unknown strategy: ${name} (expected ${listStrategies(config).join(', ')})`);
+  }
+  return config.STRATEGIES.PROFILES[getProfileKey(name)];
+}
+
+function listStrategies(config) {
+  return Object.keys(config.STRATEGIES.PROFILES).map(key => key.toLowerCase());
+}
+
+/**
+ * Throw on a profile with an unknown priority or a team assigned an unknown profile,
+ * so a typo in a config file doesn't quietly change how souls behave
+ * @param {Array<string>} steps - Steps of the behaviour definition, the priorities a profile may list
+ */
+function validateStrategies(config, steps) {
+  Object.entries(config.STRATEGIES.PROFILES).forEach(([key, profile]) => {
+    profile.PRIORITIES.forEach(step => {
+      if (!steps.includes(step)) {
+        throw new Error(`Unknown priority in strategy ${key.toLowerCase()}: ${step} (expected ${steps.join(', ')})`);
+      }
+    });
+  });
+  Object.values(config.STRATEGIES.TEAMS).forEach(name => getStrategyProfile(config, name));
+}
+
+/**
+ * What clients are told about a team's profile
+ */
+function describeStrategy(config, name) {
+  return { id: name, name: getStrategyProfile(config, name).NAME };
+}
+
+module.exports = { isStrategy, getStrategyProfile, listStrategies, validateStrategies, describeStrategy };
@@ -0,0 +1,40 @@
+/**
+ * Veterancy
+ * Lifetime counters a soul builds up over its life, and the ranks they earn (VETERANS in the config)
+ * Every counter is worth experience (VETERANS.XP, keyed by the counter's name in UPPER_SNAKE_CASE);
+ * a soul holds the highest rank whose XP threshold it has reached
+ */
+
+const SOUL_STATS = [
+  'damageDealt', 'damageTaken', 'kills', 'spellsCast',
+  'spellsInterrupted', 'tilesCaptured', 'orbsEaten', 'children'
+];
+
+function createLifetimeStats() {
+  const stats = {};
+  SOUL_STATS.forEach(stat => {
+    stats[stat] = 0;
+  });
+  return stats;
+}
+
+/**
+ * Experience one unit of a counter is worth
+ * @param {string} stat - One of SOUL_STATS
+ */
+function getStatXp(config, stat) {
+  return config.VETERANS.XP[stat.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()];
+}
+
+/**
+ * @returns {number} Index into VETERANS.RANKS
+ */
+function getRankForXp(config, xp) {
+  let rank = 0;
+  config.VETERANS.RANKS.forEach((definition, index) => {
+    if (xp >= definition.XP) rank = index;
+  });
+  return rank;
+}
+
+module.exports = { SOUL_STATS, createLifetimeStats, getStatXp, getRankForXp };
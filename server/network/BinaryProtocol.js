@@ -0,0 +1,233 @@
+/**
+ * Binary Protocol
+ * Compact encoding for the highest-volume broadcasts, sent as binary WebSocket frames
+ * to clients that opt in with a hello handshake. Every other message stays JSON.
+ *
+ * Frame layout: uint8 message code, then the message fields in schema order
+ *   string  - uint8 byte length + UTF-8 bytes
+ *   float   - float32
+ *   uint    - uint32
+ *   double  - float64
+ *   short   - uint16
+ *   bool    - uint8 (0/1)
+ *   genome  - one float32 per gene, in GENES order (entities/Genome.js)
+ * All multi-byte values are little-endian.
+ *
+ * Mirrored by client/js/network/BinaryProtocol.js - change both together and bump
+ * PROTOCOL_VERSION; server/test/binaryProtocol.test.js decodes these frames with the client.
+ */
+
+const { GENES } = require('../entities/Genome');
+
+const PROTOCOL_VERSION = 5;
+
+const MESSAGE_CODES = {
+  state_delta: 1,
+  attack: 2,
+  spell_progress: 3,
+  tile_updated: 4
+};
+
+// Soul fields a state_delta entry may carry, in presence-mask bit order
+const SOUL_FIELDS = [
+  ['name', 'string'],
+  ['type', 'string'],
+  ['x', 'float'],
+  ['y', 'float'],
+  ['energy', 'float'],
+  ['maxEnergy', 'float'],
+  ['isCasting', 'bool'],
+  ['isPreparing', 'bool'],
+  ['isRetreating', 'bool'],
+  ['isDefending', 'bool'],
+  ['currentState', 'string'],
+  ['isChild', 'bool'],
+  ['isMating', 'bool'],
+  ['maturityPercentage', 'float'],
+  ['isSleeping', 'bool'],
+  ['sleepProgress', 'float'],
+  ['genome', 'genome'],
+  ['lineName', 'string'],
+  ['generation', 'short'],
+  ['rank', 'short'],
+  ['xp', 'float']
+];
+const SOUL_FIELD_NAMES = new Set(SOUL_FIELDS.map(([name]) => name));
+
+const MAX_STRING_BYTES = 255;
+const INITIAL_BUFFER_SIZE = 1024;
+
+/**
+ * Growable little-endian writer over an ArrayBuffer
+ */
+class BinaryWriter {
+  constructor() {
+    this.buffer = new ArrayBuffer(INITIAL_BUFFER_SIZE);
+    this.view = new DataView(this.buffer);
+    this.offset = 0;
+  }
+
+  ensureCapacity(bytes) {
+    if (this.offset + bytes <= this.buffer.byteLength) return;
+
+    let size = this.buffer.byteLength * 2;
+    while (size < this.offset + bytes) {
+      size *= 2;
+    }
+    const grown = new ArrayBuffer(size);
+    new Uint8Array(grown).set(new Uint8Array(this.buffer, 0, this.offset));
+    this.buffer = grown;
+    this.view = new DataView(grown);
+  }
+
+  uint8(value) {
+    this.ensureCapacity(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  uint16(value) {
+    this.ensureCapacity(2);
+    this.view.setUint16(this.offset, value, true);
+    this.offset += 2;
+  }
+
+  uint32(value) {
+    this.ensureCapacity(4);
+    this.view.setUint32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  float32(value) {
+    this.ensureCapacity(4);
+    this.view.setFloat32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  float64(value) {
+    this.ensureCapacity(8);
+    this.view.setFloat64(this.offset, value, true);
+    this.offset += 8;
+  }
+
+  string(value) {
+    const bytes = Buffer.from(String(value), 'utf8');
+    if (bytes.length > MAX_STRING_BYTES) {
+      throw new RangeError(`String too long for binary protocol: ${bytes.length} bytes`);
+    }
+    this.uint8(bytes.length);
+    this.ensureCapacity(bytes.length);
+    new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+    this.offset += bytes.length;
+  }
+
+  value(kind, value) {
+    switch (kind) {
+      case 'string': this.string(value); break;
+      case 'float': this.float32(value); break;
+      case 'short': this.uint16(value); break;
+      case 'bool': this.uint8(value ? 1 : 0); break;
+      case 'genome': GENES.forEach(gene => this.float32(value[gene])); break;
+    }
+  }
+
+  toBuffer() {
+    return Buffer.from(this.buffer, 0, this.offset);
+  }
+}
+
+/**
+ * Whether a message can be encoded (otherwise it is sent as JSON)
+ */
+function canEncode(message) {
+  switch (message.type) {
+    case 'state_delta':
+      return message.souls.every(soul =>
+        Object.keys(soul).every(key => key === 'id' || SOUL_FIELD_NAMES.has(key))
+      );
+    case 'attack':
+      return Boolean(message.attackerPos && message.targetPos);
+    case 'spell_progress':
+    case 'tile_updated':
+      return true;
+    default:
+      return false;
+  }
+}
+
+function writeStateDelta(writer, message) {
+  writer.uint32(message.seq);
+  writer.uint32(message.tick);
+  writer.float64(message.serverTime);
+  writer.uint16(message.souls.length);
+
+  message.souls.forEach(soul => {
+    writer.string(soul.id);
+
+    let mask = 0;
+    SOUL_FIELDS.forEach(([name], bit) => {
+      if (soul[name] !== undefined) {
+        mask |= 1 << bit;
+      }
+    });
+    writer.uint32(mask);
+
+    SOUL_FIELDS.forEach(([name, kind]) => {
+      if (soul[name] !== undefined) {
+        writer.value(kind, soul[name]);
+      }
+    });
+  });
+}
+
+function writeAttack(writer, message) {
+  writer.string(message.attackerId);
+  writer.string(message.targetId);
+  writer.float32(message.damage);
+  writer.float32(message.attackerPos.x);
+  writer.float32(message.attackerPos.y);
+  writer.float32(message.targetPos.x);
+  writer.float32(message.targetPos.y);
+  writer.uint8(message.isDefensiveAttack ? 1 : 0);
+}
+
+function writeSpellProgress(writer, message) {
+  writer.string(message.spellId);
+  writer.string(message.casterId);
+  writer.float32(message.progress);
+  writer.float32(message.timeRemaining);
+}
+
+function writeTileUpdated(writer, message) {
+  writer.uint16(message.tileX);
+  writer.uint16(message.tileY);
+  writer.string(message.newType);
+}
+
+/**
+ * Encode a message as a binary frame
+ * @param {Object} message - Broadcast message
+ * @returns {Buffer|null} Encoded frame, or null if the message must be sent as JSON
+ */
+function encodeMessage(message) {
+  if (!MESSAGE_CODES[message.type] || !canEncode(message)) return null;
+
+  const writer = new BinaryWriter();
+  writer.uint8(MESSAGE_CODES[message.type]);
+
+  try {
+    switch (message.type) {
+      case 'state_delta': writeStateDelta(writer, message); break;
+      case 'attack': writeAttack(writer, message); break;
+      case 'spell_progress': writeSpellProgress(writer, message); break;
+      case 'tile_updated': writeTileUpdated(writer, message); break;
+    }
+  } catch (error) {
+    if (error instanceof RangeError) return null;
+    throw error;
+  }
+
+  return writer.toBuffer();
+}
+
+module.exports = { PROTOCOL_VERSION, MESSAGE_CODES, SOUL_FIELDS, encodeMessage };
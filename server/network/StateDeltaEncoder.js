@@ -0,0 +1,109 @@
+const GameConfig = require('../config/gameConfig');
+
+/**
+ * State Delta Encoder
+ * Turns the per-tick soul snapshots into one batched state_delta message holding only
+ * the fields that changed since the previous tick, with quantised numbers so jitter
+ * below the display precision doesn't count as a change
+ *
+ * All clients share one baseline: a client that receives world_state with sequence S
+ * can apply every delta from S + 1 on. A gap in the sequence means a message was lost
+ * and the client should send request_resync.
+ */
+class StateDeltaEncoder {
+  /**
+   * @param {Object} [config] - Room config (reads NETWORK on every encode so updates apply live)
+   */
+  constructor(config = GameConfig) {
+    this.config = config;
+    this.seq = 0;
+    this.baseline = new Map(); // soulId -> last quantised soul data sent
+  }
+
+  /**
+   * Build the delta for this tick
+   * @param {Array} soulsData - Soul.toClientData() for every soul
+   * @param {number} tick - Server tick number
+   * @param {number} serverTime - Simulation time of the tick, used by clients to interpolate
+   * @returns {Object|null} state_delta message, or null when nothing changed
+   */
+  encode(soulsData, tick, serverTime) {
+    const changes = [];
+    const seenIds = new Set();
+
+    soulsData.forEach(soulData => {
+      const quantised = this.quantise(soulData);
+      const previous = this.baseline.get(quantised.id);
+      const change = previous ? this.diff(previous, quantised) : quantised;
+
+      if (change) {
+        changes.push(change);
+      }
+      this.baseline.set(quantised.id, quantised);
+      seenIds.add(quantised.id);
+    });
+
+    // Removals travel as character_remove events; just forget the baseline
+    this.baseline.forEach((_, soulId) => {
+      if (!seenIds.has(soulId)) {
+        this.baseline.delete(soulId);
+      }
+    });
+
+    if (changes.length === 0) return null;
+
+    this.seq++;
+    return {
+      type: 'state_delta',
+      seq: this.seq,
+      tick: tick,
+      serverTime: serverTime,
+      souls: changes
+    };
+  }
+
+  quantise(soulData) {
+    const config = this.config.NETWORK;
+    const quantised = { ...soulData };
+
+    quantised.x = this.round(soulData.x, config.POSITION_DECIMALS);
+    quantised.y = this.round(soulData.y, config.POSITION_DECIMALS);
+    quantised.energy = this.round(soulData.energy, config.ENERGY_DECIMALS);
+    quantised.maturityPercentage = this.round(soulData.maturityPercentage, config.PROGRESS_DECIMALS);
+    quantised.sleepProgress = this.round(soulData.sleepProgress, config.PROGRESS_DECIMALS);
+
+    return quantised;
+  }
+
+  round(value, decimals) {
+    if (typeof value !== 'number') return value;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Changed fields plus the id, or null when nothing changed
+   */
+  diff(previous, next) {
+    const change = { id: next.id };
+    let hasChanges = false;
+
+    Object.keys(next).forEach(key => {
+      if (previous[key] !== next[key]) {
+        change[key] = next[key];
+        hasChanges = true;
+      }
+    });
+
+    return hasChanges ? change : null;
+  }
+
+  /**
+   * Sequence number of the last delta sent (world_state carries it as its baseline)
+   */
+  getSequence() {
+    return this.seq;
+  }
+}
+
+module.exports = StateDeltaEncoder;
@@ -0,0 +1,142 @@
+const path = require('path');
+const WebSocket = require('ws');
+const GameConfig = require('./config/gameConfig');
+const ReplayPlayer = require('./replay/ReplayPlayer');
+
+/**
+ * Replay server
+ * Streams a file recorded with REPLAY_RECORD=<file> to clients as if it were a live match
+ *
+ * Usage:
+ *   node replay.js match.ndjson
+ *   node replay.js match.ndjson --speed 4 --port 3001
+ */
+
+const USAGE = `Usage: node replay.js <file> [options]
+
+Options:
+  --speed N    Initial playback speed, ${GameConfig.REPLAY.MIN_SPEED}-${GameConfig.REPLAY.MAX_SPEED} (default 1)
+  --port N     WebSocket port (default 3000)
+  --help       Show this message`;
+
+function parseArgs(argv) {
+  const options = { file: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[arg.slice(2)] = value;
+      i++;
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function startReplayServer(player, port) {
+  const wss = new WebSocket.Server({ port: port });
+  let lastStateBroadcast = 0;
+
+  function broadcastToAll(message) {
+    const data = JSON.stringify(message);
+    wss.clients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(data);
+      }
+    });
+  }
+
+  function broadcastReplayState() {
+    broadcastToAll(player.getState());
+    lastStateBroadcast = Date.now();
+  }
+
+  function handleControl(message) {
+    switch (message.action) {
+      case 'play':
+        // Playing a finished replay starts it over
+        if (player.isFinished()) {
+          player.seek(player.startTick).forEach(broadcastToAll);
+        }
+        player.setPaused(false);
+        break;
+      case 'pause':
+        player.setPaused(true);
+        break;
+      case 'speed':
+        player.setSpeed(message.speed);
+        break;
+      case 'seek':
+        player.seek(message.tick).forEach(broadcastToAll);
+        break;
+      default:
+        return;
+    }
+    broadcastReplayState();
+  }
+
+  function playbackLoop() {
+    const wasFinished = player.isFinished();
+    player.advance().forEach(broadcastToAll);
+
+    if ((player.isFinished() && !wasFinished) || Date.now() - lastStateBroadcast >= GameConfig.REPLAY.STATE_BROADCAST_INTERVAL) {
+      broadcastReplayState();
+    }
+  }
+
+  wss.on('connection', (ws) => {
+    // Bring the new client up to the playhead
+    player.buildCatchUp().forEach(message => ws.send(JSON.stringify(message)));
+    ws.send(JSON.stringify(player.getState()));
+
+    ws.on('message', (data) => {
+      try {
+        const message = JSON.parse(data);
+
+        if (message.type === 'replay_control') {
+          handleControl(message);
+        }
+      } catch (error) {
+        console.error('Error handling client message:', error);
+      }
+    });
+  });
+
+  setInterval(playbackLoop, player.header.frameTime || GameConfig.GAME_LOOP.FRAME_TIME);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.file) {
+    console.log(USAGE);
+    return;
+  }
+
+  const player = ReplayPlayer.fromFile(path.resolve(options.file));
+  if (options.speed) {
+    player.setSpeed(options.speed);
+  }
+
+  const port = options.port ? Number(options.port) : 3000;
+  startReplayServer(player, port);
+
+  console.log(`[Replay] Serving ${options.file} on ws://localhost:${port} (ticks ${player.startTick}-${player.endTick}, ${player.speed}x)`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`[Replay] ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
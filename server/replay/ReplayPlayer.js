@@ -0,0 +1,205 @@
+const fs = require('fs');
+const GameConfig = require('../config/gameConfig');
+const { REPLAY_FORMAT_VERSION } = require('./ReplayRecorder');
+
+// Visual-only events that are dropped when fast-forwarding to a seek target
+// The browser's player (client/js/network/ReplayPlayer.js) keeps the same list; test/replayPlayer.test.js compares them
+const TRANSIENT_EVENT_TYPES = new Set([
+  'attack',
+  'nexus_attack',
+  'spell_progress',
+  'character_death',
+  'statistics_update',
+  'hall_of_fame'
+]);
+
+/**
+ * Replay Player
+ * Loads a file written by ReplayRecorder and turns it back into the message stream clients saw
+ * Playback is driven from outside: call advance() once per frame and broadcast what it returns
+ */
+class ReplayPlayer {
+  /**
+   * @param {string} text - Contents of a replay file
+   */
+  constructor(text) {
+    this.header = null;
+    this.frames = []; // [{tick, time, events}] in tick order
+    this.keyframes = []; // [{tick, time, state}] in tick order
+
+    this.parse(text);
+
+    this.startTick = this.keyframes[0].tick;
+    this.endTick = Math.max(
+      this.startTick,
+      this.frames.length > 0 ? this.frames[this.frames.length - 1].tick : 0,
+      this.keyframes[this.keyframes.length - 1].tick
+    );
+
+    this.speed = 1;
+    this.paused = false;
+    this.position = this.startTick; // Fractional tick so speeds below 1x work
+    // Clients receive the starting keyframe through buildCatchUp() when they connect
+    this.nextFrameIndex = this.findFirstIndexAfter(this.frames, this.startTick);
+    this.nextKeyframeIndex = this.findFirstIndexAfter(this.keyframes, this.startTick);
+  }
+
+  static fromFile(filePath) {
+    return new ReplayPlayer(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  parse(text) {
+    text.split('\n').forEach((line, index) => {
+      if (line.trim() === '') return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid replay line ${index + 1}: ${error.message}`);
+      }
+
+      switch (entry.type) {
+        case 'replay_header':
+          if (entry.version !== REPLAY_FORMAT_VERSION) {
+            throw new Error(`Unsupported replay version: ${entry.version}`);
+          }
+          this.header = entry;
+          break;
+        case 'tick':
+          this.frames.push(entry);
+          break;
+        case 'keyframe':
+          this.keyframes.push(entry);
+          break;
+      }
+    });
+
+    if (!this.header) {
+      throw new Error('Replay file has no header');
+    }
+    if (this.keyframes.length === 0) {
+      throw new Error('Replay file has no keyframes');
+    }
+  }
+
+  /**
+   * Set playback speed, clamped to the configured range
+   */
+  setSpeed(speed) {
+    const value = Number(speed);
+    if (!Number.isFinite(value)) return;
+    this.speed = Math.min(GameConfig.REPLAY.MAX_SPEED, Math.max(GameConfig.REPLAY.MIN_SPEED, value));
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+  }
+
+  isFinished() {
+    return this.position >= this.endTick;
+  }
+
+  /**
+   * Advance playback by one frame at the current speed
+   * @returns {Array} Messages to broadcast, in recorded order
+   */
+  advance() {
+    if (this.paused || this.isFinished()) return [];
+
+    this.position = Math.min(this.endTick, this.position + this.speed);
+    const targetTick = Math.floor(this.position);
+    const messages = [];
+
+    // Events of a tick come before the keyframes taken at its end
+    while (this.nextFrameIndex < this.frames.length && this.frames[this.nextFrameIndex].tick <= targetTick) {
+      const frame = this.frames[this.nextFrameIndex++];
+      this.emitKeyframesUpTo(frame.tick - 1, messages);
+      messages.push(...frame.events);
+      this.emitKeyframesUpTo(frame.tick, messages);
+    }
+    this.emitKeyframesUpTo(targetTick, messages);
+
+    return messages;
+  }
+
+  emitKeyframesUpTo(tick, messages) {
+    while (this.nextKeyframeIndex < this.keyframes.length && this.keyframes[this.nextKeyframeIndex].tick <= tick) {
+      messages.push(this.keyframes[this.nextKeyframeIndex++].state);
+    }
+  }
+
+  /**
+   * Jump to a tick
+   * @returns {Array} Messages that bring a client from any state to the target tick
+   */
+  seek(tick) {
+    const targetTick = Math.min(this.endTick, Math.max(this.startTick, Math.floor(Number(tick) || 0)));
+    this.position = targetTick;
+    this.nextFrameIndex = this.findFirstIndexAfter(this.frames, targetTick);
+    this.nextKeyframeIndex = this.findFirstIndexAfter(this.keyframes, targetTick);
+
+    return this.buildCatchUp(targetTick);
+  }
+
+  /**
+   * Rebuild the view at a tick: the nearest keyframe before it, then the
+   * stateful events and state deltas up to it with transient effects dropped
+   * @param {number} [tick] - Target tick, defaults to the playhead
+   * @returns {Array} Messages to send
+   */
+  buildCatchUp(tick = Math.floor(this.position)) {
+    const keyframeIndex = this.findFirstIndexAfter(this.keyframes, tick) - 1;
+    const keyframe = this.keyframes[Math.max(0, keyframeIndex)];
+    const messages = [
+      { type: 'replay_seek', tick: tick },
+      keyframe.state
+    ];
+
+    for (let i = this.findFirstIndexAfter(this.frames, keyframe.tick); i < this.frames.length && this.frames[i].tick <= tick; i++) {
+      this.frames[i].events.forEach(event => {
+        if (!TRANSIENT_EVENT_TYPES.has(event.type)) {
+          messages.push(event);
+        }
+      });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Index of the first entry with a tick greater than the given tick (binary search)
+   */
+  findFirstIndexAfter(entries, tick) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (entries[middle].tick <= tick) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Get playback state for clients
+   */
+  getState() {
+    return {
+      type: 'replay_state',
+      tick: Math.floor(this.position),
+      startTick: this.startTick,
+      endTick: this.endTick,
+      speed: this.speed,
+      paused: this.paused,
+      frameTime: this.header.frameTime
+    };
+  }
+}
+
+ReplayPlayer.TRANSIENT_EVENT_TYPES = TRANSIENT_EVENT_TYPES;
+
+module.exports = ReplayPlayer;
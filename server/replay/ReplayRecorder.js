@@ -0,0 +1,74 @@
+const fs = require('fs');
+
+const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * Replay Recorder
+ * Writes every broadcast message to a newline-delimited JSON file:
+ *   {"type":"replay_header", ...}                   - first line
+ *   {"type":"tick","tick":N,"time":T,"events":[...]} - messages broadcast during tick N
+ *   {"type":"keyframe","tick":N,"time":T,"state":{}} - world_state payload at the end of tick N
+ * Writes are synchronous so a crash or shutdown never loses buffered lines
+ */
+class ReplayRecorder {
+  /**
+   * @param {string} filePath - Replay file to create (overwritten if it exists)
+   * @param {Object} [header] - Extra header fields, e.g. the simulation seed
+   */
+  constructor(filePath, header = {}) {
+    this.filePath = filePath;
+    this.fd = fs.openSync(filePath, 'w');
+    this.pendingEvents = [];
+    this.pendingKeyframes = [];
+
+    this.writeLine({
+      type: 'replay_header',
+      version: REPLAY_FORMAT_VERSION,
+      recordedAt: Date.now(),
+      ...header
+    });
+  }
+
+  /**
+   * Record a broadcast message
+   */
+  record(message) {
+    this.pendingEvents.push(message);
+  }
+
+  /**
+   * Record a full world_state payload (including the tile map) as a keyframe
+   */
+  recordKeyframe(worldState) {
+    this.pendingKeyframes.push(worldState);
+  }
+
+  /**
+   * Flush everything recorded during a tick
+   * @param {number} tick - Server tick number
+   * @param {number} time - Server time of the tick
+   */
+  endTick(tick, time) {
+    if (this.pendingEvents.length > 0) {
+      this.writeLine({ type: 'tick', tick, time, events: this.pendingEvents });
+    }
+    this.pendingKeyframes.forEach(state => {
+      this.writeLine({ type: 'keyframe', tick, time, state });
+    });
+
+    this.pendingEvents = [];
+    this.pendingKeyframes = [];
+  }
+
+  writeLine(entry) {
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+  }
+
+  close() {
+    if (this.fd === null) return;
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+module.exports = { ReplayRecorder, REPLAY_FORMAT_VERSION };
@@ -0,0 +1,119 @@
+/**
+ * Favor Ledger
+ * Per-client favor balances for spectator powers: favor regenerates over time and
+ * each power has a cost, a per-client cooldown and optionally a room-wide cooldown.
+ * Requests are also rate limited per client, whether or not they succeed.
+ * Favor and cooldowns run on the room's game clock, so they stop while the room is paused
+ * and follow its speed; the rate limit uses wall time, as it guards the server.
+ */
+class FavorLedger {
+  /**
+   * @param {Object} config - Room config (reads SPECTATORS on every call so updates apply live)
+   * @param {Object} clock - The room's game clock (utils/Clock.js)
+   */
+  constructor(config, clock) {
+    this.config = config;
+    this.clock = clock;
+    this.clients = new Map(); // ws -> { favor, updatedAt, readyAt: {power: time}, recentRequests: [time] }
+    this.roomReadyAt = {}; // power -> time when anyone in the room may use it again
+  }
+
+  addClient(ws, now = this.clock.now()) {
+    this.clients.set(ws, {
+      favor: this.config.SPECTATORS.STARTING_FAVOR,
+      updatedAt: now,
+      readyAt: {},
+      recentRequests: []
+    });
+  }
+
+  removeClient(ws) {
+    this.clients.delete(ws);
+  }
+
+  /**
+   * Bring a client's favor up to date with regeneration
+   */
+  regenerate(entry, now) {
+    const spectators = this.config.SPECTATORS;
+    const elapsedSeconds = (now - entry.updatedAt) / 1000;
+    entry.favor = Math.min(spectators.MAX_FAVOR, entry.favor + elapsedSeconds * spectators.FAVOR_PER_SECOND);
+    entry.updatedAt = now;
+  }
+
+  /**
+   * Check whether a client may use a power right now (counts toward the rate limit)
+   * @returns {string|null} Rejection reason, or null when allowed
+   */
+  authorize(ws, power, now = this.clock.now(), wallTime = Date.now()) {
+    const entry = this.clients.get(ws);
+    if (!entry) return 'Not in a room';
+
+    const spectators = this.config.SPECTATORS;
+    entry.recentRequests = entry.recentRequests.filter(time => wallTime - time < spectators.RATE_LIMIT_WINDOW);
+    if (entry.recentRequests.length >= spectators.MAX_COMMANDS_PER_WINDOW) {
+      return 'Too many requests, slow down';
+    }
+    entry.recentRequests.push(wallTime);
+
+    if (!Object.prototype.hasOwnProperty.call(spectators.POWERS, power)) return `Unknown power: ${power}`;
+    const powerConfig = spectators.POWERS[power];
+
+    if ((entry.readyAt[power] || 0) > now) {
+      return `On cooldown for ${Math.ceil((entry.readyAt[power] - now) / 1000)}s`;
+    }
+    if ((this.roomReadyAt[power] || 0) > now) {
+      return `Recently used in this room, ready in ${Math.ceil((this.roomReadyAt[power] - now) / 1000)}s`;
+    }
+
+    this.regenerate(entry, now);
+    if (entry.favor < powerConfig.COST) {
+      return `Needs ${powerConfig.COST} favor`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Charge a client for a power that was applied
+   */
+  spend(ws, power, now = this.clock.now()) {
+    const entry = this.clients.get(ws);
+    const powerConfig = this.config.SPECTATORS.POWERS[power];
+
+    this.regenerate(entry, now);
+    entry.favor -= powerConfig.COST;
+    entry.readyAt[power] = now + powerConfig.COOLDOWN;
+    if (powerConfig.ROOM_COOLDOWN) {
+      this.roomReadyAt[power] = now + powerConfig.ROOM_COOLDOWN;
+    }
+  }
+
+  /**
+   * favor_update message for a client
+   */
+  getStatus(ws, now = this.clock.now()) {
+    const entry = this.clients.get(ws);
+    const spectators = this.config.SPECTATORS;
+    this.regenerate(entry, now);
+
+    const powers = {};
+    Object.keys(spectators.POWERS).forEach(power => {
+      const readyAt = Math.max(entry.readyAt[power] || 0, this.roomReadyAt[power] || 0);
+      powers[power] = {
+        cost: spectators.POWERS[power].COST,
+        cooldownRemaining: Math.max(0, readyAt - now)
+      };
+    });
+
+    return {
+      type: 'favor_update',
+      favor: Math.floor(entry.favor),
+      maxFavor: spectators.MAX_FAVOR,
+      favorPerSecond: spectators.FAVOR_PER_SECOND,
+      powers: powers
+    };
+  }
+}
+
+module.exports = FavorLedger;
@@ -0,0 +1,429 @@
+const WebSocket = require('ws');
+const GameManager = require('../GameManager');
+const GameConfig = require('../config/gameConfig');
+const StateDeltaEncoder = require('../network/StateDeltaEncoder');
+const BinaryProtocol = require('../network/BinaryProtocol');
+const FavorLedger = require('./FavorLedger');
+const { ManualClock } = require('../utils/Clock');
+
+// Playback controls of this server's time, meaningless inside a recording
+const UNRECORDED_MESSAGES = ['world_state', 'time_scale', 'time_step'];
+
+/**
+ * Room
+ * One independent world: its own GameManager, tick loop, delta sequence and clients
+ * Broadcasts only reach the clients that joined this room
+ *
+ * The simulation runs on a fixed timestep: every tick advances game time by exactly
+ * FRAME_TIME, and the loop runs as many ticks as real time (times the speed) calls for.
+ * Events and state deltas are queued and flushed BROADCAST_RATE times per second.
+ */
+class Room {
+  /**
+   * @param {string} id - Room id (the <id> in /room/<id>)
+   * @param {Object} [options]
+   * @param {string} [options.preset] - Name of the preset the config was built from
+   * @param {Object} [options.config] - Room config, defaults to the global GameConfig
+   * @param {number|string} [options.seed] - RNG seed for the room's world
+   * @param {boolean} [options.persistent] - Never garbage-collect this room when empty
+   */
+  constructor(id, options = {}) {
+    this.id = id;
+    this.preset = options.preset || 'default';
+    this.config = options.config || GameConfig;
+    this.persistent = options.persistent || false;
+
+    // Game time only moves by whole ticks, so a lagging event loop can't change the outcome
+    this.clock = new ManualClock(Date.now());
+    this.gameManager = new GameManager({ seed: options.seed, clock: this.clock, config: this.config });
+    this.deltaEncoder = new StateDeltaEncoder(this.config);
+    this.replayRecorder = null;
+    this.clients = new Set();
+    this.favorLedger = new FavorLedger(this.config, this.clock);
+
+    this.tick = 0;
+    this.speed = 1;
+    this.paused = false;
+    this.accumulator = 0; // Real time (times speed) not yet simulated
+    this.lastLoopTime = null;
+    this.nextBroadcastTime = 0;
+    this.pendingEvents = [];
+    this.lastWorldStateSync = Date.now();
+    this.lastStatisticsSync = Date.now();
+    this.emptySince = Date.now();
+    this.loopTimer = null;
+  }
+
+  start() {
+    if (this.loopTimer) return;
+    this.accumulator = 0;
+    this.lastLoopTime = Date.now();
+    this.loopTimer = setInterval(() => this.runLoop(), this.config.GAME_LOOP.FRAME_TIME);
+  }
+
+  /**
+   * Run the ticks that are due, then flush if a broadcast is due
+   * The timer only polls; a late or early callback changes how many ticks run, not how far each one moves
+   */
+  runLoop() {
+    const now = Date.now();
+    const { FRAME_TIME, MAX_CATCH_UP_TICKS, BROADCAST_RATE } = this.config.GAME_LOOP;
+
+    this.accumulator += (now - this.lastLoopTime) * this.speed;
+    this.lastLoopTime = now;
+
+    // The budget grows with the speed, or a sped-up room would drop its backlog on every bit of timer jitter
+    const maxTicks = MAX_CATCH_UP_TICKS * Math.max(1, this.speed);
+    let ticks = 0;
+    while (this.accumulator >= FRAME_TIME && ticks < maxTicks) {
+      this.update();
+      this.accumulator -= FRAME_TIME;
+      ticks++;
+    }
+
+    // After a long stall, slow down rather than spiral trying to catch up
+    if (this.accumulator >= FRAME_TIME) {
+      console.warn(`[Room ${this.id}] Simulation fell behind, skipping ${Math.floor(this.accumulator / FRAME_TIME)} ticks`);
+      this.accumulator = 0;
+    }
+
+    if (now >= this.nextBroadcastTime) {
+      this.flush();
+      // Keep the schedule so polling jitter doesn't lower the rate, but never build up a burst
+      const broadcastInterval = 1000 / BROADCAST_RATE;
+      this.nextBroadcastTime = Math.max(this.nextBroadcastTime + broadcastInterval, now - broadcastInterval);
+    }
+  }
+
+  stop() {
+    this.stopLoop();
+    if (this.replayRecorder) {
+      this.replayRecorder.close();
+    }
+  }
+
+  stopLoop() {
+    if (this.loopTimer) {
+      clearInterval(this.loopTimer);
+      this.loopTimer = null;
+    }
+  }
+
+  /**
+   * Freeze the simulation; game time stops too, so no timers run out while paused
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.stopLoop();
+    this.flush();
+    this.broadcastTimeScale();
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.start();
+    this.broadcastTimeScale();
+  }
+
+  /**
+   * Run ticks by hand while paused, each one frame of game time
+   * @param {number} ticks
+   */
+  step(ticks) {
+    if (!this.isPaused()) {
+      throw new Error('Pause the simulation before stepping');
+    }
+
+    // Sent first so clients advance their animation clock before the stepped updates arrive
+    const elapsed = ticks * this.config.GAME_LOOP.FRAME_TIME;
+    this.broadcast({ type: 'time_step', ticks: ticks, elapsed: elapsed });
+
+    for (let i = 0; i < ticks; i++) {
+      this.update();
+    }
+    this.flush();
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Faster simulation runs more fixed ticks per second; each tick still covers one frame of game time
+   * @param {number} speed - Multiple of real time
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+    this.broadcastTimeScale();
+  }
+
+  getTimeScale() {
+    return { paused: this.paused, speed: this.speed };
+  }
+
+  /**
+   * Tell clients to scale their animations
+   */
+  broadcastTimeScale() {
+    this.broadcast({ type: 'time_scale', ...this.getTimeScale(), serverTime: this.clock.now() });
+  }
+
+  /**
+   * Record every broadcast of this room (see ReplayRecorder)
+   */
+  setReplayRecorder(replayRecorder) {
+    this.replayRecorder = replayRecorder;
+
+    // Opening keyframe so playback can start from the first tick
+    replayRecorder.recordKeyframe(this.buildWorldState());
+    replayRecorder.endTick(this.tick, Date.now());
+  }
+
+  addClient(ws) {
+    this.clients.add(ws);
+    ws.room = this;
+    this.emptySince = null;
+
+    this.favorLedger.addClient(ws);
+
+    ws.send(JSON.stringify({ type: 'room_joined', roomId: this.id, preset: this.preset }));
+    ws.send(JSON.stringify(this.buildWorldState()));
+    ws.send(JSON.stringify(this.favorLedger.getStatus(ws)));
+  }
+
+  removeClient(ws) {
+    this.clients.delete(ws);
+    this.favorLedger.removeClient(ws);
+    if (ws.room === this) {
+      ws.room = null;
+    }
+    if (this.clients.size === 0) {
+      this.emptySince = Date.now();
+    }
+  }
+
+  isEmpty() {
+    return this.clients.size === 0;
+  }
+
+  /**
+   * One fixed simulation step; its events wait for the next flush
+   */
+  update() {
+    const frameTime = this.config.GAME_LOOP.FRAME_TIME;
+    this.tick++;
+    this.clock.advance(frameTime);
+
+    // Update game manager (handles all systems)
+    this.pendingEvents.push(...this.gameManager.update(frameTime));
+  }
+
+  /**
+   * Send everything that happened since the last flush: queued events, then one state_delta
+   * covering all ticks in between, then any due world state and statistics syncs
+   */
+  flush() {
+    const events = this.pendingEvents;
+    this.pendingEvents = [];
+
+    // Broadcast all events
+    events.forEach(event => {
+      this.broadcast(event);
+    });
+
+    // Broadcast changed soul fields (before any world_state so its sequence covers these ticks)
+    const stateDelta = this.deltaEncoder.encode(this.gameManager.getSouls(), this.tick, this.gameManager.clock.now());
+    if (stateDelta) {
+      this.broadcast(stateDelta);
+    }
+
+    this.resyncAfterReset(events);
+
+    // Periodic world state sync every 10 seconds; tiles only change through events, so no tile map
+    const now = Date.now();
+    if (now - this.lastWorldStateSync >= this.config.GAME_LOOP.WORLD_STATE_SYNC_INTERVAL) {
+      this.broadcastWorldState(false);
+      this.lastWorldStateSync = now;
+    }
+
+    // Broadcast statistics and the hall of fame every 5 seconds
+    if (now - this.lastStatisticsSync >= 5000) {
+      this.broadcast({
+        type: 'statistics_update',
+        statistics: this.gameManager.getStatistics()
+      });
+      this.broadcast({
+        type: 'hall_of_fame',
+        veterans: this.gameManager.getHallOfFame()
+      });
+      this.lastStatisticsSync = now;
+    }
+
+    if (this.replayRecorder) {
+      this.replayRecorder.endTick(this.tick, now);
+    }
+  }
+
+  /**
+   * Broadcast events produced outside the tick loop (spectator powers, admin commands) right away,
+   * after anything still queued from the last ticks - the room may be paused
+   */
+  broadcastEvents(events) {
+    this.pendingEvents.push(...events);
+    this.flush();
+  }
+
+  /**
+   * A new match started on a fresh world - resync every client immediately
+   */
+  resyncAfterReset(events) {
+    if (events.some(event => event.type === 'match_reset')) {
+      this.broadcastWorldState();
+      this.lastWorldStateSync = Date.now();
+    }
+  }
+
+  broadcast(message) {
+    // World states are recorded as keyframes by broadcastWorldState()
+    if (this.replayRecorder && !UNRECORDED_MESSAGES.includes(message.type)) {
+      this.replayRecorder.record(message);
+    }
+
+    // Serialize once per protocol, not once per client
+    let json = null;
+    let binary;
+    this.clients.forEach(client => {
+      if (client.readyState !== WebSocket.OPEN) return;
+
+      if (client.useBinaryProtocol) {
+        if (binary === undefined) {
+          binary = BinaryProtocol.encodeMessage(message);
+        }
+        if (binary) {
+          client.send(binary);
+          return;
+        }
+      }
+
+      if (json === null) {
+        json = JSON.stringify(message);
+      }
+      client.send(json);
+    });
+  }
+
+  /**
+   * Full world sync; seq is the last state_delta already folded into it
+   * @param {boolean} [includeTileMap] - False for periodic syncs of clients that already have the map
+   */
+  buildWorldState(includeTileMap = true) {
+    const gameManager = this.gameManager;
+    return {
+      type: 'world_state',
+      seq: this.deltaEncoder.getSequence(),
+      serverTime: gameManager.clock.now(),
+      characters: gameManager.getSouls(),
+      energyOrbs: gameManager.getEnergyOrbs(),
+      nexuses: gameManager.getNexuses(),
+      tileMap: includeTileMap ? gameManager.getTileMap() : undefined,
+      activeSpells: gameManager.getActiveSpells(),
+      dayNightState: gameManager.getDayNightState(),
+      statistics: gameManager.getStatistics(),
+      borderScores: gameManager.getBorderScores(),
+      buffs: gameManager.getBuffs(),
+      activeDisaster: gameManager.getActiveDisaster(),
+      matchState: gameManager.getMatchState(),
+      teamStrategies: gameManager.getTeamStrategies(),
+      timeScale: this.getTimeScale(),
+      config: {
+        ui: this.config.UI
+      }
+    };
+  }
+
+  broadcastWorldState(includeTileMap = true) {
+    const worldState = this.buildWorldState(includeTileMap);
+    this.broadcast(worldState);
+
+    if (this.replayRecorder) {
+      // Keyframes always carry the tile map so a seek can rebuild it
+      this.replayRecorder.recordKeyframe(includeTileMap ? worldState : this.buildWorldState());
+    }
+  }
+
+  /**
+   * Handle a room-level client message
+   * @returns {boolean} Whether the message was handled
+   */
+  handleMessage(ws, message) {
+    switch (message.type) {
+      case 'request_resync':
+        // Client saw a gap in state_delta sequence numbers
+        ws.send(JSON.stringify(this.buildWorldState()));
+        return true;
+      case 'request_statistics':
+        ws.send(JSON.stringify({
+          type: 'statistics_response',
+          statistics: this.gameManager.getStatistics()
+        }));
+        return true;
+      case 'request_hall_of_fame':
+        ws.send(JSON.stringify({
+          type: 'hall_of_fame',
+          veterans: this.gameManager.getHallOfFame()
+        }));
+        return true;
+      case 'request_lineage':
+        ws.send(JSON.stringify({
+          type: 'lineage_response',
+          soulId: message.soulId,
+          lineage: this.gameManager.getLineage(message.soulId)
+        }));
+        return true;
+      case 'spectator_power':
+        this.handleSpectatorPower(ws, message);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Validate a spectator power against the client's favor, cooldowns and rate limit, then apply it
+   * @param {Object} message - { power, team, disasterType }
+   */
+  handleSpectatorPower(ws, message) {
+    const now = this.clock.now();
+    const rejection = this.favorLedger.authorize(ws, message.power, now);
+    const result = rejection ? { error: rejection } : this.gameManager.useSpectatorPower(message.power, message);
+
+    if (result.error) {
+      ws.send(JSON.stringify({ type: 'spectator_power_rejected', power: message.power, reason: result.error }));
+    } else {
+      this.favorLedger.spend(ws, message.power, now);
+      this.broadcast({
+        type: 'spectator_power_used',
+        power: message.power,
+        team: message.team,
+        disasterType: message.disasterType
+      });
+      this.broadcastEvents(result.events);
+    }
+
+    ws.send(JSON.stringify(this.favorLedger.getStatus(ws, now)));
+  }
+
+  getInfo() {
+    return {
+      id: this.id,
+      preset: this.preset,
+      clients: this.clients.size,
+      tick: this.tick,
+      ...this.getTimeScale()
+    };
+  }
+}
+
+module.exports = Room;
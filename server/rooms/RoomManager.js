@@ -0,0 +1,122 @@
+const GameConfig = require('../config/gameConfig');
+const ROOM_PRESETS = require('../config/roomPresets');
+const { applyConfigOverrides, createConfig } = require('../config/configOverrides');
+const Room = require('./Room');
+
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Room Manager
+ * Creates rooms on demand, moves clients between them and stops rooms that stay empty
+ */
+class RoomManager {
+  constructor() {
+    this.rooms = new Map(); // roomId -> Room
+    this.gcTimer = null;
+  }
+
+  getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  /**
+   * Create and start a room
+   * @param {string} roomId - Letters, digits, '-' and '_' (max 32)
+   * @param {Object} [options] - Room options (see Room); options.preset picks a ROOM_PRESETS entry
+   * @returns {Room}
+   */
+  createRoom(roomId, options = {}) {
+    if (!ROOM_ID_PATTERN.test(roomId)) {
+      throw new Error(`Invalid room id: ${roomId}`);
+    }
+    if (this.rooms.has(roomId)) {
+      throw new Error(`Room already exists: ${roomId}`);
+    }
+    if (this.rooms.size >= GameConfig.ROOMS.MAX_ROOMS) {
+      throw new Error(`Room limit reached (${GameConfig.ROOMS.MAX_ROOMS})`);
+    }
+
+    const preset = options.preset || 'default';
+    if (typeof preset !== 'string' || !Object.prototype.hasOwnProperty.call(ROOM_PRESETS, preset)) {
+      throw new Error(`Unknown room preset: ${preset}`);
+    }
+
+    const room = new Room(roomId, {
+      ...options,
+      preset: preset,
+      config: createConfig(GameConfig, ROOM_PRESETS[preset])
+    });
+    this.rooms.set(roomId, room);
+    room.start();
+
+    console.log(`[Rooms] Created room ${roomId} (preset ${preset}, seed ${room.gameManager.random.seed})`);
+    return room;
+  }
+
+  /**
+   * Move a client into a room, creating it with the given preset if needed
+   * (the preset is ignored when the room already exists)
+   * @returns {Room}
+   */
+  joinRoom(ws, roomId, preset) {
+    const room = this.getRoom(roomId) || this.createRoom(roomId, { preset });
+    if (ws.room === room) return room;
+
+    this.leaveRoom(ws);
+    room.addClient(ws);
+    return room;
+  }
+
+  /**
+   * Apply live config changes to the global config and every room
+   * A room's preset still wins for the keys it sets
+   * @param {Object} changes - Validated changes (see ConfigLoader.getLiveChanges)
+   */
+  applyConfigChanges(changes) {
+    applyConfigOverrides(GameConfig, changes);
+    this.rooms.forEach(room => {
+      applyConfigOverrides(room.config, changes);
+      applyConfigOverrides(room.config, ROOM_PRESETS[room.preset]);
+    });
+  }
+
+  leaveRoom(ws) {
+    if (ws.room) {
+      ws.room.removeClient(ws);
+    }
+  }
+
+  /**
+   * Stop and remove rooms that have been empty longer than EMPTY_ROOM_TIMEOUT
+   */
+  collectEmptyRooms(now = Date.now()) {
+    this.rooms.forEach((room, roomId) => {
+      if (room.persistent || !room.isEmpty()) return;
+
+      if (now - room.emptySince >= GameConfig.ROOMS.EMPTY_ROOM_TIMEOUT) {
+        room.stop();
+        this.rooms.delete(roomId);
+        console.log(`[Rooms] Removed empty room ${roomId}`);
+      }
+    });
+  }
+
+  startGarbageCollection() {
+    if (this.gcTimer) return;
+    this.gcTimer = setInterval(() => this.collectEmptyRooms(), GameConfig.ROOMS.GC_INTERVAL);
+  }
+
+  stopAll() {
+    if (this.gcTimer) {
+      clearInterval(this.gcTimer);
+      this.gcTimer = null;
+    }
+    this.rooms.forEach(room => room.stop());
+  }
+
+  listRooms() {
+    return Array.from(this.rooms.values()).map(room => room.getInfo());
+  }
+}
+
+module.exports = RoomManager;
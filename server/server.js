@@ -1,112 +1,138 @@
+const fs = require('fs');
+const path = require('path');
 const WebSocket = require('ws');
-const GameManager = require('./GameManager');
 const GameConfig = require('./config/gameConfig');
+const { ReplayRecorder } = require('./replay/ReplayRecorder');
+const BinaryProtocol = require('./network/BinaryProtocol');
+const RoomManager = require('./rooms/RoomManager');
+const { ConfigLoader } = require('./config/ConfigLoader');
+const AdminConsole = require('./admin/AdminConsole');
 
 /**
  * Refactored Server using SOLID principles
  * Clean separation of concerns with GameManager orchestrating all systems
+ * Each room runs its own GameManager; clients join one with ws://host:3000/room/<id>
+ * or a join_room message, everyone else lands in the default room
  */
 
+// Pass CONFIG_PATH=<file.json|file.yaml> to override GameConfig; edits to the file apply live
+const configLoader = process.env.CONFIG_PATH ? new ConfigLoader(path.resolve(process.env.CONFIG_PATH), GameConfig) : null;
+if (configLoader) {
+  configLoader.load();
+  console.log(`[Server] Loaded config overrides from ${configLoader.filePath}`);
+}
+
 const wss = new WebSocket.Server({ port: 3000 });
-const gameManager = new GameManager();
+const roomManager = new RoomManager();
+// Pass ADMIN_TOKEN=<secret> (or set ADMIN.TOKEN in the config file) to enable admin commands
+const adminConsole = new AdminConsole(roomManager);
+if (configLoader) {
+  configLoader.watch(changes => roomManager.applyConfigChanges(changes));
+}
 
-// Track for periodic world state sync
-let lastWorldStateSync = Date.now();
-let lastStatisticsSync = Date.now();
+// Pass SEED=<value> to reproduce a previous run of the default room
+const defaultRoom = roomManager.createRoom(GameConfig.ROOMS.DEFAULT_ROOM, {
+  seed: process.env.SEED,
+  persistent: true
+});
+const gameManager = defaultRoom.gameManager;
 
-function broadcastToAll(message) {
-  wss.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(message));
-    }
-  });
+// Pass SNAPSHOT_PATH=<file> to resume from (and keep saving to) a world snapshot of the default room
+const snapshotPath = process.env.SNAPSHOT_PATH ? path.resolve(process.env.SNAPSHOT_PATH) : null;
+if (snapshotPath && fs.existsSync(snapshotPath)) {
+  gameManager.loadState(JSON.parse(fs.readFileSync(snapshotPath, 'utf8')));
+  console.log(`[Server] Resumed from snapshot ${snapshotPath}`);
 }
+console.log(`[Server] Simulation seed: ${gameManager.random.seed}`);
 
-function gameLoop() {
-  // Update game manager (handles all systems)
-  const events = gameManager.update();
-  
-  // Broadcast all events
-  events.forEach(event => {
-    broadcastToAll(event);
-  });
-  
-  // Broadcast character updates
-  gameManager.getSouls().forEach(soulData => {
-    broadcastToAll({
-      type: 'character_update',
-      character: soulData
-    });
-  });
+// Pass REPLAY_RECORD=<file> to record every broadcast of the default room for later playback with replay.js
+const replayRecorder = process.env.REPLAY_RECORD ?
+  new ReplayRecorder(path.resolve(process.env.REPLAY_RECORD), {
+    frameTime: GameConfig.GAME_LOOP.FRAME_TIME,
+    seed: gameManager.random.seed
+  }) :
+  null;
+if (replayRecorder) {
+  defaultRoom.setReplayRecorder(replayRecorder);
+  console.log(`[Server] Recording replay to ${replayRecorder.filePath}`);
+}
 
-  // Periodic world state sync every 10 seconds
-  const now = Date.now();
-  if (now - lastWorldStateSync >= GameConfig.GAME_LOOP.WORLD_STATE_SYNC_INTERVAL) {
-    broadcastWorldState();
-    lastWorldStateSync = now;
-  }
+/**
+ * Protocol negotiation: clients opt in to binary frames with a hello message,
+ * clients that never send one stay on JSON
+ */
+function handleHello(ws, message) {
+  const protocols = Array.isArray(message.protocols) ? message.protocols : [];
+  ws.useBinaryProtocol = protocols.includes('binary') && message.binaryVersion === BinaryProtocol.PROTOCOL_VERSION;
 
-  // Broadcast statistics every 5 seconds
-  if (now - lastStatisticsSync >= 5000) {
-    broadcastToAll({
-      type: 'statistics_update',
-      statistics: gameManager.getStatistics()
-    });
-    lastStatisticsSync = now;
+  ws.send(JSON.stringify({
+    type: 'welcome',
+    protocol: ws.useBinaryProtocol ? 'binary' : 'json',
+    binaryVersion: BinaryProtocol.PROTOCOL_VERSION
+  }));
+}
+
+/**
+ * Join a room, reporting invalid ids, unknown presets and the room limit to the client
+ */
+function joinRoom(ws, roomId, preset) {
+  try {
+    roomManager.joinRoom(ws, roomId, preset);
+  } catch (error) {
+    ws.send(JSON.stringify({ type: 'room_error', roomId: roomId, message: error.message }));
   }
 }
 
-function broadcastWorldState() {
-  broadcastToAll({
-    type: 'world_state',
-    characters: gameManager.getSouls(),
-    energyOrbs: gameManager.getEnergyOrbs(),
-    nexuses: gameManager.getNexuses(),
-    tileMap: gameManager.getTileMap(),
-    activeSpells: gameManager.getActiveSpells(),
-    dayNightState: gameManager.getDayNightState(),
-    statistics: gameManager.getStatistics(),
-    borderScores: gameManager.getBorderScores(),
-    buffs: gameManager.getBuffs(),
-    activeDisaster: gameManager.getActiveDisaster(),
-    permanentCraters: gameManager.getPermanentCraters(),
-    config: {
-      ui: GameConfig.UI
-    }
-  });
+/**
+ * Room requested in the connection URL: /room/<id>?preset=<name>
+ */
+function parseRoomRequest(requestUrl) {
+  const url = new URL(requestUrl || '/', 'ws://localhost');
+  const match = url.pathname.match(/^\/room\/([^/]+)\/?$/);
+  return {
+    roomId: match ? decodeURIComponent(match[1]) : GameConfig.ROOMS.DEFAULT_ROOM,
+    preset: url.searchParams.get('preset') || undefined
+  };
 }
 
-wss.on('connection', (ws) => {
-  
-  // Send current world state to new client
-  ws.send(JSON.stringify({
-    type: 'world_state',
-    characters: gameManager.getSouls(),
-    energyOrbs: gameManager.getEnergyOrbs(),
-    nexuses: gameManager.getNexuses(),
-    tileMap: gameManager.getTileMap(),
-    activeSpells: gameManager.getActiveSpells(),
-    dayNightState: gameManager.getDayNightState(),
-    statistics: gameManager.getStatistics(),
-    borderScores: gameManager.getBorderScores(),
-    buffs: gameManager.getBuffs(),
-    activeDisaster: gameManager.getActiveDisaster(),
-    permanentCraters: gameManager.getPermanentCraters(),
-    config: {
-      ui: GameConfig.UI
-    }
-  }));
-  
+function saveSnapshot() {
+  if (!snapshotPath) return;
+
+  try {
+    // Write then rename so a crash mid-write never leaves a truncated snapshot
+    const tempPath = `${snapshotPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(gameManager.serializeState()));
+    fs.renameSync(tempPath, snapshotPath);
+  } catch (error) {
+    console.error('[Server] Failed to save snapshot:', error);
+  }
+}
+
+wss.on('connection', (ws, request) => {
+  ws.useBinaryProtocol = false;
+  ws.isAdmin = false;
+  ws.room = null;
+
+  // Send the room's current world state to the new client
+  const roomRequest = parseRoomRequest(request.url);
+  joinRoom(ws, roomRequest.roomId, roomRequest.preset);
+
   // Handle messages from client
   ws.on('message', (data) => {
     try {
       const message = JSON.parse(data);
-      
-      if (message.type === 'request_statistics') {
-        ws.send(JSON.stringify({
-          type: 'statistics_response',
-          statistics: gameManager.getStatistics()
-        }));
+
+      // Admin authentication, commands and live config updates
+      if (adminConsole.handleMessage(ws, message)) return;
+
+      if (message.type === 'hello') {
+        handleHello(ws, message);
+      } else if (message.type === 'join_room') {
+        joinRoom(ws, String(message.roomId), message.preset);
+      } else if (message.type === 'list_rooms') {
+        ws.send(JSON.stringify({ type: 'room_list', rooms: roomManager.listRooms() }));
+      } else if (ws.room) {
+        ws.room.handleMessage(ws, message);
       }
     } catch (error) {
       console.error('Error handling client message:', error);
@@ -114,9 +140,29 @@ wss.on('connection', (ws) => {
   });
 
   ws.on('close', () => {
+    roomManager.leaveRoom(ws);
   });
 });
 
-// Start game loop
-setInterval(gameLoop, GameConfig.GAME_LOOP.FRAME_TIME);
+roomManager.startGarbageCollection();
+
+if (snapshotPath) {
+  setInterval(saveSnapshot, GameConfig.PERSISTENCE.AUTOSAVE_INTERVAL);
+}
 
+if (snapshotPath || replayRecorder) {
+  // Save on shutdown so a restart picks up exactly where the server stopped
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      if (snapshotPath) {
+        saveSnapshot();
+        console.log(`[Server] Snapshot saved to ${snapshotPath}`);
+      }
+      if (replayRecorder) {
+        replayRecorder.close();
+        console.log(`[Server] Replay saved to ${replayRecorder.filePath}`);
+      }
+      process.exit(0);
+    });
+  });
+}
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const GameConfig = require('./config/gameConfig');
+const { applyConfigOverrides } = require('./config/configOverrides');
+const { parseConfigFile } = require('./config/ConfigLoader');
+const SimulationRunner = require('./simulation/SimulationRunner');
+const { isStrategy, listStrategies } = require('./entities/Strategy');
+
+/**
+ * Headless simulation runner for balance testing
+ *
+ * Usage:
+ *   node sim.js --ticks 54000 --seed 42 --config overrides.json
+ *   node sim.js --seed 1 --runs 50           (batch: seeds 1..50)
+ *   node sim.js --seeds 3,7,11-20            (batch: explicit seeds)
+ *   node sim.js --runs 20 --light-strategy aggressive --dark-strategy turtle
+ */
+
+const USAGE = `Usage: node sim.js [options]
+
+Options:
+  --ticks N          Maximum ticks per run (default 54000 = 30 minutes at 30 FPS)
+  --seed S           Seed for a single run, or the first seed of a batch
+  --runs N           Batch run N consecutive seeds starting at --seed (default 1)
+  --seeds LIST       Batch run an explicit list, e.g. 1,2,5-10
+  --config FILE      JSON or YAML file with GameConfig overrides, e.g. {"SOUL": {"ATTACK_DAMAGE_MAX": 20}}
+  --light-strategy NAME
+  --dark-strategy NAME
+                     Team AI profile (balanced, aggressive, turtle, expansionist), overriding the config
+  --sample-every N   Ticks between tile ownership samples (default 300)
+  --output FILE      Write the JSON report to FILE instead of stdout
+  --verbose          Keep the game's console logging
+  --help             Show this message`;
+
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    const name = arg.slice(2);
+    if (name === 'help' || name === 'verbose') {
+      options[name] = true;
+      continue;
+    }
+
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    options[name] = value;
+    i++;
+  }
+
+  return options;
+}
+
+function parsePositiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`--${name} must be a positive integer`);
+  }
+  return number;
+}
+
+function parseSeedList(list) {
+  const seeds = [];
+  list.split(',').forEach(part => {
+    const range = part.trim().match(/^(\d+)-(\d+)$/);
+    if (range) {
+      for (let seed = Number(range[1]); seed <= Number(range[2]); seed++) {
+        seeds.push(seed);
+      }
+    } else if (part.trim() !== '') {
+      seeds.push(part.trim());
+    }
+  });
+  return seeds;
+}
+
+function resolveSeeds(options) {
+  if (options.seeds) {
+    return parseSeedList(options.seeds);
+  }
+
+  const runs = options.runs ? parsePositiveInteger(options.runs, 'runs') : 1;
+  if (runs === 1) {
+    return [options.seed];
+  }
+
+  // Consecutive seeds; string seeds get a numeric suffix
+  const firstSeed = options.seed === undefined ? 1 : options.seed;
+  const numericSeed = Number(firstSeed);
+  return Array.from({ length: runs }, (_, index) =>
+    Number.isFinite(numericSeed) ? numericSeed + index : `${firstSeed}-${index}`
+  );
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (options.config) {
+    const overrides = parseConfigFile(path.resolve(options.config));
+    applyConfigOverrides(GameConfig, overrides);
+  }
+
+  ['light', 'dark'].forEach(team => {
+    const strategy = options[`${team}-strategy`];
+    if (strategy === undefined) return;
+    if (!isStrategy(GameConfig, strategy)) {
+      throw new Error(`--${team}-strategy must be one of ${listStrategies(GameConfig).join(', ')}`);
+    }
+    GameConfig.STRATEGIES.TEAMS[team.toUpperCase()] = strategy.toLowerCase();
+  });
+
+  const runner = new SimulationRunner({
+    ticks: options.ticks ? parsePositiveInteger(options.ticks, 'ticks') : undefined,
+    sampleInterval: options['sample-every'] ? parsePositiveInteger(options['sample-every'], 'sample-every') : undefined
+  });
+  const seeds = resolveSeeds(options);
+
+  // The systems log heavily; keep stdout clean for the JSON report
+  const log = console.log;
+  if (!options.verbose) {
+    console.log = () => {};
+  }
+
+  let report;
+  if (seeds.length === 1) {
+    report = runner.run(seeds[0]);
+  } else {
+    report = runner.runBatch(seeds, (run, index) => {
+      process.stderr.write(`[Sim] ${index + 1}/${seeds.length} seed=${run.seed} winner=${run.winner || 'none'} ticks=${run.ticks}\n`);
+    });
+  }
+
+  console.log = log;
+
+  const output = JSON.stringify(report, null, 2);
+  if (options.output) {
+    fs.writeFileSync(path.resolve(options.output), output + '\n');
+    process.stderr.write(`[Sim] Report written to ${options.output}\n`);
+  } else {
+    process.stdout.write(output + '\n');
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`[Sim] ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
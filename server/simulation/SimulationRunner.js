@@ -0,0 +1,178 @@
+const GameConfig = require('../config/gameConfig');
+const GameManager = require('../GameManager');
+const MatchSystem = require('../systems/MatchSystem');
+const { ManualClock } = require('../utils/Clock');
+const { averageGenome } = require('../entities/Genome');
+
+/**
+ * Simulation Runner
+ * Drives GameManager.update() in a tight loop with a manual clock (no WebSocket server,
+ * no setInterval) and collects a balance report for one or many seeds
+ */
+class SimulationRunner {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ticks] - Maximum ticks per run
+   * @param {number} [options.sampleInterval] - Ticks between tile ownership samples
+   */
+  constructor(options = {}) {
+    this.maxTicks = options.ticks || 54000; // 30 minutes of game time at 30 FPS
+    this.sampleInterval = options.sampleInterval || 300; // Every 10 seconds of game time
+  }
+
+  /**
+   * Run a single simulation until a nexus falls or the tick limit is reached
+   * @param {number|string} seed - RNG seed for the run
+   * @returns {Object} Run report
+   */
+  run(seed) {
+    const clock = new ManualClock();
+    const gameManager = new GameManager({ seed, clock });
+    const frameTime = GameConfig.GAME_LOOP.FRAME_TIME;
+
+    const tilesOverTime = [];
+    let matchStartTick = null;
+    let nexusDestroyedTick = null;
+    let destroyedNexus = null;
+    let tick = 0;
+
+    while (tick < this.maxTicks && nexusDestroyedTick === null) {
+      tick++;
+      clock.advance(frameTime);
+      const events = gameManager.update(frameTime);
+
+      events.forEach(event => {
+        if (event.type === 'match_state' && event.matchState.phase === MatchSystem.Phases.PLAYING && matchStartTick === null) {
+          matchStartTick = tick;
+        } else if (event.type === 'nexus_destroyed' && nexusDestroyedTick === null) {
+          nexusDestroyedTick = tick;
+          destroyedNexus = event.nexusType;
+        }
+      });
+
+      if (tick % this.sampleInterval === 0) {
+        tilesOverTime.push(this.sampleTiles(gameManager, tick));
+      }
+    }
+
+    // Always include the final state
+    if (tilesOverTime.length === 0 || tilesOverTime[tilesOverTime.length - 1].tick !== tick) {
+      tilesOverTime.push(this.sampleTiles(gameManager, tick));
+    }
+
+    const teamStats = gameManager.statisticsManager.teamStats;
+    const souls = Array.from(gameManager.souls.values());
+    const nexusHealth = {};
+    gameManager.nexuses.forEach((nexus, type) => {
+      nexusHealth[type] = nexus.currentHealth;
+    });
+
+    return {
+      seed: gameManager.random.seed,
+      ticks: tick,
+      simulatedTime: tick * frameTime,
+      winner: destroyedNexus ? (destroyedNexus === 'light' ? 'dark' : 'light') : null,
+      matchStartTick: matchStartTick,
+      nexusDestroyedTick: nexusDestroyedTick,
+      nexusHealth: nexusHealth,
+      teams: {
+        light: this.summarizeTeam(teamStats.light, souls.filter(soul => soul.type === 'light-soul'), gameManager.teamStrategies.light),
+        dark: this.summarizeTeam(teamStats.dark, souls.filter(soul => soul.type === 'dark-soul'), gameManager.teamStrategies.dark)
+      },
+      tilesOverTime: tilesOverTime
+    };
+  }
+
+  /**
+   * Run one simulation per seed and aggregate win rates
+   * @param {Array} seeds - Seeds to run
+   * @param {Function} [onRunComplete] - Called with (report, index) after each run
+   * @returns {Object} Batch report with per-run summaries and aggregates
+   */
+  runBatch(seeds, onRunComplete = null) {
+    const runs = seeds.map((seed, index) => {
+      const report = this.run(seed);
+      if (onRunComplete) {
+        onRunComplete(report, index);
+      }
+      // Keep batch output compact - timelines are only useful for single runs
+      const { tilesOverTime, ...summary } = report;
+      summary.finalTiles = tilesOverTime[tilesOverTime.length - 1];
+      return summary;
+    });
+
+    return {
+      summary: this.aggregate(runs),
+      runs: runs
+    };
+  }
+
+  aggregate(runs) {
+    const wins = { light: 0, dark: 0, none: 0 };
+    const decidedTicks = [];
+    const totals = {
+      light: { births: 0, deaths: 0 },
+      dark: { births: 0, deaths: 0 }
+    };
+
+    runs.forEach(run => {
+      wins[run.winner || 'none']++;
+      if (run.nexusDestroyedTick !== null) {
+        decidedTicks.push(run.nexusDestroyedTick);
+      }
+      ['light', 'dark'].forEach(team => {
+        totals[team].births += run.teams[team].births;
+        totals[team].deaths += run.teams[team].deaths;
+      });
+    });
+
+    const runCount = runs.length || 1;
+    const average = (value) => Math.round((value / runCount) * 10) / 10;
+
+    return {
+      runs: runs.length,
+      // Every run of a batch shares the config, so the matchup is the first run's
+      strategies: runs.length > 0 ? { light: runs[0].teams.light.strategy, dark: runs[0].teams.dark.strategy } : null,
+      wins: wins,
+      winRates: {
+        light: wins.light / runCount,
+        dark: wins.dark / runCount,
+        none: wins.none / runCount
+      },
+      averageNexusDestroyedTick: decidedTicks.length > 0
+        ? Math.round(decidedTicks.reduce((sum, value) => sum + value, 0) / decidedTicks.length)
+        : null,
+      averages: {
+        light: { births: average(totals.light.births), deaths: average(totals.light.deaths) },
+        dark: { births: average(totals.dark.births), deaths: average(totals.dark.deaths) }
+      }
+    };
+  }
+
+  sampleTiles(gameManager, tick) {
+    const teamStats = gameManager.statisticsManager.teamStats;
+    return {
+      tick: tick,
+      light: teamStats.light.tilesControlled,
+      dark: teamStats.dark.tilesControlled
+    };
+  }
+
+  /**
+   * @param {Array<Soul>} souls - The team's living souls, for its average genome
+   * @param {string} strategy - The team's strategy profile
+   */
+  summarizeTeam(stats, souls, strategy) {
+    return {
+      strategy: strategy,
+      births: stats.births,
+      deaths: stats.deaths,
+      tilesControlled: stats.tilesControlled,
+      totalTilesConquered: stats.totalTilesConquered,
+      souls: stats.totalSouls,
+      averageGenome: averageGenome(souls)
+    };
+  }
+}
+
+module.exports = SimulationRunner;
@@ -1,4 +1,6 @@
 const GameConfig = require('../config/gameConfig');
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { cloneState, shiftTime } = require('../utils/stateSerialization');
 
 /**
  * Buff Manager System
@@ -6,7 +8,9 @@ const GameConfig = require('../config/gameConfig');
  * Supports multiple sources like day/night cycles, spells, special events, etc.
  */
 class BuffManager {
-  constructor() {
+  constructor(context = createSimulationContext()) {
+    this.clock = context.clock;
+    
     // Active buffs for each team
     this.teamBuffs = {
       'light': new Map(), // Map of buff IDs to buff objects
@@ -23,6 +27,8 @@ class BuffManager {
     this.registerBuffSource('daynight');
     this.registerBuffSource('spells');
     this.registerBuffSource('special_events');
+    this.registerBuffSource('spectators');
+    this.registerBuffSource('terrain');
   }
 
   /**
@@ -49,7 +55,7 @@ class BuffManager {
     
     // Create buff object with metadata
     const buff = {
-      id: `${sourceId}_${buffData.type}_${Date.now()}`,
+      id: `${sourceId}_${buffData.type}_${this.clock.now()}`,
       sourceId,
       type: buffData.type,
       name: buffData.name,
@@ -57,7 +63,7 @@ class BuffManager {
       icon: buffData.icon || 'default',
       effects: buffData.effects || {},
       duration: buffData.duration || -1, // -1 = permanent until removed
-      startTime: Date.now(),
+      startTime: this.clock.now(),
       priority: buffData.priority || 0 // Higher priority buffs display first
     };
 
@@ -119,7 +125,7 @@ class BuffManager {
    */
   update() {
     this.buffEvents = [];
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
 
     ['light', 'dark'].forEach(team => {
       const buffs = Array.from(this.teamBuffs[team].entries());
@@ -343,6 +349,30 @@ class BuffManager {
       priority: 7
     });
   }
+
+  /**
+   * Serialize active team buffs for snapshots
+   */
+  serializeState() {
+    return {
+      light: cloneState(Array.from(this.teamBuffs.light.values())),
+      dark: cloneState(Array.from(this.teamBuffs.dark.values()))
+    };
+  }
+
+  /**
+   * Replace all active buffs with a snapshot (no buff events are broadcast)
+   */
+  loadState(state, timeOffset = 0) {
+    ['light', 'dark'].forEach(team => {
+      this.teamBuffs[team] = new Map();
+      cloneState(state[team]).forEach(buff => {
+        buff.startTime = shiftTime(buff.startTime, timeOffset);
+        this.teamBuffs[team].set(buff.id, buff);
+      });
+    });
+    this.buffEvents = [];
+  }
 }
 
 module.exports = BuffManager;
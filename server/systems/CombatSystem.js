@@ -1,4 +1,4 @@
-const GameConfig = require('../config/gameConfig');
+const { createSimulationContext } = require('../utils/SimulationContext');
 const { SoulStates } = require('../entities/SoulStateMachine');
 
 /**
@@ -6,8 +6,11 @@ const { SoulStates } = require('../entities/SoulStateMachine');
  * Handles combat interactions between souls
  */
 class CombatSystem {
-  constructor(spellSystem = null, gameManager = null) {
+  constructor(spellSystem = null, gameManager = null, context = createSimulationContext()) {
     this.attackEvents = [];
+    this.config = context.config;
+    this.clock = context.clock;
+    this.random = context.random;
     this.spellSystem = spellSystem;
     this.gameManager = gameManager; // Need access to nexuses
   }
@@ -53,7 +56,7 @@ class CombatSystem {
     const distance = soul.getDistanceTo(target);
     
     // Attack the casting enemy when in range (remove the casting check - attack defending target regardless)
-    if (distance <= GameConfig.SOUL.ATTACK_RANGE && soul.canAttack()) {
+    if (distance <= this.config.SOUL.ATTACK_RANGE && soul.canAttack()) {
       this.executeAttack(soul, target, allSouls);
     }
   }
@@ -64,8 +67,8 @@ class CombatSystem {
     if (!attackResult) return;
 
     // ALWAYS interrupt any spells by the target when attacked
-    if (this.spellSystem) {
-      this.spellSystem.interruptSpell(target, allSouls);
+    if (this.spellSystem && this.spellSystem.interruptSpell(target, allSouls)) {
+      attacker.recordStat('spellsInterrupted');
     }
 
     // Record attack event for broadcasting
@@ -81,50 +84,6 @@ class CombatSystem {
 
   }
 
-  // Find and assign defenders against enemy spells
-  assignDefenders(castingSpell, allSouls) {
-    const defenders = this.findAvailableDefenders(castingSpell, allSouls);
-    
-    // Assign the best defender (all souls participate unless incompatible with state)
-    if (defenders.length > 0) {
-      const bestDefender = this.selectBestDefender(defenders, castingSpell);
-      bestDefender.startDefending(castingSpell.casterId);
-      return [bestDefender];
-    }
-
-    return [];
-  }
-
-  findAvailableDefenders(castingSpell, allSouls) {
-    const targetTileType = castingSpell.casterType === 'dark-soul' ? 'green' : 'gray';
-    const defenderType = targetTileType === 'green' ? 'light-soul' : 'dark-soul';
-
-    // Find all souls of the defending team that can defend
-    return Array.from(allSouls.values()).filter(soul => {
-      if (soul.type !== defenderType) return false;
-      
-      // Available defenders are those NOT in defending or casting states
-      if (soul.isDefending) return false;
-      if (soul.isCasting || soul.isPreparing) return false;
-      
-      return true;
-    });
-  }
-
-  selectBestDefender(potentialDefenders, castingSpell) {
-    // Select defender based on energy only - no distance limitations
-    const scoredDefenders = potentialDefenders.map(defender => {
-      return {
-        defender: defender,
-        score: defender.energy // Higher score for more energy
-      };
-    });
-
-    // Sort by score (highest first) and return the best
-    scoredDefenders.sort((a, b) => b.score - a.score);
-    return scoredDefenders[0].defender;
-  }
-
   // Collision handling moved to MovementSystem for proper integration
 
   getAttackEvents() {
@@ -147,7 +106,7 @@ class CombatSystem {
     if (!this.gameManager || !this.gameManager.nexuses) return;
 
     // Get enemy nexus
-    const enemyNexusType = soul.type === GameConfig.SOUL_TYPES.DARK ? 'light' : 'dark';
+    const enemyNexusType = soul.type === this.config.SOUL_TYPES.DARK ? 'light' : 'dark';
     const enemyNexus = this.gameManager.nexuses.get(enemyNexusType);
     
     if (!enemyNexus || enemyNexus.isDestroyed) return;
@@ -155,15 +114,17 @@ class CombatSystem {
     // Check if soul is close enough to attack nexus
     const distance = soul.getDistanceTo({ x: enemyNexus.x, y: enemyNexus.y });
     
-    if (distance <= GameConfig.SOUL.ATTACK_RANGE && soul.canAttack()) {
+    if (distance <= this.config.SOUL.ATTACK_RANGE && soul.canAttack()) {
       // Calculate damage (similar to soul attack but reduced)
-      const damage = Math.floor(Math.random() * (GameConfig.SOUL.ATTACK_DAMAGE_MAX - GameConfig.SOUL.ATTACK_DAMAGE_MIN + 1)) + GameConfig.SOUL.ATTACK_DAMAGE_MIN;
+      const baseDamage = Math.floor(this.random.next() * (this.config.SOUL.ATTACK_DAMAGE_MAX - this.config.SOUL.ATTACK_DAMAGE_MIN + 1)) + this.config.SOUL.ATTACK_DAMAGE_MIN;
+      const damage = baseDamage * soul.getAttackDamageMultiplier();
       
       // Apply damage to nexus
       const wasDestroyed = enemyNexus.takeDamage(damage);
+      soul.recordStat('damageDealt', damage);
       
       // Update soul's last attack time
-      soul.lastAttackTime = Date.now();
+      soul.lastAttackTime = this.clock.now();
       
       // Record nexus attack event for broadcasting
       this.attackEvents.push({
@@ -1,16 +1,19 @@
-const GameConfig = require('../config/gameConfig');
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { shiftTime } = require('../utils/stateSerialization');
 
 /**
  * Day/Night Cycle System
  * Manages the game's day/night cycle and related effects
  */
 class DayNightSystem {
-  constructor(buffManager = null) {
+  constructor(buffManager = null, context = createSimulationContext()) {
     this.buffManager = buffManager;
-    this.cycleStartTime = Date.now();
+    this.config = context.config;
+    this.clock = context.clock;
+    this.cycleStartTime = this.clock.now();
     this.currentPhase = 'day'; // 'day', 'night', 'dawn', 'dusk'
     this.currentProgress = 0; // 0-1 representing progress through current phase
-    this.ambientLight = GameConfig.DAY_NIGHT.DAY_AMBIENT_LIGHT;
+    this.ambientLight = this.config.DAY_NIGHT.DAY_AMBIENT_LIGHT;
     this.lastAppliedPhase = null; // Track which phase buffs were last applied for
     
     // Apply initial buffs for the starting phase
@@ -25,9 +28,9 @@ class DayNightSystem {
    */
   update() {
     const events = [];
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     const elapsed = currentTime - this.cycleStartTime;
-    const cycleDuration = GameConfig.DAY_NIGHT.CYCLE_DURATION;
+    const cycleDuration = this.config.DAY_NIGHT.CYCLE_DURATION;
     
     // Calculate cycle progress (0-1)
     const cycleProgress = (elapsed % cycleDuration) / cycleDuration;
@@ -58,15 +61,38 @@ class DayNightSystem {
     return events;
   }
 
+  /**
+   * Jump to the start of a phase by moving the cycle start
+   * @param {string} phase - 'day', 'dusk', 'night' or 'dawn'
+   * @returns {Array} Phase change event
+   */
+  setPhase(phase) {
+    const dayNight = this.config.DAY_NIGHT;
+    const phaseStarts = {
+      day: 0,
+      dusk: dayNight.DAY_DURATION,
+      night: dayNight.DAY_DURATION + dayNight.TRANSITION_DURATION,
+      dawn: dayNight.DAY_DURATION + dayNight.TRANSITION_DURATION + dayNight.NIGHT_DURATION
+    };
+    if (!Object.prototype.hasOwnProperty.call(phaseStarts, phase)) {
+      throw new Error(`Unknown day/night phase: ${phase}`);
+    }
+
+    this.cycleStartTime = this.clock.now() - Math.ceil(phaseStarts[phase] * dayNight.CYCLE_DURATION);
+    // Forget the current phase so update() reports the change even when it is the same phase
+    this.currentPhase = null;
+    return this.update();
+  }
+
   /**
    * Calculate the current phase and progress within that phase
    * @param {number} cycleProgress - Overall cycle progress (0-1)
    * @returns {Object} Object with phase and progress
    */
   calculatePhaseAndProgress(cycleProgress) {
-    const dayDuration = GameConfig.DAY_NIGHT.DAY_DURATION;
-    const nightDuration = GameConfig.DAY_NIGHT.NIGHT_DURATION;
-    const transitionDuration = GameConfig.DAY_NIGHT.TRANSITION_DURATION;
+    const dayDuration = this.config.DAY_NIGHT.DAY_DURATION;
+    const nightDuration = this.config.DAY_NIGHT.NIGHT_DURATION;
+    const transitionDuration = this.config.DAY_NIGHT.TRANSITION_DURATION;
     
     if (cycleProgress < dayDuration) {
       // Day phase
@@ -104,8 +130,8 @@ class DayNightSystem {
    * Update ambient light based on current phase
    */
   updateAmbientLight() {
-    const dayLight = GameConfig.DAY_NIGHT.DAY_AMBIENT_LIGHT;
-    const nightLight = GameConfig.DAY_NIGHT.NIGHT_AMBIENT_LIGHT;
+    const dayLight = this.config.DAY_NIGHT.DAY_AMBIENT_LIGHT;
+    const nightLight = this.config.DAY_NIGHT.NIGHT_AMBIENT_LIGHT;
     
     switch (this.currentPhase) {
       case 'day':
@@ -142,11 +168,11 @@ class DayNightSystem {
       this.buffManager.applyBuff('daynight', 'light-soul', {
         type: 'day_blessing',
         name: 'Day Blessing',
-        description: `+${Math.round((GameConfig.DAY_NIGHT.LIGHT_TEAM_DAY_SPEED_MULTIPLIER - 1) * 100)}% Speed, +${Math.round((1 - GameConfig.DAY_NIGHT.LIGHT_TEAM_DAY_CAST_TIME_MULTIPLIER) * 100)}% Cast Speed`,
+        description: `+${Math.round((this.config.DAY_NIGHT.LIGHT_TEAM_DAY_SPEED_MULTIPLIER - 1) * 100)}% Speed, +${Math.round((1 - this.config.DAY_NIGHT.LIGHT_TEAM_DAY_CAST_TIME_MULTIPLIER) * 100)}% Cast Speed`,
         icon: 'sun',
         effects: {
-          speedMultiplier: GameConfig.DAY_NIGHT.LIGHT_TEAM_DAY_SPEED_MULTIPLIER,
-          castTimeMultiplier: GameConfig.DAY_NIGHT.LIGHT_TEAM_DAY_CAST_TIME_MULTIPLIER
+          speedMultiplier: this.config.DAY_NIGHT.LIGHT_TEAM_DAY_SPEED_MULTIPLIER,
+          castTimeMultiplier: this.config.DAY_NIGHT.LIGHT_TEAM_DAY_CAST_TIME_MULTIPLIER
         },
         priority: 10
       });
@@ -155,10 +181,10 @@ class DayNightSystem {
       this.buffManager.applyBuff('daynight', 'light-soul', {
         type: 'day_energy',
         name: 'Day Energy',
-        description: `+${Math.round((GameConfig.DAY_NIGHT.ENERGY_MULTIPLIER - 1) * 100)}% Energy Collection`,
+        description: `+${Math.round((this.config.DAY_NIGHT.ENERGY_MULTIPLIER - 1) * 100)}% Energy Collection`,
         icon: 'energy',
         effects: {
-          energyMultiplier: GameConfig.DAY_NIGHT.ENERGY_MULTIPLIER
+          energyMultiplier: this.config.DAY_NIGHT.ENERGY_MULTIPLIER
         },
         priority: 5
       });
@@ -167,11 +193,11 @@ class DayNightSystem {
       this.buffManager.applyBuff('daynight', 'dark-soul', {
         type: 'night_blessing',
         name: 'Night Blessing',
-        description: `+${Math.round((GameConfig.DAY_NIGHT.DARK_TEAM_NIGHT_SPEED_MULTIPLIER - 1) * 100)}% Speed, +${Math.round((1 - GameConfig.DAY_NIGHT.DARK_TEAM_NIGHT_CAST_TIME_MULTIPLIER) * 100)}% Cast Speed`,
+        description: `+${Math.round((this.config.DAY_NIGHT.DARK_TEAM_NIGHT_SPEED_MULTIPLIER - 1) * 100)}% Speed, +${Math.round((1 - this.config.DAY_NIGHT.DARK_TEAM_NIGHT_CAST_TIME_MULTIPLIER) * 100)}% Cast Speed`,
         icon: 'moon',
         effects: {
-          speedMultiplier: GameConfig.DAY_NIGHT.DARK_TEAM_NIGHT_SPEED_MULTIPLIER,
-          castTimeMultiplier: GameConfig.DAY_NIGHT.DARK_TEAM_NIGHT_CAST_TIME_MULTIPLIER
+          speedMultiplier: this.config.DAY_NIGHT.DARK_TEAM_NIGHT_SPEED_MULTIPLIER,
+          castTimeMultiplier: this.config.DAY_NIGHT.DARK_TEAM_NIGHT_CAST_TIME_MULTIPLIER
         },
         priority: 10
       });
@@ -180,10 +206,10 @@ class DayNightSystem {
       this.buffManager.applyBuff('daynight', 'dark-soul', {
         type: 'night_energy',
         name: 'Night Energy',
-        description: `+${Math.round((GameConfig.DAY_NIGHT.ENERGY_MULTIPLIER - 1) * 100)}% Energy Collection`,
+        description: `+${Math.round((this.config.DAY_NIGHT.ENERGY_MULTIPLIER - 1) * 100)}% Energy Collection`,
         icon: 'energy',
         effects: {
-          energyMultiplier: GameConfig.DAY_NIGHT.ENERGY_MULTIPLIER
+          energyMultiplier: this.config.DAY_NIGHT.ENERGY_MULTIPLIER
         },
         priority: 5
       });
@@ -200,10 +226,10 @@ class DayNightSystem {
    */
   getMovementMultiplier(teamType) {
     if (this.currentPhase === 'day' && teamType === 'light-soul') {
-      return GameConfig.DAY_NIGHT.LIGHT_TEAM_DAY_SPEED_MULTIPLIER;
+      return this.config.DAY_NIGHT.LIGHT_TEAM_DAY_SPEED_MULTIPLIER;
     }
     if (this.currentPhase === 'night' && teamType === 'dark-soul') {
-      return GameConfig.DAY_NIGHT.DARK_TEAM_NIGHT_SPEED_MULTIPLIER;
+      return this.config.DAY_NIGHT.DARK_TEAM_NIGHT_SPEED_MULTIPLIER;
     }
     return 1.0; // Normal speed for other combinations
   }
@@ -214,7 +240,7 @@ class DayNightSystem {
    */
   getEnergyMultiplier() {
     if (this.currentPhase === 'night') {
-      return GameConfig.DAY_NIGHT.ENERGY_MULTIPLIER;
+      return this.config.DAY_NIGHT.ENERGY_MULTIPLIER;
     }
     return 1.0; // Normal energy during day
   }
@@ -226,10 +252,10 @@ class DayNightSystem {
    */
   getSpellCastTimeMultiplier(teamType) {
     if (this.currentPhase === 'day' && teamType === 'light-soul') {
-      return GameConfig.DAY_NIGHT.LIGHT_TEAM_DAY_CAST_TIME_MULTIPLIER;
+      return this.config.DAY_NIGHT.LIGHT_TEAM_DAY_CAST_TIME_MULTIPLIER;
     }
     if (this.currentPhase === 'night' && teamType === 'dark-soul') {
-      return GameConfig.DAY_NIGHT.DARK_TEAM_NIGHT_CAST_TIME_MULTIPLIER;
+      return this.config.DAY_NIGHT.DARK_TEAM_NIGHT_CAST_TIME_MULTIPLIER;
     }
     return 1.0; // Normal cast time for other combinations
   }
@@ -239,9 +265,9 @@ class DayNightSystem {
    * @returns {Object} Current day/night state
    */
   getState() {
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     const elapsed = currentTime - this.cycleStartTime;
-    const cycleDuration = GameConfig.DAY_NIGHT.CYCLE_DURATION;
+    const cycleDuration = this.config.DAY_NIGHT.CYCLE_DURATION;
     const cycleProgress = (elapsed % cycleDuration) / cycleDuration;
     
     return {
@@ -277,6 +303,29 @@ class DayNightSystem {
     return this.currentPhase === 'night' || this.currentPhase === 'dusk';
   }
 
+  /**
+   * Serialize the cycle position for snapshots
+   */
+  serializeState() {
+    return {
+      cycleStartTime: this.cycleStartTime,
+      currentPhase: this.currentPhase,
+      currentProgress: this.currentProgress,
+      ambientLight: this.ambientLight,
+      lastAppliedPhase: this.lastAppliedPhase
+    };
+  }
+
+  /**
+   * Restore the cycle position; buffs are restored separately by BuffManager
+   */
+  loadState(state, timeOffset = 0) {
+    this.cycleStartTime = shiftTime(state.cycleStartTime, timeOffset);
+    this.currentPhase = state.currentPhase;
+    this.currentProgress = state.currentProgress;
+    this.ambientLight = state.ambientLight;
+    this.lastAppliedPhase = state.lastAppliedPhase;
+  }
 }
 
 module.exports = DayNightSystem;
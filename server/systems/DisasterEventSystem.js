@@ -3,15 +3,18 @@
  * Manages global disaster events that affect all souls
  */
 
-const GameConfig = require('../config/gameConfig');
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { cloneState, shiftTime, shiftTimeFields } = require('../utils/stateSerialization');
 
 class DisasterEventSystem {
-  constructor() {
+  constructor(context = createSimulationContext()) {
+    this.config = context.config;
+    this.clock = context.clock;
+    this.random = context.random;
     this.activeDisaster = null;
     this.lastCheckTime = 0;
     this.lastDisasterTime = 0;
     this.disasterEvents = [];
-    this.permanentCraters = []; // Store all craters permanently
   }
 
   /**
@@ -20,10 +23,10 @@ class DisasterEventSystem {
    */
   update() {
     this.disasterEvents = [];
-    const now = Date.now();
+    const now = this.clock.now();
 
     // Check if we should evaluate for new disaster
-    if (now - this.lastCheckTime >= GameConfig.DISASTER_EVENTS.CHECK_INTERVAL) {
+    if (now - this.lastCheckTime >= this.config.DISASTER_EVENTS.CHECK_INTERVAL) {
       this.lastCheckTime = now;
       
       // Only check if no active disaster and cooldown has passed
@@ -31,18 +34,18 @@ class DisasterEventSystem {
         const timeSinceLastDisaster = now - this.lastDisasterTime;
         
         // Check for freezing snow
-        const snowConfig = GameConfig.DISASTER_EVENTS.FREEZING_SNOW;
+        const snowConfig = this.config.DISASTER_EVENTS.FREEZING_SNOW;
         if (snowConfig.ENABLED && timeSinceLastDisaster >= snowConfig.COOLDOWN) {
-          if (Math.random() < snowConfig.TRIGGER_CHANCE) {
+          if (this.random.next() < snowConfig.TRIGGER_CHANCE) {
             this.triggerFreezingSnow();
           }
         }
         
         // Check for meteorite storm (if snow didn't trigger)
         if (!this.activeDisaster) {
-          const meteoriteConfig = GameConfig.DISASTER_EVENTS.METEORITE_STORM;
+          const meteoriteConfig = this.config.DISASTER_EVENTS.METEORITE_STORM;
           if (meteoriteConfig.ENABLED && timeSinceLastDisaster >= meteoriteConfig.COOLDOWN) {
-            if (Math.random() < meteoriteConfig.TRIGGER_CHANCE) {
+            if (this.random.next() < meteoriteConfig.TRIGGER_CHANCE) {
               this.triggerMeteoriteStorm();
             }
           }
@@ -71,23 +74,23 @@ class DisasterEventSystem {
    * Trigger freezing snow disaster
    */
   triggerFreezingSnow() {
-    const config = GameConfig.DISASTER_EVENTS.FREEZING_SNOW;
+    const config = this.config.DISASTER_EVENTS.FREEZING_SNOW;
     
     this.activeDisaster = {
       type: 'freezing_snow',
-      startTime: Date.now(),
+      startTime: this.clock.now(),
       duration: config.DURATION,
       deathPercentage: config.DEATH_PERCENTAGE
     };
 
-    this.lastDisasterTime = Date.now();
+    this.lastDisasterTime = this.clock.now();
 
     // Broadcast disaster start event
     this.disasterEvents.push({
       type: 'disaster_start',
       disasterType: 'freezing_snow',
       duration: config.DURATION,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
 
     console.log(`[Disaster] Freezing Snow triggered! Duration: ${config.DURATION}ms, Death rate: ${config.DEATH_PERCENTAGE * 100}%`);
@@ -97,13 +100,13 @@ class DisasterEventSystem {
    * Trigger meteorite storm disaster
    */
   triggerMeteoriteStorm() {
-    const config = GameConfig.DISASTER_EVENTS.METEORITE_STORM;
+    const config = this.config.DISASTER_EVENTS.METEORITE_STORM;
     
     // Calculate meteorite trajectories on server
     const meteorites = [];
     for (let i = 0; i < 5; i++) {
-      const startX = 1500 + 100 + (i * 150) + Math.random() * 100;
-      const startY = -100 - (i * 80) - Math.random() * 100;
+      const startX = 1500 + 100 + (i * 150) + this.random.next() * 100;
+      const startY = -100 - (i * 80) - this.random.next() * 100;
       
       let targetX, targetY;
       const willHitMap = (i === 0);
@@ -111,8 +114,8 @@ class DisasterEventSystem {
       if (willHitMap) {
         // Pick random target avoiding nexuses
         do {
-          targetX = 100 + Math.random() * 1300;
-          targetY = 100 + Math.random() * 700;
+          targetX = 100 + this.random.next() * 1300;
+          targetY = 100 + this.random.next() * 700;
           
           const lightNexusX = 3 * 64;
           const lightNexusY = 11 * 64;
@@ -136,24 +139,23 @@ class DisasterEventSystem {
         targetX,
         targetY,
         willHitMap,
-        startTime: Date.now()
+        startTime: this.clock.now()
       });
     }
     
     this.activeDisaster = {
       type: 'meteorite_storm',
-      startTime: Date.now(),
+      startTime: this.clock.now(),
       duration: config.DURATION,
       deathPercentage: config.DEATH_PERCENTAGE,
       impactWaves: config.IMPACT_WAVES,
       waveInterval: config.WAVE_INTERVAL,
       currentWave: 0,
       lastWaveTime: 0,
-      meteorites: meteorites,
-      craters: [] // Will store permanent craters
+      meteorites: meteorites
     };
 
-    this.lastDisasterTime = Date.now();
+    this.lastDisasterTime = this.clock.now();
 
     // Broadcast disaster start event with meteorite data
     this.disasterEvents.push({
@@ -161,7 +163,7 @@ class DisasterEventSystem {
       disasterType: 'meteorite_storm',
       duration: config.DURATION,
       meteorites: meteorites,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
 
     console.log(`[Disaster] Meteorite Storm triggered! Duration: ${config.DURATION}ms, Meteorites: ${meteorites.length}`);
@@ -173,8 +175,8 @@ class DisasterEventSystem {
   updateMeteoriteStorm() {
     if (!this.activeDisaster || this.activeDisaster.type !== 'meteorite_storm') return;
 
-    const now = Date.now();
-    const config = GameConfig.DISASTER_EVENTS.METEORITE_STORM;
+    const now = this.clock.now();
+    const config = this.config.DISASTER_EVENTS.METEORITE_STORM;
     
     // Check for meteorite impacts using same calculation as client
     this.activeDisaster.meteorites.forEach(meteorite => {
@@ -211,18 +213,15 @@ class DisasterEventSystem {
         // Meteorite hit!
         meteorite.hasHit = true;
         
-        // Create permanent crater on server
+        // TerrainSystem turns the tile under the impact into a crater
         const crater = {
           x: meteorite.targetX,
           y: meteorite.targetY,
-          size: 30 + Math.random() * 20,
+          size: 30 + this.random.next() * 20,
           timestamp: now
         };
         
-        this.activeDisaster.craters.push(crater);
-        this.permanentCraters.push(crater); // Store permanently
-        
-        // Broadcast crater creation
+        // Broadcast the impact
         this.disasterEvents.push({
           type: 'meteorite_impact',
           crater: crater,
@@ -244,7 +243,7 @@ class DisasterEventSystem {
     this.disasterEvents.push({
       type: 'disaster_end',
       disasterType: this.activeDisaster.type,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
 
     console.log(`[Disaster] ${this.activeDisaster.type} ended!`);
@@ -277,7 +276,7 @@ class DisasterEventSystem {
    */
   applyFreezingSnowEffects(souls) {
     const events = [];
-    const now = Date.now();
+    const now = this.clock.now();
     const elapsed = now - this.activeDisaster.startTime;
     const progress = elapsed / this.activeDisaster.duration; // 0 to 1
 
@@ -301,12 +300,12 @@ class DisasterEventSystem {
       
       if (aliveSouls.length > 0) {
         // Randomly select souls to kill this round
-        const shuffled = aliveSouls.sort(() => Math.random() - 0.5);
+        const shuffled = aliveSouls.sort(() => this.random.next() - 0.5);
         const victimsToKill = shuffled.slice(0, Math.min(soulsToKillNow, aliveSouls.length));
 
         // Mark them as dead
         victimsToKill.forEach(soul => {
-          soul.isDead = true;
+          soul.die('freezing_snow');
         });
 
         this.activeDisaster.soulsKilledSoFar += victimsToKill.length;
@@ -326,7 +325,7 @@ class DisasterEventSystem {
    */
   applyMeteoriteStormEffects(souls) {
     const events = [];
-    const now = Date.now();
+    const now = this.clock.now();
 
     // Initialize disaster tracking on first call
     if (!this.activeDisaster.effectsInitialized) {
@@ -348,12 +347,12 @@ class DisasterEventSystem {
         
         if (aliveSouls.length > 0) {
           // Randomly select souls to kill this wave
-          const shuffled = aliveSouls.sort(() => Math.random() - 0.5);
+          const shuffled = aliveSouls.sort(() => this.random.next() - 0.5);
           const victimsToKill = shuffled.slice(0, Math.min(soulsToKillNow, aliveSouls.length));
 
           // Mark them as dead
           victimsToKill.forEach(soul => {
-            soul.isDead = true;
+            soul.die('meteorite_storm');
           });
 
           this.activeDisaster.soulsKilledSoFar += victimsToKill.length;
@@ -366,6 +365,25 @@ class DisasterEventSystem {
     return events;
   }
 
+  /**
+   * Start a disaster right away, skipping the random check and cooldown
+   * @param {string} disasterType - 'freezing_snow' or 'meteorite_storm'
+   * @returns {Array|null} Disaster events, or null if one is already active or the type is disabled
+   */
+  triggerDisaster(disasterType) {
+    if (this.activeDisaster) return null;
+
+    this.disasterEvents = [];
+    if (disasterType === 'freezing_snow' && this.config.DISASTER_EVENTS.FREEZING_SNOW.ENABLED) {
+      this.triggerFreezingSnow();
+    } else if (disasterType === 'meteorite_storm' && this.config.DISASTER_EVENTS.METEORITE_STORM.ENABLED) {
+      this.triggerMeteoriteStorm();
+    } else {
+      return null;
+    }
+    return this.disasterEvents;
+  }
+
   /**
    * Get current disaster state
    * @returns {Object|null} Current disaster or null
@@ -383,12 +401,31 @@ class DisasterEventSystem {
   }
 
   /**
-   * Get all permanent craters for new clients
-   * @returns {Array} Array of all craters
+   * Serialize the active disaster and timers for snapshots
    */
-  getPermanentCraters() {
-    console.log(`[DEBUG] Server has ${this.permanentCraters.length} permanent craters:`, this.permanentCraters);
-    return this.permanentCraters;
+  serializeState() {
+    return {
+      activeDisaster: cloneState(this.activeDisaster),
+      lastCheckTime: this.lastCheckTime,
+      lastDisasterTime: this.lastDisasterTime
+    };
+  }
+
+  /**
+   * Restore disaster state
+   */
+  loadState(state, timeOffset = 0) {
+    this.lastCheckTime = shiftTime(state.lastCheckTime, timeOffset);
+    this.lastDisasterTime = shiftTime(state.lastDisasterTime, timeOffset);
+    this.activeDisaster = cloneState(state.activeDisaster);
+
+    if (this.activeDisaster) {
+      shiftTimeFields(this.activeDisaster, ['startTime', 'lastWaveTime', 'lastKillTime'], timeOffset);
+      (this.activeDisaster.meteorites || []).forEach(meteorite => {
+        meteorite.startTime = shiftTime(meteorite.startTime, timeOffset);
+      });
+    }
+    this.disasterEvents = [];
   }
 }
 
@@ -0,0 +1,153 @@
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { cloneState, shiftTimeFields } = require('../utils/stateSerialization');
+
+// Names are one syllable from each list, e.g. "Vexa" or "Orimir"
+const NAME_STARTS = [
+  'Va', 'Ve', 'Ka', 'Lo', 'Mi', 'Ny', 'Or', 'Sa', 'Ta', 'Ze',
+  'Il', 'Ru', 'Fe', 'Da', 'Quo', 'Xi', 'Bri', 'Cae', 'Ei', 'Yl'
+];
+const NAME_ENDS = [
+  'xa', 'ren', 'th', 'lia', 'mir', 'dor', 'na', 'vos',
+  'ra', 'wyn', 'sil', 'ka', 'ro', 'bel', 'en', 'is'
+];
+// Attempts at a fresh name before falling back to a numbered repeat ("Vexa II")
+const MAX_NAME_ATTEMPTS = 20;
+const NUMERALS = ['II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+
+/**
+ * Lineage Registry
+ * Names every soul and remembers its family for the rest of the match, including souls
+ * that have died:
+ *   { id, name, line, team, generation, parentIds, childIds, birthTime, deathTime, causeOfDeath }
+ * Founding souls (initial, emergency and admin spawns) start a line named after themselves
+ * at generation 1. A child carries on the line of the parent that started the mating, one
+ * generation below the younger of its parents.
+ */
+class LineageRegistry {
+  /**
+   * @param {Object} [context] - Simulation context (config, clock, random)
+   */
+  constructor(context = createSimulationContext()) {
+    this.config = context.config;
+    this.clock = context.clock;
+    this.random = context.random;
+
+    this.records = new Map(); // soulId -> record
+    this.usedNames = new Set();
+  }
+
+  /**
+   * Name a new soul and record its place in the family
+   * Sets the soul's name, lineName and generation
+   * @param {Soul} soul
+   * @param {Array<Soul>} [parents] - Empty for a founding soul
+   */
+  register(soul, parents = []) {
+    const parentRecords = parents.map(parent => this.records.get(parent.id)).filter(Boolean);
+    const name = this.generateName();
+    const line = parentRecords.length > 0 ? parentRecords[0].line : name;
+    const generation = parentRecords.length > 0 ?
+      Math.max(...parentRecords.map(record => record.generation)) + 1 :
+      1;
+
+    this.records.set(soul.id, {
+      id: soul.id,
+      name: name,
+      line: line,
+      team: soul.type === 'dark-soul' ? 'dark' : 'light',
+      generation: generation,
+      parentIds: parentRecords.map(record => record.id),
+      childIds: [],
+      birthTime: this.clock.now(),
+      deathTime: null,
+      causeOfDeath: null
+    });
+    parentRecords.forEach(record => record.childIds.push(soul.id));
+
+    soul.name = name;
+    soul.lineName = line;
+    soul.generation = generation;
+  }
+
+  /**
+   * @param {Soul} soul - A soul that has just died (soul.causeOfDeath)
+   */
+  recordDeath(soul) {
+    const record = this.records.get(soul.id);
+    if (!record || record.deathTime !== null) return;
+
+    record.deathTime = this.clock.now();
+    record.causeOfDeath = soul.causeOfDeath || null;
+  }
+
+  generateName() {
+    for (let attempt = 0; attempt < MAX_NAME_ATTEMPTS; attempt++) {
+      const name = this.pickSyllable(NAME_STARTS) + this.pickSyllable(NAME_ENDS);
+      if (!this.usedNames.has(name)) {
+        this.usedNames.add(name);
+        return name;
+      }
+    }
+
+    // Most names are taken - number a repeat instead
+    const base = this.pickSyllable(NAME_STARTS) + this.pickSyllable(NAME_ENDS);
+    for (let index = 0; ; index++) {
+      const numeral = index < NUMERALS.length ? NUMERALS[index] : `${index + 2}`;
+      const name = `${base} ${numeral}`;
+      if (!this.usedNames.has(name)) {
+        this.usedNames.add(name);
+        return name;
+      }
+    }
+  }
+
+  pickSyllable(syllables) {
+    return syllables[Math.floor(this.random.next() * syllables.length)];
+  }
+
+  /**
+   * A soul's family: its own record plus ancestors and descendants up to LINEAGE.TREE_DEPTH
+   * generations away
+   * @param {string} soulId
+   * @returns {{soulId: string, souls: Array<Object>}|null} Null for an unknown soul
+   */
+  getLineage(soulId) {
+    if (!this.records.has(soulId)) return null;
+
+    const depth = this.config.LINEAGE.TREE_DEPTH;
+    const included = new Set([soulId]);
+    const walk = (id, relatives, remaining) => {
+      if (remaining === 0) return;
+      this.records.get(id)[relatives].forEach(relativeId => {
+        if (!this.records.has(relativeId) || included.has(relativeId)) return;
+        included.add(relativeId);
+        walk(relativeId, relatives, remaining - 1);
+      });
+    };
+    walk(soulId, 'parentIds', depth);
+    walk(soulId, 'childIds', depth);
+
+    return {
+      soulId: soulId,
+      souls: cloneState(Array.from(included, id => this.records.get(id)))
+    };
+  }
+
+  serializeState() {
+    return cloneState({
+      records: Array.from(this.records.values()),
+      usedNames: Array.from(this.usedNames)
+    });
+  }
+
+  loadState(state, timeOffset = 0) {
+    const loaded = cloneState(state);
+    this.records = new Map(loaded.records.map(record => [
+      record.id,
+      shiftTimeFields(record, ['birthTime', 'deathTime'], timeOffset)
+    ]));
+    this.usedNames = new Set(loaded.usedNames);
+  }
+}
+
+module.exports = LineageRegistry;
@@ -0,0 +1,330 @@
+const { createSimulationContext } = require('../utils/SimulationContext');
+const SeededRandom = require('../utils/SeededRandom');
+
+// 8-way neighbours, so depth is the Chebyshev distance to the nearest enemy tile
+const NEIGHBOURS = [
+  { x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 },
+  { x: 1, y: 1 }, { x: -1, y: 1 }, { x: 1, y: -1 }, { x: -1, y: -1 }
+];
+
+/**
+ * Ownership fields per layout: (x, y, u, v) -> number, negative for the light team
+ * u and v run from -1 (left / top) to 1 (right / bottom); the light team starts bottom-left
+ * Only half of the map is evaluated, the other half is its mirror image (see MapGenerator)
+ */
+const LAYOUTS = {
+  vertical: () => (x, y, u) => u,
+
+  diagonal: () => (x, y, u, v) => u - v,
+
+  // Voronoi patchwork: the first light site sits in the light half, the rest anywhere
+  islands: (generator, random) => {
+    const { width, height } = generator;
+    const count = Math.max(1, generator.config.MAP.ISLANDS_PER_TEAM);
+    const lightSites = [];
+    for (let i = 0; i < count; i++) {
+      lightSites.push({
+        x: random.next() * (i === 0 ? width / 2 : width),
+        y: random.next() * height
+      });
+    }
+    const darkSites = lightSites.map(site => ({ x: width - 1 - site.x, y: height - 1 - site.y }));
+    const nearest = (sites, x, y) => Math.min(...sites.map(site => Math.hypot(site.x - x, site.y - y)));
+
+    return (x, y) => nearest(lightSites, x, y) - nearest(darkSites, x, y);
+  },
+
+  // Two interleaved arms winding out from the centre
+  spiral: (generator, random) => {
+    const centerX = (generator.width - 1) / 2;
+    const centerY = (generator.height - 1) / 2;
+    const twist = 2 * Math.PI * generator.config.MAP.SPIRAL_TURNS / Math.hypot(centerX, centerY);
+    const phase = random.next() * 2 * Math.PI;
+
+    return (x, y) => {
+      const dx = x - centerX;
+      const dy = y - centerY;
+      return Math.sin(Math.atan2(dy, dx) + Math.hypot(dx, dy) * twist + phase);
+    };
+  },
+
+  // Left/right split with an organic border from bilinear value noise
+  mirrored: (generator, random) => {
+    const { NOISE_SCALE, NOISE_STRENGTH } = generator.config.MAP;
+    const columns = Math.ceil(generator.width / NOISE_SCALE) + 1;
+    const rows = Math.ceil(generator.height / NOISE_SCALE) + 1;
+    const grid = Array.from({ length: rows }, () => Array.from({ length: columns }, () => random.next() * 2 - 1));
+
+    return (x, y, u) => {
+      const gx = x / NOISE_SCALE;
+      const gy = y / NOISE_SCALE;
+      const x0 = Math.floor(gx);
+      const y0 = Math.floor(gy);
+      const fx = gx - x0;
+      const fy = gy - y0;
+      const top = grid[y0][x0] * (1 - fx) + grid[y0][x0 + 1] * fx;
+      const bottom = grid[y0 + 1][x0] * (1 - fx) + grid[y0 + 1][x0 + 1] * fx;
+      return u + (top * (1 - fy) + bottom * fy) * NOISE_STRENGTH;
+    };
+  }
+};
+
+/**
+ * Map Generator
+ * Builds a seeded tile map: initial territory, nexus placements and orb spawn zones
+ * Every layout is point-symmetric - the dark half is the light half rotated by 180 degrees -
+ * so both teams get the same territory shape, nexus depth and orb zone size
+ */
+class MapGenerator {
+  /**
+   * @param {Object} [context] - Simulation context (config)
+   */
+  constructor(context = createSimulationContext()) {
+    this.config = context.config;
+    this.width = this.config.TILEMAP.WIDTH;
+    this.height = this.config.TILEMAP.HEIGHT;
+  }
+
+  static getLayoutTypes() {
+    return Object.keys(LAYOUTS);
+  }
+
+  /**
+   * @param {string} layoutType - One of getLayoutTypes()
+   * @param {number|string} seed - Same seed and layout, same map
+   * @returns {Object} Tile map with a `layout` describing nexuses and orb zones
+   */
+  generate(layoutType, seed) {
+    if (typeof layoutType !== 'string' || !Object.prototype.hasOwnProperty.call(LAYOUTS, layoutType)) {
+      console.warn(`[Map] Unknown layout "${layoutType}", using diagonal`);
+      layoutType = 'diagonal';
+    }
+
+    const random = new SeededRandom(seed);
+    const owners = this.generateOwners(LAYOUTS[layoutType](this, random));
+    const nexuses = this.placeNexuses(owners);
+    const tileMap = this.createTileMap(owners);
+
+    tileMap.layout = {
+      type: layoutType,
+      seed: random.seed,
+      nexuses: nexuses,
+      orbZones: {
+        green: this.findOrbZone(owners, nexuses.light, 'green'),
+        gray: this.findOrbZone(owners, nexuses.dark, 'gray')
+      }
+    };
+    return tileMap;
+  }
+
+  /**
+   * Evaluate the field on the first half of the tiles and mirror it onto the second
+   * @returns {Array<string>} Team type per tile index
+   */
+  generateOwners(field) {
+    const count = this.width * this.height;
+    const owners = new Array(count);
+
+    for (let index = 0; index * 2 < count; index++) {
+      const x = index % this.width;
+      const y = Math.floor(index / this.width);
+      const u = this.width > 1 ? x / (this.width - 1) * 2 - 1 : 0;
+      const v = this.height > 1 ? y / (this.height - 1) * 2 - 1 : 0;
+
+      // On the dividing line the bottom half goes to the light team
+      const value = field(x, y, u, v) || -v;
+      owners[index] = value <= 0 ? 'green' : 'gray';
+
+      const mirror = count - 1 - index;
+      if (mirror !== index) {
+        owners[mirror] = owners[index] === 'green' ? 'gray' : 'green';
+      }
+    }
+    return owners;
+  }
+
+  /**
+   * Distance from each tile to the nearest tile of another team (Infinity if there is none)
+   */
+  getDepths(owners, teamType) {
+    const depths = new Array(owners.length).fill(Infinity);
+    const queue = [];
+    owners.forEach((owner, index) => {
+      if (owner !== teamType) {
+        depths[index] = 0;
+        queue.push(index);
+      }
+    });
+
+    for (let head = 0; head < queue.length; head++) {
+      const index = queue[head];
+      const x = index % this.width;
+      const y = Math.floor(index / this.width);
+      for (const step of NEIGHBOURS) {
+        const nx = x + step.x;
+        const ny = y + step.y;
+        if (nx < 0 || nx >= this.width || ny < 0 || ny >= this.height) continue;
+
+        const next = ny * this.width + nx;
+        if (depths[next] === Infinity) {
+          depths[next] = depths[index] + 1;
+          queue.push(next);
+        }
+      }
+    }
+    return depths;
+  }
+
+  /**
+   * Light nexus as deep in light territory as NEXUS_MIN_DEPTH asks for and as far from the
+   * map centre as possible; the dark nexus is its mirror image
+   * A nexus at (tileX, tileY) covers the SIZE_TILES square ending at that tile
+   */
+  placeNexuses(owners) {
+    const size = this.config.NEXUS.SIZE_TILES;
+    const halfSize = Math.floor(size / 2);
+    const margin = this.config.MAP.NEXUS_EDGE_MARGIN;
+    const depths = this.getDepths(owners, 'green');
+
+    const covers = (tileX, tileY, teamType) => {
+      for (let y = tileY - halfSize; y < tileY - halfSize + size; y++) {
+        for (let x = tileX - halfSize; x < tileX - halfSize + size; x++) {
+          if (x < 0 || x >= this.width || y < 0 || y >= this.height) return false;
+          if (owners[y * this.width + x] !== teamType) return false;
+        }
+      }
+      return true;
+    };
+
+    let best = null;
+    for (let tileY = Math.max(halfSize, margin); tileY <= Math.min(this.height - size + halfSize, this.height - margin); tileY++) {
+      for (let tileX = Math.max(halfSize, margin); tileX <= Math.min(this.width - size + halfSize, this.width - margin); tileX++) {
+        const inTerritory = covers(tileX, tileY, 'green');
+        const candidate = {
+          tileX: tileX,
+          tileY: tileY,
+          inTerritory: inTerritory,
+          depth: inTerritory ? Math.min(depths[tileY * this.width + tileX], this.config.MAP.NEXUS_MIN_DEPTH) : 0,
+          spread: Math.hypot(tileX - this.width / 2, tileY - this.height / 2)
+        };
+        if (!best || this.isBetterNexusSite(candidate, best)) {
+          best = candidate;
+        }
+      }
+    }
+    if (!best) {
+      throw new Error(`Tile map ${this.width}x${this.height} is too small for nexuses ${margin} tiles from the edge`);
+    }
+
+    const light = { tileX: best.tileX, tileY: best.tileY };
+    const dark = {
+      tileX: this.width - light.tileX + 2 * halfSize - size,
+      tileY: this.height - light.tileY + 2 * halfSize - size
+    };
+
+    // A layout without room for a whole nexus gets its footprint painted in
+    if (!best.inTerritory) {
+      for (let y = light.tileY - halfSize; y < light.tileY - halfSize + size; y++) {
+        for (let x = light.tileX - halfSize; x < light.tileX - halfSize + size; x++) {
+          const index = y * this.width + x;
+          owners[index] = 'green';
+          owners[owners.length - 1 - index] = 'gray';
+        }
+      }
+    }
+    return { light, dark };
+  }
+
+  /**
+   * Whole footprint in own territory, then depth, then distance from the centre;
+   * remaining ties go to the bottom-left, where the light nexus has always been
+   */
+  isBetterNexusSite(candidate, best) {
+    if (candidate.inTerritory !== best.inTerritory) return candidate.inTerritory;
+    if (candidate.depth !== best.depth) return candidate.depth > best.depth;
+    if (candidate.spread !== best.spread) return candidate.spread > best.spread;
+    if (candidate.tileY !== best.tileY) return candidate.tileY > best.tileY;
+    return candidate.tileX < best.tileX;
+  }
+
+  /**
+   * Tiles connected to the team's nexus that are away from the map edge and as far from enemy
+   * territory as SPAWN.SAFE_DISTANCE_FROM_BORDER asks for (or the deepest ones there are)
+   */
+  findOrbZone(owners, nexus, teamType) {
+    const buffer = this.config.SPAWN.SAFE_DISTANCE_FROM_BORDER;
+    const depths = this.getDepths(owners, teamType);
+
+    // Flood fill own territory from the nexus so orbs never land on an unreachable island
+    const start = nexus.tileY * this.width + nexus.tileX;
+    const reachable = [start];
+    const visited = new Set(reachable);
+    for (let head = 0; head < reachable.length; head++) {
+      const index = reachable[head];
+      const x = index % this.width;
+      const y = Math.floor(index / this.width);
+      for (const step of NEIGHBOURS.slice(0, 4)) {
+        const nx = x + step.x;
+        const ny = y + step.y;
+        const next = ny * this.width + nx;
+        if (nx < 0 || nx >= this.width || ny < 0 || ny >= this.height) continue;
+        if (visited.has(next) || owners[next] !== teamType) continue;
+
+        visited.add(next);
+        reachable.push(next);
+      }
+    }
+
+    const inland = reachable.filter(index => {
+      const x = index % this.width;
+      const y = Math.floor(index / this.width);
+      return x >= buffer && x < this.width - buffer && y >= buffer && y < this.height - buffer;
+    });
+    const candidates = inland.length > 0 ? inland : reachable;
+    const minDepth = Math.min(buffer + 1, Math.max(...candidates.map(index => depths[index])));
+
+    return candidates
+      .filter(index => depths[index] >= minDepth)
+      .sort((a, b) => a - b)
+      .map(index => ({ x: index % this.width, y: Math.floor(index / this.width) }));
+  }
+
+  createTileMap(owners) {
+    const tileWidth = this.config.TILEMAP.TILE_WIDTH;
+    const tileHeight = this.config.TILEMAP.TILE_HEIGHT;
+    const tiles = [];
+
+    for (let y = 0; y < this.height; y++) {
+      const row = [];
+      for (let x = 0; x < this.width; x++) {
+        const tileType = owners[y * this.width + x];
+
+        // Assign specific tile variant (consistent for all clients)
+        const variants = tileType === 'gray' ?
+          this.config.TILE_COLLECTIONS.GRAY_TILES :
+          this.config.TILE_COLLECTIONS.GREEN_TILES;
+        const variant = variants[(x * 1000 + y) % variants.length];
+
+        row.push({
+          x: x,
+          y: y,
+          type: tileType,
+          variant: variant,
+          worldX: x * tileWidth,
+          worldY: y * tileHeight
+        });
+      }
+      tiles.push(row);
+    }
+
+    return {
+      width: this.width,
+      height: this.height,
+      tileWidth: tileWidth,
+      tileHeight: tileHeight,
+      tiles: tiles
+    };
+  }
+}
+
+module.exports = MapGenerator;
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { getTerrainRules, TERRAIN_TYPES } = require('./TerrainSystem');
+
+const MAPS_DIRECTORY = path.join(__dirname, '..', 'maps');
+
+// Characters of the `tiles` rows
+const TILE_OWNERS = {
+  L: 'green', // Light team
+  D: 'gray'   // Dark team
+};
+
+const TEAMS = {
+  light: 'green',
+  dark: 'gray'
+};
+
+/**
+ * Read a map definition from maps/<name>.json
+ * @param {string} name - File name without extension (letters, digits, - and _)
+ * @returns {Object} Parsed definition, not yet validated
+ */
+function readMapFile(name) {
+  if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid map name: ${name}`);
+  }
+
+  const filePath = path.join(MAPS_DIRECTORY, `${name}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Unknown map: ${name}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Map Loader
+ * Turns a hand-authored map definition into the same tile map shape MapGenerator builds:
+ *
+ *   {
+ *     "name": "Crossroads",
+ *     "width": 23, "height": 14,
+ *     "tiles": ["LLLL...DDDD", ...],                 one row per line, L = light, D = dark
+ *     "nexuses": { "light": {"x": 3, "y": 11}, "dark": {"x": 20, "y": 3} },
+ *     "orbSpawns": { "light": [{"x": 5, "y": 8}], "dark": [...] },
+ *     "terrain": [{"x": 11, "y": 6, "type": "rock"}],   optional, see TERRAIN in the config
+ *     "blocked": [{"x": 11, "y": 6}],                optional, older format for rock tiles
+ *     "variants": [{"x": 4, "y": 4, "variant": "green-tile-03"}]   optional decoration
+ *   }
+ *
+ * Every problem with the definition is reported at once in a single Error
+ */
+class MapLoader {
+  /**
+   * @param {Object} [context] - Simulation context (config)
+   */
+  constructor(context = createSimulationContext()) {
+    this.config = context.config;
+  }
+
+  /**
+   * @param {Object} definition - Parsed map JSON
+   * @returns {Object} Tile map with a `layout` describing nexuses and orb zones
+   */
+  load(definition) {
+    const errors = this.validate(definition);
+    if (errors.length > 0) {
+      const name = definition && typeof definition.name === 'string' ? ` "${definition.name}"` : '';
+      throw new Error(`Invalid map${name}: ${errors.join('; ')}`);
+    }
+
+    const { width, height } = definition;
+    const tileWidth = this.config.TILEMAP.TILE_WIDTH;
+    const tileHeight = this.config.TILEMAP.TILE_HEIGHT;
+    const terrain = new Map(this.getTerrainEntries(definition).map(entry => [`${entry.x},${entry.y}`, entry.type]));
+    const variants = new Map((definition.variants || []).map(entry => [`${entry.x},${entry.y}`, entry.variant]));
+
+    const tiles = [];
+    for (let y = 0; y < height; y++) {
+      const row = [];
+      for (let x = 0; x < width; x++) {
+        const tileType = TILE_OWNERS[definition.tiles[y][x]];
+        const key = `${x},${y}`;
+        const collection = tileType === 'gray' ?
+          this.config.TILE_COLLECTIONS.GRAY_TILES :
+          this.config.TILE_COLLECTIONS.GREEN_TILES;
+
+        const tile = {
+          x: x,
+          y: y,
+          type: tileType,
+          variant: variants.get(key) || collection[(x * 1000 + y) % collection.length],
+          worldX: x * tileWidth,
+          worldY: y * tileHeight
+        };
+        if (variants.has(key)) tile.fixedVariant = true;
+        if (terrain.has(key)) tile.terrain = terrain.get(key);
+        row.push(tile);
+      }
+      tiles.push(row);
+    }
+
+    const toTile = point => ({ x: point.x, y: point.y });
+    return {
+      width: width,
+      height: height,
+      tileWidth: tileWidth,
+      tileHeight: tileHeight,
+      tiles: tiles,
+      layout: {
+        type: 'file',
+        name: definition.name || null,
+        nexuses: {
+          light: { tileX: definition.nexuses.light.x, tileY: definition.nexuses.light.y },
+          dark: { tileX: definition.nexuses.dark.x, tileY: definition.nexuses.dark.y }
+        },
+        orbZones: {
+          green: definition.orbSpawns.light.map(toTile),
+          gray: definition.orbSpawns.dark.map(toTile)
+        }
+      }
+    };
+  }
+
+  /**
+   * @returns {Array<string>} Problems with the definition (empty if it can be loaded)
+   */
+  validate(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return ['map must be an object'];
+    }
+
+    const { width, height } = definition;
+    const maxWidth = Math.floor(this.config.WORLD.WIDTH / this.config.TILEMAP.TILE_WIDTH);
+    const maxHeight = Math.floor(this.config.WORLD.HEIGHT / this.config.TILEMAP.TILE_HEIGHT);
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+      return ['width and height must be positive whole numbers'];
+    }
+    if (width > maxWidth || height > maxHeight) {
+      return [`${width}x${height} tiles does not fit the ${maxWidth}x${maxHeight} tile world`];
+    }
+
+    if (!Array.isArray(definition.tiles) || definition.tiles.length !== height) {
+      return [`tiles must be ${height} rows`];
+    }
+    const errors = [];
+    definition.tiles.forEach((row, y) => {
+      if (typeof row !== 'string' || row.length !== width) {
+        errors.push(`tiles row ${y} must be a string of ${width} characters`);
+      } else if (!/^[LD]*$/.test(row)) {
+        errors.push(`tiles row ${y} may only contain L (light) and D (dark)`);
+      }
+    });
+    if (errors.length > 0) return errors;
+
+    const isPoint = point => point && Number.isInteger(point.x) && Number.isInteger(point.y) &&
+      point.x >= 0 && point.x < width && point.y >= 0 && point.y < height;
+    const describe = point => JSON.stringify(point);
+    const ownerAt = (x, y) => TILE_OWNERS[definition.tiles[y][x]];
+
+    // Tiles souls can't cross
+    const blocked = new Set();
+    this.validateList(definition.blocked, 'blocked', false, errors);
+    this.validateList(definition.terrain, 'terrain', false, errors);
+    this.getTerrainEntries(definition).forEach(entry => {
+      if (!isPoint(entry)) {
+        errors.push(`terrain ${describe(entry)} is outside the map`);
+      } else if (!TERRAIN_TYPES.includes(entry.type)) {
+        errors.push(`terrain at ${entry.x},${entry.y} must be one of ${TERRAIN_TYPES.join(', ')}`);
+      } else if (!getTerrainRules(this.config, { terrain: entry.type }).PASSABLE) {
+        blocked.add(entry.y * width + entry.x);
+      }
+    });
+
+    this.validateList(definition.variants, 'variants', false, errors).forEach(entry => {
+      if (!isPoint(entry)) {
+        errors.push(`variant ${describe(entry)} is outside the map`);
+        return;
+      }
+      const collection = ownerAt(entry.x, entry.y) === 'gray' ?
+        this.config.TILE_COLLECTIONS.GRAY_TILES :
+        this.config.TILE_COLLECTIONS.GREEN_TILES;
+      if (!collection.includes(entry.variant)) {
+        errors.push(`variant at ${entry.x},${entry.y} must be one of ${collection.join(', ')}`);
+      }
+    });
+
+    const nexuses = definition.nexuses || {};
+    const size = this.config.NEXUS.SIZE_TILES;
+    const halfSize = Math.floor(size / 2);
+    const errorsBeforeNexuses = errors.length;
+    Object.keys(TEAMS).forEach(team => {
+      const nexus = nexuses[team];
+      if (!isPoint(nexus)) {
+        errors.push(`nexuses.${team} must be a tile inside the map`);
+        return;
+      }
+      for (let y = nexus.y - halfSize; y < nexus.y - halfSize + size; y++) {
+        for (let x = nexus.x - halfSize; x < nexus.x - halfSize + size; x++) {
+          if (x < 0 || x >= width || y < 0 || y >= height) {
+            errors.push(`the ${team} nexus at ${nexus.x},${nexus.y} reaches outside the map`);
+            return;
+          }
+          if (ownerAt(x, y) !== TEAMS[team] || blocked.has(y * width + x)) {
+            errors.push(`the ${team} nexus covers tile ${x},${y}, which is not open ${team} territory`);
+            return;
+          }
+        }
+      }
+    });
+    // Reachability is measured from the nexuses
+    if (errors.length > errorsBeforeNexuses) return errors;
+
+    const isOpen = (index, teamType) => !blocked.has(index) &&
+      (!teamType || ownerAt(index % width, Math.floor(index / width)) === teamType);
+
+    // Nexuses must stay reachable once territory changes hands, so only impassable terrain counts as walls
+    const lightIndex = nexuses.light.y * width + nexuses.light.x;
+    const darkIndex = nexuses.dark.y * width + nexuses.dark.x;
+    if (!this.getConnectedTiles(lightIndex, width, height, index => isOpen(index)).has(darkIndex)) {
+      errors.push('impassable terrain walls the nexuses off from each other');
+    }
+
+    const orbSpawns = definition.orbSpawns || {};
+    Object.keys(TEAMS).forEach(team => {
+      const spawns = this.validateList(orbSpawns[team], `orbSpawns.${team}`, true, errors);
+      const nexus = nexuses[team];
+      const reachable = this.getConnectedTiles(nexus.y * width + nexus.x, width, height, index => isOpen(index, TEAMS[team]));
+
+      spawns.forEach(point => {
+        if (!isPoint(point)) {
+          errors.push(`${team} orb spawn ${describe(point)} is outside the map`);
+        } else if (!isOpen(point.y * width + point.x, TEAMS[team])) {
+          errors.push(`${team} orb spawn at ${point.x},${point.y} is not open ${team} territory`);
+        } else if (!reachable.has(point.y * width + point.x)) {
+          errors.push(`${team} orb spawn at ${point.x},${point.y} can't be reached from the ${team} nexus`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * The definition's terrain entries, with `blocked` tiles (the map format before terrain types) as rock
+   * Lists that aren't arrays are left out; validate() reports them
+   */
+  getTerrainEntries(definition) {
+    const blocked = Array.isArray(definition.blocked) ? definition.blocked : [];
+    const terrain = Array.isArray(definition.terrain) ? definition.terrain : [];
+    return blocked
+      .map(point => (point && typeof point === 'object' ? { x: point.x, y: point.y, type: 'rock' } : point))
+      .concat(terrain);
+  }
+
+  /**
+   * @returns {Array} The list, or an empty one after recording why it isn't usable
+   */
+  validateList(list, name, required, errors) {
+    if (list === undefined && !required) return [];
+    if (!Array.isArray(list) || (required && list.length === 0)) {
+      errors.push(`${name} must be ${required ? 'a non-empty' : 'an'} array`);
+      return [];
+    }
+    return list;
+  }
+
+  /**
+   * Tile indices 4-connected to the start through tiles that pass isOpen
+   */
+  getConnectedTiles(start, width, height, isOpen) {
+    const visited = new Set([start]);
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+      const index = queue[head];
+      const x = index % width;
+      const y = Math.floor(index / width);
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+      neighbours.forEach(next => {
+        if (next >= 0 && !visited.has(next) && isOpen(next)) {
+          visited.add(next);
+          queue.push(next);
+        }
+      });
+    }
+    return visited;
+  }
+}
+
+module.exports = { MapLoader, readMapFile };
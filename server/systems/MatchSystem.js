@@ -0,0 +1,172 @@
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { cloneState, shiftTime } = require('../utils/stateSerialization');
+
+/**
+ * Match phases, in lifecycle order
+ */
+const MatchPhases = {
+  COUNTDOWN: 'countdown',
+  PLAYING: 'playing',
+  VICTORY: 'victory',
+  INTERMISSION: 'intermission'
+};
+
+/**
+ * Match System
+ * Owns the match lifecycle: countdown -> playing -> victory -> intermission -> reset
+ * The world is only simulated while the match is in the playing phase
+ */
+class MatchSystem {
+  constructor(context = createSimulationContext()) {
+    this.config = context.config;
+    this.clock = context.clock;
+    this.matchNumber = 1;
+    this.phase = null;
+    this.phaseStartTime = 0;
+    this.phaseEndTime = null;
+    this.matchStartTime = null;
+    this.winner = null; // 'light' or 'dark' once a nexus has fallen
+    this.victoryDetails = null;
+    this.resetDue = false;
+
+    this.enterPhase(MatchPhases.COUNTDOWN, this.config.MATCH.COUNTDOWN_DURATION);
+  }
+
+  /**
+   * Advance timed phases
+   * @returns {Array} Array of match events to broadcast
+   */
+  update() {
+    const events = [];
+
+    if (this.phaseEndTime === null || this.clock.now() < this.phaseEndTime) {
+      return events;
+    }
+
+    switch (this.phase) {
+      case MatchPhases.COUNTDOWN:
+        this.matchStartTime = this.clock.now();
+        this.enterPhase(MatchPhases.PLAYING, null);
+        events.push(this.createStateEvent());
+        break;
+      case MatchPhases.VICTORY:
+        this.enterPhase(MatchPhases.INTERMISSION, this.config.MATCH.INTERMISSION_DURATION);
+        events.push(this.createStateEvent());
+        break;
+      case MatchPhases.INTERMISSION:
+        // GameManager resets the world and then calls startNextMatch()
+        this.resetDue = true;
+        break;
+    }
+
+    return events;
+  }
+
+  /**
+   * End the current match when a nexus is destroyed
+   * @param {Object} nexusDestroyedEvent - The nexus_destroyed event from CombatSystem
+   * @returns {Array} Array of match events to broadcast
+   */
+  handleNexusDestroyed(nexusDestroyedEvent) {
+    if (this.phase !== MatchPhases.PLAYING) return [];
+
+    this.winner = nexusDestroyedEvent.nexusType === 'light' ? 'dark' : 'light';
+    this.victoryDetails = {
+      destroyedNexusId: nexusDestroyedEvent.nexusId,
+      destroyedBy: nexusDestroyedEvent.destroyedBy,
+      matchDuration: this.clock.now() - this.matchStartTime
+    };
+    this.enterPhase(MatchPhases.VICTORY, this.config.MATCH.VICTORY_DURATION);
+
+    console.log(`[Match] Match ${this.matchNumber} won by ${this.winner} team`);
+
+    return [this.createStateEvent()];
+  }
+
+  /**
+   * Start the countdown for the next match (called after the world has been reset)
+   * @returns {Array} Array of match events to broadcast
+   */
+  startNextMatch() {
+    this.matchNumber++;
+    this.winner = null;
+    this.victoryDetails = null;
+    this.matchStartTime = null;
+    this.resetDue = false;
+    this.enterPhase(MatchPhases.COUNTDOWN, this.config.MATCH.COUNTDOWN_DURATION);
+
+    return [
+      { type: 'match_reset', matchNumber: this.matchNumber },
+      this.createStateEvent()
+    ];
+  }
+
+  enterPhase(phase, duration) {
+    this.phase = phase;
+    this.phaseStartTime = this.clock.now();
+    this.phaseEndTime = duration === null ? null : this.phaseStartTime + duration;
+  }
+
+  isPlaying() {
+    return this.phase === MatchPhases.PLAYING;
+  }
+
+  isResetDue() {
+    return this.resetDue;
+  }
+
+  createStateEvent() {
+    return {
+      type: 'match_state',
+      matchState: this.getState()
+    };
+  }
+
+  /**
+   * Get match state for clients
+   */
+  getState() {
+    return {
+      phase: this.phase,
+      matchNumber: this.matchNumber,
+      phaseStartTime: this.phaseStartTime,
+      phaseEndTime: this.phaseEndTime,
+      // Relative time so clients don't depend on clock sync
+      timeRemaining: this.phaseEndTime === null ? null : Math.max(0, this.phaseEndTime - this.clock.now()),
+      winner: this.winner,
+      victoryDetails: this.victoryDetails
+    };
+  }
+
+  /**
+   * Serialize the match lifecycle for snapshots
+   */
+  serializeState() {
+    return {
+      matchNumber: this.matchNumber,
+      phase: this.phase,
+      phaseStartTime: this.phaseStartTime,
+      phaseEndTime: this.phaseEndTime,
+      matchStartTime: this.matchStartTime,
+      winner: this.winner,
+      victoryDetails: cloneState(this.victoryDetails),
+      resetDue: this.resetDue
+    };
+  }
+
+  loadState(state, timeOffset = 0) {
+    this.matchNumber = state.matchNumber;
+    this.phase = state.phase;
+    this.phaseStartTime = shiftTime(state.phaseStartTime, timeOffset);
+    this.phaseEndTime = shiftTime(state.phaseEndTime, timeOffset);
+    this.matchStartTime = shiftTime(state.matchStartTime, timeOffset);
+    this.winner = state.winner;
+    this.victoryDetails = cloneState(state.victoryDetails);
+    this.resetDue = state.resetDue;
+  }
+}
+
+// For code that reads the phase of a match_state event or getState()
+MatchSystem.Phases = MatchPhases;
+
+module.exports = MatchSystem;
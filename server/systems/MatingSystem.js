@@ -1,14 +1,19 @@
-const GameConfig = require('../config/gameConfig');
-const Soul = require('../entities/Soul');
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { shiftTime } = require('../utils/stateSerialization');
 const { SoulStates } = require('../entities/SoulStateMachine');
+const { inheritGenome } = require('../entities/Genome');
 
 /**
  * Mating System
  * Handles soul reproduction, child maturation, and mating events
  */
 class MatingSystem {
-  constructor(gameManager) {
+  constructor(gameManager, context = createSimulationContext()) {
     this.gameManager = gameManager;
+    this.config = context.config;
+    this.clock = context.clock;
+    this.random = context.random;
+    this.soulIndex = context.spatialIndex.souls;
     this.matingEvents = [];
   }
 
@@ -25,9 +30,9 @@ class MatingSystem {
     }
     
     // Only check for new mating pairs every 3 seconds to reduce frequency
-    if (!this.lastMatingCheck || Date.now() - this.lastMatingCheck > 3000) {
+    if (!this.lastMatingCheck || this.clock.now() - this.lastMatingCheck > 3000) {
       this.findAndStartMatingPairs(allSouls);
-      this.lastMatingCheck = Date.now();
+      this.lastMatingCheck = this.clock.now();
     }
     
     // Process completed mating pairs
@@ -111,25 +116,26 @@ class MatingSystem {
 
   formMatingPairsInTeam(teamSouls) {
     const processedSouls = new Set();
+    const readySouls = new Set(teamSouls);
 
     for (let i = 0; i < teamSouls.length; i++) {
       const soul1 = teamSouls[i];
       if (processedSouls.has(soul1.id) || soul1.isMating) continue;
 
-      // Find the closest compatible mate
+      // Find the closest compatible mate among the ready souls in range
       let closestMate = null;
       let closestDistance = Infinity;
 
-      for (let j = i + 1; j < teamSouls.length; j++) {
-        const soul2 = teamSouls[j];
-        if (processedSouls.has(soul2.id) || soul2.isMating) continue;
+      this.soulIndex.queryRadius(soul1.x, soul1.y, this.config.MATING.MATING_RANGE).forEach(soul2 => {
+        if (soul2 === soul1 || !readySouls.has(soul2)) return;
+        if (processedSouls.has(soul2.id) || soul2.isMating) return;
 
         const distance = soul1.getDistanceTo(soul2);
-        if (distance <= GameConfig.MATING.MATING_RANGE && distance < closestDistance) {
+        if (distance < closestDistance) {
           closestMate = soul2;
           closestDistance = distance;
         }
-      }
+      });
 
       if (closestMate) {
         // Start mating between these two souls
@@ -190,20 +196,23 @@ class MatingSystem {
     const teamCounts = this.getTeamCounts(this.gameManager.souls);
     const teamType = parent1.teamType;
     
-    if (teamCounts[teamType] >= GameConfig.MATING.MAX_SOULS_PER_TEAM) {
+    if (teamCounts[teamType] >= this.config.MATING.MAX_SOULS_PER_TEAM) {
       return null; // Team is at max capacity
     }
     
     // Create child soul at midpoint between parents
     const childX = (parent1.x + parent2.x) / 2;
     const childY = (parent1.y + parent2.y) / 2;
-    const childId = `${parent1.type}-child-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const childId = `${parent1.type}-child-${this.clock.now()}-${this.random.next().toString(36).substr(2, 9)}`;
     
     // Child inherits team type from parents
-    const childSoul = new Soul(childId, parent1.type, childX, childY, this.gameManager.tileMap, true, this.gameManager.movementSystem, this.gameManager.spellSystem, this.gameManager.dayNightSystem);
+    const childSoul = this.gameManager.createSoul(childId, parent1.type, childX, childY, true, [parent1, parent2]);
     
     // Set initial child properties
-    childSoul.energy = GameConfig.SOUL.STARTING_ENERGY_MIN; // Children start with minimum energy
+    childSoul.energy = this.config.SOUL.STARTING_ENERGY_MIN; // Children start with minimum energy
+    childSoul.setGenome(inheritGenome(this.config, this.random, parent1.genome, parent2.genome));
+    parent1.recordStat('children');
+    parent2.recordStat('children');
     
     return childSoul;
   }
@@ -229,13 +238,13 @@ class MatingSystem {
       return false; // Different teams cannot mate
     }
     
-    if (soul1.getDistanceTo(soul2) > GameConfig.MATING.MATING_RANGE) {
+    if (soul1.getDistanceTo(soul2) > this.config.MATING.MATING_RANGE) {
       return false; // Too far apart
     }
 
     // Check if team would exceed max population after having a child
     const teamCounts = this.getTeamCounts(this.gameManager.souls);
-    if (teamCounts[soul1.teamType] >= GameConfig.MATING.MAX_SOULS_PER_TEAM) {
+    if (teamCounts[soul1.teamType] >= this.config.MATING.MAX_SOULS_PER_TEAM) {
       return false; // Team would exceed max capacity with a new child
     }
     
@@ -263,7 +272,7 @@ class MatingSystem {
     allSouls.forEach(soul => {
       if (soul.isMating && soul.matingPartner) {
         const distance = soul.getDistanceTo(soul.matingPartner);
-        if (distance > GameConfig.MATING.MATING_RANGE) {
+        if (distance > this.config.MATING.MATING_RANGE) {
           // Cancel mating for both souls
           soul.cancelMating();
           soul.matingPartner.cancelMating();
@@ -277,6 +286,20 @@ class MatingSystem {
       }
     });
   }
+
+  /**
+   * Serialize the mating check timer for snapshots
+   */
+  serializeState() {
+    return {
+      lastMatingCheck: this.lastMatingCheck || null
+    };
+  }
+
+  loadState(state, timeOffset = 0) {
+    this.lastMatingCheck = shiftTime(state.lastMatingCheck, timeOffset);
+    this.matingEvents = [];
+  }
 }
 
 module.exports = MatingSystem;
@@ -1,14 +1,23 @@
-const GameConfig = require('../config/gameConfig');
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { cloneState, shiftTime } = require('../utils/stateSerialization');
 const { SoulStates } = require('../entities/SoulStateMachine');
+const Pathfinder = require('./Pathfinder');
+const { getTerrainRules } = require('./TerrainSystem');
 
 /**
  * Movement System
  * Handles movement logic for souls based on their current state
  */
 class MovementSystem {
-  constructor(tileMap, scoringSystem) {
+  constructor(tileMap, scoringSystem, context = createSimulationContext()) {
     this.tileMap = tileMap;
     this.scoringSystem = scoringSystem;
+    this.config = context.config;
+    this.clock = context.clock;
+    this.random = context.random;
+    this.soulIndex = context.spatialIndex.souls;
+    this.orbIndex = context.spatialIndex.orbs;
+    this.pathfinder = tileMap ? new Pathfinder(tileMap, (x, y, teamType) => this.isValidPosition(x, y, teamType), context) : null;
     // Track soul positions for stuck detection
     this.soulPositionHistory = new Map();
     this.stuckThreshold = 3; // How many updates to track for stuck detection
@@ -19,11 +28,17 @@ class MovementSystem {
     this.gracePeriodDuration = 5000; // 5 seconds grace period
   }
 
-  updateSoul(soul, allSouls, energyOrbs, movementMultiplier = 1.0) {
+  /**
+   * @param {number} [deltaTime] - Simulated ms this update covers
+   */
+  updateSoul(soul, allSouls, energyOrbs, movementMultiplier = 1.0, deltaTime = this.config.GAME_LOOP.FRAME_TIME) {
     if (!soul) return;
 
+    // Swamp and craters slow souls standing on them; fast genes speed them up
+    movementMultiplier *= this.getTerrainSpeedMultiplier(soul.x, soul.y) * soul.getSpeedMultiplier();
+
     // Handle displaced souls first (highest priority)
-    if (this.handleDisplacedSoul(soul, movementMultiplier)) {
+    if (this.handleDisplacedSoul(soul, movementMultiplier, deltaTime)) {
       return; // Soul movement was handled by displacement system
     }
 
@@ -33,7 +48,7 @@ class MovementSystem {
     if (soulState === SoulStates.MATING) {
       // Mating souls should move toward their partner if too far apart
       this.handleMatingMovement(soul, allSouls, movementMultiplier);
-      this.applyMovement(soul);
+      this.applyMovement(soul, deltaTime);
       return;
     }
 
@@ -56,13 +71,13 @@ class MovementSystem {
 
     let moveTarget = null;
     let movementType = 'wander';
-    let speed = GameConfig.SOUL.MOVEMENT_SPEED * movementMultiplier;
+    let speed = this.config.SOUL.MOVEMENT_SPEED * movementMultiplier;
 
     switch (soulState) {
       case SoulStates.DEFENDING:
         moveTarget = this.getDefenseTarget(soul, allSouls);
         movementType = 'defend';
-        speed = GameConfig.SOUL.MOVEMENT_SPEED * GameConfig.SOUL.DEFEND_SPEED_MULTIPLIER * movementMultiplier;
+        speed = this.config.SOUL.MOVEMENT_SPEED * this.config.SOUL.DEFEND_SPEED_MULTIPLIER * movementMultiplier;
         // Check if close enough to stop and attack
         if (moveTarget && this.isCloseEnoughToAttack(soul, moveTarget)) {
           soul.setVelocity(0, 0);
@@ -71,7 +86,7 @@ class MovementSystem {
         // Use smarter movement for defending
         if (moveTarget) {
           this.moveTowardsTargetSmart(soul, moveTarget, speed);
-          this.applyMovement(soul);
+          this.applyMovement(soul, deltaTime);
           return; // Skip normal movement logic
         }
         break;
@@ -122,33 +137,45 @@ class MovementSystem {
     }
 
     // Apply movement with collision and boundary checks
-    this.applyMovement(soul);
+    this.applyMovement(soul, deltaTime);
   }
 
+  /**
+   * Push overlapping souls apart; expects the soul index to hold every soul at its moved position
+   */
   handleCollisions(allSouls) {
-    const processedPairs = new Set();
+    const radius = this.config.SOUL.COLLISION_RADIUS;
+    const visitedSouls = new Set();
 
     allSouls.forEach(soul => {
-      allSouls.forEach(otherSoul => {
-        if (soul.id === otherSoul.id) return;
-        
-        // Avoid processing the same pair twice
-        const pairKey = [soul.id, otherSoul.id].sort().join('-');
-        if (processedPairs.has(pairKey)) return;
-        processedPairs.add(pairKey);
+      visitedSouls.add(soul);
+      let neighbours = this.soulIndex.queryRadius(soul.x, soul.y, radius);
+      for (let i = 0; i < neighbours.length; i++) {
+        const otherSoul = neighbours[i];
+        // Avoid processing the same pair twice: a visited soul already handled its pairs
+        if (visitedSouls.has(otherSoul)) continue;
 
         const distance = soul.getDistanceTo(otherSoul);
         
-        if (distance < GameConfig.SOUL.COLLISION_RADIUS && distance > 0) {
+        if (distance < radius && distance > 0) {
+          const { x, y } = soul;
           this.separateSouls(soul, otherSoul, distance);
+
+          // A push can bring souls into range that come later in the scan; pick those up from here
+          if (soul.x !== x || soul.y !== y) {
+            const order = this.soulIndex.getOrder(otherSoul);
+            neighbours = this.soulIndex.queryRadius(soul.x, soul.y, radius)
+              .filter(neighbour => this.soulIndex.getOrder(neighbour) > order);
+            i = -1;
+          }
         }
-      });
+      }
     });
   }
 
   separateSouls(soul1, soul2, distance) {
-    const overlap = GameConfig.SOUL.COLLISION_RADIUS - distance;
-    const separationForce = overlap * GameConfig.SOUL.SEPARATION_FORCE;
+    const overlap = this.config.SOUL.COLLISION_RADIUS - distance;
+    const separationForce = overlap * this.config.SOUL.SEPARATION_FORCE;
     
     const dx = soul1.x - soul2.x;
     const dy = soul1.y - soul2.y;
@@ -165,19 +192,21 @@ class MovementSystem {
     if (this.isValidPosition(newSoul1X, newSoul1Y, soul1.getTeamType())) {
       soul1.x = newSoul1X;
       soul1.y = newSoul1Y;
+      this.soulIndex.update(soul1);
     } else {
       // Add random movement to break stuck state
-      soul1.vx += (Math.random() - 0.5) * GameConfig.SOUL.RANDOM_MOVEMENT_FORCE;
-      soul1.vy += (Math.random() - 0.5) * GameConfig.SOUL.RANDOM_MOVEMENT_FORCE;
+      soul1.vx += (this.random.next() - 0.5) * this.config.SOUL.RANDOM_MOVEMENT_FORCE;
+      soul1.vy += (this.random.next() - 0.5) * this.config.SOUL.RANDOM_MOVEMENT_FORCE;
     }
 
     if (this.isValidPosition(newSoul2X, newSoul2Y, soul2.getTeamType())) {
       soul2.x = newSoul2X;
       soul2.y = newSoul2Y;
+      this.soulIndex.update(soul2);
     } else {
       // Add random movement to break stuck state
-      soul2.vx += (Math.random() - 0.5) * GameConfig.SOUL.RANDOM_MOVEMENT_FORCE;
-      soul2.vy += (Math.random() - 0.5) * GameConfig.SOUL.RANDOM_MOVEMENT_FORCE;
+      soul2.vx += (this.random.next() - 0.5) * this.config.SOUL.RANDOM_MOVEMENT_FORCE;
+      soul2.vy += (this.random.next() - 0.5) * this.config.SOUL.RANDOM_MOVEMENT_FORCE;
     }
   }
 
@@ -195,21 +224,15 @@ class MovementSystem {
   }
 
   findNearestEnergyOrb(soul, energyOrbs) {
-    let nearestOrb = null;
-    let nearestDistance = GameConfig.SOUL.SEARCH_RADIUS;
-
-    energyOrbs.forEach(orb => {
-      if (orb.respawnTime <= Date.now() && orb.teamType === soul.getTeamType()) {
-        const distance = soul.getDistanceTo(orb);
-        
-        if (distance < nearestDistance && this.isOrbInTerritory(orb, soul.getTeamType())) {
-          nearestDistance = distance;
-          nearestOrb = orb;
-        }
-      }
-    });
+    const now = this.clock.now();
+    const teamType = soul.getTeamType();
 
-    return nearestOrb;
+    return this.orbIndex.findNearest(soul.x, soul.y, this.config.SOUL.SEARCH_RADIUS, orb =>
+      energyOrbs.has(orb.id) &&
+      orb.respawnTime <= now &&
+      orb.teamType === teamType &&
+      this.isOrbInTerritory(orb, teamType)
+    );
   }
 
   findNearestEnemyTile(soul) {
@@ -229,7 +252,7 @@ class MovementSystem {
       Math.pow(soul.y - highestScoringTile.worldY, 2)
     );
     
-    if (distanceToHighestTile <= GameConfig.SOUL.SPELL_RANGE) {
+    if (distanceToHighestTile <= this.config.SOUL.SPELL_RANGE) {
       // Can cast on highest scoring tile - return it as CAST target
       return {
         x: highestScoringTile.worldX,
@@ -278,7 +301,7 @@ class MovementSystem {
           bestScore = score;
           bestTile = {
             tileX: x,
-            tileY: teamType === GameConfig.TEAM_TYPES.LIGHT ? GameConfig.NEXUS.DARK_NEXUS.TILE_Y : GameConfig.NEXUS.LIGHT_NEXUS.TILE_Y,
+            tileY: y,
             worldX: x * this.tileMap.tileWidth + this.tileMap.tileWidth / 2,
             worldY: y * this.tileMap.tileHeight + this.tileMap.tileHeight / 2,
             score: score
@@ -320,7 +343,7 @@ class MovementSystem {
     const dx = target.x - soul.x;
     const dy = target.y - soul.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
-    return distance <= GameConfig.SOUL.ATTACK_RANGE;
+    return distance <= this.config.SOUL.ATTACK_RANGE;
   }
 
   getRetreatTarget(soul, allSouls) {
@@ -337,7 +360,7 @@ class MovementSystem {
       const dy = soul.y - enemy.y;
       const distance = Math.sqrt(dx * dx + dy * dy);
       
-      if (distance > 0 && distance < GameConfig.SOUL.RETREAT_DISTANCE_THRESHOLD) {
+      if (distance > 0 && distance < this.config.SOUL.RETREAT_DISTANCE_THRESHOLD) {
         avoidX += dx / distance;
         avoidY += dy / distance;
       }
@@ -346,8 +369,8 @@ class MovementSystem {
     if (avoidX !== 0 || avoidY !== 0) {
       const magnitude = Math.sqrt(avoidX * avoidX + avoidY * avoidY);
       return {
-        x: soul.x + (avoidX / magnitude) * GameConfig.SOUL.RETREAT_FORCE_DISTANCE,
-        y: soul.y + (avoidY / magnitude) * GameConfig.SOUL.RETREAT_FORCE_DISTANCE
+        x: soul.x + (avoidX / magnitude) * this.config.SOUL.RETREAT_FORCE_DISTANCE,
+        y: soul.y + (avoidY / magnitude) * this.config.SOUL.RETREAT_FORCE_DISTANCE
       };
     }
 
@@ -368,7 +391,7 @@ class MovementSystem {
     if (distance > 0) {
       // Check if direct path is blocked
       if (this.isDirectPathBlocked(soul, target)) {
-        this.moveAroundCorner(soul, target, speed);
+        this.followPath(soul, target, speed);
       } else {
         soul.setVelocity(
           (dx / distance) * speed,
@@ -378,6 +401,51 @@ class MovementSystem {
     }
   }
 
+  /**
+   * Steer along the A* path to a target whose straight line is blocked
+   * Corner steering remains the fallback when the soul is off the walkable grid
+   * or already on the reachable tile closest to the target
+   */
+  followPath(soul, target, speed) {
+    const waypoint = this.getNextWaypoint(soul, target);
+    if (!waypoint) {
+      this.moveAroundCorner(soul, target, speed);
+      return;
+    }
+
+    const dx = waypoint.x - soul.x;
+    const dy = waypoint.y - soul.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance > 0) {
+      soul.setVelocity(
+        (dx / distance) * speed,
+        (dy / distance) * speed
+      );
+    }
+  }
+
+  /**
+   * Furthest of the next few waypoints that can be reached in a straight line
+   * Paths are shared by every soul of a team, so souls hold no path state of their own
+   * @returns {{x: number, y: number}|null}
+   */
+  getNextWaypoint(soul, target) {
+    if (!this.pathfinder) return null;
+
+    const path = this.pathfinder.findPath(soul.getTeamType(), soul, target);
+    if (!path || path.length < 2) return null;
+
+    const lastIndex = Math.min(path.length - 1, this.config.PATHFINDING.LOOKAHEAD_WAYPOINTS);
+    for (let i = lastIndex; i >= 1; i--) {
+      if (!this.isDirectPathBlocked(soul, path[i])) {
+        return path[i];
+      }
+    }
+
+    // Pressed against a barrier in a corner of its tile - back to the tile center first
+    return path[0];
+  }
+
   moveTowardsTargetSmart(soul, target, speed) {
     // Check if soul is stuck and use corner avoidance if needed
     if (this.isSoulStuck(soul)) {
@@ -389,22 +457,18 @@ class MovementSystem {
     const dy = target.y - soul.y;
     const absDx = Math.abs(dx);
     const absDy = Math.abs(dy);
-    const attackRange = GameConfig.SOUL.ATTACK_RANGE;
-    const barrierDistance = GameConfig.TERRITORY.BARRIER_DISTANCE;
-    
-    // Calculate the closest position to target while staying in our territory
-    const borderX = this.getBorderPosition(soul.getTeamType());
+    const attackRange = this.config.SOUL.ATTACK_RANGE;
     
-    // If target is across the border, move to the border edge position
+    // If target is across the border, stop at the reachable tile closest to it
     let targetX = target.x;
     let targetY = target.y;
     
-    if (soul.getTeamType() === 'green' && target.x > borderX) {
-      // Green soul defending - get as close to border as allowed by barrier distance
-      targetX = borderX - barrierDistance;
-    } else if (soul.getTeamType() === 'gray' && target.x < borderX) {
-      // Gray soul defending - get as close to border as allowed by barrier distance
-      targetX = borderX + barrierDistance;
+    if (this.pathfinder && !this.isValidPosition(target.x, target.y, soul.getTeamType())) {
+      const path = this.pathfinder.findPath(soul.getTeamType(), soul, target);
+      if (path) {
+        targetX = path[path.length - 1].x;
+        targetY = path[path.length - 1].y;
+      }
     }
     
     // Recalculate distances to adjusted target
@@ -417,9 +481,9 @@ class MovementSystem {
     const finalDistance = Math.sqrt(finalDx * finalDx + finalDy * finalDy);
     
     if (finalDistance > 10) {
-      // Check if direct path is blocked and use corner avoidance
+      // Check if direct path is blocked and path around it
       if (this.isDirectPathBlocked(soul, {x: targetX, y: targetY})) {
-        this.moveAroundCorner(soul, {x: targetX, y: targetY}, speed);
+        this.followPath(soul, {x: targetX, y: targetY}, speed);
       } else {
         // Move directly towards target, normalized
         soul.setVelocity(
@@ -433,43 +497,12 @@ class MovementSystem {
     }
   }
 
-  getBorderPosition(teamType) {
-    if (!this.tileMap) return GameConfig.WORLD.WIDTH / 2;
-    
-    // Find the actual border by scanning tiles
-    const oppositeType = teamType === 'green' ? 'gray' : 'green';
-    
-    // Scan from the center outward to find the border
-    const centerY = Math.floor(this.tileMap.height / 2);
-    
-    if (teamType === 'green') {
-      // For green team, find the rightmost green tile
-      for (let x = this.tileMap.width - 1; x >= 0; x--) {
-        const tile = this.tileMap.tiles[centerY][x];
-        if (tile.type === GameConfig.TILE_TYPES.GREEN) {
-          return tile.worldX + this.tileMap.tileWidth; // Right edge of rightmost green tile
-        }
-      }
-    } else {
-      // For gray team, find the leftmost gray tile
-      for (let x = 0; x < this.tileMap.width; x++) {
-        const tile = this.tileMap.tiles[centerY][x];
-        if (tile.type === GameConfig.TILE_TYPES.GRAY) {
-          return tile.worldX; // Left edge of leftmost gray tile
-        }
-      }
-    }
-    
-    // Fallback to center
-    return GameConfig.WORLD.WIDTH / 2;
-  }
-
   wanderRandomly(soul) {
-    soul.vx += (Math.random() - 0.5) * GameConfig.SOUL.WANDER_FORCE;
-    soul.vy += (Math.random() - 0.5) * GameConfig.SOUL.WANDER_FORCE;
+    soul.vx += (this.random.next() - 0.5) * this.config.SOUL.WANDER_FORCE;
+    soul.vy += (this.random.next() - 0.5) * this.config.SOUL.WANDER_FORCE;
 
     // Limit velocity
-    const maxSpeed = GameConfig.SOUL.MOVEMENT_SPEED;
+    const maxSpeed = this.config.SOUL.MOVEMENT_SPEED;
     const currentSpeed = Math.sqrt(soul.vx * soul.vx + soul.vy * soul.vy);
     if (currentSpeed > maxSpeed) {
       soul.vx = (soul.vx / currentSpeed) * maxSpeed;
@@ -477,9 +510,17 @@ class MovementSystem {
     }
   }
 
-  applyMovement(soul) {
-    const newX = soul.x + soul.vx;
-    const newY = soul.y + soul.vy;
+  /**
+   * Velocities are per reference frame, so scale them by the time this update covers
+   */
+  getFrameScale(deltaTime) {
+    return deltaTime / this.config.GAME_LOOP.SPEED_REFERENCE_FRAME_TIME;
+  }
+
+  applyMovement(soul, deltaTime = this.config.GAME_LOOP.FRAME_TIME) {
+    const frameScale = this.getFrameScale(deltaTime);
+    const newX = soul.x + soul.vx * frameScale;
+    const newY = soul.y + soul.vy * frameScale;
 
     // Check if the new position is valid
     if (this.isValidPosition(newX, newY, soul.getTeamType())) {
@@ -498,10 +539,10 @@ class MovementSystem {
     if (!this.tileMap) return true;
 
     // Check world bounds
-    if (x < GameConfig.WORLD.BOUNDARY_BUFFER || 
-        x > GameConfig.WORLD.WIDTH - GameConfig.WORLD.BOUNDARY_BUFFER ||
-        y < GameConfig.WORLD.BOUNDARY_BUFFER || 
-        y > GameConfig.WORLD.HEIGHT - GameConfig.WORLD.BOUNDARY_BUFFER) {
+    if (x < this.config.WORLD.BOUNDARY_BUFFER || 
+        x > this.config.WORLD.WIDTH - this.config.WORLD.BOUNDARY_BUFFER ||
+        y < this.config.WORLD.BOUNDARY_BUFFER || 
+        y > this.config.WORLD.HEIGHT - this.config.WORLD.BOUNDARY_BUFFER) {
       return false;
     }
 
@@ -513,9 +554,9 @@ class MovementSystem {
       return false;
     }
 
-    // Check if tile belongs to character's team
+    // Check if tile belongs to character's team and its terrain can be crossed
     const tile = this.tileMap.tiles[tileY][tileX];
-    if (tile.type !== teamType) {
+    if (tile.type !== teamType || !getTerrainRules(this.config, tile).PASSABLE) {
       return false;
     }
 
@@ -523,11 +564,11 @@ class MovementSystem {
     const opponentTileType = teamType === 'green' ? 'gray' : 'green';
 
     // Check surrounding area for enemy tiles
-    for (let checkY = Math.max(0, tileY - GameConfig.TERRITORY.CHECK_RADIUS); 
-         checkY <= Math.min(this.tileMap.height - 1, tileY + GameConfig.TERRITORY.CHECK_RADIUS); 
+    for (let checkY = Math.max(0, tileY - this.config.TERRITORY.CHECK_RADIUS); 
+         checkY <= Math.min(this.tileMap.height - 1, tileY + this.config.TERRITORY.CHECK_RADIUS); 
          checkY++) {
-      for (let checkX = Math.max(0, tileX - GameConfig.TERRITORY.CHECK_RADIUS); 
-           checkX <= Math.min(this.tileMap.width - 1, tileX + GameConfig.TERRITORY.CHECK_RADIUS); 
+      for (let checkX = Math.max(0, tileX - this.config.TERRITORY.CHECK_RADIUS); 
+           checkX <= Math.min(this.tileMap.width - 1, tileX + this.config.TERRITORY.CHECK_RADIUS); 
            checkX++) {
         const checkTile = this.tileMap.tiles[checkY][checkX];
         if (checkTile.type === opponentTileType) {
@@ -535,7 +576,7 @@ class MovementSystem {
           const tileWorldY = checkTile.worldY + this.tileMap.tileHeight / 2;
           const distanceToEnemyTile = Math.sqrt((x - tileWorldX) ** 2 + (y - tileWorldY) ** 2);
 
-          if (distanceToEnemyTile < GameConfig.TERRITORY.BARRIER_DISTANCE) {
+          if (distanceToEnemyTile < this.config.TERRITORY.BARRIER_DISTANCE) {
             return false;
           }
         }
@@ -545,6 +586,17 @@ class MovementSystem {
     return true;
   }
 
+  /**
+   * Speed multiplier of the terrain at a world position (1 off the map)
+   */
+  getTerrainSpeedMultiplier(x, y) {
+    if (!this.tileMap) return 1;
+
+    const row = this.tileMap.tiles[Math.floor(y / this.tileMap.tileHeight)];
+    const tile = row && row[Math.floor(x / this.tileMap.tileWidth)];
+    return tile ? getTerrainRules(this.config, tile).SPEED_MULTIPLIER : 1;
+  }
+
   isOrbInTerritory(orb, teamType) {
     if (!this.tileMap) return true;
 
@@ -608,8 +660,8 @@ class MovementSystem {
       const pushMagnitude = Math.sqrt(pushX * pushX + pushY * pushY);
       if (pushMagnitude > 0) {
         soul.setVelocity(
-          (pushX / pushMagnitude) * GameConfig.SOUL.MOVEMENT_SPEED * 0.8,
-          (pushY / pushMagnitude) * GameConfig.SOUL.MOVEMENT_SPEED * 0.8
+          (pushX / pushMagnitude) * this.config.SOUL.MOVEMENT_SPEED * 0.8,
+          (pushY / pushMagnitude) * this.config.SOUL.MOVEMENT_SPEED * 0.8
         );
       }
     } else {
@@ -620,23 +672,24 @@ class MovementSystem {
   }
 
   handleWorldBoundaries(soul) {
-    if (soul.x < GameConfig.WORLD.BOUNDARY_BUFFER || 
-        soul.x > GameConfig.WORLD.WIDTH - GameConfig.WORLD.BOUNDARY_BUFFER) {
+    if (soul.x < this.config.WORLD.BOUNDARY_BUFFER || 
+        soul.x > this.config.WORLD.WIDTH - this.config.WORLD.BOUNDARY_BUFFER) {
       soul.vx *= -1;
-      soul.x = Math.max(GameConfig.WORLD.BOUNDARY_BUFFER, 
-                       Math.min(GameConfig.WORLD.WIDTH - GameConfig.WORLD.BOUNDARY_BUFFER, soul.x));
+      soul.x = Math.max(this.config.WORLD.BOUNDARY_BUFFER, 
+                       Math.min(this.config.WORLD.WIDTH - this.config.WORLD.BOUNDARY_BUFFER, soul.x));
     }
 
-    if (soul.y < GameConfig.WORLD.BOUNDARY_BUFFER || 
-        soul.y > GameConfig.WORLD.HEIGHT - GameConfig.WORLD.BOUNDARY_BUFFER) {
+    if (soul.y < this.config.WORLD.BOUNDARY_BUFFER || 
+        soul.y > this.config.WORLD.HEIGHT - this.config.WORLD.BOUNDARY_BUFFER) {
       soul.vy *= -1;
-      soul.y = Math.max(GameConfig.WORLD.BOUNDARY_BUFFER, 
-                       Math.min(GameConfig.WORLD.HEIGHT - GameConfig.WORLD.BOUNDARY_BUFFER, soul.y));
+      soul.y = Math.max(this.config.WORLD.BOUNDARY_BUFFER, 
+                       Math.min(this.config.WORLD.HEIGHT - this.config.WORLD.BOUNDARY_BUFFER, soul.y));
     }
   }
 
   /**
    * Corner Avoidance and Stuck Detection Methods
+   * Fallbacks for souls the grid path can't help (stuck, off the walkable grid, target unreachable)
    */
 
   /**
@@ -644,7 +697,7 @@ class MovementSystem {
    */
   isSoulStuck(soul) {
     const soulId = soul.id;
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     const currentPos = { x: soul.x, y: soul.y, time: currentTime };
 
     // Initialize position history for this soul
@@ -680,9 +733,10 @@ class MovementSystem {
    * Check if the direct path to target is blocked by invalid positions
    */
   isDirectPathBlocked(soul, target) {
-    const steps = 5; // Number of points to check along the path
     const dx = target.x - soul.x;
     const dy = target.y - soul.y;
+    // Sample densely enough that the line can't skip past the corner of a barrier
+    const steps = Math.max(5, Math.ceil(Math.sqrt(dx * dx + dy * dy) / this.config.PATHFINDING.LINE_CHECK_STEP));
 
     for (let i = 1; i <= steps; i++) {
       const t = i / steps;
@@ -748,7 +802,7 @@ class MovementSystem {
         const cardinalBonus = (Math.abs(dir.x) + Math.abs(dir.y) === 1) ? 5 : 0;
         
         // Add some randomness to prevent infinite loops
-        const randomBonus = (Math.random() - 0.5) * 5;
+        const randomBonus = (this.random.next() - 0.5) * 5;
         const score = progress + cardinalBonus + randomBonus;
 
         if (score > bestScore) {
@@ -878,8 +932,8 @@ class MovementSystem {
 
     // Last resort - small random movement
     soul.setVelocity(
-      (Math.random() - 0.5) * speed * 0.5,
-      (Math.random() - 0.5) * speed * 0.5
+      (this.random.next() - 0.5) * speed * 0.5,
+      (this.random.next() - 0.5) * speed * 0.5
     );
   }
 
@@ -909,13 +963,13 @@ class MovementSystem {
 
     const partner = soul.matingPartner;
     const distance = soul.getDistanceTo(partner);
-    const matingRange = GameConfig.MATING.MATING_RANGE;
+    const matingRange = this.config.MATING.MATING_RANGE;
 
     if (distance > matingRange * 0.7) {
       // Too far from partner - move closer
       const dx = partner.x - soul.x;
       const dy = partner.y - soul.y;
-      const speed = GameConfig.SOUL.MOVEMENT_SPEED * 0.5 * movementMultiplier; // Slower speed for mating
+      const speed = this.config.SOUL.MOVEMENT_SPEED * 0.5 * movementMultiplier; // Slower speed for mating
       
       // Normalize and apply movement
       const normalizedDx = dx / distance;
@@ -929,7 +983,7 @@ class MovementSystem {
       // Too close - move away slightly
       const dx = soul.x - partner.x;
       const dy = soul.y - partner.y;
-      const speed = GameConfig.SOUL.MOVEMENT_SPEED * 0.2 * movementMultiplier; // Very slow
+      const speed = this.config.SOUL.MOVEMENT_SPEED * 0.2 * movementMultiplier; // Very slow
       
       // Normalize and apply movement
       const normalizedDx = dx / distance;
@@ -942,8 +996,8 @@ class MovementSystem {
     } else {
       // Perfect distance - stay still with small floating movement
       soul.setVelocity(
-        (Math.random() - 0.5) * 0.5,
-        (Math.random() - 0.5) * 0.5
+        (this.random.next() - 0.5) * 0.5,
+        (this.random.next() - 0.5) * 0.5
       );
     }
   }
@@ -954,11 +1008,10 @@ class MovementSystem {
   getFriendlyNexusTarget(soul) {
     if (!this.tileMap) return null;
     
-    const friendlyNexusPos = soul.type === GameConfig.SOUL_TYPES.DARK ? 
-      GameConfig.NEXUS.DARK_NEXUS : GameConfig.NEXUS.LIGHT_NEXUS;
+    const friendlyNexusPos = this.tileMap.layout.nexuses[soul.type === this.config.SOUL_TYPES.DARK ? 'dark' : 'light'];
     
-    const nexusWorldX = friendlyNexusPos.TILE_X * this.tileMap.tileWidth + (this.tileMap.tileWidth / 2);
-    const nexusWorldY = friendlyNexusPos.TILE_Y * this.tileMap.tileHeight + (this.tileMap.tileHeight / 2);
+    const nexusWorldX = friendlyNexusPos.tileX * this.tileMap.tileWidth + (this.tileMap.tileWidth / 2);
+    const nexusWorldY = friendlyNexusPos.tileY * this.tileMap.tileHeight + (this.tileMap.tileHeight / 2);
     
     return { x: nexusWorldX, y: nexusWorldY };
   }
@@ -969,11 +1022,10 @@ class MovementSystem {
   getNexusTarget(soul) {
     if (!this.tileMap) return null;
     
-    const enemyNexusPos = soul.type === GameConfig.SOUL_TYPES.DARK ? 
-      GameConfig.NEXUS.LIGHT_NEXUS : GameConfig.NEXUS.DARK_NEXUS;
+    const enemyNexusPos = this.tileMap.layout.nexuses[soul.type === this.config.SOUL_TYPES.DARK ? 'light' : 'dark'];
     
-    const nexusWorldX = enemyNexusPos.TILE_X * this.tileMap.tileWidth + (this.tileMap.tileWidth / 2);
-    const nexusWorldY = enemyNexusPos.TILE_Y * this.tileMap.tileHeight + (this.tileMap.tileHeight / 2);
+    const nexusWorldX = enemyNexusPos.tileX * this.tileMap.tileWidth + (this.tileMap.tileWidth / 2);
+    const nexusWorldY = enemyNexusPos.tileY * this.tileMap.tileHeight + (this.tileMap.tileHeight / 2);
     
     // Find the closest valid position to the nexus that soul can actually reach
     const targetPosition = this.findClosestValidPositionToTarget(soul, nexusWorldX, nexusWorldY);
@@ -1087,7 +1139,12 @@ class MovementSystem {
   handleTerritoryChange(capturedTiles, allSouls) {
     if (!capturedTiles || capturedTiles.length === 0) return;
 
-    const now = Date.now();
+    // Walkable tiles changed for both teams
+    if (this.pathfinder) {
+      this.pathfinder.invalidate();
+    }
+
+    const now = this.clock.now();
     
     // Check each soul to see if they're now in an invalid position
     allSouls.forEach(soul => {
@@ -1122,11 +1179,11 @@ class MovementSystem {
    * Handle movement for displaced souls during grace period
    * Returns true if soul movement was handled, false otherwise
    */
-  handleDisplacedSoul(soul, movementMultiplier = 1.0) {
+  handleDisplacedSoul(soul, movementMultiplier = 1.0, deltaTime = this.config.GAME_LOOP.FRAME_TIME) {
     const displacement = this.displacedSouls.get(soul.id);
     if (!displacement) return false;
 
-    const now = Date.now();
+    const now = this.clock.now();
     
     // Check if grace period has expired
     if (now > displacement.gracePeriodEnd) {
@@ -1149,30 +1206,31 @@ class MovementSystem {
     }
 
     // Move toward safe position at normal speed
-    const speed = GameConfig.SOUL.MOVEMENT_SPEED * movementMultiplier;
+    const speed = this.config.SOUL.MOVEMENT_SPEED * movementMultiplier;
     soul.setVelocity(
       (dx / distance) * speed,
       (dy / distance) * speed
     );
 
     // Apply movement with special grace period rules
-    this.applyMovementWithGracePeriod(soul);
+    this.applyMovementWithGracePeriod(soul, deltaTime);
     return true;
   }
 
   /**
    * Apply movement for displaced souls, allowing them to move through barriers temporarily
    */
-  applyMovementWithGracePeriod(soul) {
-    const newX = soul.x + soul.vx;
-    const newY = soul.y + soul.vy;
+  applyMovementWithGracePeriod(soul, deltaTime = this.config.GAME_LOOP.FRAME_TIME) {
+    const frameScale = this.getFrameScale(deltaTime);
+    const newX = soul.x + soul.vx * frameScale;
+    const newY = soul.y + soul.vy * frameScale;
 
     // During grace period, allow movement through territory barriers
     // but still respect world boundaries
-    if (newX >= GameConfig.WORLD.BOUNDARY_BUFFER && 
-        newX <= GameConfig.WORLD.WIDTH - GameConfig.WORLD.BOUNDARY_BUFFER &&
-        newY >= GameConfig.WORLD.BOUNDARY_BUFFER && 
-        newY <= GameConfig.WORLD.HEIGHT - GameConfig.WORLD.BOUNDARY_BUFFER) {
+    if (newX >= this.config.WORLD.BOUNDARY_BUFFER && 
+        newX <= this.config.WORLD.WIDTH - this.config.WORLD.BOUNDARY_BUFFER &&
+        newY >= this.config.WORLD.BOUNDARY_BUFFER && 
+        newY <= this.config.WORLD.HEIGHT - this.config.WORLD.BOUNDARY_BUFFER) {
       
       soul.x = newX;
       soul.y = newY;
@@ -1195,8 +1253,29 @@ class MovementSystem {
     }
   }
 
+  /**
+   * Serialize stuck detection history and displaced souls for snapshots
+   */
+  serializeState() {
+    return {
+      soulPositionHistory: cloneState(Array.from(this.soulPositionHistory.entries())),
+      displacedSouls: cloneState(Array.from(this.displacedSouls.entries()))
+    };
+  }
 
+  loadState(state, timeOffset = 0) {
+    this.soulPositionHistory = new Map(cloneState(state.soulPositionHistory));
+    this.soulPositionHistory.forEach(history => {
+      history.forEach(position => {
+        position.time = shiftTime(position.time, timeOffset);
+      });
+    });
 
+    this.displacedSouls = new Map(cloneState(state.displacedSouls));
+    this.displacedSouls.forEach(displacement => {
+      displacement.gracePeriodEnd = shiftTime(displacement.gracePeriodEnd, timeOffset);
+    });
+  }
 }
 
 module.exports = MovementSystem;
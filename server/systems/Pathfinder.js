@@ -0,0 +1,238 @@
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { getTerrainRules } = require('./TerrainSystem');
+
+const DIAGONAL_COST = Math.SQRT2;
+
+// 8-way neighbours; diagonals may not cut a blocked corner
+const NEIGHBOURS = [
+  { x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 },
+  { x: 1, y: 1 }, { x: -1, y: 1 }, { x: 1, y: -1 }, { x: -1, y: -1 }
+];
+
+/**
+ * Binary min-heap of [priority, order, index]; order breaks ties so searches are deterministic
+ */
+class OpenSet {
+  constructor() {
+    this.items = [];
+    this.order = 0;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(priority, index) {
+    const items = this.items;
+    items.push([priority, this.order++, index]);
+
+    let child = items.length - 1;
+    while (child > 0) {
+      const parent = (child - 1) >> 1;
+      if (!this.isBefore(items[child], items[parent])) break;
+      [items[child], items[parent]] = [items[parent], items[child]];
+      child = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let parent = 0;
+      for (;;) {
+        const left = parent * 2 + 1;
+        const right = left + 1;
+        let first = parent;
+        if (left < items.length && this.isBefore(items[left], items[first])) first = left;
+        if (right < items.length && this.isBefore(items[right], items[first])) first = right;
+        if (first === parent) break;
+        [items[first], items[parent]] = [items[parent], items[first]];
+        parent = first;
+      }
+    }
+    return top[2];
+  }
+
+  isBefore(a, b) {
+    return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+  }
+}
+
+/**
+ * Pathfinder
+ * A* over the tile grid, one walkable grid and path cache per team
+ * A tile is walkable when a soul may stand on its center (MovementSystem.isValidPosition:
+ * own territory, outside the barrier distance of enemy tiles). Entering a tile costs more
+ * the slower its terrain is. The caches must be invalidated whenever a tile changes owner
+ * or terrain.
+ */
+class Pathfinder {
+  /**
+   * @param {Object} tileMap
+   * @param {Function} isValidPosition - (x, y, teamType) => boolean
+   * @param {Object} [context] - Simulation context (config)
+   */
+  constructor(tileMap, isValidPosition, context = createSimulationContext()) {
+    this.tileMap = tileMap;
+    this.isValidPosition = isValidPosition;
+    this.config = context.config;
+
+    this.walkableGrids = new Map(); // teamType -> Uint8Array of tile walkability
+    this.terrainCosts = null;       // Float64Array of the cost factor for entering each tile
+    this.pathCaches = new Map();    // teamType -> Map("start:goal" -> path or null)
+  }
+
+  /**
+   * Forget every cached grid and path (call after tiles change)
+   */
+  invalidate() {
+    this.walkableGrids.clear();
+    this.pathCaches.clear();
+    this.terrainCosts = null;
+  }
+
+  /**
+   * Path between two world positions as tile-center waypoints, starting with the tile of `from`
+   * When `to` can't be reached (e.g. it lies in enemy territory) the path ends at the reachable
+   * tile closest to it
+   * @returns {Array<{x: number, y: number}>|null} Null if `from` is not on a walkable tile
+   */
+  findPath(teamType, from, to) {
+    const start = this.getTileIndex(from);
+    const goal = this.getTileIndex(to);
+    if (start === null || goal === null) return null;
+
+    if (!this.pathCaches.has(teamType)) {
+      this.pathCaches.set(teamType, new Map());
+    }
+    const cache = this.pathCaches.get(teamType);
+    const key = `${start}:${goal}`;
+
+    if (!cache.has(key)) {
+      if (cache.size >= this.config.PATHFINDING.CACHE_SIZE) {
+        cache.delete(cache.keys().next().value);
+      }
+      cache.set(key, this.search(teamType, start, goal));
+    }
+    return cache.get(key);
+  }
+
+  getTileIndex(position) {
+    const tileX = Math.floor(position.x / this.tileMap.tileWidth);
+    const tileY = Math.floor(position.y / this.tileMap.tileHeight);
+    if (tileX < 0 || tileX >= this.tileMap.width || tileY < 0 || tileY >= this.tileMap.height) {
+      return null;
+    }
+    return tileY * this.tileMap.width + tileX;
+  }
+
+  getTileCenter(index) {
+    return {
+      x: (index % this.tileMap.width + 0.5) * this.tileMap.tileWidth,
+      y: (Math.floor(index / this.tileMap.width) + 0.5) * this.tileMap.tileHeight
+    };
+  }
+
+  getWalkableGrid(teamType) {
+    if (!this.walkableGrids.has(teamType)) {
+      const grid = new Uint8Array(this.tileMap.width * this.tileMap.height);
+      for (let index = 0; index < grid.length; index++) {
+        const center = this.getTileCenter(index);
+        grid[index] = this.isValidPosition(center.x, center.y, teamType) ? 1 : 0;
+      }
+      this.walkableGrids.set(teamType, grid);
+    }
+    return this.walkableGrids.get(teamType);
+  }
+
+  /**
+   * Never below 1, so the octile heuristic stays admissible
+   */
+  getTerrainCosts() {
+    if (!this.terrainCosts) {
+      this.terrainCosts = new Float64Array(this.tileMap.width * this.tileMap.height);
+      for (let index = 0; index < this.terrainCosts.length; index++) {
+        const tile = this.tileMap.tiles[Math.floor(index / this.tileMap.width)][index % this.tileMap.width];
+        this.terrainCosts[index] = Math.max(1, 1 / getTerrainRules(this.config, tile).SPEED_MULTIPLIER);
+      }
+    }
+    return this.terrainCosts;
+  }
+
+  /**
+   * A* with an octile heuristic
+   */
+  search(teamType, start, goal) {
+    const walkable = this.getWalkableGrid(teamType);
+    if (!walkable[start]) return null;
+    const terrainCosts = this.getTerrainCosts();
+
+    const width = this.tileMap.width;
+    const height = this.tileMap.height;
+    const goalX = goal % width;
+    const goalY = Math.floor(goal / width);
+    const heuristic = (index) => {
+      const dx = Math.abs(index % width - goalX);
+      const dy = Math.abs(Math.floor(index / width) - goalY);
+      return Math.max(dx, dy) + (DIAGONAL_COST - 1) * Math.min(dx, dy);
+    };
+
+    const cost = new Float64Array(walkable.length).fill(Infinity);
+    const cameFrom = new Int32Array(walkable.length).fill(-1);
+    const closed = new Uint8Array(walkable.length);
+    const open = new OpenSet();
+
+    cost[start] = 0;
+    open.push(heuristic(start), start);
+
+    // Closest tile to the goal seen so far, used when the goal is unreachable
+    let closest = start;
+    let closestDistance = heuristic(start);
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (closed[current]) continue;
+      closed[current] = 1;
+
+      const distance = heuristic(current);
+      if (distance < closestDistance || (distance === closestDistance && cost[current] < cost[closest])) {
+        closest = current;
+        closestDistance = distance;
+      }
+      if (current === goal) break;
+
+      const x = current % width;
+      const y = Math.floor(current / width);
+      for (const step of NEIGHBOURS) {
+        const nx = x + step.x;
+        const ny = y + step.y;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+        const next = ny * width + nx;
+        if (!walkable[next] || closed[next]) continue;
+
+        const isDiagonal = step.x !== 0 && step.y !== 0;
+        if (isDiagonal && (!walkable[y * width + nx] || !walkable[ny * width + x])) continue;
+
+        const nextCost = cost[current] + (isDiagonal ? DIAGONAL_COST : 1) * terrainCosts[next];
+        if (nextCost < cost[next]) {
+          cost[next] = nextCost;
+          cameFrom[next] = current;
+          open.push(nextCost + heuristic(next), next);
+        }
+      }
+    }
+
+    const path = [];
+    for (let index = closest; index !== -1; index = cameFrom[index]) {
+      path.push(this.getTileCenter(index));
+    }
+    return path.reverse();
+  }
+}
+
+module.exports = Pathfinder;
@@ -1,4 +1,5 @@
-const GameConfig = require('../config/gameConfig');
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { getTerrainRules } = require('./TerrainSystem');
 
 /**
  * Scoring System
@@ -6,13 +7,17 @@ const GameConfig = require('../config/gameConfig');
  * Calculates Manhattan distances and border scores for pathfinding and spell targeting
  */
 class ScoringSystem {
-  constructor(tileMap) {
+  constructor(tileMap, context = createSimulationContext()) {
     this.tileMap = tileMap;
+    this.config = context.config;
+    
+    // Nexus positions chosen by the map generator
+    this.nexuses = tileMap.layout.nexuses;
     
     // Border scoring matrices for team-specific path finding
     this.borderScores = {
-      green: [], // Light team scores (top+left border)
-      gray: []   // Dark team scores (right+bottom border)
+      green: [], // Light team scores (its lane towards the dark nexus)
+      gray: []   // Dark team scores (its lane towards the light nexus)
     };
     
     // Note: SpellSystem uses getBorderScore which already includes Manhattan distance calculation
@@ -25,9 +30,15 @@ class ScoringSystem {
       bottom: 0
     };
     
+    // Side of the rectangle each team attacks along (same shape as borderRect)
+    this.lanes = {
+      green: null,
+      gray: null
+    };
+    
     // Calculate border dimensions
-    this.borderWidthX = GameConfig.NEXUS.BORDER_WIDTH_TILES;
-    this.borderWidthY = GameConfig.NEXUS.BORDER_WIDTH_TILES;
+    this.borderWidthX = this.config.NEXUS.BORDER_WIDTH_TILES;
+    this.borderWidthY = this.config.NEXUS.BORDER_WIDTH_TILES;
     
     this.initializeScoring();
   }
@@ -37,6 +48,7 @@ class ScoringSystem {
    */
   initializeScoring() {
     this.calculateBorderRectangle();
+    this.calculateLanes();
     this.calculateBorderScores();
   }
 
@@ -44,18 +56,45 @@ class ScoringSystem {
    * Calculate border rectangle bounds based on nexus positions
    */
   calculateBorderRectangle() {
-    const lightNexus = GameConfig.NEXUS.LIGHT_NEXUS;
-    const darkNexus = GameConfig.NEXUS.DARK_NEXUS;
+    const lightNexus = this.nexuses.light;
+    const darkNexus = this.nexuses.dark;
     
-    // Create rectangle with nexuses sitting in the MIDDLE of the border width
+    // Create rectangle with both nexuses sitting in the MIDDLE of the border width
     const halfBorderX = Math.floor(this.borderWidthX / 2);
     const halfBorderY = Math.floor(this.borderWidthY / 2);
     
     this.borderRect = {
-      left: lightNexus.TILE_X - halfBorderX,     // Light nexus in middle of left border
-      top: darkNexus.TILE_Y - halfBorderY,      // Dark nexus in middle of top border  
-      right: darkNexus.TILE_X + halfBorderX,    // Dark nexus in middle of right border
-      bottom: lightNexus.TILE_Y + halfBorderY   // Light nexus in middle of bottom border
+      left: Math.min(lightNexus.tileX, darkNexus.tileX) - halfBorderX,
+      top: Math.min(lightNexus.tileY, darkNexus.tileY) - halfBorderY,
+      right: Math.max(lightNexus.tileX, darkNexus.tileX) + halfBorderX,
+      bottom: Math.max(lightNexus.tileY, darkNexus.tileY) + halfBorderY
+    };
+  }
+
+  /**
+   * Each team attacks along the side of the border rectangle that holds the enemy nexus,
+   * running the long way between the nexuses (e.g. the top side when the dark nexus is top right
+   * of a wide rectangle); the two lanes only meet when the nexuses share a row or column
+   */
+  calculateLanes() {
+    const thickness = this.config.NEXUS.SIZE_TILES;
+    const rect = this.borderRect;
+    const isWide = (rect.right - rect.left) >= (rect.bottom - rect.top);
+    
+    const getLane = (friendlyNexus, enemyNexus) => {
+      if (isWide) {
+        return enemyNexus.tileY <= friendlyNexus.tileY ?
+          { ...rect, bottom: rect.top + thickness } :
+          { ...rect, top: rect.bottom - thickness };
+      }
+      return enemyNexus.tileX <= friendlyNexus.tileX ?
+        { ...rect, right: rect.left + thickness } :
+        { ...rect, left: rect.right - thickness };
+    };
+    
+    this.lanes = {
+      green: getLane(this.nexuses.light, this.nexuses.dark),
+      gray: getLane(this.nexuses.dark, this.nexuses.light)
     };
   }
 
@@ -84,9 +123,9 @@ class ScoringSystem {
    * Calculate score for a specific tile based on team rules (used by MovementSystem)
    */
   calculateTileScore(x, y, teamType) {
-    // Outside border rectangle = 0 score
-    if (x < this.borderRect.left || x > this.borderRect.right ||
-        y < this.borderRect.top || y > this.borderRect.bottom) {
+    // Outside the team's lane = 0 score
+    const lane = this.lanes[teamType];
+    if (x < lane.left || x > lane.right || y < lane.top || y > lane.bottom) {
       return 0;
     }
     
@@ -96,35 +135,23 @@ class ScoringSystem {
       return 0;
     }
     
+    // Water and rock can't be captured
+    if (tile && !getTerrainRules(this.config, tile).CAPTURABLE) {
+      return 0;
+    }
+    
     // Check if tile is occupied by enemy nexus (0 score - can't attack nexus tiles)
-    const enemyNexus = teamType === 'green' ? GameConfig.NEXUS.DARK_NEXUS : GameConfig.NEXUS.LIGHT_NEXUS;
+    const enemyNexus = teamType === 'green' ? this.nexuses.dark : this.nexuses.light;
     if (this.isTileOccupiedByNexus(x, y, enemyNexus)) {
       return 0;
     }
     
     // Check if tile is occupied by friendly nexus (0 score - can't attack own nexus tiles)
-    const friendlyNexus = teamType === 'green' ? GameConfig.NEXUS.LIGHT_NEXUS : GameConfig.NEXUS.DARK_NEXUS;
+    const friendlyNexus = teamType === 'green' ? this.nexuses.light : this.nexuses.dark;
     if (this.isTileOccupiedByNexus(x, y, friendlyNexus)) {
       return 0;
     }
     
-    // Team-specific border restrictions
-    if (teamType === 'green') {
-      // Light team: ONLY top and left sides of rectangle
-      const isOnTopSide = (y <= this.borderRect.top + GameConfig.NEXUS.SIZE_TILES);
-      
-      if (!isOnTopSide) {
-        return 0; // Not on light team's assigned sides
-      }
-    } else {
-      // Dark team: ONLY right and bottom sides of rectangle  
-      const isOnBottomSide = (y >= this.borderRect.bottom -GameConfig.NEXUS.SIZE_TILES);
-      
-      if (!isOnBottomSide) {
-        return 0; // Not on dark team's assigned sides
-      }
-    }
-    
     // Calculate Manhattan distance to closest enemy nexus tile
     const manhattanDistance = this.getDistanceToClosestNexusTile(x, y, enemyNexus);
     
@@ -137,14 +164,14 @@ class ScoringSystem {
   /**
    * Check if a tile is occupied by a nexus (2x2 tile area)
    */
-  isTileOccupiedByNexus(x, y, nexusConfig) {
-    const NEXUS_SIZE = GameConfig.NEXUS.SIZE_TILES;
+  isTileOccupiedByNexus(x, y, nexus) {
+    const NEXUS_SIZE = this.config.NEXUS.SIZE_TILES;
     const halfSize = Math.floor(NEXUS_SIZE / 2);
     
-    const nexusLeft = nexusConfig.TILE_X - halfSize;
-    const nexusRight = nexusConfig.TILE_X + halfSize - 1;
-    const nexusTop = nexusConfig.TILE_Y - halfSize;
-    const nexusBottom = nexusConfig.TILE_Y + halfSize - 1;
+    const nexusLeft = nexus.tileX - halfSize;
+    const nexusRight = nexus.tileX + halfSize - 1;
+    const nexusTop = nexus.tileY - halfSize;
+    const nexusBottom = nexus.tileY + halfSize - 1;
     
     return x >= nexusLeft && x <= nexusRight && y >= nexusTop && y <= nexusBottom;
   }
@@ -152,14 +179,14 @@ class ScoringSystem {
   /**
    * Get Manhattan distance to the closest tile of the enemy nexus
    */
-  getDistanceToClosestNexusTile(x, y, nexusConfig) {
-    const NEXUS_SIZE = GameConfig.NEXUS.SIZE_TILES;
+  getDistanceToClosestNexusTile(x, y, nexus) {
+    const NEXUS_SIZE = this.config.NEXUS.SIZE_TILES;
     const halfSize = Math.floor(NEXUS_SIZE / 2);
     
-    const nexusLeft = nexusConfig.TILE_X - halfSize;
-    const nexusRight = nexusConfig.TILE_X + halfSize;
-    const nexusTop = nexusConfig.TILE_Y - halfSize;
-    const nexusBottom = nexusConfig.TILE_Y + halfSize;
+    const nexusLeft = nexus.tileX - halfSize;
+    const nexusRight = nexus.tileX + halfSize;
+    const nexusTop = nexus.tileY - halfSize;
+    const nexusBottom = nexus.tileY + halfSize;
     
     // Find the closest nexus tile
     const closestX = Math.max(nexusLeft, Math.min(nexusRight, x));
@@ -202,6 +229,7 @@ class ScoringSystem {
     return {
       scores: this.borderScores,
       borderRect: this.borderRect,
+      lanes: this.lanes,
       borderWidth: {
         x: this.borderWidthX,
         y: this.borderWidthY
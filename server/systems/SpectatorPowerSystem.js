@@ -0,0 +1,111 @@
+const { createSimulationContext } = require('../utils/SimulationContext');
+
+const TEAMS = {
+  light: { soulType: 'light-soul', tileType: 'green' },
+  dark: { soulType: 'dark-soul', tileType: 'gray' }
+};
+
+const DISASTER_TYPES = ['freezing_snow', 'meteorite_storm'];
+
+/**
+ * Spectator Power System
+ * The simulation side of spectator "god powers": drop an energy orb, bless a team
+ * with a timed buff, or start a disaster early
+ * Favor, cooldowns and rate limits are per client and handled by rooms/FavorLedger.js
+ */
+class SpectatorPowerSystem {
+  constructor(gameManager, context = createSimulationContext()) {
+    this.gameManager = gameManager;
+    this.config = context.config;
+    this.clock = context.clock;
+    this.orbCounter = 0;
+  }
+
+  /**
+   * @param {string} power - 'drop_orb', 'bless_team' or 'trigger_disaster'
+   * @param {Object} options - { team } for orbs and blessings, { disasterType } for disasters
+   * @returns {{events: Array}|{error: string}} Events to broadcast, or why the power can't be used
+   */
+  usePower(power, options) {
+    if (!this.gameManager.matchSystem.isPlaying()) {
+      return { error: 'Powers can only be used during a match' };
+    }
+
+    switch (power) {
+      case 'drop_orb':
+        return this.dropOrb(options.team);
+      case 'bless_team':
+        return this.blessTeam(options.team);
+      case 'trigger_disaster':
+        return this.triggerDisaster(options.disasterType);
+      default:
+        return { error: `Unknown power: ${power}` };
+    }
+  }
+
+  dropOrb(team) {
+    if (!TEAMS[team]) return { error: `Unknown team: ${team}` };
+
+    // Clock time keeps ids unique across snapshot restores, the counter within a tick
+    const orbId = `favor-orb-${this.clock.now()}-${this.orbCounter++}`;
+    const orb = this.gameManager.createEnergyOrb(orbId, TEAMS[team].tileType);
+    orb.isFavorOrb = true;
+    this.gameManager.energyOrbs.set(orbId, orb);
+
+    return {
+      events: [{
+        type: 'orb_spawned',
+        orb: {
+          id: orb.id,
+          x: orb.x,
+          y: orb.y,
+          energy: orb.energy,
+          teamType: orb.teamType,
+          color: orb.color
+        }
+      }]
+    };
+  }
+
+  blessTeam(team) {
+    if (!TEAMS[team]) return { error: `Unknown team: ${team}` };
+
+    const blessing = this.config.SPECTATORS.POWERS.bless_team;
+    const buffManager = this.gameManager.buffManager;
+
+    buffManager.clearEvents();
+    buffManager.applyBuff('spectators', TEAMS[team].soulType, {
+      type: 'spectator_blessing',
+      name: 'Spectator Blessing',
+      description: `+${Math.round((blessing.SPEED_MULTIPLIER - 1) * 100)}% Speed, faster casting`,
+      icon: 'blessing',
+      effects: {
+        speedMultiplier: blessing.SPEED_MULTIPLIER,
+        castTimeMultiplier: blessing.CAST_TIME_MULTIPLIER
+      },
+      duration: blessing.DURATION,
+      priority: 6
+    });
+
+    return { events: [...buffManager.getBuffEvents()] };
+  }
+
+  triggerDisaster(disasterType) {
+    if (!DISASTER_TYPES.includes(disasterType)) {
+      return { error: `Unknown disaster: ${disasterType}` };
+    }
+
+    const disasterSystem = this.gameManager.disasterEventSystem;
+    if (disasterSystem.isDisasterActive()) {
+      return { error: 'A disaster is already in progress' };
+    }
+
+    const events = disasterSystem.triggerDisaster(disasterType);
+    if (!events) {
+      return { error: 'That disaster is disabled in this room' };
+    }
+    return { events: [...events] };
+  }
+}
+
+module.exports = SpectatorPowerSystem;
@@ -1,13 +1,17 @@
-const GameConfig = require('../config/gameConfig');
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { cloneState, shiftTimeFields } = require('../utils/stateSerialization');
 const { SoulStates } = require('../entities/SoulStateMachine');
+const { getTerrainRules } = require('./TerrainSystem');
 
 /**
  * Spell System
  * Handles spell casting, preparation, and effects
  */
 class SpellSystem {
-  constructor(tileMap, buffManager = null, movementSystem = null, scoringSystem = null) {
+  constructor(tileMap, buffManager = null, movementSystem = null, scoringSystem = null, context = createSimulationContext()) {
     this.tileMap = tileMap;
+    this.config = context.config;
+    this.clock = context.clock;
     this.buffManager = buffManager;
     this.movementSystem = movementSystem;
     this.scoringSystem = scoringSystem;
@@ -34,7 +38,7 @@ class SpellSystem {
   updateCastingProgress() {
     // Update progress for all active spells
     this.activeSpells.forEach((spell, spellId) => {
-      const elapsed = Date.now() - spell.startTime;
+      const elapsed = this.clock.now() - spell.startTime;
       const progress = Math.min(1.0, elapsed / (spell.completionTime - spell.startTime));
       
       // Send progress update event
@@ -43,7 +47,7 @@ class SpellSystem {
         spellId: spell.spellId,
         casterId: spell.casterId,
         progress: progress,
-        timeRemaining: Math.max(0, spell.completionTime - Date.now())
+        timeRemaining: Math.max(0, spell.completionTime - this.clock.now())
       });
     });
   }
@@ -62,7 +66,7 @@ class SpellSystem {
         return;
       }
       
-      if (Date.now() >= spell.completionTime) {
+      if (this.clock.now() >= spell.completionTime) {
         // Clear enemy casting flags for all souls
         this.clearEnemyCastingFlags(spell.casterId, allSouls);
         
@@ -103,7 +107,9 @@ class SpellSystem {
         // Mark the caster as dead - let GameManager handle the death event
         const caster = allSouls.get(spell.casterId);
         if (caster) {
-          caster.isDead = true;
+          caster.recordStat('spellsCast');
+          caster.recordStat('tilesCaptured', capturedTiles.length);
+          caster.die('sacrifice');
           // DON'T set deathStarted - let GameManager.handleSoulDeaths() handle the death event
           // This prevents duplicate death events
         }
@@ -175,7 +181,7 @@ class SpellSystem {
 
 
   startSpellCasting(soul, targetTile, allSouls) {
-    const spellId = `spell-${soul.id}-${Date.now()}`;
+    const spellId = `spell-${soul.id}-${this.clock.now()}`;
     
     // DOUBLE CHECK that tile isn't already targeted (race condition protection)
     const isAlreadyTargeted = Array.from(this.activeSpells.values()).some(spell => 
@@ -188,15 +194,15 @@ class SpellSystem {
     // Get team-specific cast time multiplier
     const castTimeMultiplier = this.buffManager ? 
       this.buffManager.getSpellCastTimeMultiplier(soul.type) : 1.0;
-    const adjustedCastTime = GameConfig.SOUL.SPELL_CAST_TIME * castTimeMultiplier;
+    const adjustedCastTime = this.config.SOUL.SPELL_CAST_TIME * castTimeMultiplier / soul.genome.castSpeed;
     
     const spell = {
       spellId: spellId,
       casterId: soul.id,
       casterType: soul.type,
       targetTile: targetTile,
-      startTime: Date.now(),
-      completionTime: Date.now() + adjustedCastTime,
+      startTime: this.clock.now(),
+      completionTime: this.clock.now() + adjustedCastTime,
       casterX: soul.x,
       casterY: soul.y,
       targetX: targetTile.worldX + this.tileMap.tileWidth / 2,
@@ -244,6 +250,9 @@ class SpellSystem {
 
 
 
+  /**
+   * @returns {boolean} Whether the soul had a spell to interrupt
+   */
   interruptSpell(soul, allSouls) {
     // Clear enemy casting flags for this caster
     this.clearEnemyCastingFlags(soul.id, allSouls);
@@ -278,15 +287,16 @@ class SpellSystem {
     if (interrupted) {
       soul.interruptSpell();
     }
+    return interrupted;
   }
 
   findNearestOpponentTile(soul, allSouls = new Map()) {
     if (!this.tileMap) return null;
 
     const teamType = soul.teamType;
-    const opponentType = soul.type === GameConfig.SOUL_TYPES.DARK ? GameConfig.TILE_TYPES.GREEN : GameConfig.TILE_TYPES.GRAY;
-    const minDistance = GameConfig.SOUL.SPELL_MIN_DISTANCE;
-    const maxDistance = GameConfig.SOUL.SPELL_RANGE;
+    const opponentType = soul.type === this.config.SOUL_TYPES.DARK ? this.config.TILE_TYPES.GREEN : this.config.TILE_TYPES.GRAY;
+    const minDistance = this.config.SOUL.SPELL_MIN_DISTANCE;
+    const maxDistance = this.config.SOUL.SPELL_RANGE;
 
     // Use fallback casting if soul has been seeking too long
     if (soul.shouldUseFallbackCasting) {
@@ -437,6 +447,28 @@ class SpellSystem {
     return this.activeSpells;
   }
 
+  /**
+   * Serialize in-flight spells for snapshots (target tiles stored as coordinates)
+   */
+  serializeState() {
+    return {
+      activeSpells: Array.from(this.activeSpells.values()).map(({ targetTile, ...fields }) => ({
+        ...cloneState(fields),
+        targetTile: { x: targetTile.x, y: targetTile.y }
+      }))
+    };
+  }
+
+  loadState(state, timeOffset = 0) {
+    this.activeSpells = new Map();
+    state.activeSpells.forEach(spellState => {
+      const spell = shiftTimeFields(cloneState(spellState), ['startTime', 'completionTime'], timeOffset);
+      spell.targetTile = this.tileMap.tiles[spellState.targetTile.y][spellState.targetTile.x];
+      this.activeSpells.set(spell.spellId, spell);
+    });
+    this.spellEvents = [];
+  }
+
   clearEnemyCastingFlags(casterId, allSouls) {
     allSouls.forEach(soul => {
       if (soul.castingEnemyId === casterId) {
@@ -472,14 +504,15 @@ class SpellSystem {
         tileY >= 0 && tileY < this.tileMap.height) {
       
       const tile = this.tileMap.tiles[tileY][tileX];
-      if (tile && tile.type !== newTileType) {
+      if (tile && tile.type !== newTileType && getTerrainRules(this.config, tile).CAPTURABLE) {
         tile.type = newTileType;
+        delete tile.fixedVariant; // Authored decoration belonged to the previous owner
         
         // Assign new variant for the conquered tile
         const seed = tileX * 1000 + tileY; // Same seed logic as initial generation
         const variants = newTileType === 'gray' ? 
-          GameConfig.TILE_COLLECTIONS.GRAY_TILES : 
-          GameConfig.TILE_COLLECTIONS.GREEN_TILES;
+          this.config.TILE_COLLECTIONS.GRAY_TILES : 
+          this.config.TILE_COLLECTIONS.GREEN_TILES;
         const variantIndex = seed % variants.length;
         tile.variant = variants[variantIndex];
         
@@ -504,7 +537,7 @@ class SpellSystem {
    */
   calculateTunnelPath(startX, startY, endX, endY) {
     const tunnelTiles = new Set();
-    const tunnelWidth = GameConfig.NEXUS.TUNNEL_WIDTH;
+    const tunnelWidth = this.config.NEXUS.TUNNEL_WIDTH;
     const halfWidth = Math.floor(tunnelWidth / 2);
     
     // Create L-shaped path: vertical first, then horizontal
@@ -1,11 +1,17 @@
 const GameConfig = require('../config/gameConfig');
+const { createSimulationContext } = require('../utils/SimulationContext');
+const { cloneState, shiftTime, shiftTimeFields } = require('../utils/stateSerialization');
+const { getTerrainRules } = require('./TerrainSystem');
 
 /**
  * Statistics Manager
  * Tracks comprehensive game statistics including team percentages, births, deaths, and tile conquest
  */
 class StatisticsManager {
-  constructor() {
+  constructor(context = createSimulationContext()) {
+    this.config = context.config;
+    this.clock = context.clock;
+    
     // Team statistics
     this.teamStats = {
       light: {
@@ -51,8 +57,8 @@ class StatisticsManager {
       totalBirths: 0,
       totalDeaths: 0,
       totalSouls: 0,
-      gameStartTime: Date.now(),
-      lastUpdateTime: Date.now()
+      gameStartTime: this.clock.now(),
+      lastUpdateTime: this.clock.now()
     };
 
     // Tile ownership tracking
@@ -62,6 +68,9 @@ class StatisticsManager {
     // Historical data for trends
     this.statsHistory = [];
     this.maxHistoryLength = 100; // Keep last 100 data points
+
+    // Best fallen souls of the match; living souls are ranked live in getHallOfFame()
+    this.fallenVeterans = [];
   }
 
   /**
@@ -74,6 +83,7 @@ class StatisticsManager {
 
   /**
    * Map the initial territory ownership based on tile types
+   * Water and rock belong to nobody and are left out of the counts
    */
   mapInitialTerritory(tileMap) {
     if (this.initialTerritoryMapped || !tileMap) return;
@@ -86,6 +96,7 @@ class StatisticsManager {
       for (let x = 0; x < tileMap.width; x++) {
         const tile = tiles[y][x];
         const tileKey = `${x},${y}`;
+        if (!getTerrainRules(this.config, tile).PASSABLE) continue;
         
         if (tile.type === 'green') {
           this.tileOwnership.set(tileKey, { 
@@ -118,7 +129,7 @@ class StatisticsManager {
     this.updateTeamPercentages();
     this.updateTileControl(gameManager);
     this.decayRecentLosses(); // Gradually reduce recent losses over time
-    this.gameStats.lastUpdateTime = Date.now();
+    this.gameStats.lastUpdateTime = this.clock.now();
     
     // Add current state to history
     this.addToHistory();
@@ -270,13 +281,27 @@ class StatisticsManager {
 
   /**
    * Update tile control statistics based on current soul positions
+   * Impassable tiles are skipped, as in mapInitialTerritory
    */
   updateTileControl(gameManager) {
     if (!gameManager.tileMap || !gameManager.souls) return;
     
     // Reset tile ownership based on soul presence
     const tileMap = gameManager.tileMap;
-    const souls = Array.from(gameManager.souls.values());
+
+    // Count souls per tile in one pass over the souls
+    const soulsPerTile = new Map(); // "x,y" -> { light, dark }
+    gameManager.souls.forEach(soul => {
+      const soulTileKey = `${Math.floor(soul.x / tileMap.tileWidth)},${Math.floor(soul.y / tileMap.tileHeight)}`;
+      if (!soulsPerTile.has(soulTileKey)) {
+        soulsPerTile.set(soulTileKey, { light: 0, dark: 0 });
+      }
+      if (soul.type === 'light-soul') {
+        soulsPerTile.get(soulTileKey).light++;
+      } else if (soul.type === 'dark-soul') {
+        soulsPerTile.get(soulTileKey).dark++;
+      }
+    });
     
     // Reset all tiles to neutral, then assign based on soul presence
     let lightTiles = 0;
@@ -285,26 +310,12 @@ class StatisticsManager {
     // Count tiles by checking which team has more souls in each area
     for (let y = 0; y < tileMap.height; y++) {
       for (let x = 0; x < tileMap.width; x++) {
-        const tileWorldX = x * tileMap.tileWidth + tileMap.tileWidth / 2;
-        const tileWorldY = y * tileMap.tileHeight + tileMap.tileHeight / 2;
+        if (!getTerrainRules(this.config, tileMap.tiles[y][x]).PASSABLE) continue;
         
         // Count souls within this tile area
-        let lightSoulsInTile = 0;
-        let darkSoulsInTile = 0;
-        
-        souls.forEach(soul => {
-          // Check if soul is within this tile bounds
-          const soulTileX = Math.floor(soul.x / tileMap.tileWidth);
-          const soulTileY = Math.floor(soul.y / tileMap.tileHeight);
-          
-          if (soulTileX === x && soulTileY === y) {
-            if (soul.type === 'light-soul') {
-              lightSoulsInTile++;
-            } else if (soul.type === 'dark-soul') {
-              darkSoulsInTile++;
-            }
-          }
-        });
+        const soulCounts = soulsPerTile.get(`${x},${y}`);
+        const lightSoulsInTile = soulCounts ? soulCounts.light : 0;
+        const darkSoulsInTile = soulCounts ? soulCounts.dark : 0;
         
         // Assign tile ownership based on soul presence
         const tileKey = `${x},${y}`;
@@ -312,7 +323,7 @@ class StatisticsManager {
           // Light team controls this tile
           this.tileOwnership.set(tileKey, {
             owner: 'light',
-            captureTime: Date.now(),
+            captureTime: this.clock.now(),
             originalOwner: tileMap.tiles[y][x].type === 'green' ? 'light' : 'dark'
           });
           lightTiles++;
@@ -320,7 +331,7 @@ class StatisticsManager {
           // Dark team controls this tile
           this.tileOwnership.set(tileKey, {
             owner: 'dark', 
-            captureTime: Date.now(),
+            captureTime: this.clock.now(),
             originalOwner: tileMap.tiles[y][x].type === 'green' ? 'light' : 'dark'
           });
           darkTiles++;
@@ -430,7 +441,7 @@ class StatisticsManager {
         // Update tile ownership
         this.tileOwnership.set(tileKey, {
           owner: event.newOwner,
-          captureTime: Date.now(),
+          captureTime: this.clock.now(),
           originalOwner: previousOwner.originalOwner
         });
 
@@ -450,7 +461,7 @@ class StatisticsManager {
    */
   addToHistory() {
     const snapshot = {
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       light: { ...this.teamStats.light },
       dark: { ...this.teamStats.dark },
       totalSouls: this.gameStats.totalSouls
@@ -507,13 +518,58 @@ class StatisticsManager {
         totalSouls: this.gameStats.totalSouls,
         totalBirths: this.gameStats.totalBirths,
         totalDeaths: this.gameStats.totalDeaths,
-        gameUptime: Date.now() - this.gameStats.gameStartTime,
+        gameUptime: this.clock.now() - this.gameStats.gameStartTime,
         lastUpdate: this.gameStats.lastUpdateTime
       },
       history: this.getRecentHistory(10) // Last 10 data points for charts
     };
   }
 
+  /**
+   * Keep a dying soul's record if it may still make the hall of fame
+   */
+  recordFallenSoul(soul) {
+    this.fallenVeterans.push(this.createVeteranEntry(soul, false));
+    this.fallenVeterans.sort((a, b) => b.xp - a.xp);
+    // No fallen soul below this many others can rank in the hall of fame again
+    this.fallenVeterans.length = Math.min(this.fallenVeterans.length, this.config.VETERANS.HALL_OF_FAME_SIZE);
+  }
+
+  /**
+   * Highest-XP souls of the match, living and fallen; souls without any XP don't qualify
+   * @param {Iterable<Soul>} souls - Living souls
+   * @returns {Array<Object>} Entries, best first
+   */
+  getHallOfFame(souls) {
+    const living = Array.from(souls)
+      .filter(soul => !soul.isDead)
+      .map(soul => this.createVeteranEntry(soul, true));
+
+    return [...living, ...this.fallenVeterans]
+      .filter(entry => entry.xp > 0)
+      .sort((a, b) => b.xp - a.xp)
+      .slice(0, this.config.VETERANS.HALL_OF_FAME_SIZE);
+  }
+
+  createVeteranEntry(soul, alive) {
+    const stats = {};
+    Object.keys(soul.lifetimeStats).forEach(stat => {
+      stats[stat] = Math.round(soul.lifetimeStats[stat]);
+    });
+
+    return {
+      id: soul.id,
+      name: soul.name,
+      lineName: soul.lineName,
+      team: soul.type === 'light-soul' ? 'light' : 'dark',
+      rank: soul.rank,
+      rankName: soul.getRankBonuses().NAME,
+      xp: Math.floor(soul.xp),
+      stats: stats,
+      alive: alive
+    };
+  }
+
   /**
    * Get recent history for trend visualization
    */
@@ -549,11 +605,39 @@ class StatisticsManager {
     };
     this.gameStats = {
       totalBirths: 0, totalDeaths: 0, totalSouls: 0,
-      gameStartTime: Date.now(), lastUpdateTime: Date.now()
+      gameStartTime: this.clock.now(), lastUpdateTime: this.clock.now()
     };
     this.tileOwnership.clear();
     this.statsHistory = [];
     this.initialTerritoryMapped = false;
+    this.fallenVeterans = [];
+  }
+
+  /**
+   * Serialize statistics, tile ownership and history for snapshots
+   */
+  serializeState() {
+    return cloneState({
+      teamStats: this.teamStats,
+      gameStats: this.gameStats,
+      tileOwnership: Array.from(this.tileOwnership.entries()),
+      initialTerritoryMapped: this.initialTerritoryMapped,
+      statsHistory: this.statsHistory,
+      fallenVeterans: this.fallenVeterans
+    });
+  }
+
+  loadState(state, timeOffset = 0) {
+    const loaded = cloneState(state);
+    this.teamStats = loaded.teamStats;
+    this.gameStats = shiftTimeFields(loaded.gameStats, ['gameStartTime', 'lastUpdateTime'], timeOffset);
+    this.tileOwnership = new Map(loaded.tileOwnership);
+    this.tileOwnership.forEach(ownership => {
+      ownership.captureTime = shiftTime(ownership.captureTime, timeOffset);
+    });
+    this.initialTerritoryMapped = loaded.initialTerritoryMapped;
+    this.statsHistory = loaded.statsHistory.map(snapshot => shiftTimeFields(snapshot, ['timestamp'], timeOffset));
+    this.fallenVeterans = loaded.fallenVeterans;
   }
 }
 
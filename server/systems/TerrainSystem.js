@@ -0,0 +1,123 @@
+const { createSimulationContext } = require('../utils/SimulationContext');
+
+// Values of tile.terrain; a tile without one is plain ground
+const TERRAIN_TYPES = ['water', 'rock', 'swamp', 'shrine', 'crater'];
+
+/**
+ * Rules of a tile's terrain (TERRAIN.<TYPE> in the config), plain ground if it has none
+ * @returns {{PASSABLE: boolean, CAPTURABLE: boolean, SPEED_MULTIPLIER: number}}
+ */
+function getTerrainRules(config, tile) {
+  if (!tile || !tile.terrain) return config.TERRAIN.PLAIN;
+  return config.TERRAIN[tile.terrain.toUpperCase()] || config.TERRAIN.PLAIN;
+}
+
+/**
+ * Terrain System
+ * Terrain is neutral: it stays when a tile changes owner. Movement, pathing and capturing
+ * read its rules through getTerrainRules(); this system handles the terrain that changes
+ * or acts on its own:
+ * - meteorite impacts turn plain tiles into craters
+ * - shrines buff the team that owns them, once per shrine
+ */
+class TerrainSystem {
+  /**
+   * @param {Object} tileMap
+   * @param {BuffManager} buffManager
+   * @param {MovementSystem} movementSystem - Its pathfinder is invalidated when terrain changes
+   * @param {Object} [context] - Simulation context (config)
+   */
+  constructor(tileMap, buffManager, movementSystem, context = createSimulationContext()) {
+    this.tileMap = tileMap;
+    this.buffManager = buffManager;
+    this.movementSystem = movementSystem;
+    this.config = context.config;
+
+    this.shrines = [];
+    tileMap.tiles.forEach(row => row.forEach(tile => {
+      if (tile.terrain === 'shrine') this.shrines.push(tile);
+    }));
+
+    // Shrines each team held when its buff was last applied
+    this.shrineCounts = { light: 0, dark: 0 };
+    this.updateShrineBuffs();
+  }
+
+  /**
+   * @param {Array} disasterEvents - This tick's disaster events, for meteorite impacts
+   * @returns {Array} terrain_changed and buff events
+   */
+  update(disasterEvents) {
+    const events = [];
+    const buffEventCount = this.buffManager.getBuffEvents().length;
+
+    disasterEvents
+      .filter(event => event.type === 'meteorite_impact')
+      .forEach(event => {
+        const tile = this.createCrater(event.crater.x, event.crater.y);
+        if (tile) {
+          events.push({ type: 'terrain_changed', tileX: tile.x, tileY: tile.y, terrain: tile.terrain });
+        }
+      });
+
+    this.updateShrineBuffs();
+    events.push(...this.buffManager.getBuffEvents().slice(buffEventCount));
+    return events;
+  }
+
+  /**
+   * Turn the plain tile under an impact into a crater
+   * @returns {Object|null} The changed tile
+   */
+  createCrater(x, y) {
+    if (!this.config.TERRAIN.METEORITE_CRATERS) return null;
+
+    const tileX = Math.floor(x / this.tileMap.tileWidth);
+    const tileY = Math.floor(y / this.tileMap.tileHeight);
+    const tile = this.tileMap.tiles[tileY] && this.tileMap.tiles[tileY][tileX];
+    if (!tile || tile.terrain) return null;
+
+    tile.terrain = 'crater';
+    // Craters are slower to cross, so cached paths may no longer be the best ones
+    if (this.movementSystem.pathfinder) {
+      this.movementSystem.pathfinder.invalidate();
+    }
+    return tile;
+  }
+
+  /**
+   * Re-apply the shrine buffs when a team gained or lost a shrine
+   */
+  updateShrineBuffs() {
+    const counts = { light: 0, dark: 0 };
+    this.shrines.forEach(tile => {
+      counts[tile.type === 'green' ? 'light' : 'dark']++;
+    });
+    if (counts.light === this.shrineCounts.light && counts.dark === this.shrineCounts.dark) return;
+
+    this.shrineCounts = counts;
+    this.buffManager.clearBuffsBySource('terrain');
+
+    const shrine = this.config.TERRAIN.SHRINE;
+    ['light', 'dark'].forEach(team => {
+      const count = counts[team];
+      if (count === 0) return;
+
+      const speedMultiplier = Math.pow(shrine.BUFF_SPEED_MULTIPLIER, count);
+      const castTimeMultiplier = Math.pow(shrine.BUFF_CAST_TIME_MULTIPLIER, count);
+      this.buffManager.applyBuff('terrain', `${team}-soul`, {
+        type: 'shrine_blessing',
+        name: count > 1 ? `Shrine Blessing x${count}` : 'Shrine Blessing',
+        description: `+${Math.round((speedMultiplier - 1) * 100)}% Speed, +${Math.round((1 - castTimeMultiplier) * 100)}% Cast Speed`,
+        icon: 'shrine',
+        effects: {
+          speedMultiplier: speedMultiplier,
+          castTimeMultiplier: castTimeMultiplier
+        },
+        priority: 6
+      });
+    });
+  }
+}
+
+module.exports = { TerrainSystem, getTerrainRules, TERRAIN_TYPES };
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createGame, runTicks } = require('./helpers');
+const GameConfig = require('../config/gameConfig');
+const { readBehaviourFile, validateBehaviour, compileBehaviour, loadBehaviour, getOrderedTransitions } = require('../entities/Behaviour');
+const { GUARDS } = require('../entities/BehaviourLibrary');
+
+test('the default behaviour is valid and has the steps the strategies order', () => {
+  assert.deepStrictEqual(validateBehaviour(readBehaviourFile('default'), GameConfig), []);
+
+  const behaviour = loadBehaviour('default', GameConfig);
+  assert.deepStrictEqual([...behaviour.steps].sort(), [...GameConfig.STRATEGIES.PROFILES.BALANCED.PRIORITIES].sort());
+});
+
+test('every problem with a definition is reported at once', () => {
+  const definition = readBehaviourFile('default');
+  delete definition.states.resting;
+  definition.initial = 'nap';
+  definition.states.roaming.transitions.push({ to: 'nowhere', when: ['!isHungy'], after: 'SOUL.NOPE', do: ['dance'] });
+  definition.states.casting.timeout = { after: -1, to: 'roaming' };
+
+  const errors = validateBehaviour(definition, GameConfig);
+  [
+    'states.resting is missing',
+    'initial must be one of the states',
+    'goes to unknown state nowhere',
+    'has an unknown guard "!isHungy"',
+    'has an unknown action "dance"',
+    'states.casting.timeout after must be'
+  ].forEach(problem => {
+    assert.ok(errors.some(error => error.includes(problem)), `missing "${problem}" in ${errors.join('; ')}`);
+  });
+  assert.throws(() => compileBehaviour(definition, GameConfig), /Invalid behaviour/);
+});
+
+test('a strategy orders the step block and drops the steps it leaves out', () => {
+  const roaming = loadBehaviour('default', GameConfig).states.roaming;
+  const orderSteps = priorities => getOrderedTransitions(roaming, priorities)
+    .filter(transition => transition.step)
+    .map(transition => transition.step);
+
+  assert.deepStrictEqual(orderSteps(['expand', 'defend']), ['expand', 'expand', 'defend']);
+  assert.deepStrictEqual(orderSteps(['defend', 'expand']), ['defend', 'expand', 'expand']);
+});
+
+test('guards leave the game untouched', t => {
+  t.mock.method(console, 'log');
+  const game = createGame(11);
+  const { gameManager } = game;
+  const tick = { allSouls: gameManager.souls, activeDisaster: gameManager.disasterEventSystem.getActiveDisaster() };
+  const captureState = () => JSON.stringify({
+    souls: Array.from(gameManager.souls.values()).map(soul => soul.serializeState()),
+    engagedSouls: Array.from(gameManager.context.engagedSouls, soul => soul.id),
+    random: gameManager.random.getState()
+  });
+
+  for (let round = 0; round < 6; round++) {
+    runTicks(game, 500);
+    const before = captureState();
+    gameManager.souls.forEach(soul => {
+      Object.values(GUARDS).forEach(guard => guard(soul.stateMachine, tick));
+    });
+    assert.strictEqual(captureState(), before);
+  }
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const BinaryProtocol = require('../network/BinaryProtocol');
+const { GENES } = require('../entities/Genome');
+
+const CLIENT_DIRECTORY = path.join(__dirname, '..', '..', 'client', 'js');
+
+function importClientModule(relativePath) {
+  return import(pathToFileURL(path.join(CLIENT_DIRECTORY, relativePath)).href);
+}
+
+// Values float32 holds exactly, so the client's rounding gives them back unchanged
+const FULL_SOUL = {
+  id: 'soul-1',
+  name: 'Aster',
+  type: 'water',
+  x: 120.5,
+  y: 64.25,
+  energy: 80.75,
+  maxEnergy: 120,
+  isCasting: true,
+  isPreparing: false,
+  isRetreating: true,
+  isDefending: false,
+  currentState: 'seeking',
+  isChild: false,
+  isMating: true,
+  maturityPercentage: 0.5,
+  isSleeping: false,
+  sleepProgress: 0.25,
+  genome: { speed: 1.125, maxEnergy: 0.875, attackDamage: 1.5, castSpeed: 0.75, boldness: 0.625 },
+  lineName: 'Tidewalkers',
+  generation: 3,
+  rank: 2,
+  xp: 42.5
+};
+
+const MESSAGES = [
+  {
+    type: 'state_delta',
+    seq: 7,
+    tick: 1234,
+    serverTime: 40722.5,
+    souls: [FULL_SOUL, { id: 'soul-2', x: 10.5, isSleeping: true }]
+  },
+  {
+    type: 'attack',
+    attackerId: 'soul-1',
+    targetId: 'soul-2',
+    damage: 12.5,
+    attackerPos: { x: 100.5, y: 50.25 },
+    targetPos: { x: 110.75, y: 52 },
+    isDefensiveAttack: true
+  },
+  { type: 'spell_progress', spellId: 'spell-3', casterId: 'soul-1', progress: 0.5, timeRemaining: 1500 },
+  { type: 'tile_updated', tileX: 12, tileY: 34, newType: 'water' }
+];
+
+function toArrayBuffer(buffer) {
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+test('the client decodes with the same tables the server encodes with', async () => {
+  const client = await importClientModule('network/BinaryProtocol.js');
+
+  assert.strictEqual(client.PROTOCOL_VERSION, BinaryProtocol.PROTOCOL_VERSION);
+  assert.deepStrictEqual(client.SOUL_FIELDS, BinaryProtocol.SOUL_FIELDS);
+  assert.deepStrictEqual(client.GENES, GENES);
+
+  const serverTypes = {};
+  Object.entries(BinaryProtocol.MESSAGE_CODES).forEach(([type, code]) => {
+    serverTypes[code] = type;
+  });
+  assert.deepStrictEqual(client.MESSAGE_TYPES, serverTypes);
+});
+
+test('every binary message decodes on the client to what the server encoded', async () => {
+  const client = await importClientModule('network/BinaryProtocol.js');
+
+  assert.deepStrictEqual(MESSAGES.map(message => message.type), Object.keys(BinaryProtocol.MESSAGE_CODES));
+  MESSAGES.forEach(message => {
+    const frame = BinaryProtocol.encodeMessage(message);
+    assert.ok(frame, `${message.type} should encode`);
+    assert.deepStrictEqual(client.decodeMessage(toArrayBuffer(frame)), message);
+  });
+});
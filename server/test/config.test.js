@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GameConfig = require('../config/gameConfig');
+const { createConfig } = require('../config/configOverrides');
+const { ConfigLoader, getLiveChanges } = require('../config/ConfigLoader');
+const AdminConsole = require('../admin/AdminConsole');
+const RoomManager = require('../rooms/RoomManager');
+
+const RESTART_ONLY_CHANGES = [
+  { SPATIAL_HASH: { CELL_SIZE: GameConfig.SPATIAL_HASH.CELL_SIZE * 2 } },
+  { STRATEGIES: { TEAMS: { LIGHT: 'aggressive' } } }
+];
+
+test('restart-only keys are rejected while running', () => {
+  RESTART_ONLY_CHANGES.forEach(changes => {
+    assert.throws(() => getLiveChanges(createConfig(GameConfig), changes),
+      /^Error: Cannot change (SPATIAL_HASH\.CELL_SIZE|STRATEGIES\.TEAMS\.LIGHT) while the server is running \(restart required\)$/);
+  });
+  assert.deepStrictEqual(getLiveChanges(createConfig(GameConfig), { NETWORK: { POSITION_DECIMALS: 2 } }),
+    { NETWORK: { POSITION_DECIMALS: 2 } });
+});
+
+test('a config file may set restart-only keys at startup but not in a later edit', t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const filePath = path.join(directory, 'config.json');
+  const config = createConfig(GameConfig);
+  const configLoader = new ConfigLoader(filePath, config);
+
+  fs.writeFileSync(filePath, JSON.stringify({ STRATEGIES: { TEAMS: { DARK: 'turtle' } } }));
+  configLoader.load();
+  assert.strictEqual(config.STRATEGIES.TEAMS.DARK, 'turtle');
+
+  RESTART_ONLY_CHANGES.forEach(changes => {
+    fs.writeFileSync(filePath, JSON.stringify({ STRATEGIES: { TEAMS: { DARK: 'turtle' } }, ...changes }));
+    assert.throws(() => configLoader.reload(), /restart required/);
+  });
+
+  fs.writeFileSync(filePath, JSON.stringify({ STRATEGIES: { TEAMS: { DARK: 'turtle' } }, NETWORK: { POSITION_DECIMALS: 2 } }));
+  assert.deepStrictEqual(configLoader.reload(), { NETWORK: { POSITION_DECIMALS: 2 } });
+});
+
+test('a live config update with a roomId changes only that room', t => {
+  t.mock.method(console, 'log');
+  const roomManager = new RoomManager();
+  t.after(() => roomManager.stopAll());
+  const adminConsole = new AdminConsole(roomManager);
+  t.mock.method(adminConsole, 'getToken', () => 'secret');
+
+  const arena = roomManager.createRoom('arena');
+  const other = roomManager.createRoom('other');
+  const replies = [];
+  const ws = { isAdmin: true, send: data => replies.push(JSON.parse(data)) };
+  const decimals = GameConfig.NETWORK.POSITION_DECIMALS;
+
+  adminConsole.handleConfigUpdate(ws, { roomId: 'arena', changes: { NETWORK: { POSITION_DECIMALS: decimals + 1 } } });
+  assert.deepStrictEqual(replies.pop(), { type: 'config_updated', roomId: 'arena', changed: ['NETWORK.POSITION_DECIMALS'] });
+  assert.strictEqual(arena.config.NETWORK.POSITION_DECIMALS, decimals + 1);
+  assert.strictEqual(other.config.NETWORK.POSITION_DECIMALS, decimals);
+  assert.strictEqual(GameConfig.NETWORK.POSITION_DECIMALS, decimals);
+
+  adminConsole.handleConfigUpdate(ws, { roomId: 'arena', changes: RESTART_ONLY_CHANGES[0] });
+  assert.strictEqual(replies.pop().type, 'config_error');
+  assert.strictEqual(arena.config.SPATIAL_HASH.CELL_SIZE, GameConfig.SPATIAL_HASH.CELL_SIZE);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createGame, runTicks } = require('./helpers');
+const SimulationRunner = require('../simulation/SimulationRunner');
+
+const SEEDS = [3, 11];
+const TICKS = 3000;
+
+test('a seed replays the same match tick for tick', t => {
+  t.mock.method(console, 'log');
+  SEEDS.forEach(seed => {
+    const first = createGame(seed);
+    const second = createGame(seed);
+
+    const firstEvents = runTicks(first, TICKS);
+    const secondEvents = runTicks(second, TICKS);
+
+    assert.deepStrictEqual(secondEvents, firstEvents);
+    assert.deepStrictEqual(second.gameManager.serializeState(), first.gameManager.serializeState());
+  });
+});
+
+test('different seeds build different worlds', t => {
+  t.mock.method(console, 'log');
+  const [first, second] = SEEDS.map(seed => createGame(seed));
+  assert.notDeepStrictEqual(second.gameManager.getTileMap(), first.gameManager.getTileMap());
+});
+
+test('sim reports for a seed are reproducible', t => {
+  t.mock.method(console, 'log');
+  const runner = new SimulationRunner({ ticks: TICKS });
+  SEEDS.forEach(seed => {
+    assert.deepStrictEqual(runner.run(seed), runner.run(seed));
+  });
+});
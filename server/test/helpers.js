@@ -0,0 +1,29 @@
+const GameManager = require('../GameManager');
+const { ManualClock } = require('../utils/Clock');
+
+/**
+ * Seeded game on a manual clock, driven the way SimulationRunner drives one
+ * @param {number|string} seed
+ * @param {Object} [options] - Further GameManager options, e.g. config
+ */
+function createGame(seed, options = {}) {
+  const clock = new ManualClock();
+  const gameManager = new GameManager({ seed: seed, clock: clock, ...options });
+  return { clock, gameManager };
+}
+
+/**
+ * Advance a game by whole ticks
+ * @returns {Array} Every event of those ticks
+ */
+function runTicks(game, ticks) {
+  const frameTime = game.gameManager.config.GAME_LOOP.FRAME_TIME;
+  const events = [];
+  for (let tick = 0; tick < ticks; tick++) {
+    game.clock.advance(frameTime);
+    events.push(...game.gameManager.update(frameTime));
+  }
+  return events;
+}
+
+module.exports = { createGame, runTicks };
@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const GameConfig = require('../config/gameConfig');
+const MapGenerator = require('../systems/MapGenerator');
+
+test('unknown and inherited layout names fall back to the default diagonal layout', t => {
+  t.mock.method(console, 'warn');
+  const mapGenerator = new MapGenerator();
+  const diagonal = mapGenerator.generate('diagonal', 'fallback');
+
+  assert.strictEqual(GameConfig.MAP.LAYOUT, 'diagonal');
+  ['constructor', '__proto__', 'toString', 'missing', ['vertical']].forEach(layoutType => {
+    assert.deepStrictEqual(mapGenerator.generate(layoutType, 'fallback'), diagonal);
+  });
+  assert.strictEqual(console.warn.mock.callCount(), 5);
+});
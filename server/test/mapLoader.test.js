@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MapLoader, readMapFile } = require('../systems/MapLoader');
+
+// 8x4 tiles, light on the left half and dark on the right, each with a 2x2 nexus and one orb spawn
+function createDefinition(overrides = {}) {
+  return {
+    name: 'Test',
+    width: 8,
+    height: 4,
+    tiles: ['LLLLDDDD', 'LLLLDDDD', 'LLLLDDDD', 'LLLLDDDD'],
+    nexuses: { light: { x: 1, y: 1 }, dark: { x: 6, y: 1 } },
+    orbSpawns: { light: [{ x: 2, y: 3 }], dark: [{ x: 5, y: 3 }] },
+    ...overrides
+  };
+}
+
+function assertRejected(definition, pattern) {
+  const errors = new MapLoader().validate(definition);
+  assert.ok(errors.some(error => pattern.test(error)), `expected ${pattern} in ${JSON.stringify(errors)}`);
+}
+
+test('crossroads loads as the tile map it describes', () => {
+  const mapLoader = new MapLoader();
+  const definition = readMapFile('crossroads');
+
+  assert.deepStrictEqual(mapLoader.validate(definition), []);
+  const tileMap = mapLoader.load(definition);
+  assert.strictEqual(tileMap.width, 23);
+  assert.strictEqual(tileMap.height, 14);
+  assert.strictEqual(tileMap.tiles.length, 14);
+  assert.deepStrictEqual(tileMap.layout.nexuses, { light: { tileX: 3, tileY: 11 }, dark: { tileX: 20, tileY: 3 } });
+});
+
+test('a map must fit the world', () => {
+  assert.deepStrictEqual(new MapLoader().validate(createDefinition()), []);
+  assertRejected(createDefinition({ width: 24, height: 14 }), /does not fit the 23x14 tile world/);
+  assertRejected(createDefinition({ width: 8, height: 15 }), /does not fit the 23x14 tile world/);
+  assertRejected(createDefinition({ width: 0 }), /width and height must be positive whole numbers/);
+  assertRejected(createDefinition({ height: 2.5 }), /width and height must be positive whole numbers/);
+});
+
+test('every tile row must be the map width of L and D', () => {
+  assertRejected(createDefinition({ tiles: ['LLLLDDDD', 'LLLLDDDD', 'LLLLDDDD'] }), /tiles must be 4 rows/);
+  assertRejected(createDefinition({ tiles: ['LLLLDDDD', 'LLLLDDD', 'LLLLDDDD', 'LLLLDDDD'] }),
+    /tiles row 1 must be a string of 8 characters/);
+  assertRejected(createDefinition({ tiles: ['LLLLDDDD', 'LLLLDDDD', 'LLLXDDDD', 'LLLLDDDD'] }),
+    /tiles row 2 may only contain L \(light\) and D \(dark\)/);
+});
+
+test('a nexus must sit on open tiles of its own territory', () => {
+  assertRejected(createDefinition({ nexuses: { light: { x: 5, y: 1 }, dark: { x: 6, y: 1 } } }),
+    /the light nexus covers tile 4,0, which is not open light territory/);
+  assertRejected(createDefinition({ terrain: [{ x: 6, y: 1, type: 'rock' }] }),
+    /the dark nexus covers tile 6,1, which is not open dark territory/);
+  assertRejected(createDefinition({ nexuses: { light: { x: 0, y: 1 }, dark: { x: 6, y: 1 } } }),
+    /the light nexus at 0,1 reaches outside the map/);
+});
+
+test('impassable terrain must not wall the nexuses apart', () => {
+  const wall = type => [0, 1, 2, 3].map(y => ({ x: 3, y: y, type: type }));
+
+  assertRejected(createDefinition({ terrain: wall('water') }), /impassable terrain walls the nexuses off from each other/);
+  assertRejected(createDefinition({ terrain: wall('rock') }), /impassable terrain walls the nexuses off from each other/);
+  assertRejected(createDefinition({ blocked: wall('rock').map(({ x, y }) => ({ x, y })) }),
+    /impassable terrain walls the nexuses off from each other/);
+  assert.deepStrictEqual(new MapLoader().validate(createDefinition({ terrain: wall('swamp') })), []);
+});
+
+test('orb spawns must be reachable from their nexus', () => {
+  // Rock closes off the light corner at 0,3
+  const terrain = [{ x: 0, y: 2, type: 'rock' }, { x: 1, y: 3, type: 'rock' }];
+  const orbSpawns = { light: [{ x: 0, y: 3 }], dark: [{ x: 5, y: 3 }] };
+
+  assertRejected(createDefinition({ terrain, orbSpawns }), /light orb spawn at 0,3 can't be reached from the light nexus/);
+  assertRejected(createDefinition({ orbSpawns: { light: [{ x: 5, y: 3 }], dark: [{ x: 5, y: 3 }] } }),
+    /light orb spawn at 5,3 is not open light territory/);
+  assertRejected(createDefinition({ orbSpawns: { light: [], dark: [{ x: 5, y: 3 }] } }),
+    /orbSpawns.light must be a non-empty array/);
+});
+
+test('load reports every problem in one error', () => {
+  const definition = createDefinition({ tiles: ['LLLLDDDD', 'LLLLDDD', 'LLLXDDDD', 'LLLLDDDD'] });
+
+  assert.throws(() => new MapLoader().load(definition),
+    /^Error: Invalid map "Test": tiles row 1 must be .*; tiles row 2 may only contain/);
+});
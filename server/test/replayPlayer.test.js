@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const ReplayPlayer = require('../replay/ReplayPlayer');
+const { REPLAY_FORMAT_VERSION } = require('../replay/ReplayRecorder');
+
+const CLIENT_DIRECTORY = path.join(__dirname, '..', '..', 'client', 'js');
+
+function importClientModule(relativePath) {
+  return import(pathToFileURL(path.join(CLIENT_DIRECTORY, relativePath)).href);
+}
+
+// Every event type either player knows, each tick, with keyframes every 20 ticks
+const EVENT_TYPES = [
+  'attack', 'nexus_attack', 'spell_progress', 'character_death', 'statistics_update', 'hall_of_fame',
+  'state_delta', 'character_spawn', 'tile_updated', 'spell_started', 'disaster_start', 'nexus_destroyed'
+];
+
+function buildReplayText() {
+  const lines = [{ type: 'replay_header', version: REPLAY_FORMAT_VERSION, frameTime: 33 }];
+  for (let tick = 0; tick <= 60; tick++) {
+    const events = EVENT_TYPES
+      .filter((_, index) => (tick + index) % 3 === 0)
+      .map(type => ({ type: type, tick: tick }));
+    if (events.length > 0) {
+      lines.push({ type: 'tick', tick: tick, time: tick * 33, events: events });
+    }
+    if (tick % 20 === 0) {
+      lines.push({ type: 'keyframe', tick: tick, time: tick * 33, state: { type: 'world_state', tick: tick } });
+    }
+  }
+  return lines.map(line => JSON.stringify(line)).join('\n');
+}
+
+test('the browser player drops the same events as the server player', async () => {
+  const client = await importClientModule('network/ReplayPlayer.js');
+  assert.deepStrictEqual(Array.from(client.TRANSIENT_EVENT_TYPES).sort(), Array.from(ReplayPlayer.TRANSIENT_EVENT_TYPES).sort());
+
+  const { ClientConfig } = await importClientModule('config/clientConfig.js');
+  assert.strictEqual(ClientConfig.REPLAY.FORMAT_VERSION, REPLAY_FORMAT_VERSION);
+});
+
+test('both players catch up to a seek target with the same messages', async () => {
+  const client = await importClientModule('network/ReplayPlayer.js');
+  const text = buildReplayText();
+  const serverPlayer = new ReplayPlayer(text);
+  const clientPlayer = new client.ReplayPlayer(text);
+
+  [0, 7, 20, 33, 45, 60, 100].forEach(tick => {
+    assert.deepStrictEqual(clientPlayer.seek(tick), serverPlayer.seek(tick), `seek to ${tick}`);
+  });
+});
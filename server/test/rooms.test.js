@@ -0,0 +1,14 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../rooms/RoomManager');
+
+test('rooms can only be created from a preset of their own', t => {
+  t.mock.method(console, 'log');
+  const roomManager = new RoomManager();
+  t.after(() => roomManager.stopAll());
+
+  ['__proto__', 'constructor', 'toString', 'missing', ['default']].forEach(preset => {
+    assert.throws(() => roomManager.createRoom('inherited', { preset }), /Unknown room preset/);
+  });
+  assert.strictEqual(roomManager.createRoom('rush', { preset: 'rush-vs-turtle' }).preset, 'rush-vs-turtle');
+});
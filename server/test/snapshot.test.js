@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createGame, runTicks } = require('./helpers');
+
+test('a restored snapshot plays on exactly like the original', t => {
+  t.mock.method(console, 'log');
+  const original = createGame(5);
+  runTicks(original, 1500);
+  // Through JSON, like a snapshot file, and into a world built from another seed at a later time
+  const snapshot = JSON.parse(JSON.stringify(original.gameManager.serializeState()));
+  const restored = createGame(99);
+  restored.clock.setTime(original.clock.now() + 12345);
+  restored.gameManager.loadState(snapshot);
+
+  runTicks(original, 1500);
+  runTicks(restored, 1500);
+
+  assert.deepStrictEqual(restored.gameManager.getSouls(), original.gameManager.getSouls());
+  assert.deepStrictEqual(restored.gameManager.getTileMap().tiles, original.gameManager.getTileMap().tiles);
+  assert.deepStrictEqual(restored.gameManager.statisticsManager.teamStats, original.gameManager.statisticsManager.teamStats);
+});
+
+test('snapshots from another version are rejected', t => {
+  t.mock.method(console, 'log');
+  const game = createGame(5);
+  const snapshot = game.gameManager.serializeState();
+  snapshot.version -= 1;
+  assert.throws(() => game.gameManager.loadState(snapshot), /Unsupported snapshot version/);
+});
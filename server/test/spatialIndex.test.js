@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createGame, runTicks } = require('./helpers');
+const SpatialHash = require('../utils/SpatialHash');
+const SeededRandom = require('../utils/SeededRandom');
+
+/**
+ * Make an index answer its queries by scanning every item in insertion order,
+ * the way the systems searched before they used the spatial hash
+ */
+function scanInsteadOfHash(index) {
+  const itemsInOrder = () => Array.from(index.itemCells.keys())
+    .sort((a, b) => index.getOrder(a) - index.getOrder(b));
+
+  index.queryRadius = (x, y, radius) => itemsInOrder()
+    .filter(item => (item.x - x) * (item.x - x) + (item.y - y) * (item.y - y) <= radius * radius);
+
+  index.findNearest = (x, y, maxDistance, filter = () => true) => {
+    let nearest = null;
+    let nearestDistance = maxDistance;
+    itemsInOrder().forEach(item => {
+      const distance = Math.sqrt((item.x - x) ** 2 + (item.y - y) ** 2);
+      if (distance < nearestDistance && filter(item)) {
+        nearest = item;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  };
+}
+
+test('queries match a scan of the items, in insertion order', () => {
+  const random = new SeededRandom(17);
+  // A coarse grid so several items share positions and distances
+  const items = Array.from({ length: 300 }, (_, id) => ({
+    id: id,
+    x: Math.round(random.next() * 40) * 25,
+    y: Math.round(random.next() * 40) * 25
+  }));
+  const hash = new SpatialHash(128);
+  const scan = new SpatialHash(128);
+  hash.rebuild(items);
+  scan.rebuild(items);
+  scanInsteadOfHash(scan);
+
+  for (let query = 0; query < 200; query++) {
+    const x = random.next() * 1000;
+    const y = random.next() * 1000;
+    const radius = random.next() * 300;
+    const isEven = item => item.id % 2 === 0;
+
+    assert.deepStrictEqual(hash.queryRadius(x, y, radius), scan.queryRadius(x, y, radius));
+    assert.strictEqual(hash.findNearest(x, y, radius), scan.findNearest(x, y, radius));
+    assert.strictEqual(hash.findNearest(x, y, radius, isEven), scan.findNearest(x, y, radius, isEven));
+  }
+});
+
+test('a seeded match plays out the same with the spatial hash as with full scans', t => {
+  t.mock.method(console, 'log');
+  const indexed = createGame(7);
+  const scanned = createGame(7);
+  scanInsteadOfHash(scanned.gameManager.context.spatialIndex.souls);
+  scanInsteadOfHash(scanned.gameManager.context.spatialIndex.orbs);
+
+  const indexedEvents = runTicks(indexed, 3000);
+  const scannedEvents = runTicks(scanned, 3000);
+
+  assert.deepStrictEqual(indexedEvents, scannedEvents);
+  assert.deepStrictEqual(indexed.gameManager.serializeState(), scanned.gameManager.serializeState());
+});
@@ -0,0 +1,48 @@
+/**
+ * Clock abstractions
+ * Every system reads time through a clock instead of calling Date.now() directly,
+ * so simulations can run faster than real time and be replayed deterministically
+ */
+
+// Fixed start time for manual clocks so runs don't depend on when they were started
+const DEFAULT_START_TIME = Date.UTC(2024, 0, 1);
+
+/**
+ * Wall clock time - the default for the live server
+ */
+class SystemClock {
+  now() {
+    return Date.now();
+  }
+}
+
+/**
+ * Clock that only moves when told to (headless simulations, tests)
+ */
+class ManualClock {
+  constructor(startTime = DEFAULT_START_TIME) {
+    this.currentTime = startTime;
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  /**
+   * Move the clock forward
+   * @param {number} milliseconds - Time to advance
+   */
+  advance(milliseconds) {
+    this.currentTime += milliseconds;
+  }
+
+  /**
+   * Jump to an absolute time
+   * @param {number} time - New current time
+   */
+  setTime(time) {
+    this.currentTime = time;
+  }
+}
+
+module.exports = { SystemClock, ManualClock, DEFAULT_START_TIME };
@@ -0,0 +1,61 @@
+/**
+ * Seeded pseudo random number generator (mulberry32)
+ * Drop-in replacement for Math.random() that produces the same sequence for the same seed
+ */
+class SeededRandom {
+  /**
+   * @param {number|string} [seed] - Seed for the sequence; a random one is picked when omitted
+   */
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Convert numbers and strings into a 32-bit unsigned seed
+   */
+  static normalizeSeed(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+      return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+
+    const numericSeed = Number(seed);
+    if (Number.isFinite(numericSeed)) {
+      return numericSeed >>> 0;
+    }
+
+    // Hash string seeds (FNV-1a)
+    let hash = 0x811C9DC5;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1), same contract as Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Capture the generator position so a restored world continues the same sequence
+   */
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  setState(savedState) {
+    this.seed = savedState.seed >>> 0;
+    this.state = savedState.state >>> 0;
+  }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,30 @@
+const GameConfig = require('../config/gameConfig');
+const { SystemClock } = require('./Clock');
+const SeededRandom = require('./SeededRandom');
+const SpatialHash = require('./SpatialHash');
+
+/**
+ * Create the shared simulation context handed to every entity and system
+ * @param {Object} [options]
+ * @param {number|string} [options.seed] - RNG seed, random when omitted
+ * @param {Object} [options.clock] - Clock exposing now(), defaults to wall time
+ * @param {Object} [options.config] - GameConfig-shaped config, defaults to the global GameConfig
+ * @returns {{config: Object, clock: Object, random: SeededRandom, spatialIndex: {souls: SpatialHash, orbs: SpatialHash}, engagedSouls: Set}}
+ */
+function createSimulationContext(options = {}) {
+  const config = options.config || GameConfig;
+  return {
+    config: config,
+    clock: options.clock || new SystemClock(),
+    random: new SeededRandom(options.seed),
+    // Shared proximity indexes, kept current by GameManager.update()
+    spatialIndex: {
+      souls: new SpatialHash(config.SPATIAL_HASH.CELL_SIZE),
+      orbs: new SpatialHash(config.SPATIAL_HASH.CELL_SIZE)
+    },
+    // Souls defending against or attacking an enemy caster, kept by SoulStateMachine
+    engagedSouls: new Set()
+  };
+}
+
+module.exports = { createSimulationContext };
@@ -0,0 +1,191 @@
+// Cell coordinates are packed into one number; valid while |cell| < KEY_OFFSET
+const KEY_OFFSET = 32768;
+const KEY_STRIDE = KEY_OFFSET * 2;
+
+/**
+ * Spatial Hash
+ * Uniform grid of buckets over items with x/y, for radius and nearest-item queries
+ * Results come out in insertion order, the order a scan over the indexed collection would
+ * visit them in, so swapping a scan for a query leaves seeded simulations unchanged
+ */
+class SpatialHash {
+  /**
+   * @param {number} cellSize - Cell edge in px, about the most common query radius
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();     // key -> items
+    this.itemCells = new Map(); // item -> key
+    this.itemOrder = new Map(); // item -> position of its first insertion since the last clear
+    this.resetBounds();
+  }
+
+  /**
+   * Cell range that has ever held an item since the last clear (limits nearest searches)
+   */
+  resetBounds() {
+    this.minCellX = Infinity;
+    this.maxCellX = -Infinity;
+    this.minCellY = Infinity;
+    this.maxCellY = -Infinity;
+  }
+
+  getCellCoordinate(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  getKey(cellX, cellY) {
+    return (cellY + KEY_OFFSET) * KEY_STRIDE + (cellX + KEY_OFFSET);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.itemCells.clear();
+    this.itemOrder.clear();
+    this.resetBounds();
+  }
+
+  /**
+   * Replace the contents with the given items
+   * @param {Iterable} items
+   */
+  rebuild(items) {
+    this.clear();
+    for (const item of items) {
+      this.insert(item);
+    }
+  }
+
+  insert(item) {
+    const cellX = this.getCellCoordinate(item.x);
+    const cellY = this.getCellCoordinate(item.y);
+    this.minCellX = Math.min(this.minCellX, cellX);
+    this.maxCellX = Math.max(this.maxCellX, cellX);
+    this.minCellY = Math.min(this.minCellY, cellY);
+    this.maxCellY = Math.max(this.maxCellY, cellY);
+
+    const key = this.getKey(cellX, cellY);
+    if (!this.cells.has(key)) {
+      this.cells.set(key, []);
+    }
+    this.cells.get(key).push(item);
+    this.itemCells.set(item, key);
+    if (!this.itemOrder.has(item)) {
+      this.itemOrder.set(item, this.itemOrder.size);
+    }
+  }
+
+  /**
+   * Where the item comes in query results; moving it with update() keeps its place
+   */
+  getOrder(item) {
+    return this.itemOrder.get(item);
+  }
+
+  remove(item) {
+    const key = this.itemCells.get(item);
+    if (key === undefined) return;
+
+    const bucket = this.cells.get(key);
+    bucket.splice(bucket.indexOf(item), 1);
+    if (bucket.length === 0) {
+      this.cells.delete(key);
+    }
+    this.itemCells.delete(item);
+  }
+
+  /**
+   * Move an item to the cell of its current position (call after changing x/y)
+   */
+  update(item) {
+    const key = this.getKey(this.getCellCoordinate(item.x), this.getCellCoordinate(item.y));
+    if (this.itemCells.get(item) === key) return;
+
+    this.remove(item);
+    this.insert(item);
+  }
+
+  /**
+   * Items within `radius` of a point (inclusive)
+   * @returns {Array}
+   */
+  queryRadius(x, y, radius) {
+    const results = [];
+    const minCellX = this.getCellCoordinate(x - radius);
+    const maxCellX = this.getCellCoordinate(x + radius);
+    const minCellY = this.getCellCoordinate(y - radius);
+    const maxCellY = this.getCellCoordinate(y + radius);
+    const radiusSquared = radius * radius;
+
+    for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+      for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+        const bucket = this.cells.get(this.getKey(cellX, cellY));
+        if (!bucket) continue;
+
+        bucket.forEach(item => {
+          const dx = item.x - x;
+          const dy = item.y - y;
+          if (dx * dx + dy * dy <= radiusSquared) {
+            results.push(item);
+          }
+        });
+      }
+    }
+    return results.sort((a, b) => this.itemOrder.get(a) - this.itemOrder.get(b));
+  }
+
+  /**
+   * Closest item that passes the filter, searching rings of cells outward from the point
+   * Of items at the same distance, the one inserted first wins
+   * @param {number} maxDistance - Only items strictly closer than this count
+   * @param {Function} [filter] - item => boolean, only called for items closer than the best so far
+   * @returns {Object|null}
+   */
+  findNearest(x, y, maxDistance, filter = () => true) {
+    if (this.cells.size === 0) return null;
+
+    const centerX = this.getCellCoordinate(x);
+    const centerY = this.getCellCoordinate(y);
+    // No need to search rings that lie entirely outside the occupied cells
+    const maxRing = Math.min(
+      Math.ceil(maxDistance / this.cellSize),
+      Math.max(centerX - this.minCellX, this.maxCellX - centerX, centerY - this.minCellY, this.maxCellY - centerY)
+    );
+
+    let nearest = null;
+    let nearestDistance = maxDistance;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Nothing in this ring or beyond can be closer than (ring - 1) cells
+      if ((ring - 1) * this.cellSize >= nearestDistance) break;
+
+      for (let dy = -ring; dy <= ring; dy++) {
+        const cellY = centerY + dy;
+        if (cellY < this.minCellY || cellY > this.maxCellY) continue;
+
+        // Inner rows of the ring only have their two end cells
+        const stepX = Math.abs(dy) === ring ? 1 : ring * 2 || 1;
+        for (let dx = -ring; dx <= ring; dx += stepX) {
+          const cellX = centerX + dx;
+          if (cellX < this.minCellX || cellX > this.maxCellX) continue;
+
+          const bucket = this.cells.get(this.getKey(cellX, cellY));
+          if (!bucket) continue;
+
+          bucket.forEach(item => {
+            const distance = Math.sqrt((item.x - x) ** 2 + (item.y - y) ** 2);
+            const isCloser = distance < nearestDistance ||
+              (nearest !== null && distance === nearestDistance && this.itemOrder.get(item) < this.itemOrder.get(nearest));
+            if (isCloser && filter(item)) {
+              nearest = item;
+              nearestDistance = distance;
+            }
+          });
+        }
+      }
+    }
+    return nearest;
+  }
+}
+
+module.exports = SpatialHash;
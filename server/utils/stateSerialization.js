@@ -0,0 +1,39 @@
+/**
+ * Snapshot helpers shared by the serializeState() / loadState() methods
+ * Snapshots are plain JSON; timestamps are shifted on load so timers resume where they were
+ * instead of all expiring at once after a restart
+ */
+
+/**
+ * Deep copy plain data so snapshots never share objects with the live world
+ */
+function cloneState(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Shift a timestamp by the load offset
+ * 0 and null mean "never happened" throughout the systems and are left untouched
+ * @param {number|null} time - Timestamp taken from the saving clock
+ * @param {number} offset - Loading clock time minus saving clock time
+ */
+function shiftTime(time, offset) {
+  return typeof time === 'number' && time !== 0 ? time + offset : time;
+}
+
+/**
+ * Shift the named timestamp fields of an object in place
+ * @returns {Object} The same object
+ */
+function shiftTimeFields(object, fields, offset) {
+  if (!object || !offset) return object;
+
+  fields.forEach(field => {
+    if (field in object) {
+      object[field] = shiftTime(object[field], offset);
+    }
+  });
+  return object;
+}
+
+module.exports = { cloneState, shiftTime, shiftTimeFields };